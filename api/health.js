@@ -1,10 +1,8 @@
+import { createProvider } from '../server/lib/llm.js'
+import { handleHealth, vercelHandler } from '../server/lib/handlers.js'
+
 /**
  * Vercel Serverless Function for API health check
  * GET /api/health
  */
-export default async function handler(req, res) {
-  res.json({ 
-    status: 'ok', 
-    apiKeyConfigured: !!process.env.OPENAI_API_KEY 
-  })
-}
+export default vercelHandler('GET', handleHealth, () => ({ provider: createProvider(process.env) }))
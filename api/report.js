@@ -0,0 +1,10 @@
+import { createGuard } from '../server/lib/guard.js'
+import { handleReport, vercelHandler } from '../server/lib/handlers.js'
+
+const guard = createGuard(process.env)
+
+/**
+ * Vercel Serverless Function for the PDF report
+ * POST /api/report
+ */
+export default vercelHandler('POST', handleReport, () => ({ guard }))
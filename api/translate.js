@@ -0,0 +1,11 @@
+import { createProvider } from '../server/lib/llm.js'
+import { createGuard } from '../server/lib/guard.js'
+import { handleTranslate, vercelHandler } from '../server/lib/handlers.js'
+
+const guard = createGuard(process.env)
+
+/**
+ * Vercel Serverless Function for translating an analysis narrative
+ * POST /api/translate
+ */
+export default vercelHandler('POST', handleTranslate, () => ({ provider: createProvider(process.env), guard }))
@@ -96,46 +96,19 @@ test.describe('AI Chat - Drawer Interaction', () => {
   })
 })
 
-test.describe('AI Chat - API Key', () => {
-  test('shows API key input when chat is opened', async ({ page }) => {
-    await page.goto('/')
-    
-    await page.click('[aria-label="Open AI chat assistant"]')
-    
-    await expect(page.getByPlaceholder('sk-...')).toBeVisible()
-    await expect(page.getByText(/Your key is only used locally/)).toBeVisible()
-  })
-
-  test('disables send button when no API key is set', async ({ page }) => {
-    await page.goto('/')
-    
-    await page.click('[aria-label="Open AI chat assistant"]')
+test.describe('AI Chat - Mock Provider', () => {
+  test('reports the mock provider from the health check', async ({ request }) => {
+    const response = await request.get('/api/health')
     
-    const sendButton = page.getByRole('button', { name: /send message/i })
-    await expect(sendButton).toBeDisabled()
+    expect(await response.json()).toMatchObject({ status: 'ok', apiKeyConfigured: true, provider: 'mock' })
   })
 
-  test('hides API key input after saving key', async ({ page }) => {
+  test('enables the message input', async ({ page }) => {
     await page.goto('/')
     
     await page.click('[aria-label="Open AI chat assistant"]')
     
-    await page.fill('[placeholder="sk-..."]', 'sk-test-key-12345')
-    await page.click('button:has-text("Save")')
-    
-    await expect(page.getByPlaceholder('sk-...')).not.toBeVisible()
-  })
-
-  test('enables input after saving API key', async ({ page }) => {
-    await page.goto('/')
-    
-    await page.click('[aria-label="Open AI chat assistant"]')
-    
-    await page.fill('[placeholder="sk-..."]', 'sk-test-key')
-    await page.click('button:has-text("Save")')
-    
-    const messageInput = page.getByPlaceholder('Ask about your eye health...')
-    await expect(messageInput).toBeEnabled()
+    await expect(page.getByPlaceholder('Ask about your eye health...')).toBeEnabled()
   })
 })
 
@@ -143,11 +116,9 @@ test.describe('AI Chat - Messaging UI', () => {
   test.beforeEach(async ({ page }) => {
     await page.goto('/')
     await page.click('[aria-label="Open AI chat assistant"]')
-    await page.fill('[placeholder="sk-..."]', 'sk-test')
-    await page.click('button:has-text("Save")')
   })
 
-  test('shows message input after API key is set', async ({ page }) => {
+  test('shows message input', async ({ page }) => {
     await expect(page.getByPlaceholder('Ask about your eye health...')).toBeVisible()
   })
 
@@ -168,13 +139,14 @@ test.describe('AI Chat - Messaging UI', () => {
     await expect(page.getByText('What is visual acuity?')).toBeVisible()
   })
 
-  test('shows loading indicator while waiting for response', async ({ page }) => {
+  test('shows the streamed reply', async ({ page }) => {
     await page.fill('[placeholder="Ask about your eye health..."]', 'Hello')
     await page.click('[aria-label="Send message"]')
     
-    // Should show loading dots (the animation is 3 bouncing dots)
-    // This will quickly resolve to an error since we don't have a real API key
-    await expect(page.locator('.animate-bounce').first()).toBeVisible()
+    // The API server runs the mock provider, which echoes the question
+    await expect(page.getByText(/mock reply from the local development server/)).toBeVisible()
+    await expect(page.getByText('You asked: "Hello"')).toBeVisible()
+    await expect(page.getByRole('button', { name: /send message/i })).toBeVisible()
   })
 
   test('shows disclaimer at bottom of chat', async ({ page }) => {
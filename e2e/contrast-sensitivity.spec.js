@@ -45,8 +45,8 @@ test.describe('Contrast Sensitivity Test', () => {
     await expect(page.locator('input[type="text"]')).toBeVisible()
     await expect(page.getByRole('button', { name: 'Submit' })).toBeVisible()
     
-    // Should show level indicator
-    await expect(page.getByText('Level 1/10')).toBeVisible()
+    // Should show trial counter
+    await expect(page.getByText('Trial 1/24')).toBeVisible()
   })
 
   test('input field accepts single letter', async ({ page }) => {
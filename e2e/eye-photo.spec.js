@@ -1,5 +1,11 @@
 import { test, expect } from '@playwright/test'
 
+// Photos are taken per eye, so the instructions follow the eye selection
+async function openInstructions(page) {
+  await page.goto('/eye-photo')
+  await page.getByRole('button', { name: /Left/ }).click()
+}
+
 test.describe('Eye Photo Analysis', () => {
   test('navigates to eye photo analysis instructions', async ({ page }) => {
     await page.goto('/')
@@ -7,14 +13,18 @@ test.describe('Eye Photo Analysis', () => {
     // Click on Eye Photo Analysis
     await page.click('text=Eye Photo Analysis')
     
-    // Should be on the instructions page
+    // Should ask which eye to photograph first
     await expect(page).toHaveURL('/eye-photo')
+    await expect(page.getByText('Which eye would you like to photograph?')).toBeVisible()
+
+    // Then show the instructions
+    await page.getByRole('button', { name: /Left/ }).click()
     await expect(page.getByText('AI Eye Analysis')).toBeVisible()
     await expect(page.getByText('For best results:')).toBeVisible()
   })
 
   test('displays API key input field', async ({ page }) => {
-    await page.goto('/eye-photo')
+    await openInstructions(page)
     
     // Should see API key input
     await expect(page.getByText('OpenAI API Key')).toBeVisible()
@@ -25,7 +35,7 @@ test.describe('Eye Photo Analysis', () => {
   })
 
   test('take photo button is disabled without API key', async ({ page }) => {
-    await page.goto('/eye-photo')
+    await openInstructions(page)
     
     // Button should be disabled
     const takePhotoButton = page.getByRole('button', { name: /Take Photo/ })
@@ -33,7 +43,7 @@ test.describe('Eye Photo Analysis', () => {
   })
 
   test('take photo button is enabled with API key', async ({ page }) => {
-    await page.goto('/eye-photo')
+    await openInstructions(page)
     
     // Enter API key
     await page.getByPlaceholder('sk-...').fill('sk-test-key-12345')
@@ -44,7 +54,7 @@ test.describe('Eye Photo Analysis', () => {
   })
 
   test('shows/hides API key with toggle', async ({ page }) => {
-    await page.goto('/eye-photo')
+    await openInstructions(page)
     
     const input = page.getByPlaceholder('sk-...')
     const showButton = page.getByRole('button', { name: 'Show' })
@@ -62,14 +72,14 @@ test.describe('Eye Photo Analysis', () => {
   })
 
   test('displays important disclaimer', async ({ page }) => {
-    await page.goto('/eye-photo')
+    await openInstructions(page)
     
     await expect(page.getByText(/This AI analysis is for educational purposes only/)).toBeVisible()
     await expect(page.getByText(/NOT a medical diagnosis/)).toBeVisible()
   })
 
   test('upload photo option is available', async ({ page }) => {
-    await page.goto('/eye-photo')
+    await openInstructions(page)
     
     // Upload button should be visible
     await expect(page.getByText('Upload Photo')).toBeVisible()
@@ -84,7 +94,7 @@ test.describe('Eye Photo Analysis', () => {
   })
 
   test('instructions list is complete', async ({ page }) => {
-    await page.goto('/eye-photo')
+    await openInstructions(page)
     
     // All 4 instructions should be visible
     await expect(page.getByText('Find good lighting')).toBeVisible()
@@ -98,7 +108,7 @@ test.describe('Eye Photo Analysis - Mobile', () => {
   test.use({ viewport: { width: 375, height: 667 } })
 
   test('is usable on mobile viewport', async ({ page }) => {
-    await page.goto('/eye-photo')
+    await openInstructions(page)
     
     // Instructions should be visible
     await expect(page.getByText('AI Eye Analysis')).toBeVisible()
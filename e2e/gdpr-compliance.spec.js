@@ -2,9 +2,12 @@ import { test, expect } from '@playwright/test'
 
 test.describe('GDPR Compliance', () => {
   test.beforeEach(async ({ page }) => {
-    // Clear localStorage before each test
+    // Clear stored data before each test
     await page.goto('/')
-    await page.evaluate(() => localStorage.clear())
+    await page.evaluate(() => {
+      localStorage.clear()
+      indexedDB.deleteDatabase('visioncheck')
+    })
   })
 
   test.describe('Consent Banner', () => {
@@ -40,8 +40,8 @@ test.describe('Visual Acuity Test', () => {
     await expect(page.getByRole('button', { name: '←' })).toBeVisible()
     await expect(page.getByRole('button', { name: '→' })).toBeVisible()
     
-    // Should show level indicator
-    await expect(page.getByText('Level 1/10')).toBeVisible()
+    // Should show trial counter
+    await expect(page.getByText('Trial 1/30')).toBeVisible()
   })
 
   test('responds to direction button clicks', async ({ page }) => {
@@ -21,10 +21,20 @@ export default defineConfig({
       use: { ...devices['Pixel 5'] },
     },
   ],
-  webServer: {
-    command: 'npm run dev',
-    url: 'http://localhost:5173',
-    reuseExistingServer: true,
-    timeout: 120 * 1000,
-  },
+  webServer: [
+    {
+      command: 'npm run dev',
+      url: 'http://localhost:5173',
+      reuseExistingServer: true,
+      timeout: 120 * 1000,
+    },
+    {
+      // Canned responses, so the suite needs no API key or network
+      command: 'npm --prefix server start',
+      url: 'http://localhost:3001/api/health',
+      reuseExistingServer: true,
+      timeout: 120 * 1000,
+      env: { LLM_PROVIDER: 'mock' },
+    },
+  ],
 })
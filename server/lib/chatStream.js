@@ -0,0 +1,50 @@
+/**
+ * Streaming chat responses as server-sent events.
+ *
+ * Used by POST /api/chat in both the Express server and the Vercel
+ * functions when the request asks for `stream: true`. The client receives
+ * `data: {"delta": "..."}` events as tokens arrive and a final
+ * `data: [DONE]`. Once the stream has started the status code can no longer
+ * change, so a later failure is sent as an `error` event instead.
+ */
+
+/**
+ * Send the headers for an event stream.
+ * @param {import('node:http').ServerResponse} res
+ */
+export function startEventStream(res) {
+  res.statusCode = 200
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8')
+  res.setHeader('Cache-Control', 'no-cache, no-transform')
+  res.setHeader('Connection', 'keep-alive')
+  // Stop proxies such as nginx from buffering the whole response
+  res.setHeader('X-Accel-Buffering', 'no')
+  res.flushHeaders?.()
+}
+
+const sendEvent = (res, data, event) => {
+  res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Forward a streamed completion to the client as server-sent events.
+ * @param {AsyncIterable<string>} deltas - Text deltas from the LLM provider
+ * @param {import('node:http').ServerResponse} res
+ * @returns {Promise<void>} Resolves once the response has ended
+ */
+export async function relayChatStream(deltas, res) {
+  startEventStream(res)
+  try {
+    for await (const delta of deltas) {
+      sendEvent(res, { delta })
+    }
+    res.write('data: [DONE]\n\n')
+  } catch (error) {
+    // AbortError means the client went away, so there is no one to tell
+    if (error.name !== 'AbortError') {
+      console.error('Chat stream error:', error)
+      sendEvent(res, { error: 'The response was interrupted' }, 'error')
+    }
+  }
+  res.end()
+}
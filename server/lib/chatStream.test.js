@@ -0,0 +1,60 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import { relayChatStream } from './chatStream.js'
+
+async function* deltasFrom(...deltas) {
+  yield* deltas
+}
+
+async function* failingDeltas(error) {
+  yield 'Partial'
+  throw error
+}
+
+const createResponse = () => {
+  const res = {
+    headers: {},
+    chunks: [],
+    setHeader: vi.fn((name, value) => { res.headers[name] = value }),
+    write: vi.fn((chunk) => { res.chunks.push(chunk) }),
+    end: vi.fn()
+  }
+  return res
+}
+
+describe('relayChatStream', () => {
+  it('forwards deltas as server-sent events', async () => {
+    const res = createResponse()
+    await relayChatStream(deltasFrom('Hello', ' there'), res)
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream; charset=utf-8')
+    expect(res.chunks).toEqual([
+      'data: {"delta":"Hello"}\n\n',
+      'data: {"delta":" there"}\n\n',
+      'data: [DONE]\n\n'
+    ])
+    expect(res.end).toHaveBeenCalled()
+  })
+
+  it('sends an error event when the upstream stream fails', async () => {
+    const res = createResponse()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    await relayChatStream(failingDeltas(new Error('socket hang up')), res)
+
+    expect(res.chunks).toEqual([
+      'data: {"delta":"Partial"}\n\n',
+      'event: error\ndata: {"error":"The response was interrupted"}\n\n'
+    ])
+    expect(res.end).toHaveBeenCalled()
+    console.error.mockRestore()
+  })
+
+  it('ends quietly when the client disconnects', async () => {
+    const res = createResponse()
+    const abort = Object.assign(new Error('aborted'), { name: 'AbortError' })
+    await relayChatStream(failingDeltas(abort), res)
+
+    expect(res.chunks).toEqual(['data: {"delta":"Partial"}\n\n'])
+    expect(res.end).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,189 @@
+/**
+ * Validation of the structured eye photo analysis returned by the LLM.
+ *
+ * Used by POST /api/analyze in both the Express server and the Vercel
+ * functions, for single photos and for comparisons of two photos of the same
+ * eye. Providers that support it are held to EYE_ANALYSIS_SCHEMA (or
+ * EYE_COMPARISON_SCHEMA) with a JSON schema response format, but self-hosted and older models may still
+ * wrap the JSON in prose or vary the wording of enum values. parseEyeAnalysis
+ * repairs what can be repaired unambiguously and rejects the rest.
+ */
+
+import {
+  IMAGE_QUALITIES,
+  EYE_FINDINGS,
+  FINDING_SEVERITIES,
+  RECOMMENDATION_TIERS,
+  CHANGE_DIRECTIONS
+} from '../../src/utils/eyeAnalysis.js'
+
+export const ANALYSIS_LANGUAGES = ['en', 'de']
+
+// Long enough for a thorough narrative, short enough to keep out runaway output
+const MAX_NARRATIVE_LENGTH = 4000
+
+export const EYE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    imageQuality: { type: 'string', enum: IMAGE_QUALITIES },
+    findings: {
+      type: 'object',
+      properties: Object.fromEntries(EYE_FINDINGS.map(finding => [finding, { type: 'string', enum: FINDING_SEVERITIES }])),
+      required: EYE_FINDINGS,
+      additionalProperties: false
+    },
+    recommendation: { type: 'string', enum: RECOMMENDATION_TIERS },
+    narrative: { type: 'string' }
+  },
+  required: ['imageQuality', 'findings', 'recommendation', 'narrative'],
+  additionalProperties: false
+}
+
+/**
+ * OpenAI `response_format` that constrains the model to EYE_ANALYSIS_SCHEMA
+ */
+export const EYE_ANALYSIS_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'eye_analysis', strict: true, schema: EYE_ANALYSIS_SCHEMA }
+}
+
+export const EYE_COMPARISON_SCHEMA = {
+  type: 'object',
+  properties: {
+    changes: {
+      type: 'object',
+      properties: Object.fromEntries(EYE_FINDINGS.map(finding => [finding, { type: 'string', enum: CHANGE_DIRECTIONS }])),
+      required: EYE_FINDINGS,
+      additionalProperties: false
+    },
+    narrative: { type: 'string' }
+  },
+  required: ['changes', 'narrative'],
+  additionalProperties: false
+}
+
+/**
+ * OpenAI `response_format` that constrains the model to EYE_COMPARISON_SCHEMA
+ */
+export const EYE_COMPARISON_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'eye_comparison', strict: true, schema: EYE_COMPARISON_SCHEMA }
+}
+
+// Wording models commonly use instead of the enum values
+const QUALITY_ALIASES = { excellent: 'good', adequate: 'fair', acceptable: 'fair', bad: 'poor', insufficient: 'poor' }
+const SEVERITY_ALIASES = { normal: 'none', healthy: 'none', 'n/a': 'not_assessed', unknown: 'not_assessed', not_visible: 'not_assessed' }
+const TIER_ALIASES = { healthy: 'routine', looks_healthy: 'routine', exam: 'schedule_exam', urgent: 'see_soon' }
+const CHANGE_ALIASES = { better: 'improved', same: 'unchanged', stable: 'unchanged', no_change: 'unchanged', worse: 'worsened', 'n/a': 'not_assessed', unknown: 'not_assessed' }
+
+const normalizeEnum = (value, allowed, aliases) => {
+  if (typeof value !== 'string') return null
+  const key = value.trim().toLowerCase().replace(/[\s-]+/g, '_')
+  const normalized = aliases[key] ?? key
+  return allowed.includes(normalized) ? normalized : null
+}
+
+// Models sometimes fence the JSON or add a sentence around it
+function extractJson(content) {
+  const start = content.indexOf('{')
+  const end = content.lastIndexOf('}')
+  if (start === -1 || end < start) return null
+  try {
+    return JSON.parse(content.slice(start, end + 1))
+  } catch {
+    return null
+  }
+}
+
+// Narrative keyed by language, or null when the model left it out
+function parseNarrative(value, language) {
+  const narrative = typeof value === 'string' ? value.trim() : ''
+  return narrative ? { [language]: narrative.slice(0, MAX_NARRATIVE_LENGTH) } : null
+}
+
+/**
+ * Validate (and where possible repair) a model's eye analysis.
+ * @param {string|null} content - Raw model output
+ * @param {string} language - Language the narrative was written in
+ * @returns {{analysis: import('../../src/utils/eyeAnalysis.js').EyeAnalysis} | {error: string}}
+ */
+export function parseEyeAnalysis(content, language) {
+  const data = typeof content === 'string' ? extractJson(content) : null
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Response is not a JSON object' }
+  }
+
+  const imageQuality = normalizeEnum(data.imageQuality, IMAGE_QUALITIES, QUALITY_ALIASES)
+  if (!imageQuality) {
+    return { error: `Invalid imageQuality: ${JSON.stringify(data.imageQuality)}` }
+  }
+
+  const findings = {}
+  for (const finding of EYE_FINDINGS) {
+    const value = data.findings?.[finding]
+    // Missing findings were not looked at; `{ severity }` objects are unwrapped
+    if (value === undefined || value === null) {
+      findings[finding] = 'not_assessed'
+      continue
+    }
+    const severity = normalizeEnum(value?.severity ?? value, FINDING_SEVERITIES, SEVERITY_ALIASES)
+    if (!severity) {
+      return { error: `Invalid severity for ${finding}: ${JSON.stringify(value)}` }
+    }
+    findings[finding] = severity
+  }
+
+  const recommendation = normalizeEnum(data.recommendation, RECOMMENDATION_TIERS, TIER_ALIASES)
+  if (!recommendation) {
+    return { error: `Invalid recommendation: ${JSON.stringify(data.recommendation)}` }
+  }
+
+  const narrative = parseNarrative(data.narrative, language)
+  if (!narrative) {
+    return { error: 'Narrative is missing' }
+  }
+
+  return {
+    analysis: {
+      imageQuality,
+      findings,
+      recommendation,
+      narrative
+    }
+  }
+}
+
+/**
+ * Validate (and where possible repair) a model's comparison of an earlier
+ * and a later photo of the same eye.
+ * @param {string|null} content - Raw model output
+ * @param {string} language - Language the narrative was written in
+ * @returns {{comparison: import('../../src/utils/eyeAnalysis.js').EyeComparison} | {error: string}}
+ */
+export function parseEyeComparison(content, language) {
+  const data = typeof content === 'string' ? extractJson(content) : null
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Response is not a JSON object' }
+  }
+
+  const changes = {}
+  for (const finding of EYE_FINDINGS) {
+    const value = data.changes?.[finding]
+    if (value === undefined || value === null) {
+      changes[finding] = 'not_assessed'
+      continue
+    }
+    const direction = normalizeEnum(value?.direction ?? value, CHANGE_DIRECTIONS, CHANGE_ALIASES)
+    if (!direction) {
+      return { error: `Invalid change for ${finding}: ${JSON.stringify(value)}` }
+    }
+    changes[finding] = direction
+  }
+
+  const narrative = parseNarrative(data.narrative, language)
+  if (!narrative) {
+    return { error: 'Narrative is missing' }
+  }
+
+  return { comparison: { changes, narrative } }
+}
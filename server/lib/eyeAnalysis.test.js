@@ -0,0 +1,173 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import Ajv from 'ajv'
+import { EYE_ANALYSIS_SCHEMA, EYE_COMPARISON_SCHEMA, parseEyeAnalysis, parseEyeComparison } from './eyeAnalysis.js'
+import { createProvider } from './llm.js'
+import handler from '../../api/analyze.js'
+import { EYE_PHOTO_PNG, pngBase64 } from '../test/images.js'
+
+const VALID = {
+  imageQuality: 'good',
+  findings: { redness: 'mild', sclera: 'none', pupil: 'none', iris: 'none', eyelid: 'not_assessed' },
+  recommendation: 'schedule_exam',
+  narrative: '  Some **redness** is visible.  '
+}
+
+describe('EYE_ANALYSIS_SCHEMA', () => {
+  it('accepts what the mock provider returns', async () => {
+    const content = await createProvider({ LLM_PROVIDER: 'mock' }).complete({
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'Analyze' }, { type: 'image_url', image_url: { url: 'data:,' } }] }]
+    })
+    const validate = new Ajv().compile(EYE_ANALYSIS_SCHEMA)
+    expect(validate(JSON.parse(content))).toBe(true)
+  })
+
+  it('is strict about unknown fields', () => {
+    const validate = new Ajv().compile(EYE_ANALYSIS_SCHEMA)
+    expect(validate({ ...VALID, diagnosis: 'conjunctivitis' })).toBe(false)
+  })
+})
+
+describe('parseEyeAnalysis', () => {
+  it('keys the trimmed narrative by language', () => {
+    expect(parseEyeAnalysis(JSON.stringify(VALID), 'de')).toEqual({
+      analysis: {
+        imageQuality: 'good',
+        findings: VALID.findings,
+        recommendation: 'schedule_exam',
+        narrative: { de: 'Some **redness** is visible.' }
+      }
+    })
+  })
+
+  it('repairs fenced JSON and loosely worded values', () => {
+    const content = 'Here is the analysis:\n```json\n' + JSON.stringify({
+      imageQuality: 'Adequate',
+      findings: { redness: { severity: 'Moderate' }, sclera: 'normal', pupil: 'N/A', iris: 'Not Assessed' },
+      recommendation: 'see-soon',
+      narrative: 'Text'
+    }) + '\n```'
+
+    const { analysis } = parseEyeAnalysis(content, 'en')
+
+    expect(analysis.imageQuality).toBe('fair')
+    expect(analysis.findings).toEqual({ redness: 'moderate', sclera: 'none', pupil: 'not_assessed', iris: 'not_assessed', eyelid: 'not_assessed' })
+    expect(analysis.recommendation).toBe('see_soon')
+  })
+
+  it('rejects responses that cannot be repaired', () => {
+    expect(parseEyeAnalysis('The eye looks healthy.', 'en').error).toMatch(/not a JSON object/)
+    expect(parseEyeAnalysis(null, 'en').error).toMatch(/not a JSON object/)
+    expect(parseEyeAnalysis(JSON.stringify({ ...VALID, imageQuality: 'blurry-ish' }), 'en').error).toMatch(/imageQuality/)
+    expect(parseEyeAnalysis(JSON.stringify({ ...VALID, findings: { ...VALID.findings, iris: 'slightly odd' } }), 'en').error).toMatch(/iris/)
+    expect(parseEyeAnalysis(JSON.stringify({ ...VALID, recommendation: 'maybe' }), 'en').error).toMatch(/recommendation/)
+    expect(parseEyeAnalysis(JSON.stringify({ ...VALID, narrative: ' ' }), 'en').error).toMatch(/Narrative/)
+  })
+})
+
+const COMPARISON = {
+  changes: { redness: 'worsened', sclera: 'unchanged', pupil: 'unchanged', iris: 'unchanged', eyelid: 'not_assessed' },
+  narrative: 'The eye looks **redder** than before.'
+}
+
+describe('EYE_COMPARISON_SCHEMA', () => {
+  it('accepts what the mock provider returns', async () => {
+    const image = { type: 'image_url', image_url: { url: 'data:,' } }
+    const content = await createProvider({ LLM_PROVIDER: 'mock' }).complete({
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'Compare' }, image, image] }]
+    })
+    const validate = new Ajv().compile(EYE_COMPARISON_SCHEMA)
+    expect(validate(JSON.parse(content))).toBe(true)
+  })
+})
+
+describe('parseEyeComparison', () => {
+  it('keys the narrative by language and repairs loosely worded changes', () => {
+    expect(parseEyeComparison(JSON.stringify(COMPARISON), 'en')).toEqual({
+      comparison: { changes: COMPARISON.changes, narrative: { en: 'The eye looks **redder** than before.' } }
+    })
+
+    const loose = { changes: { redness: 'Worse', sclera: { direction: 'no change' } }, narrative: 'Text' }
+    expect(parseEyeComparison('```json\n' + JSON.stringify(loose) + '\n```', 'en').comparison.changes).toEqual({
+      redness: 'worsened', sclera: 'unchanged', pupil: 'not_assessed', iris: 'not_assessed', eyelid: 'not_assessed'
+    })
+  })
+
+  it('rejects responses that cannot be repaired', () => {
+    expect(parseEyeComparison('No JSON here', 'en').error).toMatch(/not a JSON object/)
+    expect(parseEyeComparison(JSON.stringify({ ...COMPARISON, changes: { redness: 'a bit' } }), 'en').error).toMatch(/redness/)
+    expect(parseEyeComparison(JSON.stringify({ ...COMPARISON, narrative: '' }), 'en').error).toMatch(/Narrative/)
+  })
+})
+
+describe('POST /api/analyze handler', () => {
+  const originalFetch = globalThis.fetch
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  const createResponse = () => {
+    const res = {
+      status: vi.fn(() => res),
+      json: vi.fn(() => res)
+    }
+    return res
+  }
+
+  const completion = (content) => new Response(JSON.stringify({ choices: [{ message: { content } }] }))
+
+  it('constrains the model to the schema and returns the parsed analysis', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'openai')
+    vi.stubEnv('OPENAI_API_KEY', 'sk-test')
+    globalThis.fetch = vi.fn().mockResolvedValue(completion(JSON.stringify(VALID)))
+    const res = createResponse()
+
+    await handler({ method: 'POST', body: { imageBase64: EYE_PHOTO_PNG, language: 'de' } }, res)
+
+    const body = JSON.parse(globalThis.fetch.mock.calls[0][1].body)
+    expect(body.response_format.json_schema.schema).toEqual(EYE_ANALYSIS_SCHEMA)
+    expect(res.json.mock.calls[0][0].analysis.narrative).toEqual({ de: 'Some **redness** is visible.' })
+  })
+
+  it('sends the earlier photo first and returns the parsed comparison', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'openai')
+    vi.stubEnv('OPENAI_API_KEY', 'sk-test')
+    globalThis.fetch = vi.fn().mockResolvedValue(completion(JSON.stringify(COMPARISON)))
+    const res = createResponse()
+    const earlier = `data:image/png;base64,${pngBase64(100, 80)}`
+
+    await handler({ method: 'POST', body: { imageBase64: EYE_PHOTO_PNG, previousImageBase64: earlier } }, res)
+
+    const body = JSON.parse(globalThis.fetch.mock.calls[0][1].body)
+    expect(body.response_format.json_schema.schema).toEqual(EYE_COMPARISON_SCHEMA)
+    const images = body.messages[0].content.filter(part => part.type === 'image_url').map(part => part.image_url.url)
+    expect(images).toEqual([earlier, EYE_PHOTO_PNG])
+    expect(res.json.mock.calls[0][0].comparison.changes.redness).toBe('worsened')
+  })
+
+  it('answers 400 for an invalid earlier photo', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'mock')
+    const res = createResponse()
+
+    await handler({ method: 'POST', body: { imageBase64: EYE_PHOTO_PNG, previousImageBase64: 'data:image/png;base64,AAAA' } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json.mock.calls[0][0].error).toMatch(/^Previous image: /)
+  })
+
+  it('answers 502 when the model ignores the schema', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'openai')
+    vi.stubEnv('OPENAI_API_KEY', 'sk-test')
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    globalThis.fetch = vi.fn().mockResolvedValue(completion('## Summary\nLooks healthy'))
+    const res = createResponse()
+
+    await handler({ method: 'POST', body: { imageBase64: EYE_PHOTO_PNG } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(502)
+    expect(res.json).toHaveBeenCalledWith({ error: 'The analysis could not be read. Please try again.' })
+  })
+})
@@ -0,0 +1,198 @@
+/**
+ * Abuse protection for the endpoints that spend LLM tokens or server time.
+ *
+ * Used by /api/chat, /api/analyze, /api/translate and /api/report (which
+ * spends no tokens) in both the Express server and the Vercel functions. A
+ * request is rejected when its origin is not on the allow-list, when its IP
+ * or session has sent too many requests in the current minute, or when it
+ * would exceed the daily token budget of its IP or of the whole deployment.
+ */
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+// Beyond this many tracked clients, counters from past windows are dropped
+const MAX_TRACKED_KEYS = 10000
+
+// Rough cost of one image at high detail, in tokens
+const IMAGE_TOKENS = 1000
+
+// Session ids are generated by the client; anything else is ignored
+const SESSION_ID_PATTERN = /^[\w-]{8,64}$/
+
+export const GUARD_DEFAULTS = {
+  RATE_LIMIT_PER_MINUTE: 30,
+  SESSION_RATE_LIMIT_PER_MINUTE: 10,
+  DAILY_CLIENT_TOKEN_BUDGET: 100000,
+  // 0 turns a limit off
+  DAILY_TOKEN_BUDGET: 0,
+}
+
+/**
+ * @typedef {Object} Rejection
+ * @property {403|429} status
+ * @property {'origin_not_allowed'|'rate_limited'|'quota_exceeded'} code
+ * @property {string} error - Message for the response body
+ * @property {number} [retryAfter] - Seconds until the request may succeed
+ */
+
+const readLimit = (env, name) => {
+  const value = Number(env[name])
+  return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? Math.floor(value)
+    : GUARD_DEFAULTS[name]
+}
+
+const normalizeOrigin = (origin) => origin.trim().replace(/\/+$/, '').toLowerCase()
+
+/**
+ * Parse ALLOWED_ORIGINS, a comma-separated list such as
+ * "https://visioncheck.example,http://localhost:5173".
+ * @param {string|undefined} value
+ * @returns {string[]|null} Allowed origins, or null to allow any origin
+ */
+export function parseAllowedOrigins(value) {
+  const origins = (value ?? '').split(',').map(normalizeOrigin).filter(Boolean)
+  return origins.length > 0 ? origins : null
+}
+
+/**
+ * Upper bound of the tokens a completion request can use: the prompt,
+ * estimated at four characters per token, plus the full output allowance.
+ * @param {import('./llm.js').CompletionRequest} request
+ * @returns {number}
+ */
+export function estimateTokens({ messages, maxTokens = 0 }) {
+  let characters = 0
+  let images = 0
+  for (const { content } of messages) {
+    if (typeof content === 'string') {
+      characters += content.length
+    } else if (Array.isArray(content)) {
+      for (const part of content) {
+        if (part.type === 'image_url') images += 1
+        else characters += part.text?.length ?? 0
+      }
+    }
+  }
+  return Math.ceil(characters / 4) + images * IMAGE_TOKENS + maxTokens
+}
+
+/**
+ * Client IP of a request. Express sets `req.ip`, which honors its
+ * 'trust proxy' setting; Vercel only sets the X-Forwarded-For header, from
+ * its own edge.
+ */
+const clientIp = (req) =>
+  req.ip ||
+  req.headers?.['x-forwarded-for']?.split(',')[0].trim() ||
+  req.socket?.remoteAddress ||
+  'unknown'
+
+/**
+ * Create the guard for one server process.
+ *
+ * Counters live in memory and last only as long as the process. The Express
+ * server keeps one set, but on Vercel every warm function instance keeps its
+ * own and a cold start begins at zero, so there the limits and budgets only
+ * slow down casual abuse and are not a real cap. For hard guarantees, put a
+ * shared limiter or the platform's firewall in front.
+ *
+ * @param {Record<string, string|undefined>} env - Environment variables
+ * @param {() => number} [now] - Clock, for tests
+ */
+export function createGuard(env, now = Date.now) {
+  const allowedOrigins = parseAllowedOrigins(env.ALLOWED_ORIGINS)
+  const limits = Object.fromEntries(Object.keys(GUARD_DEFAULTS).map(name => [name, readLimit(env, name)]))
+  // key -> { period, used }, where period is the current minute or day
+  const counters = new Map()
+
+  const periodOf = (key) => Math.floor(now() / (key.startsWith('budget:') ? DAY : MINUTE))
+
+  const usage = (key) => {
+    const counter = counters.get(key)
+    return counter?.period === periodOf(key) ? counter.used : 0
+  }
+
+  const add = (key, amount) => {
+    counters.set(key, { period: periodOf(key), used: usage(key) + amount })
+    if (counters.size > MAX_TRACKED_KEYS) {
+      for (const [tracked, counter] of counters) {
+        if (counter.period !== periodOf(tracked)) counters.delete(tracked)
+      }
+    }
+  }
+
+  const secondsUntil = (length) => Math.ceil((length - (now() % length)) / 1000)
+
+  /**
+   * Whether browsers on `origin` may call the API. Requests without an
+   * Origin header do not come from a cross-origin page and are let through
+   * to the rate limits.
+   * @param {string|undefined} origin
+   */
+  const isOriginAllowed = (origin) =>
+    !origin || !allowedOrigins || allowedOrigins.includes(normalizeOrigin(origin))
+
+  /**
+   * Check a request and, when it is admitted, count it and reserve its
+   * tokens.
+   * @param {Object} req - Express or Vercel request
+   * @param {number} tokens - Estimated cost, see estimateTokens
+   * @returns {Rejection|null} Why the request was rejected, or null to go ahead
+   */
+  const check = (req, tokens) => {
+    if (!isOriginAllowed(req.headers?.origin)) {
+      return { status: 403, code: 'origin_not_allowed', error: 'Origin not allowed' }
+    }
+
+    const ip = clientIp(req)
+    const session = req.headers?.['x-session-id']
+    const rateKeys = [
+      [`ip:${ip}`, limits.RATE_LIMIT_PER_MINUTE],
+      ...(SESSION_ID_PATTERN.test(session ?? '') ? [[`session:${session}`, limits.SESSION_RATE_LIMIT_PER_MINUTE]] : []),
+    ]
+    for (const [key, limit] of rateKeys) {
+      if (limit && usage(key) >= limit) {
+        return {
+          status: 429,
+          code: 'rate_limited',
+          error: 'Too many requests. Please wait a moment and try again.',
+          retryAfter: secondsUntil(MINUTE),
+        }
+      }
+    }
+
+    const budgetKeys = [
+      [`budget:ip:${ip}`, limits.DAILY_CLIENT_TOKEN_BUDGET],
+      ['budget:total', limits.DAILY_TOKEN_BUDGET],
+    ]
+    rateKeys.forEach(([key]) => add(key, 1))
+    for (const [key, budget] of budgetKeys) {
+      if (budget && usage(key) + tokens > budget) {
+        return {
+          status: 429,
+          code: 'quota_exceeded',
+          error: 'The daily usage limit has been reached. Please try again tomorrow.',
+          retryAfter: secondsUntil(DAY),
+        }
+      }
+    }
+    budgetKeys.forEach(([key]) => add(key, tokens))
+    return null
+  }
+
+  return { allowedOrigins, limits, isOriginAllowed, check }
+}
+
+/**
+ * Answer a rejected request, with a Retry-After header for 429s.
+ * @param {Object} res - Express or Vercel response
+ * @param {Rejection} rejection
+ */
+export function sendRejection(res, { status, code, error, retryAfter }) {
+  if (retryAfter) {
+    res.setHeader('Retry-After', String(retryAfter))
+  }
+  return res.status(status).json({ error, code, ...(retryAfter && { retryAfter }) })
+}
@@ -0,0 +1,141 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createGuard, estimateTokens, parseAllowedOrigins, sendRejection } from './guard.js'
+import chatHandler from '../../api/chat.js'
+
+const request = (headers = {}, ip = '203.0.113.7') => ({ ip, headers })
+
+describe('parseAllowedOrigins', () => {
+  it('normalizes a comma-separated list', () => {
+    expect(parseAllowedOrigins(' https://VisionCheck.example/ ,http://localhost:5173')).toEqual(['https://visioncheck.example', 'http://localhost:5173'])
+  })
+
+  it('allows any origin when unset', () => {
+    expect(parseAllowedOrigins(undefined)).toBeNull()
+    expect(parseAllowedOrigins(' , ')).toBeNull()
+  })
+})
+
+describe('estimateTokens', () => {
+  it('counts text, images and the output allowance', () => {
+    const messages = [
+      { role: 'system', content: 'x'.repeat(400) },
+      { role: 'user', content: [{ type: 'text', text: 'y'.repeat(40) }, { type: 'image_url', image_url: { url: 'data:,' } }] }
+    ]
+    expect(estimateTokens({ messages, maxTokens: 500 })).toBe(100 + 10 + 1000 + 500)
+  })
+})
+
+describe('createGuard', () => {
+  it('rejects origins missing from the allow-list', () => {
+    const guard = createGuard({ ALLOWED_ORIGINS: 'https://visioncheck.example' })
+
+    expect(guard.check(request({ origin: 'https://evil.example' }), 10)).toMatchObject({ status: 403, code: 'origin_not_allowed' })
+    expect(guard.check(request({ origin: 'https://visioncheck.example' }), 10)).toBeNull()
+    // Same-origin and server-to-server requests may omit the header
+    expect(guard.check(request(), 10)).toBeNull()
+  })
+
+  it('limits requests per IP and minute', () => {
+    let time = Date.UTC(2024, 5, 1, 12, 0, 15)
+    const guard = createGuard({ RATE_LIMIT_PER_MINUTE: '2' }, () => time)
+
+    expect(guard.check(request(), 10)).toBeNull()
+    expect(guard.check(request(), 10)).toBeNull()
+    expect(guard.check(request(), 10)).toEqual({
+      status: 429,
+      code: 'rate_limited',
+      error: 'Too many requests. Please wait a moment and try again.',
+      retryAfter: 45
+    })
+    // Other clients have their own limit
+    expect(guard.check(request({}, '198.51.100.1'), 10)).toBeNull()
+
+    time += 60 * 1000
+    expect(guard.check(request(), 10)).toBeNull()
+  })
+
+  it('limits requests per session below the IP limit', () => {
+    const guard = createGuard({ SESSION_RATE_LIMIT_PER_MINUTE: '1' })
+    const session = { 'x-session-id': 'a1b2c3d4-session' }
+
+    expect(guard.check(request(session), 10)).toBeNull()
+    expect(guard.check(request(session), 10)).toMatchObject({ code: 'rate_limited' })
+    expect(guard.check(request({ 'x-session-id': 'e5f6a7b8-session' }), 10)).toBeNull()
+  })
+
+  it('enforces daily token budgets per IP and overall', () => {
+    let time = Date.UTC(2024, 5, 1, 23, 0, 0)
+    const guard = createGuard({ DAILY_CLIENT_TOKEN_BUDGET: '1000', DAILY_TOKEN_BUDGET: '1500' }, () => time)
+
+    expect(guard.check(request(), 800)).toBeNull()
+    expect(guard.check(request(), 300)).toMatchObject({ status: 429, code: 'quota_exceeded', retryAfter: 3600 })
+    expect(guard.check(request({}, '198.51.100.1'), 600)).toBeNull()
+    expect(guard.check(request({}, '198.51.100.2'), 200)).toMatchObject({ code: 'quota_exceeded' })
+
+    time += 60 * 60 * 1000
+    expect(guard.check(request(), 800)).toBeNull()
+  })
+
+  it('uses the forwarded IP when the request has none', () => {
+    const guard = createGuard({ RATE_LIMIT_PER_MINUTE: '1' })
+    const forwarded = (ip) => ({ headers: { 'x-forwarded-for': `${ip}, 10.0.0.1` } })
+
+    expect(guard.check(forwarded('203.0.113.7'), 10)).toBeNull()
+    expect(guard.check(forwarded('203.0.113.7'), 10)).toMatchObject({ code: 'rate_limited' })
+    expect(guard.check(forwarded('203.0.113.8'), 10)).toBeNull()
+  })
+
+  it('falls back to the defaults for invalid limits', () => {
+    expect(createGuard({ RATE_LIMIT_PER_MINUTE: 'many', DAILY_TOKEN_BUDGET: '-5' }).limits).toMatchObject({
+      RATE_LIMIT_PER_MINUTE: 30,
+      DAILY_TOKEN_BUDGET: 0
+    })
+  })
+})
+
+describe('sendRejection', () => {
+  const createResponse = () => {
+    const res = {
+      headers: {},
+      status: vi.fn(() => res),
+      json: vi.fn(() => res),
+      setHeader: vi.fn((name, value) => { res.headers[name] = value })
+    }
+    return res
+  }
+
+  it('answers 429 with a Retry-After header', () => {
+    const res = createResponse()
+    sendRejection(res, { status: 429, code: 'rate_limited', error: 'Too many requests', retryAfter: 12 })
+    expect(res.headers['Retry-After']).toBe('12')
+    expect(res.status).toHaveBeenCalledWith(429)
+    expect(res.json).toHaveBeenCalledWith({ error: 'Too many requests', code: 'rate_limited', retryAfter: 12 })
+  })
+
+  it('turns away chat requests from a flooding session', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'mock')
+    const send = async () => {
+      const res = { ...createResponse(), write: vi.fn(), end: vi.fn(), on: vi.fn() }
+      res.status.mockReturnValue(res)
+      res.json.mockReturnValue(res)
+      await chatHandler({
+        method: 'POST',
+        headers: { 'x-forwarded-for': '192.0.2.10', 'x-session-id': 'flooding-session' },
+        body: { messages: [{ role: 'user', content: 'Hi' }] }
+      }, res)
+      return res
+    }
+
+    for (let i = 0; i < 10; i++) {
+      expect((await send()).status).not.toHaveBeenCalled()
+    }
+    const rejected = await send()
+    expect(rejected.status).toHaveBeenCalledWith(429)
+    expect(rejected.json.mock.calls[0][0].code).toBe('rate_limited')
+  })
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+})
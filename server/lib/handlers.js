@@ -0,0 +1,277 @@
+/**
+ * API request handlers, shared by the Express server (server/index.js) and
+ * the Vercel functions (api/*.js).
+ *
+ * Each handler takes the request and response, which both runtimes give the
+ * same `body`, `headers`, `status()`, `json()` and stream methods, and the
+ * context of the runtime: the LLM provider, the abuse guard and optionally a
+ * logger for the prompt version of each response. Express
+ * creates the context once per process; the Vercel functions wrap the
+ * handlers with `vercelHandler`, which also checks the HTTP method.
+ */
+
+import { relayChatStream } from './chatStream.js'
+import { describeProvider } from './llm.js'
+import { EYE_ANALYSIS_RESPONSE_FORMAT, EYE_COMPARISON_RESPONSE_FORMAT, parseEyeAnalysis, parseEyeComparison } from './eyeAnalysis.js'
+import { parseReportRequest, buildReportModel, renderReportPdf } from './report.js'
+import { parseTranslationRequest, buildTranslationRequest } from './translate.js'
+import { estimateTokens, sendRejection } from './guard.js'
+import { parseChatRequest, parseAnalyzeRequest } from './validation.js'
+import { renderPrompt } from './prompts.js'
+
+/**
+ * @typedef {Object} HandlerContext
+ * @property {ReturnType<import('./llm.js').createProvider>} provider
+ * @property {ReturnType<import('./guard.js').createGuard>} guard
+ * @property {(message: string) => void} [log] - Defaults to console.info
+ */
+
+// One line per model response, so a regression can be traced to the prompt
+const logResponse = (log = console.info, endpoint, request, outcome) => {
+  log(`${endpoint}: prompt ${request.promptVersion}, ${outcome}`)
+}
+
+// Provider errors carry the upstream status; anything else is our fault
+function sendFailure(res, error, label) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message })
+  }
+  console.error(`${label} API error:`, error)
+  res.status(500).json({ error: 'Internal server error' })
+}
+
+// Last check before spending tokens; true when the guard turned the request away
+function rejectByGuard(req, res, guard, request) {
+  const rejection = guard.check(req, estimateTokens(request))
+  if (rejection) {
+    sendRejection(res, rejection)
+    return true
+  }
+  return false
+}
+
+const checkProvider = (res, provider) => {
+  if (provider.configured) return false
+  res.status(500).json({ error: provider.configError })
+  return true
+}
+
+/**
+ * POST /api/chat
+ * Chat completions from the configured LLM provider, streamed as
+ * server-sent events when the body has `stream: true`
+ * @param {HandlerContext} context
+ */
+export async function handleChat(req, res, { provider, guard, log }) {
+  try {
+    if (checkProvider(res, provider)) return
+
+    const parsed = parseChatRequest(req.body)
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error })
+    }
+    const { messages, language, testResults, maxTokens, stream } = parsed.input
+    const prompt = renderPrompt('chat', { language, testResults })
+
+    // Stop generating (and paying for) tokens once the client disconnects
+    const upstream = new AbortController()
+    res.on('close', () => {
+      if (!res.writableFinished) upstream.abort()
+    })
+
+    const request = {
+      messages: [{ role: 'system', content: prompt.text }, ...messages],
+      maxTokens,
+      signal: upstream.signal,
+      promptVersion: prompt.version,
+    }
+    if (rejectByGuard(req, res, guard, request)) return
+
+    if (stream) {
+      await relayChatStream(await provider.stream(request), res)
+      return logResponse(log, 'chat', request, 'streamed')
+    }
+
+    const content = await provider.complete(request)
+    logResponse(log, 'chat', request, content ? 'answered' : 'empty')
+    res.json({
+      content: content || 'No response generated'
+    })
+  } catch (error) {
+    if (error.name === 'AbortError') return
+    sendFailure(res, error, 'Chat')
+  }
+}
+
+const imagePart = (image) => ({
+  type: 'image_url',
+  image_url: {
+    url: `data:${image.mimeType};base64,${image.base64}`,
+    detail: 'high'
+  }
+})
+
+/**
+ * POST /api/analyze
+ * Eye photo analysis with the configured LLM provider, answering with a
+ * validated structured analysis, or with a comparison when the body also
+ * has an earlier photo of the same eye
+ * @param {HandlerContext} context
+ */
+export async function handleAnalyze(req, res, { provider, guard, log }) {
+  try {
+    if (checkProvider(res, provider)) return
+
+    const parsed = parseAnalyzeRequest(req.body)
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error })
+    }
+    const { image, previousImage, language, maxTokens } = parsed.input
+    if (previousImage) {
+      return await compareImages(req, res, { provider, guard, log }, parsed.input)
+    }
+    const prompt = renderPrompt('eyeAnalysis', { language })
+
+    const request = {
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt.text },
+            imagePart(image)
+          ]
+        }
+      ],
+      maxTokens,
+      responseFormat: EYE_ANALYSIS_RESPONSE_FORMAT,
+      promptVersion: prompt.version,
+    }
+    if (rejectByGuard(req, res, guard, request)) return
+
+    const analysis = parseEyeAnalysis(await provider.complete(request), language)
+    logResponse(log, 'analyze', request, analysis.error ? 'unreadable' : `recommendation ${analysis.analysis.recommendation}`)
+    if (analysis.error) {
+      console.error('Analyze API returned an invalid analysis:', analysis.error)
+      return res.status(502).json({ error: 'The analysis could not be read. Please try again.' })
+    }
+
+    res.json({ analysis: analysis.analysis })
+  } catch (error) {
+    sendFailure(res, error, 'Analyze')
+  }
+}
+
+// Changes between an earlier and a later photo of the same eye, in that order
+async function compareImages(req, res, { provider, guard, log }, { image, previousImage, language, maxTokens }) {
+  const prompt = renderPrompt('eyeComparison', { language })
+
+  const request = {
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt.text },
+          imagePart(previousImage),
+          imagePart(image)
+        ]
+      }
+    ],
+    maxTokens,
+    responseFormat: EYE_COMPARISON_RESPONSE_FORMAT,
+    promptVersion: prompt.version,
+  }
+  if (rejectByGuard(req, res, guard, request)) return
+
+  const comparison = parseEyeComparison(await provider.complete(request), language)
+  const worsened = comparison.comparison && Object.keys(comparison.comparison.changes)
+    .filter(finding => comparison.comparison.changes[finding] === 'worsened')
+  logResponse(log, 'analyze', request, comparison.error ? 'unreadable' : `worsened ${worsened.join(', ') || 'none'}`)
+  if (comparison.error) {
+    console.error('Analyze API returned an invalid comparison:', comparison.error)
+    return res.status(502).json({ error: 'The comparison could not be read. Please try again.' })
+  }
+
+  res.json({ comparison: comparison.comparison })
+}
+
+/**
+ * POST /api/translate
+ * Translation of an analysis narrative into another app language
+ * @param {HandlerContext} context
+ */
+export async function handleTranslate(req, res, { provider, guard, log }) {
+  try {
+    if (checkProvider(res, provider)) return
+
+    const parsed = parseTranslationRequest(req.body)
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error })
+    }
+
+    const request = buildTranslationRequest(parsed.input)
+    if (rejectByGuard(req, res, guard, request)) return
+
+    const text = await provider.complete(request)
+    logResponse(log, 'translate', request, text?.trim() ? 'translated' : 'empty')
+    if (!text?.trim()) {
+      return res.status(502).json({ error: 'No translation generated' })
+    }
+
+    res.json({ text: text.trim() })
+  } catch (error) {
+    sendFailure(res, error, 'Translate')
+  }
+}
+
+/**
+ * POST /api/report
+ * Localized PDF report of the results and history. Spends no tokens, but
+ * rendering is the heaviest work the API does, so it is rate-limited too.
+ * @param {HandlerContext} context
+ */
+export async function handleReport(req, res, { guard }) {
+  try {
+    const rejection = guard.check(req, 0)
+    if (rejection) return sendRejection(res, rejection)
+
+    const parsed = parseReportRequest(req.body)
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error })
+    }
+
+    const pdf = await renderReportPdf(buildReportModel(parsed.input))
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `attachment; filename="visioncheck-report-${new Date().toISOString().split('T')[0]}.pdf"`)
+    res.send(pdf)
+  } catch (error) {
+    sendFailure(res, error, 'Report')
+  }
+}
+
+/**
+ * GET /api/health
+ * Whether the API is up and which LLM provider it uses
+ * @param {HandlerContext} context
+ */
+export function handleHealth(req, res, { provider }) {
+  res.json({
+    status: 'ok',
+    ...describeProvider(provider)
+  })
+}
+
+/**
+ * Vercel function for a handler: answers 405 to other methods and builds the
+ * context for each request.
+ * @param {'GET'|'POST'} method
+ * @param {(req: Object, res: Object, context: HandlerContext) => unknown} handler
+ * @param {() => HandlerContext} [getContext]
+ */
+export function vercelHandler(method, handler, getContext = () => ({})) {
+  return async (req, res) => {
+    if (req.method !== method) {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+    return handler(req, res, getContext())
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Checks on uploaded eye photos before they are sent to the model.
+ *
+ * The type is sniffed from the file's own bytes rather than trusted from the
+ * data URL, and the dimensions are read from the JPEG, PNG or WebP header
+ * without decoding the pixels.
+ */
+
+export const IMAGE_LIMITS = {
+  maxBytes: 5 * 1024 * 1024,
+  minDimension: 64,
+  maxDimension: 8192,
+}
+
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,(.*)$/s
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length))
+
+/**
+ * Image type from the file signature.
+ * @param {Uint8Array} bytes
+ * @returns {string|null} MIME type, or null for unsupported files
+ */
+export function sniffImageType(bytes) {
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg'
+  if (ascii(bytes, 0, 8) === '\x89PNG\r\n\x1A\n') return 'image/png'
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') return 'image/webp'
+  return null
+}
+
+// Width and height from the first start-of-frame segment
+function jpegSize(bytes) {
+  let offset = 2
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) return null
+    const marker = bytes[offset + 1]
+    // Fill bytes before a marker
+    if (marker === 0xFF) {
+      offset += 1
+      continue
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+      }
+    }
+    // Markers without a length field
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+      offset += 2
+      continue
+    }
+    offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3])
+  }
+  return null
+}
+
+function pngSize(bytes) {
+  if (bytes.length < 24 || ascii(bytes, 12, 4) !== 'IHDR') return null
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  return { width: view.getUint32(16), height: view.getUint32(20) }
+}
+
+// Lossy (VP8), lossless (VP8L) and extended (VP8X) WebP headers
+function webpSize(bytes) {
+  if (bytes.length < 30) return null
+  const b = bytes
+  switch (ascii(bytes, 12, 4)) {
+    case 'VP8 ':
+      return { width: (b[26] | (b[27] << 8)) & 0x3FFF, height: (b[28] | (b[29] << 8)) & 0x3FFF }
+    case 'VP8L':
+      return {
+        width: 1 + (((b[22] & 0x3F) << 8) | b[21]),
+        height: 1 + (((b[24] & 0x0F) << 10) | (b[23] << 2) | ((b[22] & 0xC0) >> 6)),
+      }
+    case 'VP8X':
+      return {
+        width: 1 + (b[24] | (b[25] << 8) | (b[26] << 16)),
+        height: 1 + (b[27] | (b[28] << 8) | (b[29] << 16)),
+      }
+    default:
+      return null
+  }
+}
+
+const SIZE_READERS = {
+  'image/jpeg': jpegSize,
+  'image/png': pngSize,
+  'image/webp': webpSize,
+}
+
+/**
+ * Validate an image sent as a base64 data URL or as bare base64.
+ * @param {unknown} value - Data URL or base64 string
+ * @returns {{image: {mimeType: string, base64: string, byteLength: number, width: number, height: number}} | {error: string}}
+ */
+export function parseImageData(value) {
+  if (typeof value !== 'string' || !value) {
+    return { error: 'Image data is required' }
+  }
+
+  const dataUrl = value.match(DATA_URL_PATTERN)
+  const base64 = (dataUrl ? dataUrl[2] : value).replace(/\s/g, '')
+  if (!BASE64_PATTERN.test(base64) || base64.length % 4 !== 0) {
+    return { error: 'Image data must be base64-encoded' }
+  }
+
+  const byteLength = base64.length / 4 * 3 - (base64.match(/=*$/)[0].length)
+  if (byteLength > IMAGE_LIMITS.maxBytes) {
+    return { error: `Image must be at most ${IMAGE_LIMITS.maxBytes / 1024 / 1024} MB` }
+  }
+
+  const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+  const mimeType = sniffImageType(bytes)
+  if (!mimeType) {
+    return { error: 'Image must be a JPEG, PNG or WebP file' }
+  }
+
+  const declared = dataUrl?.[1].toLowerCase().replace('image/jpg', 'image/jpeg')
+  if (declared && declared !== mimeType) {
+    return { error: 'Image type does not match its contents' }
+  }
+
+  const size = SIZE_READERS[mimeType](bytes)
+  if (!size) {
+    return { error: 'Image dimensions could not be read' }
+  }
+  const { width, height } = size
+  if (Math.min(width, height) < IMAGE_LIMITS.minDimension || Math.max(width, height) > IMAGE_LIMITS.maxDimension) {
+    return { error: `Image must be between ${IMAGE_LIMITS.minDimension} and ${IMAGE_LIMITS.maxDimension} pixels on each side` }
+  }
+
+  return { image: { mimeType, base64, byteLength, width, height } }
+}
@@ -0,0 +1,34 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { parseImageData } from './image.js'
+import { EYE_PHOTO_PNG, pngBase64, jpegBase64, webpBase64 } from '../test/images.js'
+
+describe('parseImageData', () => {
+  it('reads the type and dimensions of a real PNG', () => {
+    expect(parseImageData(EYE_PHOTO_PNG).image).toMatchObject({ mimeType: 'image/png', width: 64, height: 64, byteLength: 136 })
+  })
+
+  it('reads JPEG, PNG and WebP headers', () => {
+    expect(parseImageData(`data:image/jpeg;base64,${jpegBase64(1280, 720)}`).image).toMatchObject({ mimeType: 'image/jpeg', width: 1280, height: 720 })
+    expect(parseImageData(pngBase64(800, 600)).image).toMatchObject({ mimeType: 'image/png', width: 800, height: 600 })
+    expect(parseImageData(webpBase64(3000, 2000)).image).toMatchObject({ mimeType: 'image/webp', width: 3000, height: 2000 })
+  })
+
+  it('sniffs the type instead of trusting the data URL', () => {
+    expect(parseImageData(`data:image/jpeg;base64,${pngBase64(800, 600)}`).error).toBe('Image type does not match its contents')
+    expect(parseImageData(`data:image/jpg;base64,${jpegBase64(800, 600)}`).image.mimeType).toBe('image/jpeg')
+  })
+
+  it('rejects files that are not supported images', () => {
+    expect(parseImageData(btoa('%PDF-1.7 not an eye photo')).error).toBe('Image must be a JPEG, PNG or WebP file')
+    expect(parseImageData('data:image/png;base64,not base64!').error).toBe('Image data must be base64-encoded')
+    expect(parseImageData('').error).toBe('Image data is required')
+    expect(parseImageData({ data: 'AAAA' }).error).toBe('Image data is required')
+  })
+
+  it('enforces the size and dimension limits', () => {
+    expect(parseImageData('A'.repeat(7 * 1024 * 1024)).error).toBe('Image must be at most 5 MB')
+    expect(parseImageData(pngBase64(32, 600)).error).toMatch(/between 64 and 8192 pixels/)
+    expect(parseImageData(jpegBase64(9000, 600)).error).toMatch(/between 64 and 8192 pixels/)
+  })
+})
@@ -0,0 +1,255 @@
+/**
+ * LLM providers behind /api/chat and /api/analyze.
+ *
+ * The provider is picked from the environment with LLM_PROVIDER:
+ * - `openai` (default): the OpenAI API, authenticated with OPENAI_API_KEY
+ * - `openai-compatible`: a self-hosted server that implements the OpenAI
+ *   chat completions API (vLLM, Ollama, LM Studio, ...) at LLM_BASE_URL,
+ *   optionally authenticated with LLM_API_KEY
+ * - `mock`: canned, deterministic responses without any network access, for
+ *   local development and the e2e suite
+ *
+ * LLM_MODEL overrides the model name. Messages use the OpenAI chat format for
+ * every provider, including image parts for eye photo analysis.
+ */
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'mock']
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1'
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  mock: 'mock'
+}
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {Array<{role: string, content: string|Array}>} messages - OpenAI-format messages
+ * @property {number} maxTokens - Upper bound for the reply length
+ * @property {Object} [responseFormat] - OpenAI `response_format`, e.g. a JSON schema the reply must follow
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {'translation'} [task] - Marks requests the mock provider cannot tell apart by their messages
+ * @property {string} [promptVersion] - Version of the system prompt (see prompts.js), for the logs
+ */
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} name - One of LLM_PROVIDERS, or the unknown value that was configured
+ * @property {string|null} model
+ * @property {boolean} configured - Whether requests can be made
+ * @property {string|null} configError - Why the provider is not configured
+ * @property {(request: CompletionRequest) => Promise<string|null>} complete - Resolves with the whole reply
+ * @property {(request: CompletionRequest) => Promise<AsyncIterable<string>>} stream - Resolves with the reply's
+ *   text deltas once the provider has accepted the request
+ */
+
+/**
+ * Error for a request the provider rejected, carrying the HTTP status to
+ * pass on to the client
+ * @param {string} message
+ * @param {number} status
+ */
+const providerError = (message, status) => Object.assign(new Error(message), { status })
+
+/**
+ * Read the content deltas from an OpenAI streaming completion body.
+ * @param {AsyncIterable<Uint8Array>} body - Upstream response body
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readCompletionDeltas(body) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    const lines = buffer.split('\n')
+    // The last line may be incomplete until the next chunk arrives
+    buffer = lines.pop()
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue
+      const data = line.slice(5).trim()
+      if (data === '[DONE]') return
+      try {
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content
+        if (delta) yield delta
+      } catch {
+        // Skip anything that is not a completion chunk
+      }
+    }
+  }
+}
+
+/**
+ * Provider for the OpenAI chat completions API and servers that mimic it
+ */
+function createOpenAIProvider({ name, baseUrl, apiKey, model, tokenLimitParam }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`
+
+  const request = async ({ messages, maxTokens, responseFormat, signal }, stream) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        [tokenLimitParam]: maxTokens,
+        ...(responseFormat && { response_format: responseFormat }),
+        ...(stream && { stream: true }),
+      }),
+      signal,
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      throw providerError(error.error?.message || `API error: ${response.status}`, response.status)
+    }
+    return response
+  }
+
+  return {
+    name,
+    model,
+    configured: true,
+    configError: null,
+    async complete(options) {
+      const data = await (await request(options, false)).json()
+      return data.choices?.[0]?.message?.content || null
+    },
+    async stream(options) {
+      return readCompletionDeltas((await request(options, true)).body)
+    }
+  }
+}
+
+const MOCK_REPLIES = {
+  en: {
+    chat: (question) => `This is a mock reply from the local development server, so no AI model was asked.\n\nYou asked: "${question}"\n\nSet \`LLM_PROVIDER\` to \`openai\` or \`openai-compatible\` for real answers.`,
+    analysis: 'This is a canned analysis from the mock provider; the photo was not looked at.\n\n- The white of the eye looks clear\n- The pupil looks round and of normal size\n\nContinue regular eye care.',
+    comparison: 'This is a canned comparison from the mock provider; the photos were not looked at.\n\nNo visible changes between the two photos.'
+  },
+  de: {
+    chat: (question) => `Dies ist eine Beispielantwort des lokalen Entwicklungsservers, es wurde kein KI-Modell befragt.\n\nIhre Frage: „${question}“\n\nSetzen Sie \`LLM_PROVIDER\` auf \`openai\` oder \`openai-compatible\`, um echte Antworten zu erhalten.`,
+    analysis: 'Dies ist eine vorgefertigte Analyse des Mock-Providers; das Foto wurde nicht angesehen.\n\n- Das Weiße des Auges wirkt klar\n- Die Pupille wirkt rund und normal groß\n\nSetzen Sie die regelmäßige Augenpflege fort.',
+    comparison: 'Dies ist ein vorgefertigter Vergleich des Mock-Providers; die Fotos wurden nicht angesehen.\n\nKeine sichtbaren Veränderungen zwischen den beiden Fotos.'
+  }
+}
+
+const textOf = (content) => (
+  typeof content === 'string'
+    ? content
+    : content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+)
+
+/**
+ * Pick the canned reply for a request. The prompts ask for German answers
+ * by naming the language, photo analysis is the only request with an image
+ * part, and comparisons have two.
+ */
+function mockReply(messages, task) {
+  if (task === 'translation') {
+    return `[mock translation] ${textOf(messages.findLast(message => message.role === 'user').content)}`
+  }
+
+  const images = messages
+    .flatMap(message => Array.isArray(message.content) ? message.content : [])
+    .filter(part => part.type === 'image_url').length
+  const language = messages.some(message => /\bDeutsch\b/.test(textOf(message.content))) ? 'de' : 'en'
+  if (images > 1) {
+    return JSON.stringify({
+      changes: { redness: 'unchanged', sclera: 'unchanged', pupil: 'unchanged', iris: 'unchanged', eyelid: 'unchanged' },
+      narrative: MOCK_REPLIES[language].comparison
+    })
+  }
+  if (images === 1) {
+    return JSON.stringify({
+      imageQuality: 'good',
+      findings: { redness: 'none', sclera: 'none', pupil: 'none', iris: 'none', eyelid: 'none' },
+      recommendation: 'routine',
+      narrative: MOCK_REPLIES[language].analysis
+    })
+  }
+
+  const question = textOf(messages.findLast(message => message.role === 'user')?.content ?? '')
+  return MOCK_REPLIES[language].chat(question)
+}
+
+/**
+ * Deterministic provider for offline development and tests
+ */
+function createMockProvider(model) {
+  return {
+    name: 'mock',
+    model,
+    configured: true,
+    configError: null,
+    async complete({ messages, task }) {
+      return mockReply(messages, task)
+    },
+    async stream({ messages, task, signal }) {
+      const reply = mockReply(messages, task)
+      return (async function* () {
+        // Word by word, so the UI streams the way it does with a real model
+        for (const delta of reply.match(/\S+\s*|\s+/g)) {
+          signal?.throwIfAborted()
+          yield delta
+        }
+      })()
+    }
+  }
+}
+
+const unconfigured = (name, model, configError) => {
+  const fail = async () => { throw providerError(configError, 500) }
+  return { name, model, configured: false, configError, complete: fail, stream: fail }
+}
+
+/**
+ * Create the provider selected by the environment
+ * @param {Record<string, string|undefined>} env - Usually `process.env`
+ * @returns {LlmProvider}
+ */
+export function createProvider(env) {
+  const name = env.LLM_PROVIDER?.trim().toLowerCase() || 'openai'
+  const model = env.LLM_MODEL?.trim() || DEFAULT_MODELS[name] || null
+
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) return unconfigured(name, model, 'OpenAI API key not configured')
+      return createOpenAIProvider({
+        name,
+        baseUrl: OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        model,
+        tokenLimitParam: 'max_completion_tokens'
+      })
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) return unconfigured(name, model, 'LLM_BASE_URL not configured')
+      if (!model) return unconfigured(name, model, 'LLM_MODEL not configured')
+      return createOpenAIProvider({
+        name,
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        model,
+        // Self-hosted servers generally only know the older parameter name
+        tokenLimitParam: 'max_tokens'
+      })
+    case 'mock':
+      return createMockProvider(model)
+    default:
+      return unconfigured(name, null, `Unknown LLM provider "${name}" (expected one of ${LLM_PROVIDERS.join(', ')})`)
+  }
+}
+
+/**
+ * Provider details for GET /api/health. `apiKeyConfigured` keeps its name
+ * for existing clients and means the provider can take requests.
+ * @param {LlmProvider} provider
+ */
+export function describeProvider(provider) {
+  return {
+    apiKeyConfigured: provider.configured,
+    provider: provider.name,
+    model: provider.model
+  }
+}
@@ -0,0 +1,262 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createProvider, describeProvider, readCompletionDeltas } from './llm.js'
+import chatHandler from '../../api/chat.js'
+import analyzeHandler from '../../api/analyze.js'
+import healthHandler from '../../api/health.js'
+import { EYE_PHOTO_PNG } from '../test/images.js'
+
+const encoder = new TextEncoder()
+
+const completionChunk = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`
+
+// Split on arbitrary byte boundaries, as the network would
+async function* bodyFrom(text, chunkSize = 7) {
+  const bytes = encoder.encode(text)
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    yield bytes.subarray(i, i + chunkSize)
+  }
+}
+
+const collect = async (iterable) => {
+  const items = []
+  for await (const item of iterable) items.push(item)
+  return items
+}
+
+const CHAT = [
+  { role: 'system', content: 'You are a helpful assistant.' },
+  { role: 'user', content: 'What is 20/20 vision?' }
+]
+
+const ANALYSIS = [{
+  role: 'user',
+  content: [
+    { type: 'text', text: 'Analyze this eye photo.\n\nIMPORTANT: Please respond entirely in German (Deutsch).' },
+    { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } }
+  ]
+}]
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+})
+
+describe('createProvider', () => {
+  it('defaults to OpenAI and needs its API key', () => {
+    const provider = createProvider({})
+    expect(provider).toMatchObject({ name: 'openai', model: 'gpt-4o', configured: false, configError: 'OpenAI API key not configured' })
+    expect(createProvider({ OPENAI_API_KEY: 'sk-test' }).configured).toBe(true)
+  })
+
+  it('needs a base URL and model for OpenAI-compatible servers', () => {
+    expect(createProvider({ LLM_PROVIDER: 'openai-compatible', LLM_MODEL: 'llama3' }).configError).toBe('LLM_BASE_URL not configured')
+    expect(createProvider({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://localhost:11434/v1' }).configError).toBe('LLM_MODEL not configured')
+    expect(createProvider({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://localhost:11434/v1', LLM_MODEL: 'llama3' }).configured).toBe(true)
+  })
+
+  it('rejects unknown providers', async () => {
+    const provider = createProvider({ LLM_PROVIDER: 'Claude' })
+    expect(provider.configured).toBe(false)
+    expect(provider.configError).toMatch(/Unknown LLM provider "claude"/)
+    await expect(provider.complete({ messages: CHAT })).rejects.toMatchObject({ status: 500 })
+  })
+
+  it('lets LLM_MODEL override the default model', () => {
+    expect(createProvider({ OPENAI_API_KEY: 'sk-test', LLM_MODEL: 'gpt-4o-mini' }).model).toBe('gpt-4o-mini')
+  })
+
+  it('describes the provider for the health check', () => {
+    expect(describeProvider(createProvider({ LLM_PROVIDER: 'mock' }))).toEqual({ apiKeyConfigured: true, provider: 'mock', model: 'mock' })
+  })
+})
+
+describe('OpenAI providers', () => {
+  const originalFetch = globalThis.fetch
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch
+  })
+
+  it('posts to the OpenAI chat completions API', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(jsonResponse({ choices: [{ message: { content: 'Sharp vision.' } }] }))
+    const provider = createProvider({ OPENAI_API_KEY: 'sk-test' })
+
+    await expect(provider.complete({ messages: CHAT, maxTokens: 500 })).resolves.toBe('Sharp vision.')
+
+    const [url, init] = globalThis.fetch.mock.calls[0]
+    expect(url).toBe('https://api.openai.com/v1/chat/completions')
+    expect(init.headers.Authorization).toBe('Bearer sk-test')
+    expect(JSON.parse(init.body)).toEqual({ model: 'gpt-4o', messages: CHAT, max_completion_tokens: 500 })
+  })
+
+  it('asks for the requested response format', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(jsonResponse({ choices: [{ message: { content: '{}' } }] }))
+    const provider = createProvider({ OPENAI_API_KEY: 'sk-test' })
+    const responseFormat = { type: 'json_object' }
+
+    await provider.complete({ messages: CHAT, maxTokens: 500, responseFormat })
+
+    expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).response_format).toEqual(responseFormat)
+  })
+
+  it('talks to self-hosted servers at the configured base URL', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(jsonResponse({ choices: [{ message: { content: 'Hi' } }] }))
+    const provider = createProvider({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://localhost:11434/v1/', LLM_MODEL: 'llama3' })
+
+    await provider.complete({ messages: CHAT, maxTokens: 200 })
+
+    const [url, init] = globalThis.fetch.mock.calls[0]
+    expect(url).toBe('http://localhost:11434/v1/chat/completions')
+    expect(init.headers).not.toHaveProperty('Authorization')
+    expect(JSON.parse(init.body)).toEqual({ model: 'llama3', messages: CHAT, max_tokens: 200 })
+  })
+
+  it('passes on the status and message of rejected requests', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(jsonResponse({ error: { message: 'Rate limit reached' } }, 429))
+    const provider = createProvider({ OPENAI_API_KEY: 'sk-test' })
+
+    await expect(provider.stream({ messages: CHAT, maxTokens: 500 })).rejects.toMatchObject({ status: 429, message: 'Rate limit reached' })
+  })
+
+  it('streams the completion deltas', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(new Response(bodyFrom(completionChunk('Sharp') + completionChunk(' vision') + 'data: [DONE]\n\n')))
+    const provider = createProvider({ OPENAI_API_KEY: 'sk-test' })
+
+    const deltas = await provider.stream({ messages: CHAT, maxTokens: 500 })
+
+    expect(await collect(deltas)).toEqual(['Sharp', ' vision'])
+    expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).stream).toBe(true)
+  })
+})
+
+describe('readCompletionDeltas', () => {
+  it('yields content deltas across chunk boundaries', async () => {
+    const text = completionChunk('Hel') + completionChunk('lo ') + completionChunk('👁️ wörld') + 'data: [DONE]\n\n'
+    expect(await collect(readCompletionDeltas(bodyFrom(text)))).toEqual(['Hel', 'lo ', '👁️ wörld'])
+  })
+
+  it('skips chunks without content and stops at [DONE]', async () => {
+    const text = [
+      ': keep-alive\n\n',
+      `data: ${JSON.stringify({ choices: [{ delta: { role: 'assistant' } }] })}\n\n`,
+      completionChunk('Hi'),
+      'data: [DONE]\n\n',
+      completionChunk('ignored')
+    ].join('')
+    expect(await collect(readCompletionDeltas(bodyFrom(text)))).toEqual(['Hi'])
+  })
+})
+
+describe('mock provider', () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' })
+
+  it('answers chat messages deterministically', async () => {
+    const first = await provider.complete({ messages: CHAT })
+    expect(first).toMatch(/mock reply/)
+    expect(first).toContain('What is 20/20 vision?')
+    expect(await provider.complete({ messages: CHAT })).toBe(first)
+  })
+
+  it('answers in German when the prompt asks for it', async () => {
+    const messages = [{ role: 'system', content: 'Please respond in German (Deutsch).' }, CHAT[1]]
+    expect(await provider.complete({ messages })).toMatch(/^Dies ist eine Beispielantwort/)
+  })
+
+  it('returns a canned structured eye analysis for image requests', async () => {
+    const analysis = JSON.parse(await provider.complete({ messages: ANALYSIS }))
+    expect(analysis).toMatchObject({ imageQuality: 'good', recommendation: 'routine' })
+    expect(analysis.narrative).toMatch(/^Dies ist eine vorgefertigte Analyse/)
+  })
+
+  it('streams the same reply word by word', async () => {
+    const deltas = await collect(await provider.stream({ messages: CHAT }))
+    expect(deltas.length).toBeGreaterThan(1)
+    expect(deltas.join('')).toBe(await provider.complete({ messages: CHAT }))
+  })
+
+  it('stops streaming when aborted', async () => {
+    const controller = new AbortController()
+    const deltas = await provider.stream({ messages: CHAT, signal: controller.signal })
+    controller.abort()
+    await expect(collect(deltas)).rejects.toMatchObject({ name: 'AbortError' })
+  })
+})
+
+describe('API handlers with the mock provider', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  const createResponse = () => {
+    const res = {
+      headers: {},
+      chunks: [],
+      status: vi.fn(() => res),
+      json: vi.fn(() => res),
+      setHeader: vi.fn((name, value) => { res.headers[name] = value }),
+      write: vi.fn((chunk) => { res.chunks.push(chunk) }),
+      end: vi.fn(),
+      on: vi.fn()
+    }
+    return res
+  }
+
+  it('reports the provider from /api/health', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'mock')
+    const res = createResponse()
+    await healthHandler({ method: 'GET' }, res)
+    expect(res.json).toHaveBeenCalledWith({ status: 'ok', apiKeyConfigured: true, provider: 'mock', model: 'mock' })
+  })
+
+  it('reports a missing configuration from /api/health', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'openai')
+    vi.stubEnv('OPENAI_API_KEY', '')
+    const res = createResponse()
+    await healthHandler({ method: 'GET' }, res)
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ apiKeyConfigured: false, provider: 'openai' }))
+  })
+
+  it('answers /api/chat without a network', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'mock')
+    const res = createResponse()
+    await chatHandler({ method: 'POST', body: { messages: CHAT.slice(1) } }, res)
+    expect(res.json.mock.calls[0][0].content).toContain('What is 20/20 vision?')
+  })
+
+  it('streams /api/chat without a network', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'mock')
+    const res = createResponse()
+    await chatHandler({ method: 'POST', body: { messages: CHAT.slice(1), stream: true } }, res)
+    expect(res.headers['Content-Type']).toBe('text/event-stream; charset=utf-8')
+    expect(res.chunks.at(-1)).toBe('data: [DONE]\n\n')
+    expect(res.end).toHaveBeenCalled()
+  })
+
+  it('answers /api/analyze without a network', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'mock')
+    const res = createResponse()
+    await analyzeHandler({ method: 'POST', body: { imageBase64: EYE_PHOTO_PNG, language: 'en' } }, res)
+    const { analysis } = res.json.mock.calls[0][0]
+    expect(analysis.findings).toEqual({ redness: 'none', sclera: 'none', pupil: 'none', iris: 'none', eyelid: 'none' })
+    expect(analysis.narrative.en).toMatch(/canned analysis/)
+  })
+
+  it('compares two photos at /api/analyze without a network', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'mock')
+    const res = createResponse()
+    await analyzeHandler({ method: 'POST', body: { imageBase64: EYE_PHOTO_PNG, previousImageBase64: EYE_PHOTO_PNG, language: 'de' } }, res)
+    const { comparison } = res.json.mock.calls[0][0]
+    expect(comparison.changes.redness).toBe('unchanged')
+    expect(comparison.narrative.de).toMatch(/vorgefertigter Vergleich/)
+  })
+
+  it('returns 500 when the provider is not configured', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'openai-compatible')
+    vi.stubEnv('LLM_BASE_URL', '')
+    const res = createResponse()
+    await chatHandler({ method: 'POST', body: { messages: CHAT.slice(1) } }, res)
+    expect(res.status).toHaveBeenCalledWith(500)
+    expect(res.json).toHaveBeenCalledWith({ error: 'LLM_BASE_URL not configured' })
+  })
+})
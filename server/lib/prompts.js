@@ -0,0 +1,173 @@
+/**
+ * System prompts for every LLM call, owned by the server so the API cannot
+ * be turned into a general-purpose model endpoint.
+ *
+ * A template is selected by its mode (one per endpoint) and rendered for the
+ * user's language and any structured context. Each template carries a
+ * version that is logged with every response; bump it whenever the wording
+ * changes, so regressions can be traced to the prompt that caused them.
+ */
+
+export const PROMPT_LANGUAGES = ['en', 'de']
+
+// Language names as the model should read them
+const LANGUAGE_NAMES = {
+  en: 'English',
+  de: 'German (Deutsch)',
+}
+
+// Test result statuses the chat context may mention
+const COLOR_VISION_STATUSES = ['normal', 'mild_difficulty', 'possible_deficiency', 'inconclusive']
+
+const CHAT_SYSTEM_PROMPT = `You are a helpful assistant for VisionCheck AI, an eye health screening app.
+
+IMPORTANT GUIDELINES:
+- You are NOT a medical professional and cannot provide medical diagnoses
+- This is for educational and informational purposes only
+- Always recommend consulting an eye care professional for health concerns
+- Stay focused on eye health, vision, and related topics
+- Be reassuring but honest about the limitations of AI analysis
+- If users describe symptoms that could be serious (sudden vision loss, eye pain, flashes of light, floaters), urge them to seek immediate professional care
+
+You can help with:
+- Explaining what test results mean (visual acuity, color vision, contrast sensitivity, Amsler grid)
+- General eye health education
+- Answering questions about common eye conditions
+- Explaining when someone should see an eye doctor
+- Tips for maintaining eye health
+
+You should decline to:
+- Diagnose specific conditions
+- Recommend specific treatments or medications
+- Provide advice outside of eye/vision health
+- Make claims about the medical accuracy of app results
+
+Keep responses concise and friendly. Use simple language that's easy to understand.`
+
+const EYE_ANALYSIS_PROMPT = `You are an AI assistant helping with a preliminary eye health screening app. Analyze this eye photo for visible health indicators.
+
+This is NOT a medical diagnosis; it is for educational and screening purposes only.
+
+Respond with a single JSON object and nothing else, with these fields:
+
+- "imageQuality": "good", "fair" or "poor" - whether the image is clear enough and the eye properly visible
+- "findings": an object with a severity for each of "redness" (bloodshot appearance or inflammation), "sclera" (discoloration such as yellowing or spots), "pupil" (size, shape, symmetry), "iris" (visible abnormalities) and "eyelid" (swelling, drooping). Each severity is "none", "mild", "moderate", "severe", or "not_assessed" when that part cannot be judged from the image
+- "recommendation": "routine" (looks healthy - continue regular eye care), "schedule_exam" (consider scheduling an eye exam for professional evaluation) or "see_soon" (recommend seeing an eye care professional soon)
+- "narrative": a short, reassuring but honest explanation of what you observed, in Markdown. Mention that this is not a diagnosis and recommend consulting an eye care professional. If the image cannot be analyzed (too blurry, not an eye, etc.), say so clearly and set every finding to "not_assessed"`
+
+const EYE_COMPARISON_PROMPT = `You are an AI assistant helping with a preliminary eye health screening app. You are given two photos of the same eye, taken at different times: the first is the earlier photo, the second the later one. Describe the visible changes between them.
+
+This is NOT a medical diagnosis; it is for educational and screening purposes only. Differences in lighting, focus, angle and camera can look like changes to the eye; do not report those as changes.
+
+Respond with a single JSON object and nothing else, with these fields:
+
+- "changes": an object with a direction for each of "redness" (bloodshot appearance or inflammation), "sclera" (discoloration such as yellowing or spots), "pupil" (size, shape, symmetry), "iris" (visible abnormalities) and "eyelid" (swelling, drooping). Each direction is "improved", "unchanged", "worsened", or "not_assessed" when that part cannot be judged in both photos
+- "narrative": a short, reassuring but honest description of the visible changes, such as increasing redness or yellowing, in Markdown. Point out when the photos are too different in quality to compare. Mention that this is not a diagnosis and recommend consulting an eye care professional about any change that worries the user`
+
+// Summary of the user's results for the chat prompt. The values were
+// validated by parseTestResultsContext, so none of them is free text.
+function formatTestResultsSummary(testResults) {
+  if (!testResults) return ''
+
+  const byEye = (results, describe) => ['left', 'right']
+    .filter(eye => results?.[eye])
+    .map(eye => `${eye === 'left' ? 'Left' : 'Right'}: ${describe(results[eye])}`)
+    .join(', ')
+
+  const parts = [
+    ['Visual Acuity', byEye(testResults.visualAcuity, ({ snellen }) => snellen)],
+    ['Color Vision', testResults.colorVision && `${testResults.colorVision.correctCount}/${testResults.colorVision.totalPlates} plates correct (${testResults.colorVision.status})`],
+    ['Contrast Sensitivity', byEye(testResults.contrastSensitivity, ({ logCS }) => `${logCS.toFixed(2)} logCS`)],
+    ['Amsler Grid', byEye(testResults.amslerGrid, ({ hasIssues }) => hasIssues ? 'issues detected' : 'no issues')],
+  ].filter(([, summary]) => summary)
+
+  if (parts.length === 0) return ''
+
+  return `\n\nThe user has completed the following tests in VisionCheck AI:\n${parts.map(([name, summary]) => `${name}: ${summary}`).join('\n')}\n\nYou may reference these results when relevant to provide context-aware responses.`
+}
+
+const TEMPLATES = {
+  chat: {
+    version: 'chat-v1',
+    render: ({ language, testResults }) => CHAT_SYSTEM_PROMPT +
+      (language === 'en' ? '' : `\n\nIMPORTANT: The user has selected ${LANGUAGE_NAMES[language]} as their language. Please respond in ${LANGUAGE_NAMES[language]}.`) +
+      formatTestResultsSummary(testResults),
+  },
+  eyeAnalysis: {
+    version: 'eye-analysis-v1',
+    render: ({ language }) => EYE_ANALYSIS_PROMPT +
+      (language === 'en' ? '' : `\n\nIMPORTANT: Write the narrative entirely in ${LANGUAGE_NAMES[language]}. Keep the JSON field names and values in English.`),
+  },
+  eyeComparison: {
+    version: 'eye-comparison-v1',
+    render: ({ language }) => EYE_COMPARISON_PROMPT +
+      (language === 'en' ? '' : `\n\nIMPORTANT: Write the narrative entirely in ${LANGUAGE_NAMES[language]}. Keep the JSON field names and values in English.`),
+  },
+  translation: {
+    version: 'translation-v1',
+    render: ({ from, to }) => `Translate the user's text from ${LANGUAGE_NAMES[from]} into ${LANGUAGE_NAMES[to]}. It is part of an eye health screening result: keep the meaning, the cautious tone and the Markdown formatting exactly, and do not add or leave out information. Reply with the translation only.`,
+  },
+}
+
+/**
+ * Render the prompt for a mode.
+ * @param {'chat'|'eyeAnalysis'|'eyeComparison'|'translation'} mode
+ * @param {{language?: string, testResults?: Object|null, from?: string, to?: string}} params
+ * @returns {{version: string, text: string}}
+ */
+export function renderPrompt(mode, params) {
+  const template = TEMPLATES[mode]
+  if (!template) {
+    throw new Error(`Unknown prompt mode "${mode}"`)
+  }
+  return { version: template.version, text: template.render(params) }
+}
+
+const isEyeResult = (value, check) => value === undefined || value === null || (typeof value === 'object' && check(value))
+
+const validPerEye = (results, check) => results === undefined || results === null ||
+  (typeof results === 'object' && isEyeResult(results.left, check) && isEyeResult(results.right, check))
+
+const CONTEXT_CHECKS = {
+  visualAcuity: (results) => validPerEye(results, ({ snellen }) => typeof snellen === 'string' && /^\d{1,3}(\.\d{1,2})?\/\d{1,4}(\.\d{1,2})?$/.test(snellen)),
+  colorVision: (result) => result === undefined || result === null || (
+    typeof result === 'object' &&
+    Number.isInteger(result.correctCount) && Number.isInteger(result.totalPlates) &&
+    result.correctCount >= 0 && result.correctCount <= result.totalPlates && result.totalPlates <= 100 &&
+    COLOR_VISION_STATUSES.includes(result.status)
+  ),
+  contrastSensitivity: (results) => validPerEye(results, ({ logCS }) => Number.isFinite(logCS) && logCS >= -1 && logCS <= 3),
+  amslerGrid: (results) => validPerEye(results, ({ hasIssues }) => typeof hasIssues === 'boolean'),
+}
+
+// Keep only the fields the summary uses
+const pickPerEye = (results, fields) => Object.fromEntries(['left', 'right']
+  .filter(eye => results?.[eye])
+  .map(eye => [eye, Object.fromEntries(fields.map(field => [field, results[eye][field]]))]))
+
+/**
+ * Validate the test results a chat request may send as context. Sections
+ * that do not match are left out rather than failing the chat, since
+ * results saved by older versions of the app may differ.
+ * @param {unknown} value - `testResults` from the request body
+ * @returns {{testResults: Object|null} | {error: string}}
+ */
+export function parseTestResultsContext(value) {
+  if (value === undefined || value === null) return { testResults: null }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'testResults must be an object' }
+  }
+
+  const [visualAcuity, colorVision, contrastSensitivity, amslerGrid] = Object.entries(CONTEXT_CHECKS)
+    .map(([name, check]) => check(value[name]) ? value[name] : null)
+  return {
+    testResults: {
+      visualAcuity: pickPerEye(visualAcuity, ['snellen']),
+      colorVision: colorVision
+        ? { correctCount: colorVision.correctCount, totalPlates: colorVision.totalPlates, status: colorVision.status }
+        : null,
+      contrastSensitivity: pickPerEye(contrastSensitivity, ['logCS']),
+      amslerGrid: pickPerEye(amslerGrid, ['hasIssues']),
+    }
+  }
+}
@@ -0,0 +1,570 @@
+/**
+ * Server-rendered PDF report of screening results.
+ *
+ * Used by POST /api/report in both the Express server and the Vercel
+ * functions. The text comes from the app's own translation files, so the
+ * report matches the language the user sees. Rendering is split in two:
+ * buildReportModel turns the request into plain localized content (easy to
+ * snapshot), and renderReportPdf lays that out with PDFKit. Given the same
+ * model and `now`, the PDF bytes are identical.
+ */
+
+import { Buffer } from 'node:buffer'
+import PDFDocument from 'pdfkit'
+import i18next from 'i18next'
+import { getRecommendationKeys } from '../../src/utils/recommendation.js'
+import { EYE_FINDINGS, getAnalysisNarrative, isStructuredAnalysis } from '../../src/utils/eyeAnalysis.js'
+import { AMSLER_GRID_SIZE, DISTORTION_COLORS, countMarkedCells, findPreviousAmslerMap, parseAmslerRegions, parseAmslerVariant } from '../../src/utils/amsler.js'
+import enCommon from '../../src/i18n/locales/en/common.json' with { type: 'json' }
+import enResults from '../../src/i18n/locales/en/results.json' with { type: 'json' }
+import deCommon from '../../src/i18n/locales/de/common.json' with { type: 'json' }
+import deResults from '../../src/i18n/locales/de/results.json' with { type: 'json' }
+
+export const REPORT_LANGUAGES = ['en', 'de']
+
+// Matches the IndexedDB history limit in the client's storage module
+const MAX_HISTORY_SESSIONS = 500
+
+const EYES = ['left', 'right']
+
+const COLORS = {
+  brand: '#0ea5e9',
+  text: '#0f172a',
+  muted: '#64748b',
+  grid: '#e2e8f0',
+  left: '#0ea5e9',
+  right: '#f59e0b',
+  warning: '#92400e',
+}
+
+const i18n = i18next.createInstance()
+i18n.init({
+  resources: {
+    en: { common: enCommon, results: enResults },
+    de: { common: deCommon, results: deResults },
+  },
+  lng: 'en',
+  fallbackLng: 'en',
+  ns: ['common', 'results'],
+  defaultNS: 'results',
+  initAsync: false,
+  interpolation: { escapeValue: false },
+})
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Validate a report request body.
+ * @param {Object} body - `{ results, history?, language?, profile? }`
+ * @returns {{input: Object}|{error: string}}
+ */
+export function parseReportRequest(body) {
+  if (!isPlainObject(body) || !isPlainObject(body.results)) {
+    return { error: 'Results are required' }
+  }
+  const history = body.history ?? []
+  if (!Array.isArray(history) || !history.every(isPlainObject)) {
+    return { error: 'History must be an array of sessions' }
+  }
+  if (history.length > MAX_HISTORY_SESSIONS) {
+    return { error: `History is limited to ${MAX_HISTORY_SESSIONS} sessions` }
+  }
+  const profile = isPlainObject(body.profile) ? body.profile : null
+  // Browsers may report regional variants such as 'de-DE'
+  const language = typeof body.language === 'string' ? body.language.split('-')[0] : null
+  return {
+    input: {
+      results: body.results,
+      history,
+      language: REPORT_LANGUAGES.includes(language) ? language : 'en',
+      profile: profile && {
+        name: typeof profile.name === 'string' ? profile.name.slice(0, 80) : '',
+        birthYear: Number.isInteger(profile.birthYear) ? profile.birthYear : null,
+        wearsGlasses: !!profile.wearsGlasses,
+      },
+    },
+  }
+}
+
+// The standard PDF fonts only cover Latin-1 and a few typographic marks, so
+// anything else (emoji, other scripts) is dropped rather than printed as junk
+const toPdfText = (text) => String(text)
+  .replace(/[^\t\n\u0020-\u00ff\u2013\u2014\u2018-\u201e\u2022\u2026\u20ac]/gu, '')
+
+/**
+ * Plain text of an eye photo analysis, keeping paragraphs and list items.
+ * Structured analyses lead with their recommendation and findings.
+ */
+function analysisToText(analysis, language, t) {
+  const narrative = getAnalysisNarrative(analysis, language)
+  const text = isStructuredAnalysis(analysis)
+    ? [
+      t(`eyeAnalysis.recommendation.${analysis.recommendation}`),
+      `${t('eyeAnalysis.imageQuality.label')}: ${t(`eyeAnalysis.imageQuality.${analysis.imageQuality}`)}`,
+      EYE_FINDINGS.map(finding => `- ${t(`eyeAnalysis.findings.${finding}`)}: ${t(`eyeAnalysis.severity.${analysis.findings[finding]}`)}`).join('\n'),
+      narrative,
+    ].join('\n\n')
+    : narrative
+  return text
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\*([^*]+)\*/g, '$1')
+    .replace(/^#+\s*/gm, '')
+    .replace(/^[ \t]*[-*]\s+/gm, '• ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * Line-chart series for the saved sessions, oldest first.
+ */
+function buildTrendSeries(history, test, field) {
+  const sessions = history
+    .filter(session => !Number.isNaN(Date.parse(session.date)))
+    .sort((a, b) => Date.parse(a.date) - Date.parse(b.date))
+  return EYES.map(eye => ({
+    eye,
+    points: sessions
+      .filter(session => typeof session[test]?.[eye]?.[field] === 'number')
+      .map(session => ({ date: session.date, value: session[test][eye][field] })),
+  }))
+}
+
+/**
+ * Marked areas of each eye's Amsler grid next to the previous session's.
+ * @returns {Object|null} Null when no areas were marked in either session
+ */
+function buildAmslerMaps(amslerGrid, history, t, formatDate) {
+  const caption = (regions) => {
+    const count = countMarkedCells(regions)
+    return count ? t('amslerGrid.markedCells', { count }) : t('amslerGrid.noMarks')
+  }
+  const eyes = EYES.filter(eye => amslerGrid?.[eye]).map(eye => {
+    const regions = parseAmslerRegions(amslerGrid[eye].regions)
+    const previous = findPreviousAmslerMap(history, eye, amslerGrid[eye])
+    return {
+      eye,
+      current: { label: t('amslerGrid.current'), caption: caption(regions), regions },
+      previous: previous && (previous.regions.length || regions.length)
+        ? { label: t('amslerGrid.previous', { date: formatDate(previous.date) }), caption: caption(previous.regions), regions: previous.regions }
+        : null,
+    }
+  })
+  const types = new Set(eyes.flatMap(({ current, previous }) => [...current.regions, ...(previous?.regions ?? [])].map(region => region.type)))
+  if (types.size === 0) return null
+
+  return {
+    title: t('amslerGrid.mapTitle'),
+    description: t('amslerGrid.mapDescription'),
+    eyes,
+    legend: [...types].map(type => ({ label: t(`amslerGrid.types.${type}`), color: DISTORTION_COLORS[type] })),
+  }
+}
+
+/**
+ * Localized content of the report.
+ * @param {Object} input - From parseReportRequest
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Report date; fixed in tests so output is stable
+ * @returns {Object} Plain data consumed by renderReportPdf
+ */
+export function buildReportModel({ results, history = [], language = 'en', profile = null }, { now = new Date() } = {}) {
+  const t = i18n.getFixedT(language, 'results')
+  const formatDate = (date) => new Intl.DateTimeFormat(language, { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(date))
+  const perEye = (data, format) => Object.fromEntries(EYES.map(eye => [eye, data?.[eye] ? format(data[eye]) : '—']))
+
+  const patient = profile?.name
+    ? [
+        profile.name,
+        profile.birthYear && t('common:profiles.age', { age: now.getUTCFullYear() - profile.birthYear }),
+        profile.wearsGlasses && t('common:profiles.withGlasses'),
+      ].filter(Boolean).join(' · ')
+    : null
+
+  const sections = []
+  const addSection = (key, items) => {
+    const present = items.filter(Boolean)
+    if (present.length > 0) {
+      sections.push({ title: t(`sections.${key}`), description: t(`sections.${key}Description`), items: present })
+    }
+  }
+  const hasEye = (data) => data?.left || data?.right
+
+  addSection('visionClarity', [
+    hasEye(results.visualAcuity) && {
+      label: t('cards.visualAcuity'),
+      eyes: perEye(results.visualAcuity, eye => eye.snellen),
+    },
+    hasEye(results.contrastSensitivity) && {
+      label: t('cards.contrastSensitivity'),
+      eyes: perEye(results.contrastSensitivity, eye => `${eye.logCS?.toFixed(2)} logCS`),
+    },
+  ])
+  addSection('colorAndShape', [
+    results.colorVision && {
+      label: t('cards.colorVision'),
+      value: `${results.colorVision.correctCount}/${results.colorVision.totalPlates} · ${t(results.colorVision.status === 'normal' ? 'status.normal' : 'status.concerns')}`,
+    },
+    results.colorArrangement && {
+      label: t('cards.colorArrangement'),
+      value: [
+        results.colorArrangement.hasDefect ? t(`colorArrangement.types.${results.colorArrangement.defectType}`) : t('colorArrangement.normal'),
+        t('colorArrangement.crossings', { count: results.colorArrangement.crossings }),
+      ].join(' · '),
+    },
+    hasEye(results.astigmatism) && {
+      label: t('cards.astigmatism'),
+      eyes: perEye(results.astigmatism, eye => eye.allLinesEqual
+        ? t('astigmatism.noAstigmatism')
+        : [t('astigmatism.possibleAstigmatism'), typeof eye.estimatedAxis === 'number' && t('astigmatism.axis', { degrees: eye.estimatedAxis }), typeof eye.axisConfidence === 'number' && t('astigmatism.axisConfidence', { percent: Math.round(eye.axisConfidence * 100) })].filter(Boolean).join(', ')),
+    },
+  ])
+  addSection('eyeHealth', [
+    hasEye(results.amslerGrid) && {
+      label: t('cards.amslerGrid'),
+      eyes: perEye(results.amslerGrid, eye => [
+        t(eye.hasIssues ? 'status.concerns' : 'status.normal'),
+        eye.variant && t('amslerGrid.variant', { variant: t(`amslerGrid.variants.${parseAmslerVariant(eye.variant)}`) }),
+      ].filter(Boolean).join(' · ')),
+    },
+    hasEye(results.hyperacuity) && {
+      label: t('cards.hyperacuity'),
+      eyes: perEye(results.hyperacuity, eye => {
+        if (eye.status === 'not_graded') return t('hyperacuity.notGraded')
+        return eye.hasIssues
+          ? t('hyperacuity.abnormal', { count: eye.abnormalLocations })
+          : t('hyperacuity.normal')
+      }),
+    },
+    hasEye(results.peripheralVision) && {
+      label: t('cards.peripheralVision'),
+      eyes: perEye(results.peripheralVision, eye => t('peripheralVision.detectionRate', { rate: eye.detectionRate })),
+    },
+  ])
+  const amslerMaps = buildAmslerMaps(results.amslerGrid, history, t, formatDate)
+  if (amslerMaps) sections.at(-1).maps = amslerMaps
+
+  // Photos taken before the eye was recorded are kept as 'unknown'
+  const analysis = [...EYES, 'unknown']
+    .filter(eye => results.eyePhoto?.[eye]?.analysis)
+    .map(eye => `${t(`eyeLabels.${eye}Eye`)}\n\n${analysisToText(results.eyePhoto[eye].analysis, language, t)}`)
+    .join('\n\n')
+  if (analysis) {
+    sections.push({ title: t('sections.aiAnalysis'), description: t('sections.aiAnalysisDescription'), text: analysis })
+  }
+
+  const charts = [
+    { title: t('report.acuityTrend'), lowerIsBetter: true, series: buildTrendSeries(history, 'visualAcuity', 'logMAR') },
+    { title: t('report.contrastTrend'), lowerIsBetter: false, series: buildTrendSeries(history, 'contrastSensitivity', 'logCS') },
+  ].filter(chart => chart.series.some(series => series.points.length >= 2))
+
+  return {
+    language,
+    title: t('title'),
+    subtitle: t('subtitle'),
+    generatedOn: t('report.generatedOn', { date: formatDate(now) }),
+    createdAt: now.toISOString(),
+    patient: patient && `${t('common:profiles.patient')}: ${patient}`,
+    eyeLabels: { left: t('eyeLabels.leftEye'), right: t('eyeLabels.rightEye') },
+    sections,
+    trends: {
+      title: t('report.trends'),
+      description: t('report.trendsDescription'),
+      charts: charts.map(chart => ({
+        ...chart,
+        series: chart.series.map(series => ({
+          ...series,
+          points: series.points.map(point => ({ ...point, label: formatDate(point.date) })),
+        })),
+      })),
+      empty: charts.length === 0 ? t('report.notEnoughHistory') : null,
+    },
+    recommendation: {
+      title: t('sections.summaryRecommendations'),
+      description: t('sections.summaryRecommendationsDescription'),
+      text: getRecommendationKeys(results).map(key => t(key)).join(' '),
+    },
+    disclaimer: { title: t('common:disclaimer.title'), text: t('common:disclaimer.text') },
+    footer: t('report.footer'),
+    pageLabel: (page, total) => t('report.page', { page, total }),
+  }
+}
+
+const PAGE_MARGIN = 50
+const CHART_HEIGHT = 150
+
+/**
+ * Start a new page unless `height` points still fit on the current one.
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage()
+}
+
+/**
+ * Section title and description, kept on one page with the first
+ * `keepWith` points of the section's content.
+ */
+function drawSectionHeading(doc, title, description, keepWith = 40) {
+  ensureSpace(doc, 60 + keepWith)
+  const left = doc.page.margins.left
+  const width = doc.page.width - left - doc.page.margins.right
+  doc.moveDown(0.8)
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(toPdfText(title), left)
+  doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).lineWidth(1.5).strokeColor(COLORS.brand).stroke()
+  doc.moveDown(0.4)
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(toPdfText(description), left)
+  doc.moveDown(0.6)
+}
+
+function drawItems(doc, section, eyeLabels) {
+  const left = doc.page.margins.left
+  const columns = [left + 190, left + 345]
+  const columnWidth = 150
+
+  if (section.items.some(item => item.eyes)) {
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    const y = doc.y
+    EYES.forEach((eye, i) => doc.text(toPdfText(eyeLabels[eye]), columns[i], y, { width: columnWidth }))
+    doc.moveDown(0.3)
+  }
+
+  section.items.forEach(item => {
+    ensureSpace(doc, 30)
+    const y = doc.y
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(toPdfText(item.label), left, y, { width: 180 })
+    const bottom = [doc.y]
+    doc.font('Helvetica').fontSize(11)
+    if (item.eyes) {
+      EYES.forEach((eye, i) => {
+        doc.text(toPdfText(item.eyes[eye]), columns[i], y, { width: columnWidth })
+        bottom.push(doc.y)
+      })
+    } else {
+      doc.text(toPdfText(item.value), columns[0], y, { width: columns[1] + columnWidth - columns[0] })
+      bottom.push(doc.y)
+    }
+    doc.x = left
+    doc.y = Math.max(...bottom) + 6
+  })
+}
+
+/**
+ * Line chart with one series per eye, dates on the x axis.
+ */
+function drawChart(doc, chart, eyeLabels) {
+  ensureSpace(doc, CHART_HEIGHT + 60)
+  const left = doc.page.margins.left
+  const width = doc.page.width - left - doc.page.margins.right
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(toPdfText(chart.title), left)
+  doc.moveDown(0.2)
+
+  // Legend
+  let legendX = left
+  const legendY = doc.y + 4
+  chart.series.filter(series => series.points.length > 0).forEach(series => {
+    doc.rect(legendX, legendY - 3, 10, 6).fill(COLORS[series.eye])
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(toPdfText(eyeLabels[series.eye]), legendX + 14, legendY - 5, { lineBreak: false })
+    legendX += 100
+  })
+
+  const plot = { x: left + 40, y: legendY + 14, width: width - 50, height: CHART_HEIGHT }
+  const points = chart.series.flatMap(series => series.points)
+  const values = points.map(point => point.value)
+  const times = points.map(point => Date.parse(point.date))
+  const [minValue, maxValue] = [Math.min(...values) - 0.1, Math.max(...values) + 0.1]
+  const [minTime, maxTime] = [Math.min(...times), Math.max(...times)]
+
+  const toX = (date) => maxTime === minTime
+    ? plot.x + plot.width / 2
+    : plot.x + ((Date.parse(date) - minTime) / (maxTime - minTime)) * plot.width
+  // Better results are drawn higher up
+  const toY = (value) => {
+    const share = (value - minValue) / (maxValue - minValue)
+    return chart.lowerIsBetter ? plot.y + share * plot.height : plot.y + (1 - share) * plot.height
+  }
+
+  // Grid lines with value labels
+  doc.lineWidth(0.5).strokeColor(COLORS.grid)
+  for (let i = 0; i <= 4; i++) {
+    const value = minValue + ((maxValue - minValue) * i) / 4
+    const y = toY(value)
+    doc.moveTo(plot.x, y).lineTo(plot.x + plot.width, y).stroke()
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(value.toFixed(2), left, y - 4, { width: 34, align: 'right', lineBreak: false })
+  }
+
+  chart.series.filter(series => series.points.length > 0).forEach(series => {
+    const color = COLORS[series.eye]
+    series.points.forEach((point, i) => {
+      const [x, y] = [toX(point.date), toY(point.value)]
+      if (i === 0) doc.moveTo(x, y)
+      else doc.lineTo(x, y)
+    })
+    doc.lineWidth(2).strokeColor(color).stroke()
+    series.points.forEach(point => doc.circle(toX(point.date), toY(point.value), 2.5).fill(color))
+  })
+
+  // First and last session dates
+  const sorted = [...points].sort((a, b) => Date.parse(a.date) - Date.parse(b.date))
+  const labelY = plot.y + plot.height + 6
+  doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+  doc.text(toPdfText(sorted[0].label), plot.x, labelY, { lineBreak: false })
+  if (maxTime !== minTime) {
+    doc.text(toPdfText(sorted.at(-1).label), plot.x + plot.width - 100, labelY, { width: 100, align: 'right', lineBreak: false })
+  }
+
+  doc.x = left
+  doc.y = labelY + 20
+}
+
+/**
+ * Amsler grid with its marked areas, `size` points square.
+ */
+function drawAmslerGrid(doc, regions, x, y, size) {
+  const cell = size / AMSLER_GRID_SIZE
+  doc.rect(x, y, size, size).fill('#ffffff')
+  regions.forEach(({ type, cells }) => {
+    cells.forEach(([col, row]) => doc.rect(x + col * cell, y + row * cell, cell, cell).fillOpacity(0.7).fill(DISTORTION_COLORS[type]))
+  })
+  doc.fillOpacity(1)
+  doc.lineWidth(0.3).strokeColor('#94a3b8')
+  for (let i = 0; i <= AMSLER_GRID_SIZE; i++) {
+    doc.moveTo(x + i * cell, y).lineTo(x + i * cell, y + size).stroke()
+    doc.moveTo(x, y + i * cell).lineTo(x + size, y + i * cell).stroke()
+  }
+  doc.circle(x + size / 2, y + size / 2, 1.5).fill('#ef4444')
+}
+
+/**
+ * Current and previous Amsler maps of each eye, one row per eye.
+ */
+function drawAmslerMaps(doc, maps, eyeLabels) {
+  const left = doc.page.margins.left
+  const columns = [left + 190, left + 345]
+  const size = 90
+
+  doc.moveDown(0.6)
+  ensureSpace(doc, size + 80)
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(toPdfText(maps.title), left)
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(toPdfText(maps.description), left)
+  doc.moveDown(0.4)
+
+  maps.eyes.forEach(({ eye, current, previous }) => {
+    ensureSpace(doc, size + 40)
+    const y = doc.y
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(toPdfText(eyeLabels[eye]), left, y, { width: 180 })
+    ;[current, previous].forEach((map, i) => {
+      if (!map) return
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(toPdfText(map.label), columns[i], y, { width: 150, lineBreak: false })
+      drawAmslerGrid(doc, map.regions, columns[i], y + 14, size)
+      doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(toPdfText(map.caption), columns[i], y + size + 18, { width: 150, lineBreak: false })
+    })
+    doc.x = left
+    doc.y = y + size + 34
+  })
+
+  let legendX = left
+  const legendY = doc.y + 4
+  maps.legend.forEach(({ label, color }) => {
+    doc.rect(legendX, legendY - 3, 8, 8).fill(color)
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(toPdfText(label), legendX + 12, legendY - 3, { lineBreak: false })
+    legendX += 110
+  })
+  doc.x = left
+  doc.y = legendY + 14
+}
+
+function drawBox(doc, { title, text, color, background }) {
+  const left = doc.page.margins.left
+  const width = doc.page.width - left - doc.page.margins.right
+  const padding = 12
+  doc.font('Helvetica').fontSize(10)
+  const textHeight = doc.heightOfString(toPdfText(text), { width: width - padding * 2 })
+  const height = textHeight + padding * 2 + (title ? 16 : 0)
+  ensureSpace(doc, height + 10)
+
+  const top = doc.y
+  doc.roundedRect(left, top, width, height, 8).fill(background)
+  let y = top + padding
+  if (title) {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(color).text(toPdfText(title), left + padding, y, { width: width - padding * 2 })
+    y = doc.y + 4
+  }
+  doc.font('Helvetica').fontSize(10).fillColor(color).text(toPdfText(text), left + padding, y, { width: width - padding * 2 })
+  doc.x = left
+  doc.y = top + height + 10
+}
+
+/**
+ * Lay out a report model as an A4 PDF.
+ * @param {Object} model - From buildReportModel
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export function renderReportPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      bufferPages: true,
+      lang: model.language,
+      info: {
+        Title: toPdfText(model.title),
+        Creator: 'VisionCheck AI',
+        // A fixed date keeps the file ID, and so the whole file, reproducible
+        CreationDate: new Date(model.createdAt),
+      },
+    })
+    const chunks = []
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    const left = PAGE_MARGIN
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.brand).text('VisionCheck AI', { align: 'center' })
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(toPdfText(model.title), { align: 'center' })
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(toPdfText(model.subtitle), { align: 'center' })
+    if (model.patient) {
+      doc.moveDown(0.4)
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(toPdfText(model.patient), { align: 'center' })
+    }
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(toPdfText(model.generatedOn), { align: 'center' })
+
+    model.sections.forEach(section => {
+      drawSectionHeading(doc, section.title, section.description)
+      if (section.text) {
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(toPdfText(section.text), left, doc.y, {
+          width: doc.page.width - PAGE_MARGIN * 2,
+          paragraphGap: 4,
+        })
+      } else {
+        drawItems(doc, section, model.eyeLabels)
+        if (section.maps) drawAmslerMaps(doc, section.maps, model.eyeLabels)
+      }
+    })
+
+    drawSectionHeading(doc, model.trends.title, model.trends.description, model.trends.charts.length > 0 ? CHART_HEIGHT + 60 : 40)
+    if (model.trends.empty) {
+      doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(toPdfText(model.trends.empty), left)
+    }
+    model.trends.charts.forEach(chart => drawChart(doc, chart, model.eyeLabels))
+
+    drawSectionHeading(doc, model.recommendation.title, model.recommendation.description)
+    drawBox(doc, { text: model.recommendation.text, color: COLORS.text, background: '#f0f9ff' })
+    drawBox(doc, { title: model.disclaimer.title, text: model.disclaimer.text, color: COLORS.warning, background: '#fffbeb' })
+
+    // Footer with page numbers; the bottom margin is lifted so the footer
+    // text does not spill onto a new page
+    const { start, count } = doc.bufferedPageRange()
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i)
+      doc.page.margins.bottom = 0
+      const y = doc.page.height - 35
+      doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      doc.text(toPdfText(model.footer), left, y, { lineBreak: false })
+      doc.text(toPdfText(model.pageLabel(i + 1, count)), doc.page.width - PAGE_MARGIN - 150, y, { width: 150, align: 'right', lineBreak: false })
+    }
+
+    doc.end()
+  })
+}
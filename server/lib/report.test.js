@@ -0,0 +1,257 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import { parseReportRequest, buildReportModel, renderReportPdf } from './report.js'
+import handler from '../../api/report.js'
+
+const NOW = new Date('2024-07-01T12:00:00.000Z')
+
+const RESULTS = {
+  visualAcuity: {
+    left: { snellen: '20/40', level: 5, logMAR: 0.3 },
+    right: { snellen: '20/20', level: 8, logMAR: 0 }
+  },
+  colorVision: { correctCount: 7, totalPlates: 8, status: 'mild_difficulty' },
+  contrastSensitivity: { left: { logCS: 1.35 }, right: null },
+  amslerGrid: { left: { hasIssues: false }, right: { hasIssues: true } },
+  astigmatism: { left: { allLinesEqual: true }, right: { allLinesEqual: false, estimatedAxis: 90, axisConfidence: 0.8 } },
+  peripheralVision: { left: { detectionRate: 92 }, right: null },
+  eyePhoto: {
+    left: { analysis: { en: '## Summary\n\n**Looks healthy** 👁️\n- No redness', de: '## Zusammenfassung\n\n**Sieht gesund aus**' } },
+    right: null
+  }
+}
+
+const HISTORY = [
+  { id: 2, date: '2024-06-01T10:00:00.000Z', visualAcuity: { left: { logMAR: 0.2 }, right: { logMAR: 0 } } },
+  { id: 1, date: '2024-05-01T10:00:00.000Z', visualAcuity: { left: { logMAR: 0.4 }, right: null } }
+]
+
+const PROFILE = { name: 'Anna', birthYear: 1980, wearsGlasses: true }
+
+const parse = (body) => parseReportRequest(body).input
+
+// Text drawn in the PDF is hex-encoded in compressed content streams, so
+// count pages from the page tree instead
+const pageCount = (pdf) => pdf.toString('latin1').match(/\/Type \/Page\b/g).length
+
+describe('parseReportRequest', () => {
+  it('requires a results object', () => {
+    expect(parseReportRequest({})).toEqual({ error: 'Results are required' })
+    expect(parseReportRequest({ results: [] })).toEqual({ error: 'Results are required' })
+  })
+
+  it('rejects malformed history', () => {
+    expect(parseReportRequest({ results: {}, history: 'x' }).error).toMatch(/History/)
+    expect(parseReportRequest({ results: {}, history: Array(501).fill({}) }).error).toMatch(/500/)
+  })
+
+  it('normalizes the language and profile', () => {
+    const { input } = parseReportRequest({ results: {}, language: 'de-DE', profile: { name: 'Anna', birthYear: '1980', extra: true } })
+    expect(input.language).toBe('de')
+    expect(input.history).toEqual([])
+    expect(input.profile).toEqual({ name: 'Anna', birthYear: null, wearsGlasses: false })
+    expect(parse({ results: {}, language: 'fr' }).language).toBe('en')
+  })
+})
+
+describe('buildReportModel', () => {
+  it('matches the English snapshot', () => {
+    const model = buildReportModel(parse({ results: RESULTS, history: HISTORY, language: 'en', profile: PROFILE }), { now: NOW })
+    expect(model).toMatchSnapshot()
+  })
+
+  it('matches the German snapshot', () => {
+    const model = buildReportModel(parse({ results: RESULTS, history: HISTORY, language: 'de', profile: PROFILE }), { now: NOW })
+    expect(model).toMatchSnapshot()
+  })
+
+  it('uses the app translations', () => {
+    const model = buildReportModel(parse({ results: RESULTS, language: 'de' }), { now: NOW })
+    expect(model.title).toBe('Ihre Augengesundheits-Übersicht')
+    expect(model.sections[0].items[0]).toEqual({ label: 'Sehschärfe', eyes: { left: '20/40', right: '20/20' } })
+    expect(model.pageLabel(1, 3)).toBe('Seite 1 von 3')
+  })
+
+  it('charts only measures with at least two saved sessions', () => {
+    const model = buildReportModel(parse({ results: RESULTS, history: HISTORY }), { now: NOW })
+    expect(model.trends.charts).toHaveLength(1)
+    const [left, right] = model.trends.charts[0].series
+    expect(left.points.map(point => point.value)).toEqual([0.4, 0.2])
+    expect(right.points).toHaveLength(1)
+    expect(model.trends.empty).toBeNull()
+
+    const empty = buildReportModel(parse({ results: RESULTS, history: HISTORY.slice(0, 1) }), { now: NOW })
+    expect(empty.trends.charts).toEqual([])
+    expect(empty.trends.empty).toMatch(/at least two sessions/)
+  })
+
+  it('leaves out the patient line for unnamed profiles', () => {
+    const model = buildReportModel(parse({ results: RESULTS, profile: { name: '' } }), { now: NOW })
+    expect(model.patient).toBeNull()
+  })
+
+  it('lists the hyperacuity result with the eye health tests', () => {
+    const results = {
+      amslerGrid: { left: { hasIssues: false }, right: null },
+      hyperacuity: { left: { hasIssues: false, abnormalLocations: 0 }, right: { hasIssues: true, abnormalLocations: 2 } }
+    }
+    const model = buildReportModel(parse({ results, language: 'de' }), { now: NOW })
+    expect(model.sections[0].items[1]).toEqual({ label: 'Hyperakuität', eyes: { left: 'Normal', right: 'In 2 Bereichen eingeschränkt' } })
+    expect(model.recommendation.text).toBe('Basierend auf Ihren Ergebnissen empfehlen wir, einen Augenarzt zu konsultieren.')
+  })
+
+  it('says when a hyperacuity result was not graded', () => {
+    const results = {
+      hyperacuity: { left: { hasIssues: false, abnormalLocations: null, map: null, status: 'not_graded' }, right: null }
+    }
+    const model = buildReportModel(parse({ results }), { now: NOW })
+    expect(model.sections[0].items[0].eyes).toEqual({ left: 'Not graded: screen not calibrated', right: '—' })
+  })
+
+  it('lists the color arrangement result with the color vision test', () => {
+    const results = {
+      colorArrangement: { arrangement: [1, 15, 2, 3, 14, 4, 13, 5, 12, 6, 11, 7, 10, 8, 9], crossings: 10, hasDefect: true, defectType: 'deutan' }
+    }
+    const model = buildReportModel(parse({ results }), { now: NOW })
+    expect(model.sections[0].items[0]).toEqual({ label: 'Color Arrangement', value: 'Possible deutan (green) defect · 10 crossings' })
+    expect(model.recommendation.text).toBe('Based on your results, we recommend consulting an eye care professional.')
+  })
+
+  it('uses the shared recommendation logic', () => {
+    const model = buildReportModel(parse({ results: { visualAcuity: { left: { level: 9 } } } }), { now: NOW })
+    expect(model.recommendation.text).toBe('All your test results appear normal. Continue regular eye health monitoring.')
+  })
+})
+
+describe('structured eye photo analysis', () => {
+  const analysis = {
+    imageQuality: 'fair',
+    findings: { redness: 'mild', sclera: 'none', pupil: 'none', iris: 'none', eyelid: 'not_assessed' },
+    recommendation: 'see_soon',
+    narrative: { en: 'Some **redness** is visible.' }
+  }
+
+  it('leads with the recommendation and findings', () => {
+    const model = buildReportModel(parse({ results: { eyePhoto: { left: null, right: { analysis } } }, language: 'de' }), { now: NOW })
+    const section = model.sections.find(({ text }) => text)
+
+    expect(section.text.split('\n\n')).toEqual([
+      'Rechtes Auge',
+      'Suchen Sie bald eine Augenärztin oder einen Augenarzt auf',
+      'Bildqualität: Ausreichend',
+      '• Rötung: Leicht\n• Weißes im Auge: Keine\n• Pupille: Keine\n• Iris: Keine\n• Augenlid: Nicht beurteilt',
+      // No German narrative was saved, so the English one stands in
+      'Some redness is visible.'
+    ])
+    expect(model.recommendation.text).toMatch(/Augenarzt/)
+  })
+
+  it('lists the left eye before the right', () => {
+    const routine = { ...analysis, recommendation: 'routine', narrative: { en: 'Looks healthy.' } }
+    const model = buildReportModel(parse({ results: { eyePhoto: { left: { analysis: routine }, right: { analysis } } } }), { now: NOW })
+    const { text } = model.sections.find(section => section.text)
+
+    expect(text.indexOf('Left Eye')).toBe(0)
+    expect(text.indexOf('Right Eye')).toBeGreaterThan(text.indexOf('Looks healthy.'))
+    expect(model.recommendation.text).toMatch(/consulting an eye care professional/)
+  })
+})
+
+describe('Amsler grid maps', () => {
+  const regions = [{ type: 'wavy', cells: [[9, 9], [10, 9]] }]
+  const history = [
+    { id: 2, date: '2024-06-01T10:00:00.000Z', amslerGrid: { right: { hasIssues: true, regions: [{ type: 'wavy', cells: [[9, 9]] }] } } },
+    // Saved before areas could be marked
+    { id: 1, date: '2024-05-01T10:00:00.000Z', amslerGrid: { left: { hasIssues: false }, right: { hasIssues: true } } }
+  ]
+
+  it('shows the marked areas next to the previous session', () => {
+    const results = { amslerGrid: { left: { hasIssues: false, regions: [] }, right: { hasIssues: true, regions } } }
+    const model = buildReportModel(parse({ results, history }), { now: NOW })
+    const { maps } = model.sections.find(section => section.maps)
+
+    expect(maps.legend).toEqual([{ label: 'Wavy lines', color: '#f59e0b' }])
+    expect(maps.eyes).toEqual([
+      { eye: 'left', current: { label: 'This session', caption: 'No areas marked', regions: [] }, previous: null },
+      {
+        eye: 'right',
+        current: { label: 'This session', caption: '2 squares marked', regions },
+        previous: { label: 'Previous (Jun 1, 2024)', caption: '1 square marked', regions: [{ type: 'wavy', cells: [[9, 9]] }] }
+      }
+    ])
+  })
+
+  it('leaves out the maps when no areas were marked in either session', () => {
+    const model = buildReportModel(parse({ results: RESULTS, history: history.slice(1) }), { now: NOW })
+    expect(model.sections.some(section => section.maps)).toBe(false)
+
+    // Areas that cleared up since the previous session are still shown
+    const cleared = buildReportModel(parse({ results: { amslerGrid: { right: { hasIssues: false, regions: [] } } }, history }), { now: NOW })
+    expect(cleared.sections[0].maps.eyes[0].previous.caption).toBe('1 square marked')
+  })
+
+  it('names the chart variant the grid was viewed with', () => {
+    const results = { amslerGrid: { left: { hasIssues: false }, right: { hasIssues: true, variant: 'redOnBlack' } } }
+    const model = buildReportModel(parse({ results, language: 'de' }), { now: NOW })
+    expect(model.sections[0].items[0].eyes).toEqual({ left: 'Normal', right: 'Auffälligkeiten bemerkt · Tafel: Rot auf Schwarz' })
+  })
+
+  it('draws the maps into the PDF', async () => {
+    const results = { amslerGrid: { left: null, right: { hasIssues: true, regions } } }
+    const pdf = await renderReportPdf(buildReportModel(parse({ results, history, language: 'de' }), { now: NOW }))
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-')
+  })
+})
+
+describe('renderReportPdf', () => {
+  it('renders identical bytes for the same input', async () => {
+    const input = parse({ results: RESULTS, history: HISTORY, language: 'de', profile: PROFILE })
+    const first = await renderReportPdf(buildReportModel(input, { now: NOW }))
+    const second = await renderReportPdf(buildReportModel(input, { now: NOW }))
+
+    expect(first.subarray(0, 5).toString()).toBe('%PDF-')
+    expect(first.equals(second)).toBe(true)
+  })
+
+  it('continues long content on further pages', async () => {
+    const analysis = Array(80).fill('A line of analysis text that wraps across the page width.').join('\n\n')
+    const short = await renderReportPdf(buildReportModel(parse({ results: RESULTS }), { now: NOW }))
+    const long = await renderReportPdf(buildReportModel(parse({ results: { ...RESULTS, eyePhoto: { left: { analysis }, right: null } } }), { now: NOW }))
+
+    expect(pageCount(long)).toBeGreaterThan(pageCount(short))
+  })
+})
+
+describe('POST /api/report handler', () => {
+  const createResponse = () => {
+    const res = {
+      headers: {},
+      status: vi.fn(() => res),
+      json: vi.fn(() => res),
+      send: vi.fn(() => res),
+      setHeader: vi.fn((name, value) => { res.headers[name] = value })
+    }
+    return res
+  }
+
+  it('rejects other methods', async () => {
+    const res = createResponse()
+    await handler({ method: 'GET' }, res)
+    expect(res.status).toHaveBeenCalledWith(405)
+  })
+
+  it('returns 400 for invalid bodies', async () => {
+    const res = createResponse()
+    await handler({ method: 'POST', body: {} }, res)
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json).toHaveBeenCalledWith({ error: 'Results are required' })
+  })
+
+  it('sends the PDF as an attachment', async () => {
+    const res = createResponse()
+    await handler({ method: 'POST', body: { results: RESULTS, history: HISTORY, language: 'en' } }, res)
+    expect(res.headers['Content-Type']).toBe('application/pdf')
+    expect(res.headers['Content-Disposition']).toMatch(/^attachment; filename="visioncheck-report-\d{4}-\d{2}-\d{2}\.pdf"$/)
+    expect(res.send.mock.calls[0][0].subarray(0, 5).toString()).toBe('%PDF-')
+  })
+})
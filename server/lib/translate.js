@@ -0,0 +1,51 @@
+/**
+ * Translation of analysis narratives into the other app languages.
+ *
+ * Used by POST /api/translate in both the Express server and the Vercel
+ * functions. Eye photos are analyzed once, in the user's language; the
+ * narrative is translated with a cheap text-only call when someone views it
+ * in another language, and the client caches the result.
+ */
+
+import { PROMPT_LANGUAGES, renderPrompt } from './prompts.js'
+
+// Matches the longest narrative parseEyeAnalysis keeps
+const MAX_TEXT_LENGTH = 4000
+
+/**
+ * Validate the body of a translation request.
+ * @param {Object} body - Request body
+ * @returns {{input: {text: string, from: string, to: string}} | {error: string}}
+ */
+export function parseTranslationRequest(body) {
+  const { text, from, to } = body ?? {}
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'Text is required' }
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `Text must be at most ${MAX_TEXT_LENGTH} characters` }
+  }
+  if (!PROMPT_LANGUAGES.includes(from) || !PROMPT_LANGUAGES.includes(to)) {
+    return { error: `Languages must be one of ${PROMPT_LANGUAGES.join(', ')}` }
+  }
+  return { input: { text, from, to } }
+}
+
+/**
+ * Completion request that translates the text.
+ * @param {{text: string, from: string, to: string}} input - Parsed request
+ * @returns {import('./llm.js').CompletionRequest}
+ */
+export function buildTranslationRequest({ text, from, to }) {
+  const prompt = renderPrompt('translation', { from, to })
+  return {
+    task: 'translation',
+    promptVersion: prompt.version,
+    messages: [
+      { role: 'system', content: prompt.text },
+      { role: 'user', content: text }
+    ],
+    // Translations run a little longer than the source in some languages
+    maxTokens: 1500,
+  }
+}
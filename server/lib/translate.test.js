@@ -0,0 +1,60 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { parseTranslationRequest, buildTranslationRequest } from './translate.js'
+import handler from '../../api/translate.js'
+
+describe('parseTranslationRequest', () => {
+  it('accepts text between two supported languages', () => {
+    expect(parseTranslationRequest({ text: 'Hello', from: 'en', to: 'de' })).toEqual({ input: { text: 'Hello', from: 'en', to: 'de' } })
+  })
+
+  it('rejects missing text, long text and unknown languages', () => {
+    expect(parseTranslationRequest({ text: ' ', from: 'en', to: 'de' }).error).toBe('Text is required')
+    expect(parseTranslationRequest(undefined).error).toBe('Text is required')
+    expect(parseTranslationRequest({ text: 'x'.repeat(4001), from: 'en', to: 'de' }).error).toMatch(/at most 4000/)
+    expect(parseTranslationRequest({ text: 'Hello', from: 'en', to: 'fr' }).error).toMatch(/Languages must be one of en, de/)
+  })
+})
+
+describe('buildTranslationRequest', () => {
+  it('names both languages and sends the text on its own', () => {
+    const request = buildTranslationRequest({ text: '**Hello**', from: 'en', to: 'de' })
+    expect(request.task).toBe('translation')
+    expect(request.messages[0].content).toContain('from English into German (Deutsch)')
+    expect(request.messages[1]).toEqual({ role: 'user', content: '**Hello**' })
+  })
+})
+
+describe('POST /api/translate handler', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  const createResponse = () => {
+    const res = {
+      status: vi.fn(() => res),
+      json: vi.fn(() => res)
+    }
+    return res
+  }
+
+  it('translates with the mock provider', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'mock')
+    const res = createResponse()
+    await handler({ method: 'POST', body: { text: 'No findings.', from: 'en', to: 'de' } }, res)
+    expect(res.json).toHaveBeenCalledWith({ text: '[mock translation] No findings.' })
+  })
+
+  it('answers 400 for invalid requests', async () => {
+    vi.stubEnv('LLM_PROVIDER', 'mock')
+    const res = createResponse()
+    await handler({ method: 'POST', body: { text: 'No findings.', from: 'en', to: 'en-GB' } }, res)
+    expect(res.status).toHaveBeenCalledWith(400)
+  })
+
+  it('only accepts POST', async () => {
+    const res = createResponse()
+    await handler({ method: 'GET' }, res)
+    expect(res.status).toHaveBeenCalledWith(405)
+  })
+})
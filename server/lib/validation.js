@@ -0,0 +1,130 @@
+/**
+ * Validation of the chat and analysis request bodies, shared by the Express
+ * server and the Vercel functions through handlers.js.
+ *
+ * Each parser returns the cleaned-up input, keeping only the fields the
+ * handlers use, or the first problem found as an error message for a 400.
+ * Prompts are not among them: the server renders its own (see prompts.js).
+ */
+
+import { parseImageData } from './image.js'
+import { PROMPT_LANGUAGES, parseTestResultsContext } from './prompts.js'
+
+export const CHAT_LIMITS = {
+  maxMessages: 40,
+  maxMessageLength: 4000,
+  defaultMaxTokens: 500,
+  maxTokens: 1000,
+}
+
+export const ANALYSIS_LIMITS = {
+  defaultMaxTokens: 1000,
+  maxTokens: 2000,
+}
+
+const CHAT_ROLES = ['user', 'assistant']
+
+const parseLanguage = (language) => PROMPT_LANGUAGES.includes(language)
+  ? { language }
+  : { error: `Language must be one of ${PROMPT_LANGUAGES.join(', ')}` }
+
+/**
+ * Output allowance requested by the client, within the endpoint's bounds.
+ * @returns {{maxTokens: number} | {error: string}}
+ */
+function parseMaxTokens(value, { defaultMaxTokens, maxTokens }) {
+  if (value === undefined) return { maxTokens: defaultMaxTokens }
+  if (!Number.isInteger(value) || value < 1 || value > maxTokens) {
+    return { error: `maxTokens must be a whole number from 1 to ${maxTokens}` }
+  }
+  return { maxTokens: value }
+}
+
+/**
+ * Validate the body of a chat request.
+ * @param {Object} body - Request body
+ * @returns {{input: {messages: Array<{role: string, content: string}>, language: string, testResults: Object|null, maxTokens: number, stream: boolean}} | {error: string}}
+ */
+export function parseChatRequest(body) {
+  const { messages, language = 'en', testResults, maxTokens, stream = false } = body ?? {}
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: 'Messages are required' }
+  }
+  if (messages.length > CHAT_LIMITS.maxMessages) {
+    return { error: `At most ${CHAT_LIMITS.maxMessages} messages are allowed` }
+  }
+  for (const [index, message] of messages.entries()) {
+    if (!CHAT_ROLES.includes(message?.role)) {
+      return { error: `messages[${index}].role must be one of ${CHAT_ROLES.join(', ')}` }
+    }
+    if (typeof message.content !== 'string' || !message.content.trim()) {
+      return { error: `messages[${index}].content must be a non-empty string` }
+    }
+    if (message.content.length > CHAT_LIMITS.maxMessageLength) {
+      return { error: `messages[${index}].content must be at most ${CHAT_LIMITS.maxMessageLength} characters` }
+    }
+  }
+  if (messages.at(-1).role !== 'user') {
+    return { error: 'The last message must be from the user' }
+  }
+
+  const parsedLanguage = parseLanguage(language)
+  if (parsedLanguage.error) return parsedLanguage
+
+  const context = parseTestResultsContext(testResults)
+  if (context.error) return context
+
+  if (typeof stream !== 'boolean') {
+    return { error: 'stream must be true or false' }
+  }
+
+  const tokens = parseMaxTokens(maxTokens, CHAT_LIMITS)
+  if (tokens.error) return tokens
+
+  return {
+    input: {
+      messages: messages.map(({ role, content }) => ({ role, content })),
+      language,
+      testResults: context.testResults,
+      maxTokens: tokens.maxTokens,
+      stream,
+    }
+  }
+}
+
+/**
+ * Validate the body of an eye photo analysis request. With
+ * `previousImageBase64` the request compares an earlier photo of the same
+ * eye with `imageBase64`.
+ * @param {Object} body - Request body
+ * @returns {{input: {image: Object, previousImage: Object|null, language: string, maxTokens: number}} | {error: string}}
+ */
+export function parseAnalyzeRequest(body) {
+  const { imageBase64, previousImageBase64, language = 'en', maxTokens } = body ?? {}
+
+  const parsedImage = parseImageData(imageBase64)
+  if (parsedImage.error) return parsedImage
+
+  let previousImage = null
+  if (previousImageBase64 !== undefined && previousImageBase64 !== null) {
+    const parsedPrevious = parseImageData(previousImageBase64)
+    if (parsedPrevious.error) return { error: `Previous image: ${parsedPrevious.error}` }
+    previousImage = parsedPrevious.image
+  }
+
+  const parsedLanguage = parseLanguage(language)
+  if (parsedLanguage.error) return parsedLanguage
+
+  const tokens = parseMaxTokens(maxTokens, ANALYSIS_LIMITS)
+  if (tokens.error) return tokens
+
+  return {
+    input: {
+      image: parsedImage.image,
+      previousImage,
+      language,
+      maxTokens: tokens.maxTokens,
+    }
+  }
+}
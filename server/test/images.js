@@ -0,0 +1,42 @@
+/**
+ * Image payloads for the server tests. Only the headers matter to the
+ * validation, so the builders return a header followed by padding.
+ */
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes))
+
+const withPadding = (header) => [...header, ...new Array(64).fill(0)]
+
+// A complete 64x64 PNG, as small as a valid photo gets
+export const EYE_PHOTO_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAIAAAAlC+aJAAAAT0lEQVR42u3PQQkAAAgEsMtuCDMZywi+hcEKLNP1WgQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQELgv7MgHDkZM8ngAAAABJRU5ErkJggg=='
+
+/** PNG signature and IHDR chunk */
+export function pngBase64(width, height) {
+  const header = new Uint8Array(24)
+  header.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52])
+  new DataView(header.buffer).setUint32(16, width)
+  new DataView(header.buffer).setUint32(20, height)
+  return toBase64(withPadding(header))
+}
+
+/** JPEG start of image, an APP0 segment and a baseline start of frame */
+export function jpegBase64(width, height) {
+  return toBase64(withPadding([
+    0xFF, 0xD8,
+    0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+    0xFF, 0xC0, 0x00, 0x11, 0x08, height >> 8, height & 0xFF, width >> 8, width & 0xFF, 0x03,
+  ]))
+}
+
+/** WebP container with an extended (VP8X) header */
+export function webpBase64(width, height) {
+  const ascii = (text) => [...text].map(char => char.charCodeAt(0))
+  const w = width - 1
+  const h = height - 1
+  return toBase64(withPadding([
+    ...ascii('RIFF'), 0, 0, 0, 0, ...ascii('WEBP'), ...ascii('VP8X'), 10, 0, 0, 0,
+    0, 0, 0, 0,
+    w & 0xFF, (w >> 8) & 0xFF, (w >> 16) & 0xFF,
+    h & 0xFF, (h >> 8) & 0xFF, (h >> 16) & 0xFF,
+  ]))
+}
@@ -7,7 +7,12 @@ import { ChatProvider } from './context/ChatContext'
 import { LanguageProvider } from './context/LanguageContext'
 import { VoiceCommandProvider } from './context/VoiceCommandContext'
 import { ConsentProvider } from './context/ConsentContext'
+import { CalibrationProvider } from './context/CalibrationContext'
+import { VaultProvider } from './context/VaultContext'
+import { ProfileProvider } from './context/ProfileContext'
+import { getItem } from './storage/storage'
 import ErrorBoundary from './components/ErrorBoundary'
+import VaultGate from './components/VaultGate'
 import Onboarding from './components/Onboarding'
 import ConsentBanner from './components/ConsentBanner'
 import ChatFAB from './components/ChatFAB'
@@ -15,20 +20,24 @@ import ChatDrawer from './components/ChatDrawer'
 import Home from './pages/Home'
 import VisualAcuityTest from './pages/VisualAcuityTest'
 import ColorVisionTest from './pages/ColorVisionTest'
+import ColorArrangementTest from './pages/ColorArrangementTest'
 import EyePhotoAnalysis from './pages/EyePhotoAnalysis'
+import PhotoTimeline from './pages/PhotoTimeline'
 import HealthSnapshot from './pages/HealthSnapshot'
 import ContrastSensitivityTest from './pages/ContrastSensitivityTest'
 import AmslerGridTest from './pages/AmslerGridTest'
 import AstigmatismTest from './pages/AstigmatismTest'
 import PeripheralVisionTest from './pages/PeripheralVisionTest'
+import HyperacuityTest from './pages/HyperacuityTest'
 import LegalInfo from './pages/LegalInfo'
 import TermsOfService from './pages/TermsOfService'
 import DataSettings from './pages/DataSettings'
+import Calibration from './pages/Calibration'
 
 /**
  * Root application component that mounts providers, routing, and UI chrome.
  *
- * Renders an onboarding flow on first launch by checking localStorage key "visioncheck-onboarded"; otherwise renders the main app wrapped with theme, language, TTS, test-results, error boundary, and chat providers and the configured routes.
+ * Renders an onboarding flow on first launch by checking the stored "visioncheck-onboarded" flag; otherwise renders the main app wrapped with theme, language, TTS, profile, vault, test-results, error boundary, and chat providers and the configured routes. While the encrypted vault is locked only the lock screen is shown.
  *
  * @returns {JSX.Element} The application's root React element.
  */
@@ -36,7 +45,7 @@ function App() {
   const [showOnboarding, setShowOnboarding] = useState(false)
 
   useEffect(() => {
-    const hasOnboarded = localStorage.getItem('visioncheck-onboarded')
+    const hasOnboarded = getItem('visioncheck-onboarded')
     if (!hasOnboarded) {
       setShowOnboarding(true)
     }
@@ -64,31 +73,43 @@ function App() {
         <LanguageProvider>
           <TTSSettingsProvider>
             <VoiceCommandProvider>
-              <ConsentProvider>
-                <TestResultsProvider>
-                  <BrowserRouter>
-                    <ChatProvider>
-                      <Routes>
-                        <Route path="/" element={<Home />} />
-                        <Route path="/visual-acuity" element={<VisualAcuityTest />} />
-                        <Route path="/color-vision" element={<ColorVisionTest />} />
-                        <Route path="/eye-photo" element={<EyePhotoAnalysis />} />
-                        <Route path="/contrast-sensitivity" element={<ContrastSensitivityTest />} />
-                        <Route path="/amsler-grid" element={<AmslerGridTest />} />
-                        <Route path="/astigmatism" element={<AstigmatismTest />} />
-                        <Route path="/peripheral-vision" element={<PeripheralVisionTest />} />
-                        <Route path="/results" element={<HealthSnapshot />} />
-                        <Route path="/privacy" element={<LegalInfo />} />
-                        <Route path="/terms" element={<TermsOfService />} />
-                        <Route path="/settings/data" element={<DataSettings />} />
-                      </Routes>
-                      <ChatFAB />
-                      <ChatDrawer />
-                      <ConsentBanner />
-                    </ChatProvider>
-                  </BrowserRouter>
-                </TestResultsProvider>
-              </ConsentProvider>
+              <ProfileProvider>
+                <ConsentProvider>
+                  <VaultProvider>
+                    <VaultGate>
+                      <CalibrationProvider>
+                        <TestResultsProvider>
+                          <BrowserRouter>
+                            <ChatProvider>
+                              <Routes>
+                                <Route path="/" element={<Home />} />
+                                <Route path="/visual-acuity" element={<VisualAcuityTest />} />
+                                <Route path="/color-vision" element={<ColorVisionTest />} />
+                                <Route path="/color-arrangement" element={<ColorArrangementTest />} />
+                                <Route path="/eye-photo" element={<EyePhotoAnalysis />} />
+                                <Route path="/eye-photo/timeline" element={<PhotoTimeline />} />
+                                <Route path="/contrast-sensitivity" element={<ContrastSensitivityTest />} />
+                                <Route path="/amsler-grid" element={<AmslerGridTest />} />
+                                <Route path="/astigmatism" element={<AstigmatismTest />} />
+                                <Route path="/peripheral-vision" element={<PeripheralVisionTest />} />
+                                <Route path="/hyperacuity" element={<HyperacuityTest />} />
+                                <Route path="/results" element={<HealthSnapshot />} />
+                                <Route path="/privacy" element={<LegalInfo />} />
+                                <Route path="/terms" element={<TermsOfService />} />
+                                <Route path="/settings/data" element={<DataSettings />} />
+                                <Route path="/calibration" element={<Calibration />} />
+                              </Routes>
+                              <ChatFAB />
+                              <ChatDrawer />
+                              <ConsentBanner />
+                            </ChatProvider>
+                          </BrowserRouter>
+                        </TestResultsProvider>
+                      </CalibrationProvider>
+                    </VaultGate>
+                  </VaultProvider>
+                </ConsentProvider>
+              </ProfileProvider>
             </VoiceCommandProvider>
           </TTSSettingsProvider>
         </LanguageProvider>
@@ -1,187 +1,248 @@
-const CHAT_SYSTEM_PROMPT = `You are a helpful assistant for VisionCheck AI, an eye health screening app.
-
-IMPORTANT GUIDELINES:
-- You are NOT a medical professional and cannot provide medical diagnoses
-- This is for educational and informational purposes only
-- Always recommend consulting an eye care professional for health concerns
-- Stay focused on eye health, vision, and related topics
-- Be reassuring but honest about the limitations of AI analysis
-- If users describe symptoms that could be serious (sudden vision loss, eye pain, flashes of light, floaters), urge them to seek immediate professional care
-
-You can help with:
-- Explaining what test results mean (visual acuity, color vision, contrast sensitivity, Amsler grid)
-- General eye health education
-- Answering questions about common eye conditions
-- Explaining when someone should see an eye doctor
-- Tips for maintaining eye health
-
-You should decline to:
-- Diagnose specific conditions
-- Recommend specific treatments or medications
-- Provide advice outside of eye/vision health
-- Make claims about the medical accuracy of app results
-
-Keep responses concise and friendly. Use simple language that's easy to understand.`
-
-// Format test results into a readable summary for the AI
-function formatTestResultsSummary(testResults) {
-  if (!testResults) return ''
-  
-  const parts = []
-  
-  // Visual Acuity
-  if (testResults.visualAcuity?.left || testResults.visualAcuity?.right) {
-    const va = testResults.visualAcuity
-    const leftVA = va.left ? `Left: ${va.left.snellen}` : null
-    const rightVA = va.right ? `Right: ${va.right.snellen}` : null
-    const vaResults = [leftVA, rightVA].filter(Boolean).join(', ')
-    if (vaResults) parts.push(`Visual Acuity: ${vaResults}`)
+// Only the results the assistant can use go to the server, which turns them
+// into its own prompt
+function summarizeTestResults(testResults) {
+  if (!testResults) return null
+
+  const perEye = (results, field) => Object.fromEntries(['left', 'right']
+    .filter(eye => results?.[eye]?.[field] !== undefined)
+    .map(eye => [eye, { [field]: results[eye][field] }]))
+
+  const { colorVision } = testResults
+  return {
+    visualAcuity: perEye(testResults.visualAcuity, 'snellen'),
+    colorVision: colorVision
+      ? { correctCount: colorVision.correctCount, totalPlates: colorVision.totalPlates, status: colorVision.status }
+      : null,
+    contrastSensitivity: perEye(testResults.contrastSensitivity, 'logCS'),
+    amslerGrid: perEye(testResults.amslerGrid, 'hasIssues'),
   }
-  
-  // Color Vision
-  if (testResults.colorVision) {
-    const cv = testResults.colorVision
-    parts.push(`Color Vision: ${cv.correctCount}/${cv.totalPlates} plates correct (${cv.status})`)
+}
+
+const SESSION_KEY = 'visioncheck-api-session'
+let memorySessionId = null
+
+// Random id for this tab, which the server rate-limits alongside the IP
+function getSessionId() {
+  try {
+    let id = sessionStorage.getItem(SESSION_KEY)
+    if (!id) {
+      id = crypto.randomUUID()
+      sessionStorage.setItem(SESSION_KEY, id)
+    }
+    return id
+  } catch {
+    // Session storage is blocked in some privacy modes
+    memorySessionId ??= crypto.randomUUID()
+    return memorySessionId
   }
-  
-  // Contrast Sensitivity
-  if (testResults.contrastSensitivity?.left || testResults.contrastSensitivity?.right) {
-    const cs = testResults.contrastSensitivity
-    const leftCS = cs.left ? `Left: ${cs.left.logCS?.toFixed(2)} logCS` : null
-    const rightCS = cs.right ? `Right: ${cs.right.logCS?.toFixed(2)} logCS` : null
-    const csResults = [leftCS, rightCS].filter(Boolean).join(', ')
-    if (csResults) parts.push(`Contrast Sensitivity: ${csResults}`)
+}
+
+/**
+ * Headers for JSON requests to the API, with this tab's session id
+ * @returns {Record<string, string>}
+ */
+export const apiHeaders = () => ({
+  'Content-Type': 'application/json',
+  'X-Session-Id': getSessionId(),
+})
+
+// Error for a failed response, keeping the status and the server's error
+// code so callers can explain rate limits
+async function responseError(response) {
+  const body = await response.json().catch(() => ({}))
+  return Object.assign(new Error(body.error || `API error: ${response.status}`), {
+    status: response.status,
+    code: body.code,
+    retryAfter: body.retryAfter,
+  })
+}
+
+/**
+ * Friendly message for a request the server turned away because of its rate
+ * limits or daily budget
+ * @param {Error & {status?: number, code?: string, retryAfter?: number}} error - Error thrown by this module
+ * @param {import('i18next').TFunction} t - Translation function
+ * @returns {string|null} - Localized message, or null for other errors
+ */
+export function describeRejection(error, t) {
+  if (error?.code === 'quota_exceeded') {
+    return t('common:errors.quotaExceeded')
   }
-  
-  // Amsler Grid
-  if (testResults.amslerGrid?.left || testResults.amslerGrid?.right) {
-    const ag = testResults.amslerGrid
-    const leftAG = ag.left ? `Left: ${ag.left.hasIssues ? 'issues detected' : 'no issues'}` : null
-    const rightAG = ag.right ? `Right: ${ag.right.hasIssues ? 'issues detected' : 'no issues'}` : null
-    const agResults = [leftAG, rightAG].filter(Boolean).join(', ')
-    if (agResults) parts.push(`Amsler Grid: ${agResults}`)
+  if (error?.status === 429) {
+    return t('common:errors.rateLimited', { count: Math.max(1, Math.ceil((error.retryAfter ?? 60) / 60)) })
   }
-  
-  if (parts.length === 0) return ''
-  
-  return `\n\nThe user has completed the following tests in VisionCheck AI:\n${parts.join('\n')}\n\nYou may reference these results when relevant to provide context-aware responses.`
+  return null
 }
 
+// The API accepts at most this many messages; older ones are left out
+const MAX_CHAT_HISTORY = 40
+
 /**
- * Send a chat message via the API proxy
- * @param {Array} messages - Conversation history [{role: 'user'|'assistant', content: string}]
- * @param {Object} testResults - User's test results from TestResultsContext
- * @param {string} language - Current UI language code (e.g., 'en', 'de')
- * @returns {Promise<string>} - Assistant's response
+ * Request body for /api/chat
  */
-export async function sendChatMessage(messages, testResults, language = 'en') {
+function buildChatRequest(messages, testResults, language) {
   if (!messages || messages.length === 0) {
     throw new Error('At least one message is required')
   }
 
-  // Build language instruction
-  const languageInstruction = language === 'de' 
-    ? '\n\nIMPORTANT: The user has selected German (Deutsch) as their language. Please respond in German.'
-    : ''
+  return {
+    // Only role and content go to the model; messages may carry UI state
+    messages: messages.slice(-MAX_CHAT_HISTORY).map(({ role, content }) => ({ role, content })),
+    language,
+    testResults: summarizeTestResults(testResults),
+    maxTokens: 500,
+  }
+}
 
-  // Build system prompt with optional test results context
-  const systemPrompt = CHAT_SYSTEM_PROMPT + languageInstruction + formatTestResultsSummary(testResults)
+/**
+ * Parse a server-sent event stream into `{ event, data }` objects
+ * @param {ReadableStream<Uint8Array>} body - Response body
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+async function* readServerSentEvents(body) {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+      // Events are separated by a blank line
+      const blocks = buffer.split('\n\n')
+      buffer = blocks.pop()
+      for (const block of blocks) {
+        const event = { event: 'message', data: '' }
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event.event = line.slice(6).trim()
+          if (line.startsWith('data:')) event.data += line.slice(5).trim()
+        })
+        yield event
+      }
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
 
+/**
+ * Send a chat message and stream the response as it is generated
+ * @param {Array} messages - Conversation history [{role: 'user'|'assistant', content: string}]
+ * @param {Object} testResults - User's test results from TestResultsContext
+ * @param {string} language - Current UI language code (e.g., 'en', 'de')
+ * @param {Object} [options]
+ * @param {(token: string) => void} [options.onToken] - Called with each piece of text as it arrives
+ * @param {AbortSignal} [options.signal] - Aborts the request; the promise then rejects with an AbortError
+ * @returns {Promise<string>} - The complete response
+ */
+export async function streamChatMessage(messages, testResults, language = 'en', { onToken, signal } = {}) {
   const response = await fetch('/api/chat', {
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      messages,
-      systemPrompt,
-      maxTokens: 500,
-    }),
+    headers: apiHeaders(),
+    body: JSON.stringify({ ...buildChatRequest(messages, testResults, language), stream: true }),
+    signal,
   })
 
   if (!response.ok) {
-    const error = await response.json().catch(() => ({}))
-    throw new Error(error.error || `API error: ${response.status}`)
+    throw await responseError(response)
   }
 
-  const data = await response.json()
-  return data.content || 'Sorry, I could not generate a response.'
-}
-
-const EYE_ANALYSIS_PROMPT = `You are an AI assistant helping with a preliminary eye health screening app. Analyze this eye photo for visible health indicators.
-
-IMPORTANT DISCLAIMERS TO INCLUDE IN YOUR RESPONSE:
-- This is NOT a medical diagnosis
-- This is for educational/screening purposes only
-- Always recommend consulting an eye care professional
-
-Please analyze the image and provide:
-
-1. **Image Quality Assessment**: Is the image clear enough for analysis? Is the eye properly visible?
-
-2. **Observations** (only if image is adequate):
-   - Redness or irritation: Look for bloodshot appearance or inflammation
-   - Sclera (white of eye): Note any discoloration (yellowing, spots)
-   - Pupil appearance: Size, shape, symmetry
-   - Iris: Any visible abnormalities
-   - Eyelid: Swelling, drooping, or other concerns
-   - Overall appearance
-
-3. **Summary**: Provide a brief, reassuring summary of observations
-
-4. **Recommendations**: Based on observations, suggest:
-   - "Looks healthy - continue regular eye care"
-   - "Consider scheduling an eye exam for professional evaluation" 
-   - "Recommend seeing an eye care professional soon"
+  // Servers without streaming support answer with the whole message
+  if (!response.headers.get('Content-Type')?.includes('text/event-stream')) {
+    const data = await response.json()
+    const content = data.content || 'Sorry, I could not generate a response.'
+    onToken?.(content)
+    return content
+  }
 
-Format your response in a clear, easy-to-read way. Be reassuring but honest. If you cannot properly analyze the image (too blurry, not an eye, etc.), say so clearly.`
+  let content = ''
+  for await (const { event, data } of readServerSentEvents(response.body)) {
+    if (data === '[DONE]') break
+    const payload = JSON.parse(data)
+    if (event === 'error') {
+      throw new Error(payload.error || 'The response was interrupted')
+    }
+    if (payload.delta) {
+      content += payload.delta
+      onToken?.(payload.delta)
+    }
+  }
+  return content || 'Sorry, I could not generate a response.'
+}
 
 /**
  * Analyze an eye photo using the API proxy
  * @param {string} imageBase64 - Base64-encoded image data
- * @param {string} language - Language code for the response (e.g., 'en', 'de')
- * @returns {Promise<string>} - Analysis response
+ * @param {string} language - Language code for the narrative (e.g., 'en', 'de')
+ * @returns {Promise<import('../utils/eyeAnalysis').EyeAnalysis>} - Structured analysis with the narrative in `language`
  */
 export async function analyzeEyePhoto(imageBase64, language = 'en') {
-  // Build language instruction
-  const languageInstruction = language === 'de' 
-    ? '\n\nIMPORTANT: Please respond entirely in German (Deutsch).'
-    : ''
+  // The server writes the prompt for the language
+  const response = await fetch('/api/analyze', {
+    method: 'POST',
+    headers: apiHeaders(),
+    body: JSON.stringify({
+      imageBase64,
+      language,
+      maxTokens: 1000,
+    }),
+  })
 
-  const prompt = EYE_ANALYSIS_PROMPT + languageInstruction
+  if (!response.ok) {
+    throw await responseError(response)
+  }
 
+  const data = await response.json()
+  return data.analysis
+}
+
+/**
+ * Compare an earlier and a later photo of the same eye using the API proxy
+ * @param {string} previousImageBase64 - Base64-encoded earlier photo
+ * @param {string} imageBase64 - Base64-encoded later photo
+ * @param {string} language - Language code for the narrative (e.g., 'en', 'de')
+ * @returns {Promise<import('../utils/eyeAnalysis').EyeComparison>} - Change per finding with the narrative in `language`
+ */
+export async function compareEyePhotos(previousImageBase64, imageBase64, language = 'en') {
   const response = await fetch('/api/analyze', {
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
+    headers: apiHeaders(),
     body: JSON.stringify({
       imageBase64,
-      prompt,
+      previousImageBase64,
+      language,
       maxTokens: 1000,
     }),
   })
 
   if (!response.ok) {
-    const error = await response.json().catch(() => ({}))
-    throw new Error(error.error || `API error: ${response.status}`)
+    throw await responseError(response)
   }
 
   const data = await response.json()
-  return data.content || 'No analysis available'
+  return data.comparison
 }
 
 /**
- * Analyze an eye photo in all supported languages (en, de) in parallel
- * @param {string} imageBase64 - Base64-encoded image data
- * @returns {Promise<{en: string, de: string}>} - Analysis responses in both languages
+ * Translate an analysis narrative into another language
+ * @param {string} text - Markdown text
+ * @param {string} from - Language code of the text (e.g., 'en')
+ * @param {string} to - Language code to translate into (e.g., 'de')
+ * @returns {Promise<string>} - Translated Markdown
  */
-export async function analyzeEyePhotoAllLanguages(imageBase64) {
-  const [en, de] = await Promise.all([
-    analyzeEyePhoto(imageBase64, 'en'),
-    analyzeEyePhoto(imageBase64, 'de')
-  ])
-  return { en, de }
+export async function translateText(text, from, to) {
+  const response = await fetch('/api/translate', {
+    method: 'POST',
+    headers: apiHeaders(),
+    body: JSON.stringify({ text, from, to }),
+  })
+
+  if (!response.ok) {
+    throw await responseError(response)
+  }
+
+  const data = await response.json()
+  return data.text
 }
 
 /**
@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { streamChatMessage, translateText, compareEyePhotos, describeRejection } from './openai'
+
+const MESSAGES = [{ role: 'user', content: 'Hi', stopped: false }]
+
+// Deliver the body in awkward pieces to exercise the event buffering
+const eventStream = (text, chunkSize = 5) => {
+  const bytes = new TextEncoder().encode(text)
+  return new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += chunkSize) {
+        controller.enqueue(bytes.slice(i, i + chunkSize))
+      }
+      controller.close()
+    }
+  })
+}
+
+const mockFetch = (response) => {
+  globalThis.fetch = vi.fn().mockResolvedValue(response)
+}
+
+describe('streamChatMessage', () => {
+  const originalFetch = globalThis.fetch
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch
+  })
+
+  it('reports each delta and resolves with the full reply', async () => {
+    mockFetch(new Response(
+      eventStream('data: {"delta":"Hello"}\n\ndata: {"delta":" wörld"}\n\ndata: [DONE]\n\n'),
+      { headers: { 'Content-Type': 'text/event-stream; charset=utf-8' } }
+    ))
+    const onToken = vi.fn()
+
+    await expect(streamChatMessage(MESSAGES, null, 'en', { onToken })).resolves.toBe('Hello wörld')
+    expect(onToken.mock.calls).toEqual([['Hello'], [' wörld']])
+
+    const body = JSON.parse(globalThis.fetch.mock.calls[0][1].body)
+    expect(body.stream).toBe(true)
+    expect(body.messages).toEqual([{ role: 'user', content: 'Hi' }])
+  })
+
+  it('sends only as much history as the API accepts', async () => {
+    mockFetch(new Response(JSON.stringify({ content: 'Answer' }), { headers: { 'Content-Type': 'application/json' } }))
+    const history = Array.from({ length: 45 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `Message ${i}` }))
+
+    await streamChatMessage(history, null, 'en')
+
+    const body = JSON.parse(globalThis.fetch.mock.calls[0][1].body)
+    expect(body.messages).toHaveLength(40)
+    expect(body.messages.at(-1).content).toBe('Message 44')
+  })
+
+  it('sends the language and test results instead of a prompt', async () => {
+    mockFetch(new Response(JSON.stringify({ content: 'Answer' }), { headers: { 'Content-Type': 'application/json' } }))
+    const testResults = {
+      visualAcuity: { left: { snellen: '20/40', logMAR: 0.3, timestamp: 1 } },
+      colorVision: { correctCount: 5, totalPlates: 6, status: 'mild_difficulty', answers: ['12'] },
+      eyePhoto: { imageData: 'data:image/jpeg;base64,AAAA' },
+    }
+
+    await streamChatMessage(MESSAGES, testResults, 'de')
+
+    const body = JSON.parse(globalThis.fetch.mock.calls[0][1].body)
+    expect(body).not.toHaveProperty('systemPrompt')
+    expect(body.language).toBe('de')
+    expect(body.testResults).toEqual({
+      visualAcuity: { left: { snellen: '20/40' } },
+      colorVision: { correctCount: 5, totalPlates: 6, status: 'mild_difficulty' },
+      contrastSensitivity: {},
+      amslerGrid: {},
+    })
+  })
+
+  it('throws when the stream reports an error', async () => {
+    mockFetch(new Response(
+      eventStream('data: {"delta":"Part"}\n\nevent: error\ndata: {"error":"The response was interrupted"}\n\n'),
+      { headers: { 'Content-Type': 'text/event-stream' } }
+    ))
+
+    await expect(streamChatMessage(MESSAGES, null, 'en')).rejects.toThrow('The response was interrupted')
+  })
+
+  it('falls back to a plain JSON reply', async () => {
+    mockFetch(new Response(JSON.stringify({ content: 'Whole answer' }), {
+      headers: { 'Content-Type': 'application/json' }
+    }))
+    const onToken = vi.fn()
+
+    await expect(streamChatMessage(MESSAGES, null, 'en', { onToken })).resolves.toBe('Whole answer')
+    expect(onToken).toHaveBeenCalledWith('Whole answer')
+  })
+
+  it('surfaces server errors before the stream starts', async () => {
+    mockFetch(new Response(JSON.stringify({ error: 'API key not configured' }), { status: 500 }))
+
+    await expect(streamChatMessage(MESSAGES, null, 'en')).rejects.toThrow('API key not configured')
+  })
+})
+
+describe('translateText', () => {
+  const originalFetch = globalThis.fetch
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch
+  })
+
+  it('posts the text and languages and returns the translation', async () => {
+    mockFetch(new Response(JSON.stringify({ text: 'Keine Auffälligkeiten.' })))
+
+    await expect(translateText('Nothing stands out.', 'en', 'de')).resolves.toBe('Keine Auffälligkeiten.')
+
+    const [url, init] = globalThis.fetch.mock.calls[0]
+    expect(url).toBe('/api/translate')
+    expect(JSON.parse(init.body)).toEqual({ text: 'Nothing stands out.', from: 'en', to: 'de' })
+  })
+
+  it('surfaces server errors', async () => {
+    mockFetch(new Response(JSON.stringify({ error: 'No translation generated' }), { status: 502 }))
+
+    await expect(translateText('Text', 'en', 'de')).rejects.toThrow('No translation generated')
+  })
+})
+
+describe('compareEyePhotos', () => {
+  const originalFetch = globalThis.fetch
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch
+  })
+
+  it('posts both photos to the analysis endpoint and returns the comparison', async () => {
+    const comparison = { changes: { redness: 'worsened' }, narrative: { en: 'Redder than before.' } }
+    mockFetch(new Response(JSON.stringify({ comparison })))
+
+    await expect(compareEyePhotos('data:image/jpeg;base64,OLD', 'data:image/jpeg;base64,NEW', 'en')).resolves.toEqual(comparison)
+
+    const [url, init] = globalThis.fetch.mock.calls[0]
+    expect(url).toBe('/api/analyze')
+    expect(JSON.parse(init.body)).toMatchObject({ previousImageBase64: 'data:image/jpeg;base64,OLD', imageBase64: 'data:image/jpeg;base64,NEW', language: 'en' })
+  })
+})
+
+describe('rate limits', () => {
+  const originalFetch = globalThis.fetch
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch
+  })
+
+  it('sends the same session id with every request', async () => {
+    globalThis.fetch = vi.fn(async () => new Response(JSON.stringify({ text: 'Hallo' })))
+
+    await translateText('Hello', 'en', 'de')
+    await translateText('Bye', 'en', 'de')
+
+    const [first, second] = globalThis.fetch.mock.calls.map(([, init]) => init.headers['X-Session-Id'])
+    expect(first).toMatch(/^[\w-]{8,64}$/)
+    expect(second).toBe(first)
+  })
+
+  it('keeps the status and code of rejected requests', async () => {
+    mockFetch(new Response(
+      JSON.stringify({ error: 'Too many requests. Please wait a moment and try again.', code: 'rate_limited', retryAfter: 30 }),
+      { status: 429 }
+    ))
+
+    await expect(streamChatMessage(MESSAGES, null, 'en')).rejects.toMatchObject({ status: 429, code: 'rate_limited', retryAfter: 30 })
+  })
+
+  it('describes rejections with localized messages', () => {
+    const t = vi.fn((key, options) => `${key}${options ? ` ${options.count}` : ''}`)
+
+    expect(describeRejection({ status: 429, code: 'rate_limited', retryAfter: 30 }, t)).toBe('common:errors.rateLimited 1')
+    expect(describeRejection({ status: 429, code: 'rate_limited', retryAfter: 150 }, t)).toBe('common:errors.rateLimited 3')
+    expect(describeRejection({ status: 429, code: 'quota_exceeded' }, t)).toBe('common:errors.quotaExceeded')
+    expect(describeRejection(new Error('Network error'), t)).toBeNull()
+  })
+})
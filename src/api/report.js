@@ -0,0 +1,47 @@
+import { apiHeaders } from './openai'
+
+const TESTS_WITH_TRIALS = ['visualAcuity', 'contrastSensitivity']
+
+// The report doesn't use the per-trial logs, and they make up most of the
+// request size
+function withoutTrials(session) {
+  const copy = { ...session }
+  TESTS_WITH_TRIALS.forEach(test => {
+    if (!copy[test]) return
+    copy[test] = Object.fromEntries(Object.entries(copy[test]).map(([eye, data]) => {
+      if (!data) return [eye, data]
+      const { history: _trials, ...rest } = data
+      return [eye, rest]
+    }))
+  })
+  return copy
+}
+
+/**
+ * Render the PDF report on the API server
+ * @param {Object} data
+ * @param {Object} data.results - Current results from TestResultsContext
+ * @param {Array} data.history - Saved sessions, used for the trend charts
+ * @param {string} data.language - UI language code (e.g., 'en', 'de')
+ * @param {Object} [data.profile] - Active profile (name, birth year, glasses)
+ * @returns {Promise<Blob>} - The PDF file
+ */
+export async function fetchReportPdf({ results, history, language, profile }) {
+  const response = await fetch('/api/report', {
+    method: 'POST',
+    headers: apiHeaders(),
+    body: JSON.stringify({
+      results: withoutTrials(results),
+      history: history.map(withoutTrials),
+      language,
+      profile: profile && { name: profile.name, birthYear: profile.birthYear, wearsGlasses: profile.wearsGlasses },
+    }),
+  })
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.error || `API error: ${response.status}`)
+  }
+
+  return response.blob()
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { fetchReportPdf } from './report'
+
+describe('fetchReportPdf', () => {
+  const originalFetch = globalThis.fetch
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch
+  })
+
+  it('posts the results without trial logs, with the session id', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(new Response('%PDF-', { headers: { 'Content-Type': 'application/pdf' } }))
+    const trials = [{ response: 'up', correct: true }]
+    const results = { visualAcuity: { left: { snellen: '20/20', history: trials }, right: null } }
+
+    const blob = await fetchReportPdf({ results, history: [results], language: 'de', profile: { name: 'Anna', birthYear: 1980, wearsGlasses: true, language: 'de' } })
+
+    expect(blob.size).toBe(5)
+    const [url, init] = globalThis.fetch.mock.calls[0]
+    expect(url).toBe('/api/report')
+    expect(init.headers['X-Session-Id']).toMatch(/^[\w-]{8,64}$/)
+    const body = JSON.parse(init.body)
+    expect(body.results.visualAcuity.left).toEqual({ snellen: '20/20' })
+    expect(body.history[0].visualAcuity.left).toEqual({ snellen: '20/20' })
+    expect(body.profile).toEqual({ name: 'Anna', birthYear: 1980, wearsGlasses: true })
+  })
+
+  it('surfaces server errors', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(new Response(JSON.stringify({ error: 'Too many requests' }), { status: 429 }))
+
+    await expect(fetchReportPdf({ results: {}, history: [], language: 'en' })).rejects.toThrow('Too many requests')
+  })
+})
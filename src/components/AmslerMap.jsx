@@ -0,0 +1,52 @@
+import { useTranslation } from 'react-i18next'
+import { AMSLER_GRID_SIZE, DISTORTION_TYPES, DISTORTION_COLORS, parseAmslerRegions } from '../utils/amsler'
+
+const CELL = 200 / AMSLER_GRID_SIZE
+
+/**
+ * Amsler grid with the areas the user marked, colored by distortion type.
+ * @param {{regions: import('../utils/amsler').AmslerRegion[]|undefined, label: string, className?: string}} props
+ */
+export default function AmslerMap({ regions, label, className = 'w-32 h-32' }) {
+  return (
+    <svg viewBox="0 0 200 200" role="img" aria-label={label} className={`${className} rounded border border-slate-200 dark:border-slate-700 bg-white`}>
+      {parseAmslerRegions(regions).flatMap(({ type, cells }) => cells.map(([col, row]) => (
+        <rect
+          key={`${col},${row}`}
+          x={col * CELL}
+          y={row * CELL}
+          width={CELL}
+          height={CELL}
+          fill={DISTORTION_COLORS[type]}
+          fillOpacity={0.7}
+        />
+      )))}
+      <g stroke="#94a3b8" strokeWidth="0.5">
+        {Array.from({ length: AMSLER_GRID_SIZE + 1 }).map((_, i) => (
+          <g key={i}>
+            <line x1={i * CELL} y1={0} x2={i * CELL} y2={200} />
+            <line x1={0} y1={i * CELL} x2={200} y2={i * CELL} />
+          </g>
+        ))}
+      </g>
+      <circle cx={100} cy={100} r={3} fill="#ef4444" />
+    </svg>
+  )
+}
+
+/**
+ * Key to the colors of the distortion types, limited to `types` when given.
+ */
+export function AmslerLegend({ types = DISTORTION_TYPES }) {
+  const { t } = useTranslation('results')
+  return (
+    <ul className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-600 dark:text-slate-300">
+      {types.map(type => (
+        <li key={type} className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: DISTORTION_COLORS[type] }} />
+          {t(`amslerGrid.types.${type}`)}
+        </li>
+      ))}
+    </ul>
+  )
+}
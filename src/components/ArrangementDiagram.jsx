@@ -0,0 +1,55 @@
+import { CAP_COLORS, CONFUSION_ANGLES, PILOT_CAP, confusionAxisLine, diagramPositions, parseArrangement } from '../utils/colorArrangement'
+
+const SIZE = 200
+
+/**
+ * Color arrangement diagram: the caps around the hue circle, numbered, with
+ * the user's order drawn as a path and the confusion axes dashed.
+ * @param {{arrangement: unknown, label: string, className?: string}} props
+ */
+export default function ArrangementDiagram({ arrangement, label, className = 'w-48 h-48' }) {
+  const positions = diagramPositions(SIZE)
+  const order = parseArrangement(arrangement)
+
+  return (
+    <svg viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label={label} className={`${className} rounded border border-slate-200 dark:border-slate-700 bg-white`}>
+      {Object.entries(CONFUSION_ANGLES).map(([type, angle]) => {
+        const { x1, y1, x2, y2 } = confusionAxisLine(angle, SIZE)
+        return (
+          <g key={type}>
+            <line x1={x1} y1={y1} x2={x2} y2={y2} stroke="#cbd5e1" strokeDasharray="4 4" />
+            <text x={x2} y={y2} fontSize="9" fill="#94a3b8">{type[0].toUpperCase()}</text>
+          </g>
+        )
+      })}
+      {order && (
+        <polyline
+          points={[PILOT_CAP, ...order].map(cap => `${positions[cap].x},${positions[cap].y}`).join(' ')}
+          fill="none"
+          stroke="#1e293b"
+          strokeWidth="1.5"
+          strokeLinejoin="round"
+        />
+      )}
+      {positions.map(({ x, y }, cap) => {
+        // Numbers sit just outside the circle, away from the middle
+        const distance = Math.hypot(x - SIZE / 2, y - SIZE / 2)
+        return (
+          <g key={cap}>
+            <circle cx={x} cy={y} r={5} fill={CAP_COLORS[cap]} stroke="#ffffff" />
+            <text
+              x={x + (x - SIZE / 2) / distance * 12}
+              y={y + (y - SIZE / 2) / distance * 12}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fontSize="8"
+              fill="#64748b"
+            >
+              {cap === PILOT_CAP ? 'P' : cap}
+            </text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
@@ -0,0 +1,42 @@
+import { Link, useLocation } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { useCalibration } from '../context/CalibrationContext'
+
+/**
+ * CalibrationNotice - Shows calibration status on test instruction screens
+ *
+ * Prompts the user to calibrate when no profile exists, otherwise shows the
+ * calibrated viewing distance with a link to recalibrate. Links back to the
+ * current test after calibration.
+ */
+export default function CalibrationNotice() {
+  const { t } = useTranslation('tests')
+  const location = useLocation()
+  const { isCalibrated, viewingDistanceCm } = useCalibration()
+
+  const calibrateLink = `/calibration?returnTo=${encodeURIComponent(location.pathname)}`
+
+  if (isCalibrated) {
+    return (
+      <div className="flex items-center justify-between bg-sky-50 dark:bg-sky-950/50 border border-sky-200 dark:border-sky-800 rounded-xl p-3 mb-6 text-sm">
+        <span className="text-sky-800 dark:text-sky-200">
+          📏 {t('calibration.status.calibrated', { distance: viewingDistanceCm })}
+        </span>
+        <Link to={calibrateLink} className="text-sky-600 dark:text-sky-400 font-medium hover:underline">
+          {t('calibration.status.recalibrate')}
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-center justify-between gap-3 bg-amber-50 dark:bg-amber-950/50 border border-amber-200 dark:border-amber-800 rounded-xl p-3 mb-6 text-sm">
+      <span className="text-amber-800 dark:text-amber-200">
+        📏 {t('calibration.status.notCalibrated')}
+      </span>
+      <Link to={calibrateLink} className="shrink-0 text-amber-700 dark:text-amber-300 font-medium hover:underline">
+        {t('calibration.status.calibrateNow')}
+      </Link>
+    </div>
+  )
+}
@@ -19,6 +19,7 @@ function ApiUnavailableNotice() {
 }
 
 function ChatMessage({ message }) {
+  const { t } = useTranslation('common')
   const isUser = message.role === 'user'
   
   return (
@@ -37,6 +38,9 @@ function ChatMessage({ message }) {
         ) : (
           <div className="text-slate-800 dark:text-slate-200 [&>p]:mb-1.5 [&>p:last-child]:mb-0 [&>ul]:list-disc [&>ul]:pl-4 [&>ul]:my-1 [&>ol]:list-decimal [&>ol]:pl-4 [&>ol]:my-1 [&>h3]:font-semibold [&>h3]:mt-2 [&>h3]:mb-1">
             <ReactMarkdown>{message.content}</ReactMarkdown>
+            {message.stopped && (
+              <p className="mt-1 text-xs italic text-slate-500 dark:text-slate-400">{t('chat.stopped')}</p>
+            )}
           </div>
         )}
       </div>
@@ -53,6 +57,12 @@ function MessageList() {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }, [messages])
 
+  // The reply being streamed starts out empty; show the typing dots until
+  // its first token arrives
+  const lastMessage = messages[messages.length - 1]
+  const isWaiting = isLoading && lastMessage?.role === 'assistant' && !lastMessage.content
+  const visibleMessages = isWaiting ? messages.slice(0, -1) : messages
+
   if (messages.length === 0 && !isLoading) {
     return (
       <div className="flex-1 flex items-center justify-center p-6 text-center">
@@ -69,10 +79,10 @@ function MessageList() {
 
   return (
     <div className="flex-1 overflow-y-auto p-4 space-y-3">
-      {messages.map((message, index) => (
+      {visibleMessages.map((message, index) => (
         <ChatMessage key={index} message={message} />
       ))}
-      {isLoading && (
+      {isWaiting && (
         <div className="flex justify-start">
           <div className="bg-slate-100 dark:bg-slate-700 px-4 py-2 rounded-2xl rounded-bl-md">
             <div className="flex gap-1">
@@ -88,9 +98,12 @@ function MessageList() {
   )
 }
 
+// Longest message the API accepts
+const MAX_MESSAGE_LENGTH = 4000
+
 function ChatInput() {
   const { t } = useTranslation('common')
-  const { sendMessage, isLoading, apiAvailable } = useChat()
+  const { sendMessage, cancelResponse, isLoading, apiAvailable } = useChat()
   const [input, setInput] = useState('')
   const inputRef = useRef(null)
 
@@ -118,21 +131,36 @@ function ChatInput() {
           value={input}
           onChange={(e) => setInput(e.target.value)}
           onKeyDown={handleKeyDown}
+          maxLength={MAX_MESSAGE_LENGTH}
           placeholder={isDisabled ? t('chat.placeholderNoKey') : t('chat.placeholder')}
           disabled={isDisabled || isLoading}
           rows={1}
           className="flex-1 px-4 py-2 border border-slate-200 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 rounded-xl text-sm resize-none focus:outline-none focus:ring-2 focus:ring-sky-500 disabled:bg-slate-50 dark:disabled:bg-slate-800 disabled:cursor-not-allowed"
         />
-        <button
-          type="submit"
-          disabled={!input.trim() || isLoading || isDisabled}
-          className="px-4 py-2 bg-sky-500 text-white rounded-xl hover:bg-sky-600 disabled:bg-slate-300 dark:disabled:bg-slate-600 disabled:cursor-not-allowed transition-colors"
-          aria-label={t('chat.sendMessage')}
-        >
-          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
-          </svg>
-        </button>
+        {isLoading ? (
+          <button
+            type="button"
+            onClick={cancelResponse}
+            className="px-4 py-2 bg-slate-600 dark:bg-slate-500 text-white rounded-xl hover:bg-slate-700 dark:hover:bg-slate-400 transition-colors"
+            aria-label={t('chat.stopResponse')}
+            title={t('chat.stopResponse')}
+          >
+            <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+              <rect x="6" y="6" width="12" height="12" rx="2" />
+            </svg>
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={!input.trim() || isDisabled}
+            className="px-4 py-2 bg-sky-500 text-white rounded-xl hover:bg-sky-600 disabled:bg-slate-300 dark:disabled:bg-slate-600 disabled:cursor-not-allowed transition-colors"
+            aria-label={t('chat.sendMessage')}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+            </svg>
+          </button>
+        )}
       </div>
     </form>
   )
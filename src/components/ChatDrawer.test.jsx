@@ -9,12 +9,13 @@ import { ConsentProvider } from '../context/ConsentContext'
 import i18n from '../i18n'
 
 // Mock the API functions
-vi.mock('../api/openai', () => ({
-  sendChatMessage: vi.fn(),
+vi.mock('../api/openai', async (importOriginal) => ({
+  ...await importOriginal(),
+  streamChatMessage: vi.fn(),
   checkApiHealth: vi.fn().mockResolvedValue({ status: 'ok', apiKeyConfigured: true })
 }))
 
-import { sendChatMessage, checkApiHealth } from '../api/openai'
+import { streamChatMessage, checkApiHealth } from '../api/openai'
 
 // Mock scrollIntoView
 Element.prototype.scrollIntoView = vi.fn()
@@ -131,7 +132,7 @@ describe('ChatDrawer', () => {
 
   it('should clear messages when clear button is clicked', async () => {
     const user = userEvent.setup()
-    sendChatMessage.mockResolvedValueOnce('Hello!')
+    streamChatMessage.mockResolvedValueOnce('Hello!')
     
     renderWithProviders(<ChatDrawerController />)
 
@@ -158,4 +159,59 @@ describe('ChatDrawer', () => {
     // Should show welcome message again
     expect(screen.getByText('VisionCheck AI Assistant')).toBeInTheDocument()
   })
+
+  it('should replace the send button with a stop button while responding', async () => {
+    const user = userEvent.setup()
+    streamChatMessage.mockImplementationOnce((messages, results, language, { onToken, signal }) => {
+      onToken('Partial answer')
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+      })
+    })
+
+    renderWithProviders(<ChatDrawerController />)
+
+    await user.click(screen.getByText('Open Drawer'))
+    await waitFor(() => {
+      expect(checkApiHealth).toHaveBeenCalled()
+    })
+
+    await user.type(screen.getByPlaceholderText(/Ask about your eye health/i), 'Test message')
+    await user.click(screen.getByLabelText('Send message'))
+
+    await waitFor(() => {
+      expect(screen.getByText('Partial answer')).toBeInTheDocument()
+    })
+    expect(screen.queryByLabelText('Send message')).not.toBeInTheDocument()
+
+    await user.click(screen.getByLabelText('Stop response'))
+
+    await waitFor(() => {
+      expect(screen.getByText('Response stopped')).toBeInTheDocument()
+    })
+    expect(screen.getByText('Partial answer')).toBeInTheDocument()
+    expect(screen.getByLabelText('Send message')).toBeInTheDocument()
+  })
+
+  it('should explain rate limits in the current language', async () => {
+    const user = userEvent.setup()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    streamChatMessage.mockRejectedValueOnce(Object.assign(
+      new Error('Too many requests. Please wait a moment and try again.'),
+      { status: 429, code: 'rate_limited', retryAfter: 90 }
+    ))
+    i18n.changeLanguage('de')
+
+    renderWithProviders(<ChatDrawerController />)
+
+    await user.click(screen.getByText('Open Drawer'))
+    await waitFor(() => {
+      expect(checkApiHealth).toHaveBeenCalled()
+    })
+
+    await user.type(screen.getByRole('textbox'), 'Hallo')
+    await user.keyboard('{Enter}')
+
+    expect(await screen.findByText('Zu viele Anfragen. Bitte warten Sie 2 Minuten und versuchen Sie es dann erneut.')).toBeInTheDocument()
+  })
 })
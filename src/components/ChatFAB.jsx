@@ -5,10 +5,12 @@ import { useChat } from '../context/ChatContext'
 const HIDDEN_ROUTES = [
   '/visual-acuity',
   '/color-vision',
+  '/color-arrangement',
   '/contrast-sensitivity',
   '/amsler-grid',
   '/astigmatism',
   '/peripheral-vision',
+  '/hyperacuity',
   '/eye-photo'
 ]
 
@@ -7,9 +7,9 @@ import { ChatProvider, useChat } from '../context/ChatContext'
 import { TestResultsProvider } from '../context/TestResultsContext'
 import { ConsentProvider } from '../context/ConsentContext'
 
-// Mock the sendChatMessage API
+// Mock the streamChatMessage API
 vi.mock('../api/openai', () => ({
-  sendChatMessage: vi.fn(),
+  streamChatMessage: vi.fn(),
   checkApiHealth: vi.fn().mockResolvedValue({ status: 'ok', apiKeyConfigured: true })
 }))
 
@@ -0,0 +1,185 @@
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useConsent } from '../context/ConsentContext'
+import { useProfiles } from '../context/ProfileContext'
+import { getItem, setItem, removeItem, getHistoryLimit } from '../storage/storage'
+import { IMPORTABLE_KEYS, parseBackup, previewImport, applyImport } from '../storage/backup'
+
+/**
+ * Read a file as text
+ */
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsText(file)
+  })
+}
+
+/**
+ * Current values of the keys an import can change
+ */
+function getCurrentData() {
+  return Object.fromEntries(IMPORTABLE_KEYS.map(key => [key, getItem(key) ?? undefined]))
+}
+
+/**
+ * Data settings section for loading a previous JSON export: validates the
+ * file, previews what would change and merges it into or replaces the
+ * current results and history.
+ */
+export default function DataImport() {
+  const { t } = useTranslation('legal')
+  const { consentGiven } = useConsent()
+  const { refresh: refreshProfiles } = useProfiles()
+  const [pending, setPending] = useState(null)
+  const [mode, setMode] = useState('merge')
+  const [error, setError] = useState(null)
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setPending(null)
+    setError(null)
+    try {
+      const parsed = parseBackup(await readFileText(file))
+      if (parsed.error) {
+        setError(t(`dataSettings.sections.importData.errors.${parsed.error}`))
+        return
+      }
+      setPending({ ...parsed, preview: previewImport(getCurrentData(), parsed.data) })
+      setMode('merge')
+    } catch (err) {
+      console.error('Failed to read import file:', err)
+      setError(t('dataSettings.sections.importData.errors.invalidJson'))
+    }
+  }
+
+  const handleImport = () => {
+    const updates = applyImport(getCurrentData(), pending.data, mode, { historyLimit: getHistoryLimit() })
+    try {
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value === null) {
+          removeItem(key)
+        } else {
+          setItem(key, value)
+        }
+      })
+    } catch (err) {
+      console.error('Failed to import data:', err)
+      setError(t('dataSettings.sections.importData.failed'))
+      return
+    }
+    setPending(null)
+    alert(t('dataSettings.sections.importData.success'))
+    // Reload every context from the imported data
+    refreshProfiles()
+  }
+
+  const preview = pending?.preview
+
+  return (
+    <section className="mb-6 p-4 bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700">
+      <h2 className="text-lg font-semibold text-slate-800 dark:text-slate-100 mb-2">
+        {t('dataSettings.sections.importData.title')}
+      </h2>
+      <p className="text-slate-500 dark:text-slate-400 text-sm mb-4">
+        {t('dataSettings.sections.importData.description')}
+      </p>
+
+      {!consentGiven ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400 italic">
+          {t('dataSettings.sections.importData.requiresConsent')}
+        </p>
+      ) : (
+        <>
+          <label
+            htmlFor="import-file"
+            className="block w-full py-3 text-center bg-white dark:bg-slate-700 text-sky-600 dark:text-sky-300 border border-sky-300 dark:border-sky-700 font-semibold rounded-xl hover:bg-sky-50 dark:hover:bg-slate-600 transition-colors cursor-pointer"
+          >
+            {t('dataSettings.sections.importData.chooseFile')}
+          </label>
+          <input
+            id="import-file"
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            className="sr-only"
+          />
+
+          {error && (
+            <p role="alert" className="text-sm text-red-600 dark:text-red-400 mt-3">{error}</p>
+          )}
+
+          {preview && (
+            <div className="mt-4 space-y-3" aria-live="polite">
+              <h3 className="font-medium text-slate-800 dark:text-slate-100">
+                {t('dataSettings.sections.importData.previewTitle')}
+              </h3>
+              <ul className="text-sm text-slate-600 dark:text-slate-300 space-y-1 list-disc pl-5">
+                <li>{t('dataSettings.sections.importData.preview.sessions', { count: preview.history.imported })}</li>
+                <li>
+                  {mode === 'merge'
+                    ? t('dataSettings.sections.importData.preview.merge', { count: preview.history.added })
+                    : t('dataSettings.sections.importData.preview.replace', { count: preview.history.removed })}
+                </li>
+                {preview.results.imported && (
+                  <li>
+                    {mode === 'merge' && preview.results.current
+                      ? t('dataSettings.sections.importData.preview.resultsKept')
+                      : t('dataSettings.sections.importData.preview.resultsImported')}
+                  </li>
+                )}
+                {preview.achievements.added.length > 0 && (
+                  <li>{t('dataSettings.sections.importData.preview.achievements', { count: preview.achievements.added.length })}</li>
+                )}
+                {pending.ignoredKeys.length > 0 && (
+                  <li>{t('dataSettings.sections.importData.preview.ignored', { count: pending.ignoredKeys.length })}</li>
+                )}
+              </ul>
+
+              <fieldset className="space-y-2">
+                <legend className="sr-only">{t('dataSettings.sections.importData.modeLabel')}</legend>
+                {['merge', 'replace'].map(option => (
+                  <label key={option} className="flex items-start gap-2 text-sm text-slate-700 dark:text-slate-200">
+                    <input
+                      type="radio"
+                      name="import-mode"
+                      value={option}
+                      checked={mode === option}
+                      onChange={() => setMode(option)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="font-medium">{t(`dataSettings.sections.importData.modes.${option}`)}</span>
+                      <span className="block text-slate-500 dark:text-slate-400">
+                        {t(`dataSettings.sections.importData.modes.${option}Description`)}
+                      </span>
+                    </span>
+                  </label>
+                ))}
+              </fieldset>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={handleImport}
+                  className="flex-1 py-3 bg-sky-500 text-white font-semibold rounded-xl hover:bg-sky-600 transition-colors"
+                >
+                  {t('dataSettings.sections.importData.confirm')}
+                </button>
+                <button
+                  onClick={() => setPending(null)}
+                  className="flex-1 py-3 text-slate-600 dark:text-slate-300 font-medium"
+                >
+                  {t('dataSettings.sections.importData.cancel')}
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
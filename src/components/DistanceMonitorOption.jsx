@@ -0,0 +1,60 @@
+import { useTranslation } from 'react-i18next'
+
+/**
+ * DistanceMonitorOption - Opt-in switch for the camera distance check
+ *
+ * Shown on test instruction screens. Explains that video stays on the
+ * device and reports when the browser or camera cannot be used.
+ *
+ * @param {Object} props
+ * @param {boolean} props.enabled - Whether the distance check is switched on
+ * @param {Function} props.onChange - Called with the new enabled value
+ * @param {boolean} props.isSupported - Whether the browser gives access to the camera
+ * @param {string} props.status - Monitor status from useDistanceMonitor
+ * @param {number} props.targetDistanceCm - Required viewing distance
+ */
+export default function DistanceMonitorOption({ enabled, onChange, isSupported, status, targetDistanceCm }) {
+  const { t } = useTranslation('tests')
+
+  if (!isSupported) {
+    return (
+      <p className="text-xs text-slate-500 dark:text-slate-400 mb-6">
+        📷 {t('distanceMonitor.unsupported')}
+      </p>
+    )
+  }
+
+  return (
+    <div className="bg-slate-50 dark:bg-slate-800 rounded-xl p-4 mb-6">
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onChange(e.target.checked)}
+          className="mt-1 w-4 h-4 accent-sky-500"
+        />
+        <span>
+          <span className="block font-medium text-slate-800 dark:text-slate-100">
+            📷 {t('distanceMonitor.optionTitle')}
+          </span>
+          <span className="block text-sm text-slate-600 dark:text-slate-300 mt-1">
+            {t('distanceMonitor.optionDescription', { distance: targetDistanceCm })}
+          </span>
+          <span className="block text-xs text-slate-500 dark:text-slate-400 mt-1">
+            🔒 {t('distanceMonitor.privacy')}
+          </span>
+        </span>
+      </label>
+      {enabled && status === 'denied' && (
+        <p className="text-sm text-amber-700 dark:text-amber-300 mt-3" role="alert">
+          {t('distanceMonitor.denied')}
+        </p>
+      )}
+      {enabled && status === 'failed' && (
+        <p className="text-sm text-amber-700 dark:text-amber-300 mt-3" role="alert">
+          {t('distanceMonitor.failed')}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,29 @@
+import { useTranslation } from 'react-i18next'
+
+/**
+ * DistancePrompt - Shown in place of the stimulus while the test is paused
+ * because the user is outside the required viewing distance band.
+ *
+ * @param {Object} props
+ * @param {'too-close'|'too-far'} props.distanceStatus - Which side of the band the user is on
+ * @param {number} props.distanceCm - Current estimated distance
+ * @param {number} props.targetDistanceCm - Required viewing distance
+ */
+export default function DistancePrompt({ distanceStatus, distanceCm, targetDistanceCm }) {
+  const { t } = useTranslation('tests')
+
+  return (
+    <div role="alert" className="text-center px-6 max-w-sm">
+      <div className="text-5xl mb-3">{distanceStatus === 'too-close' ? '↔️' : '🔍'}</div>
+      <p className="text-xs font-medium uppercase tracking-wide text-amber-600 dark:text-amber-400 mb-1">
+        {t('distanceMonitor.paused')}
+      </p>
+      <h2 className="text-2xl font-bold text-slate-800 dark:text-slate-100 mb-2">
+        {distanceStatus === 'too-close' ? t('distanceMonitor.tooClose') : t('distanceMonitor.tooFar')}
+      </h2>
+      <p className="text-slate-600 dark:text-slate-300">
+        {t('distanceMonitor.promptBody', { target: targetDistanceCm, distance: distanceCm })}
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,96 @@
+import ReactMarkdown from 'react-markdown'
+import { useTranslation } from 'react-i18next'
+import { EYE_FINDINGS, isStructuredAnalysis } from '../utils/eyeAnalysis'
+import { useAnalysisNarrative } from '../hooks/useAnalysisNarrative'
+
+const TIER_STYLES = {
+  routine: 'bg-emerald-50 dark:bg-emerald-900/30 border-emerald-200 dark:border-emerald-800 text-emerald-800 dark:text-emerald-200',
+  schedule_exam: 'bg-amber-50 dark:bg-amber-900/30 border-amber-200 dark:border-amber-800 text-amber-800 dark:text-amber-200',
+  see_soon: 'bg-red-50 dark:bg-red-900/30 border-red-200 dark:border-red-800 text-red-800 dark:text-red-200',
+}
+
+const TIER_ICONS = {
+  routine: '✅',
+  schedule_exam: '📅',
+  see_soon: '⚠️',
+}
+
+const SEVERITY_STYLES = {
+  none: 'text-emerald-700 dark:text-emerald-300 bg-emerald-100 dark:bg-emerald-900/50',
+  mild: 'text-yellow-700 dark:text-yellow-300 bg-yellow-100 dark:bg-yellow-900/50',
+  moderate: 'text-amber-700 dark:text-amber-300 bg-amber-100 dark:bg-amber-900/50',
+  severe: 'text-red-700 dark:text-red-300 bg-red-100 dark:bg-red-900/50',
+  not_assessed: 'text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-slate-700',
+}
+
+const MARKDOWN_CLASSES = 'text-slate-700 dark:text-slate-200 text-sm leading-relaxed space-y-3 [&>h2]:text-base [&>h2]:font-semibold [&>h2]:mt-4 [&>h2]:mb-2 [&>h3]:text-sm [&>h3]:font-semibold [&>h3]:mt-3 [&>h3]:mb-1 [&>p]:mb-2 [&>ul]:list-disc [&>ul]:pl-4 [&>ul]:space-y-1 [&>ol]:list-decimal [&>ol]:pl-4 [&>ol]:space-y-1 [&>hr]:my-3 [&>hr]:border-slate-200 dark:[&>hr]:border-slate-700'
+
+/**
+ * Eye photo analysis: the recommendation, image quality, a severity for each
+ * finding and the narrative in the current language. Results saved before
+ * the structured format only have markdown, which is shown as is.
+ *
+ * A narrative missing in the current language is translated on demand and
+ * handed to `onTranslated` for caching.
+ * @param {{
+ *   analysis: import('../utils/eyeAnalysis').EyeAnalysis|Record<string, string>|string,
+ *   onTranslated?: (language: string, text: string, sourceText: string) => void
+ * }} props
+ */
+export default function EyeAnalysisDetails({ analysis, onTranslated }) {
+  const { t, i18n } = useTranslation('results')
+  const { narrative, status } = useAnalysisNarrative(analysis, i18n.resolvedLanguage || i18n.language, onTranslated)
+
+  if (!isStructuredAnalysis(analysis)) {
+    return (
+      <div className={MARKDOWN_CLASSES}>
+        <ReactMarkdown>{narrative}</ReactMarkdown>
+      </div>
+    )
+  }
+
+  const { recommendation, imageQuality, findings } = analysis
+
+  return (
+    <div className="space-y-4">
+      <p className={`rounded-xl border p-3 text-sm font-medium ${TIER_STYLES[recommendation]}`}>
+        <span aria-hidden="true">{TIER_ICONS[recommendation]}</span> {t(`eyeAnalysis.recommendation.${recommendation}`)}
+      </p>
+
+      {imageQuality === 'poor' && (
+        <p className="text-sm text-amber-700 dark:text-amber-300">{t('eyeAnalysis.poorQuality')}</p>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-semibold text-slate-800 dark:text-slate-100">{t('eyeAnalysis.findingsTitle')}</h3>
+          <span className="text-xs text-slate-500 dark:text-slate-400">
+            {t('eyeAnalysis.imageQuality.label')}: {t(`eyeAnalysis.imageQuality.${imageQuality}`)}
+          </span>
+        </div>
+        <dl className="divide-y divide-slate-200 dark:divide-slate-700">
+          {EYE_FINDINGS.map(finding => (
+            <div key={finding} className="flex items-center justify-between py-2">
+              <dt className="text-sm text-slate-600 dark:text-slate-300">{t(`eyeAnalysis.findings.${finding}`)}</dt>
+              <dd className={`text-xs font-medium px-2 py-0.5 rounded-full ${SEVERITY_STYLES[findings[finding]]}`}>
+                {t(`eyeAnalysis.severity.${findings[finding]}`)}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+
+      {status !== 'ready' && (
+        <p className="text-xs text-slate-500 dark:text-slate-400" role="status">
+          {t(status === 'translating' ? 'eyeAnalysis.translating' : 'eyeAnalysis.translationFailed')}
+        </p>
+      )}
+
+      {narrative && (
+        <div className={MARKDOWN_CLASSES}>
+          <ReactMarkdown>{narrative}</ReactMarkdown>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,7 +1,7 @@
 import { useNavigate } from 'react-router-dom'
 import { useTranslation } from 'react-i18next'
 
-export default function EyeSelector({ onSelect, completedEyes = {}, testName = 'Test' }) {
+export default function EyeSelector({ onSelect, completedEyes = {}, testName = 'Test', prompt, tip }) {
   const { t } = useTranslation()
   const navigate = useNavigate()
   
@@ -14,7 +14,7 @@ export default function EyeSelector({ onSelect, completedEyes = {}, testName = '
   return (
     <div className="p-6 max-w-md mx-auto">
       <h2 className="text-xl font-bold text-slate-800 dark:text-slate-100 text-center mb-6">
-        {t('eye.selectPrompt')}
+        {prompt ?? t('eye.selectPrompt')}
       </h2>
       
       <div className="flex gap-4 mb-6">
@@ -62,7 +62,7 @@ export default function EyeSelector({ onSelect, completedEyes = {}, testName = '
       {/* Cover instruction */}
       <div className="bg-amber-50 dark:bg-amber-950/50 border border-amber-200 dark:border-amber-800 rounded-xl p-4 mb-6">
         <p className="text-sm text-amber-800 dark:text-amber-200 text-center">
-          <strong>Tip:</strong> {t('eye.coverTip')}
+          <strong>Tip:</strong> {tip ?? t('eye.coverTip')}
         </p>
       </div>
 
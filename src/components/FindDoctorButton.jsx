@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react'
 import { useTranslation } from 'react-i18next'
+import { getItem, setItem, removeItem } from '../storage/storage'
 
 const CONSENT_STORAGE_KEY = 'visioncheck-location-consent'
 
@@ -21,7 +22,7 @@ export default function FindDoctorButton() {
   // Check if user has previously given consent
   const hasConsent = useCallback(() => {
     try {
-      return localStorage.getItem(CONSENT_STORAGE_KEY) === 'granted'
+      return getItem(CONSENT_STORAGE_KEY) === 'granted'
     } catch {
       return false
     }
@@ -30,7 +31,7 @@ export default function FindDoctorButton() {
   // Save consent preference
   const saveConsent = useCallback((granted) => {
     try {
-      localStorage.setItem(CONSENT_STORAGE_KEY, granted ? 'granted' : 'denied')
+      setItem(CONSENT_STORAGE_KEY, granted ? 'granted' : 'denied')
     } catch (e) {
       console.warn('Failed to save consent preference:', e)
     }
@@ -39,7 +40,7 @@ export default function FindDoctorButton() {
   // Clear consent (used when browser permission is denied after app consent was given)
   const clearConsent = useCallback(() => {
     try {
-      localStorage.removeItem(CONSENT_STORAGE_KEY)
+      removeItem(CONSENT_STORAGE_KEY)
     } catch (e) {
       console.warn('Failed to clear consent preference:', e)
     }
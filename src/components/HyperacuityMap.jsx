@@ -0,0 +1,51 @@
+import { useTranslation } from 'react-i18next'
+import { THRESHOLD_CATEGORIES, THRESHOLD_COLORS, getThresholdCategory, parseHyperacuityMap } from '../utils/hyperacuity'
+
+/**
+ * Hyperacuity threshold map: one square per test position, colored by how
+ * small a bump the user found there, with the fixation dot in the middle.
+ * @param {{map: unknown, label: string, className?: string}} props
+ */
+export default function HyperacuityMap({ map, label, className = 'w-32 h-32' }) {
+  return (
+    <svg viewBox="0 0 120 120" role="img" aria-label={label} className={`${className} rounded border border-slate-200 dark:border-slate-700 bg-white`}>
+      {(parseHyperacuityMap(map) ?? []).map(({ x, y, thresholdArcmin }) => {
+        const left = (x / 4 + 1) * 40
+        const top = (y / 4 + 1) * 40
+        return (
+          <g key={`${x},${y}`}>
+            <rect
+              x={left + 2}
+              y={top + 2}
+              width={36}
+              height={36}
+              rx={4}
+              fill={THRESHOLD_COLORS[getThresholdCategory(thresholdArcmin)]}
+              fillOpacity={0.8}
+            />
+            <text x={left + 20} y={top + 24} textAnchor="middle" fontSize="11" fill="#ffffff">
+              {thresholdArcmin === null ? '–' : `${thresholdArcmin}′`}
+            </text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+/**
+ * Key to the colors of the threshold map.
+ */
+export function HyperacuityLegend() {
+  const { t } = useTranslation('results')
+  return (
+    <ul className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-600 dark:text-slate-300">
+      {THRESHOLD_CATEGORIES.map(category => (
+        <li key={category} className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: THRESHOLD_COLORS[category] }} />
+          {t(`hyperacuity.categories.${category}`)}
+        </li>
+      ))}
+    </ul>
+  )
+}
@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import { useTranslation } from 'react-i18next'
 import AudioInstructions from './AudioInstructions'
+import { setItem } from '../storage/storage'
 
 const ONBOARDING_STEPS = [
   {
@@ -133,7 +134,7 @@ export default function Onboarding({ onComplete }) {
 
   const handleNext = () => {
     if (isLast) {
-      localStorage.setItem('visioncheck-onboarded', 'true')
+      setItem('visioncheck-onboarded', true)
       onComplete()
     } else {
       setIsAnimating(true)
@@ -145,7 +146,7 @@ export default function Onboarding({ onComplete }) {
   }
 
   const handleSkip = () => {
-    localStorage.setItem('visioncheck-onboarded', 'true')
+    setItem('visioncheck-onboarded', true)
     onComplete()
   }
 
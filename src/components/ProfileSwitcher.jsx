@@ -0,0 +1,190 @@
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useProfiles } from '../context/ProfileContext'
+import { useLanguage } from '../context/LanguageContext'
+import { DEFAULT_PROFILE_ID } from '../storage/storage'
+
+const LANGUAGE_LABELS = { en: 'English', de: 'Deutsch' }
+
+/**
+ * ProfileSwitcher - Choose who is being tested on a shared device
+ *
+ * Features:
+ * - Select between profiles; each has its own results and consent
+ * - Add a profile or edit the active one (name, birth year, glasses,
+ *   preferred language)
+ * - Remove profiles other than the default one, including their data
+ */
+export default function ProfileSwitcher() {
+  const { t } = useTranslation()
+  const { supportedLanguages } = useLanguage()
+  const { profiles, activeProfile, addProfile, updateProfile, removeProfile, switchProfile } = useProfiles()
+  // null, 'add' or 'edit'
+  const [mode, setMode] = useState(null)
+  const [form, setForm] = useState(null)
+
+  const openForm = (nextMode) => {
+    const source = nextMode === 'edit' ? activeProfile : {}
+    setForm({
+      name: source.name || '',
+      birthYear: source.birthYear ? String(source.birthYear) : '',
+      wearsGlasses: !!source.wearsGlasses,
+      language: source.language || ''
+    })
+    setMode(nextMode)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const year = parseInt(form.birthYear, 10)
+    const details = {
+      name: form.name,
+      birthYear: Number.isInteger(year) ? year : null,
+      wearsGlasses: form.wearsGlasses,
+      language: form.language || null
+    }
+    if (mode === 'add') {
+      addProfile(details)
+    } else {
+      updateProfile(activeProfile.id, details)
+    }
+    setMode(null)
+  }
+
+  const handleRemove = () => {
+    if (confirm(t('profiles.removeConfirm', { name: activeProfile.name || t('profiles.unnamed') }))) {
+      removeProfile(activeProfile.id)
+      setMode(null)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 text-slate-800 dark:text-slate-100'
+  const currentYear = new Date().getFullYear()
+
+  return (
+    <div className="mx-auto max-w-sm mt-4 text-left">
+      <div className="flex items-center gap-2">
+        <label htmlFor="profile-select" className="text-sm text-slate-600 dark:text-slate-400 shrink-0">
+          {t('profiles.label')}
+        </label>
+        <select
+          id="profile-select"
+          value={activeProfile.id}
+          onChange={(e) => {
+            setMode(null)
+            switchProfile(e.target.value)
+          }}
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-800 dark:text-slate-100 text-sm"
+        >
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name || t('profiles.unnamed')}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => openForm('edit')}
+          className="px-3 py-2 text-sm text-sky-600 dark:text-sky-400 hover:underline"
+        >
+          {t('profiles.edit')}
+        </button>
+        <button
+          type="button"
+          onClick={() => openForm('add')}
+          className="px-3 py-2 text-sm text-sky-600 dark:text-sky-400 hover:underline"
+        >
+          {t('profiles.add')}
+        </button>
+      </div>
+
+      {mode && (
+        <form
+          onSubmit={handleSubmit}
+          aria-label={mode === 'add' ? t('profiles.addTitle') : t('profiles.editTitle')}
+          className="mt-3 p-4 space-y-3 bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700"
+        >
+          <h2 className="font-semibold text-slate-800 dark:text-slate-100">
+            {mode === 'add' ? t('profiles.addTitle') : t('profiles.editTitle')}
+          </h2>
+          <div>
+            <label htmlFor="profile-name" className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">
+              {t('profiles.name')}
+            </label>
+            <input
+              id="profile-name"
+              type="text"
+              required={mode === 'add'}
+              maxLength={40}
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="profile-birth-year" className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">
+              {t('profiles.birthYear')}
+            </label>
+            <input
+              id="profile-birth-year"
+              type="number"
+              min={currentYear - 120}
+              max={currentYear}
+              value={form.birthYear}
+              onChange={(e) => setForm({ ...form, birthYear: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-200">
+            <input
+              type="checkbox"
+              checked={form.wearsGlasses}
+              onChange={(e) => setForm({ ...form, wearsGlasses: e.target.checked })}
+            />
+            {t('profiles.wearsGlasses')}
+          </label>
+          <div>
+            <label htmlFor="profile-language" className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">
+              {t('profiles.language')}
+            </label>
+            <select
+              id="profile-language"
+              value={form.language}
+              onChange={(e) => setForm({ ...form, language: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">{t('profiles.languageDefault')}</option>
+              {supportedLanguages.map(code => (
+                <option key={code} value={code}>{LANGUAGE_LABELS[code] || code}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              className="flex-1 py-2 bg-sky-500 text-white font-semibold rounded-xl hover:bg-sky-600 transition-colors"
+            >
+              {t('actions.save')}
+            </button>
+            <button
+              type="button"
+              onClick={() => setMode(null)}
+              className="flex-1 py-2 text-slate-600 dark:text-slate-300 font-medium"
+            >
+              {t('actions.cancel')}
+            </button>
+          </div>
+          {mode === 'edit' && activeProfile.id !== DEFAULT_PROFILE_ID && (
+            <button
+              type="button"
+              onClick={handleRemove}
+              className="w-full py-2 text-sm text-red-500 hover:text-red-600"
+            >
+              {t('profiles.remove')}
+            </button>
+          )}
+        </form>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { I18nextProvider } from 'react-i18next'
+import ProfileSwitcher from './ProfileSwitcher'
+import { LanguageProvider } from '../context/LanguageContext'
+import { ProfileProvider } from '../context/ProfileContext'
+import { getItem, resetStorage, PROFILES_KEY } from '../storage/storage'
+import i18n from '../i18n'
+
+function renderWithProviders(ui) {
+  return render(
+    <I18nextProvider i18n={i18n}>
+      <LanguageProvider>
+        <ProfileProvider>
+          {ui}
+        </ProfileProvider>
+      </LanguageProvider>
+    </I18nextProvider>
+  )
+}
+
+describe('ProfileSwitcher', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    resetStorage()
+    await i18n.changeLanguage('en')
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    resetStorage()
+  })
+
+  it('shows the default profile', () => {
+    renderWithProviders(<ProfileSwitcher />)
+
+    expect(screen.getByLabelText('Profile')).toHaveDisplayValue('Me')
+  })
+
+  it('adds a profile and makes it active', async () => {
+    const user = userEvent.setup()
+    renderWithProviders(<ProfileSwitcher />)
+
+    await user.click(screen.getByRole('button', { name: 'Add' }))
+    await user.type(screen.getByLabelText('Name'), 'Anna')
+    await user.type(screen.getByLabelText('Year of birth (optional)'), '1980')
+    await user.click(screen.getByLabelText('Wears glasses or contact lenses'))
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(screen.getByLabelText('Profile')).toHaveDisplayValue('Anna')
+    expect(screen.queryByRole('form')).not.toBeInTheDocument()
+    expect(getItem(PROFILES_KEY).profiles[1]).toMatchObject({ name: 'Anna', birthYear: 1980, wearsGlasses: true })
+  })
+
+  it('switches between profiles', async () => {
+    const user = userEvent.setup()
+    localStorage.setItem(PROFILES_KEY, JSON.stringify({
+      activeId: 'default',
+      profiles: [{ id: 'default', name: 'Sam' }, { id: 'anna', name: 'Anna' }]
+    }))
+    renderWithProviders(<ProfileSwitcher />)
+
+    await user.selectOptions(screen.getByLabelText('Profile'), 'Anna')
+
+    expect(getItem(PROFILES_KEY).activeId).toBe('anna')
+  })
+
+  it('removes profiles other than the default one', async () => {
+    const user = userEvent.setup()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    localStorage.setItem(PROFILES_KEY, JSON.stringify({
+      activeId: 'anna',
+      profiles: [{ id: 'default', name: 'Sam' }, { id: 'anna', name: 'Anna' }]
+    }))
+    renderWithProviders(<ProfileSwitcher />)
+
+    await user.click(screen.getByRole('button', { name: 'Edit' }))
+    await user.click(screen.getByRole('button', { name: 'Remove this profile and its data' }))
+
+    expect(screen.getByLabelText('Profile')).toHaveDisplayValue('Sam')
+    await user.click(screen.getByRole('button', { name: 'Edit' }))
+    expect(screen.queryByRole('button', { name: 'Remove this profile and its data' })).not.toBeInTheDocument()
+  })
+})
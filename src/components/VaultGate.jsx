@@ -0,0 +1,12 @@
+import { useVault } from '../context/VaultContext'
+import LockScreen from '../pages/LockScreen'
+
+/**
+ * Renders the lock screen while the vault is locked. Children are unmounted
+ * when locking so decrypted data held in their state is released, and
+ * remounted after unlocking so they load it again.
+ */
+export default function VaultGate({ children }) {
+  const { isLocked } = useVault()
+  return isLocked ? <LockScreen /> : children
+}
@@ -0,0 +1,172 @@
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useVault } from '../context/VaultContext'
+import { useConsent } from '../context/ConsentContext'
+
+const MIN_PASSPHRASE_LENGTH = 4
+const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30, 60]
+
+/**
+ * Data settings section for the encrypted vault: turn encryption on or off,
+ * lock now, and choose the auto-lock timeout.
+ */
+export default function VaultSettings() {
+  const { t } = useTranslation('legal')
+  const { consentGiven } = useConsent()
+  const { isEnabled, autoLockMinutes, enable, lock, disable, setAutoLockMinutes } = useVault()
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [error, setError] = useState(null)
+  const [isBusy, setIsBusy] = useState(false)
+
+  const handleEnable = async (e) => {
+    e.preventDefault()
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(t('dataSettings.sections.vault.tooShort', { count: MIN_PASSPHRASE_LENGTH }))
+      return
+    }
+    if (passphrase !== confirmation) {
+      setError(t('dataSettings.sections.vault.mismatch'))
+      return
+    }
+    setIsBusy(true)
+    setError(null)
+    try {
+      await enable(passphrase)
+      setPassphrase('')
+      setConfirmation('')
+    } catch (err) {
+      console.error('Failed to enable vault:', err)
+      setError(t('dataSettings.sections.vault.failed'))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleDisable = async () => {
+    if (!confirm(t('dataSettings.sections.vault.disableConfirm'))) return
+    setIsBusy(true)
+    try {
+      await disable()
+    } catch (err) {
+      console.error('Failed to disable vault:', err)
+      setError(t('dataSettings.sections.vault.failed'))
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 text-slate-800 dark:text-slate-100'
+
+  return (
+    <section className="mb-6 p-4 bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700">
+      <h2 className="text-lg font-semibold text-slate-800 dark:text-slate-100 mb-2">
+        {t('dataSettings.sections.vault.title')}
+      </h2>
+      <p className="text-slate-500 dark:text-slate-400 text-sm mb-2">
+        {t('dataSettings.sections.vault.description')}
+      </p>
+      <p className="text-slate-500 dark:text-slate-400 text-xs mb-4">
+        {t('dataSettings.sections.vault.notEncrypted')}
+      </p>
+
+      {isEnabled ? (
+        <div className="space-y-4">
+          <div className="flex items-center">
+            <span className="w-3 h-3 bg-green-500 rounded-full mr-3"></span>
+            <span className="text-slate-600 dark:text-slate-300">
+              {t('dataSettings.sections.vault.enabled')}
+            </span>
+          </div>
+
+          <div>
+            <label htmlFor="vault-auto-lock" className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">
+              {t('dataSettings.sections.vault.autoLock')}
+            </label>
+            <select
+              id="vault-auto-lock"
+              value={autoLockMinutes}
+              onChange={(e) => setAutoLockMinutes(Number(e.target.value))}
+              className={inputClass}
+            >
+              {AUTO_LOCK_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>
+                  {minutes === 0
+                    ? t('dataSettings.sections.vault.autoLockNever')
+                    : t('dataSettings.sections.vault.autoLockMinutes', { count: minutes })}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {error && (
+            <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={lock}
+              disabled={isBusy}
+              className="flex-1 py-3 bg-sky-500 text-white font-semibold rounded-xl hover:bg-sky-600 transition-colors disabled:opacity-50"
+            >
+              {t('dataSettings.sections.vault.lockNow')}
+            </button>
+            <button
+              onClick={handleDisable}
+              disabled={isBusy}
+              className="flex-1 py-3 text-red-500 hover:text-red-600 font-medium disabled:opacity-50"
+            >
+              {t('dataSettings.sections.vault.disableButton')}
+            </button>
+          </div>
+        </div>
+      ) : !consentGiven ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400 italic">
+          {t('dataSettings.sections.vault.requiresConsent')}
+        </p>
+      ) : (
+        <form onSubmit={handleEnable} className="space-y-3">
+          <div>
+            <label htmlFor="vault-new-passphrase" className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">
+              {t('dataSettings.sections.vault.passphrase')}
+            </label>
+            <input
+              id="vault-new-passphrase"
+              type="password"
+              autoComplete="new-password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="vault-confirm-passphrase" className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">
+              {t('dataSettings.sections.vault.confirmPassphrase')}
+            </label>
+            <input
+              id="vault-confirm-passphrase"
+              type="password"
+              autoComplete="new-password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <p className="text-xs text-amber-600 dark:text-amber-400">
+            {t('dataSettings.sections.vault.warning')}
+          </p>
+          {error && (
+            <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+          <button
+            type="submit"
+            disabled={isBusy || !passphrase}
+            className="w-full py-3 bg-sky-500 text-white font-semibold rounded-xl hover:bg-sky-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isBusy ? t('dataSettings.sections.vault.enabling') : t('dataSettings.sections.vault.enableButton')}
+          </button>
+        </form>
+      )}
+    </section>
+  )
+}
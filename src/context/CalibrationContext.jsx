@@ -0,0 +1,66 @@
+import { createContext, useContext, useState, useCallback } from 'react'
+import {
+  CALIBRATION_STORAGE_KEY,
+  DEFAULT_PX_PER_MM,
+  DEFAULT_VIEWING_DISTANCE_CM,
+  createCalibrationProfile,
+  loadCalibration,
+} from '../utils/calibration'
+import { setItem, removeItem } from '../storage/storage'
+
+const CalibrationContext = createContext(null)
+
+/**
+ * CalibrationProvider - Manages the per-device screen calibration profile
+ *
+ * Features:
+ * - Pixels-per-millimetre measured against a credit card or ruler
+ * - Viewing distance entered by the user
+ * - Persisted through the storage module (device setting, kept independent of results)
+ */
+export function CalibrationProvider({ children }) {
+  const [calibration, setCalibration] = useState(() => loadCalibration())
+
+  const saveCalibration = useCallback((values) => {
+    const profile = createCalibrationProfile(values)
+    setCalibration(profile)
+    try {
+      setItem(CALIBRATION_STORAGE_KEY, profile)
+    } catch (e) {
+      console.warn('Failed to persist calibration:', e)
+    }
+    return profile
+  }, [])
+
+  const clearCalibration = useCallback(() => {
+    setCalibration(null)
+    try {
+      removeItem(CALIBRATION_STORAGE_KEY)
+    } catch (e) {
+      console.warn('Failed to clear calibration:', e)
+    }
+  }, [])
+
+  const value = {
+    calibration,                  // Stored profile or null when uncalibrated
+    isCalibrated: calibration !== null,
+    pxPerMm: calibration?.pxPerMm ?? DEFAULT_PX_PER_MM,
+    viewingDistanceCm: calibration?.viewingDistanceCm ?? DEFAULT_VIEWING_DISTANCE_CM,
+    saveCalibration,
+    clearCalibration,
+  }
+
+  return (
+    <CalibrationContext.Provider value={value}>
+      {children}
+    </CalibrationContext.Provider>
+  )
+}
+
+export function useCalibration() {
+  const context = useContext(CalibrationContext)
+  if (!context) {
+    throw new Error('useCalibration must be used within a CalibrationProvider')
+  }
+  return context
+}
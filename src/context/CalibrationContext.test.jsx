@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { CalibrationProvider, useCalibration } from './CalibrationContext'
+
+// Test component that exposes the context values
+function TestComponent() {
+  const { isCalibrated, pxPerMm, viewingDistanceCm, saveCalibration, clearCalibration } = useCalibration()
+  return (
+    <div>
+      <span data-testid="status">{isCalibrated ? 'calibrated' : 'uncalibrated'}</span>
+      <span data-testid="px-per-mm">{pxPerMm.toFixed(2)}</span>
+      <span data-testid="distance">{viewingDistanceCm}</span>
+      <button onClick={() => saveCalibration({ pxPerMm: 6.5, viewingDistanceCm: 50, method: 'card' })}>Save</button>
+      <button onClick={clearCalibration}>Clear</button>
+    </div>
+  )
+}
+
+describe('CalibrationContext', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('falls back to nominal CSS pixel size and 40cm when uncalibrated', () => {
+    render(
+      <CalibrationProvider>
+        <TestComponent />
+      </CalibrationProvider>
+    )
+
+    expect(screen.getByTestId('status')).toHaveTextContent('uncalibrated')
+    expect(screen.getByTestId('px-per-mm')).toHaveTextContent('3.78')
+    expect(screen.getByTestId('distance')).toHaveTextContent('40')
+  })
+
+  it('saves the profile and persists it to localStorage', async () => {
+    const user = userEvent.setup()
+
+    render(
+      <CalibrationProvider>
+        <TestComponent />
+      </CalibrationProvider>
+    )
+
+    await user.click(screen.getByText('Save'))
+
+    expect(screen.getByTestId('status')).toHaveTextContent('calibrated')
+    expect(screen.getByTestId('distance')).toHaveTextContent('50')
+
+    const stored = JSON.parse(localStorage.getItem('visioncheck-calibration'))
+    expect(stored).toMatchObject({ pxPerMm: 6.5, viewingDistanceCm: 50, method: 'card', version: 1 })
+    expect(stored.calibratedAt).toBeDefined()
+  })
+
+  it('loads a stored profile on mount', () => {
+    localStorage.setItem('visioncheck-calibration', JSON.stringify({ pxPerMm: 5, viewingDistanceCm: 60 }))
+
+    render(
+      <CalibrationProvider>
+        <TestComponent />
+      </CalibrationProvider>
+    )
+
+    expect(screen.getByTestId('status')).toHaveTextContent('calibrated')
+    expect(screen.getByTestId('px-per-mm')).toHaveTextContent('5.00')
+  })
+
+  it('clears the profile', async () => {
+    const user = userEvent.setup()
+    localStorage.setItem('visioncheck-calibration', JSON.stringify({ pxPerMm: 5, viewingDistanceCm: 60 }))
+
+    render(
+      <CalibrationProvider>
+        <TestComponent />
+      </CalibrationProvider>
+    )
+
+    await user.click(screen.getByText('Clear'))
+
+    expect(screen.getByTestId('status')).toHaveTextContent('uncalibrated')
+    expect(localStorage.getItem('visioncheck-calibration')).toBeNull()
+  })
+
+  it('throws when used outside the provider', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    expect(() => {
+      render(<TestComponent />)
+    }).toThrow('useCalibration must be used within a CalibrationProvider')
+
+    consoleSpy.mockRestore()
+  })
+})
@@ -1,21 +1,49 @@
-import { createContext, useContext, useState, useCallback, useEffect } from 'react'
+import { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react'
 import { useTranslation } from 'react-i18next'
-import { sendChatMessage, checkApiHealth } from '../api/openai'
+import { streamChatMessage, checkApiHealth, describeRejection } from '../api/openai'
 import { useTestResults } from './TestResultsContext'
+import { getItem, setItem, removeItem, isVaultEnabled } from '../storage/storage'
 
 const ChatContext = createContext(null)
 
+// Transcripts are only kept across reloads inside the encrypted vault;
+// otherwise they live in memory for the session
+const CHAT_KEY = 'visioncheck-chat'
+
+const loadPersistedMessages = () => {
+  if (!isVaultEnabled()) return []
+  const saved = getItem(CHAT_KEY)
+  return Array.isArray(saved) ? saved : []
+}
+
 export function ChatProvider({ children }) {
-  const { i18n } = useTranslation()
-  const [messages, setMessages] = useState([])
+  const { t, i18n } = useTranslation()
+  const [messages, setMessages] = useState(loadPersistedMessages)
   const [isOpen, setIsOpen] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
   const [apiAvailable, setApiAvailable] = useState(null) // null = checking, true = available, false = unavailable
+  // Aborts the response that is currently streaming in
+  const abortRef = useRef(null)
   
   // Get test results for context-aware responses
   const { results } = useTestResults()
 
+  // Persist the transcript while the vault is on, once a response has
+  // finished rather than for every streamed token
+  useEffect(() => {
+    if (!isVaultEnabled() || isLoading) return
+    try {
+      if (messages.length > 0) {
+        setItem(CHAT_KEY, messages)
+      } else {
+        removeItem(CHAT_KEY)
+      }
+    } catch (e) {
+      console.warn('Failed to persist chat:', e)
+    }
+  }, [messages, isLoading])
+
   // Check API health on mount
   useEffect(() => {
     checkApiHealth().then(health => {
@@ -23,6 +51,9 @@ export function ChatProvider({ children }) {
     })
   }, [])
 
+  // Stop a running response when the provider unmounts (e.g. profile switch)
+  useEffect(() => () => abortRef.current?.abort(), [])
+
   const openChat = useCallback(() => {
     setIsOpen(true)
   }, [])
@@ -35,7 +66,16 @@ export function ChatProvider({ children }) {
     setIsOpen(prev => !prev)
   }, [])
 
+  const cancelResponse = useCallback(() => {
+    abortRef.current?.abort()
+  }, [])
+
   const clearMessages = useCallback(() => {
+    // Detach a running response first so it doesn't write into the new,
+    // empty conversation
+    const controller = abortRef.current
+    abortRef.current = null
+    controller?.abort()
     setMessages([])
     setError(null)
   }, [])
@@ -47,32 +87,62 @@ export function ChatProvider({ children }) {
   const sendMessage = useCallback(async (content) => {
     if (!content.trim()) return
 
-    // Add user message
+    // Add user message and an empty assistant message that fills up as
+    // tokens stream in
     const userMessage = { role: 'user', content: content.trim() }
     const newMessages = [...messages, userMessage]
-    setMessages(newMessages)
+    setMessages([...newMessages, { role: 'assistant', content: '' }])
     setError(null)
     setIsLoading(true)
 
+    const updateReply = (update) => setMessages(prev => [
+      ...prev.slice(0, -1),
+      { ...prev[prev.length - 1], ...update(prev[prev.length - 1]) }
+    ])
+    let received = ''
+    const controller = new AbortController()
+    abortRef.current = controller
+
     try {
-      const response = await sendChatMessage(newMessages, results, i18n.language)
-      const assistantMessage = { role: 'assistant', content: response }
-      setMessages(prev => [...prev, assistantMessage])
+      const response = await streamChatMessage(newMessages, results, i18n.language, {
+        signal: controller.signal,
+        onToken: (token) => {
+          received += token
+          updateReply(reply => ({ content: reply.content + token }))
+        }
+      })
+      updateReply(() => ({ content: response }))
       // Mark API as available if call succeeds
       setApiAvailable(true)
     } catch (err) {
+      // The conversation was cleared while this response was running
+      if (abortRef.current !== controller) return
+      if (err.name === 'AbortError') {
+        // Keep whatever arrived before the user stopped the response
+        if (received) {
+          updateReply(() => ({ stopped: true }))
+        } else {
+          setMessages(newMessages)
+        }
+        return
+      }
       console.error('Chat error:', err)
-      setError(err.message || 'Failed to send message')
-      // Remove the user message on error so they can retry
-      setMessages(messages)
+      setError(describeRejection(err, t) || err.message || 'Failed to send message')
+      if (received) {
+        updateReply(() => ({ stopped: true }))
+      } else {
+        // Remove the user message on error so they can retry
+        setMessages(messages)
+      }
       // Check if API is unavailable
       if (err.message?.includes('API key not configured') || err.message?.includes('unavailable')) {
         setApiAvailable(false)
       }
     } finally {
+      if (abortRef.current === controller) abortRef.current = null
       setIsLoading(false)
     }
-  }, [messages, results, i18n.language])
+  }, [messages, results, t, i18n.language])
 
   const value = {
     messages,
@@ -84,6 +154,7 @@ export function ChatProvider({ children }) {
     closeChat,
     toggleChat,
     sendMessage,
+    cancelResponse,
     clearMessages,
     clearError,
   }
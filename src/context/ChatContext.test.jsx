@@ -1,17 +1,18 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/react'
+import { render, screen, waitFor, act } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import { ChatProvider, useChat } from './ChatContext'
 import { TestResultsProvider } from './TestResultsContext'
 import { ConsentProvider } from './ConsentContext'
 
-// Mock the sendChatMessage API
-vi.mock('../api/openai', () => ({
-  sendChatMessage: vi.fn(),
+// Mock the streamChatMessage API
+vi.mock('../api/openai', async (importOriginal) => ({
+  ...await importOriginal(),
+  streamChatMessage: vi.fn(),
   checkApiHealth: vi.fn().mockResolvedValue({ status: 'ok', apiKeyConfigured: true })
 }))
 
-import { sendChatMessage, checkApiHealth } from '../api/openai'
+import { streamChatMessage, checkApiHealth } from '../api/openai'
 
 // Test component that exposes the context values
 function TestComponent() {
@@ -26,7 +27,8 @@ function TestComponent() {
     toggleChat,
     sendMessage,
     clearMessages,
-    clearError
+    clearError,
+    cancelResponse
   } = useChat()
 
   return (
@@ -39,7 +41,7 @@ function TestComponent() {
       <ul data-testid="messages">
         {messages.map((msg, i) => (
           <li key={i} data-testid={`message-${i}`}>
-            {msg.role}: {msg.content}
+            {msg.role}: {msg.content}{msg.stopped && ' [stopped]'}
           </li>
         ))}
       </ul>
@@ -49,6 +51,7 @@ function TestComponent() {
       <button onClick={() => sendMessage('Hello')}>Send</button>
       <button onClick={clearMessages}>Clear</button>
       <button onClick={clearError}>Clear Error</button>
+      <button onClick={cancelResponse}>Stop</button>
     </div>
   )
 }
@@ -143,7 +146,7 @@ describe('ChatContext', () => {
 
   it('should send message and receive response', async () => {
     const user = userEvent.setup()
-    sendChatMessage.mockResolvedValueOnce('Hello! How can I help?')
+    streamChatMessage.mockResolvedValueOnce('Hello! How can I help?')
 
     renderWithProviders(<TestComponent />)
 
@@ -168,7 +171,7 @@ describe('ChatContext', () => {
 
   it('should handle API error', async () => {
     const user = userEvent.setup()
-    sendChatMessage.mockRejectedValueOnce(new Error('API rate limit exceeded'))
+    streamChatMessage.mockRejectedValueOnce(new Error('API rate limit exceeded'))
 
     renderWithProviders(<TestComponent />)
 
@@ -186,9 +189,97 @@ describe('ChatContext', () => {
     expect(screen.getByTestId('message-count')).toHaveTextContent('0')
   })
 
+  it('should show the reply as it streams in', async () => {
+    const user = userEvent.setup()
+    let finish
+    streamChatMessage.mockImplementationOnce((messages, results, language, { onToken }) => {
+      onToken('Hello')
+      return new Promise(resolve => {
+        finish = () => {
+          onToken(' there')
+          resolve('Hello there')
+        }
+      })
+    })
+
+    renderWithProviders(<TestComponent />)
+
+    await waitFor(() => {
+      expect(screen.getByTestId('api-available')).toHaveTextContent('yes')
+    })
+
+    await user.click(screen.getByText('Send'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('message-1')).toHaveTextContent('assistant: Hello')
+    })
+    expect(screen.getByTestId('is-loading')).toHaveTextContent('loading')
+    const [sent, , , options] = streamChatMessage.mock.calls[0]
+    expect(sent).toEqual([{ role: 'user', content: 'Hello' }])
+    expect(options.signal).toBeInstanceOf(AbortSignal)
+
+    await act(async () => finish())
+
+    expect(screen.getByTestId('is-loading')).toHaveTextContent('idle')
+    expect(screen.getByTestId('message-1')).toHaveTextContent('assistant: Hello there')
+  })
+
+  it('should keep the partial reply when the response is stopped', async () => {
+    const user = userEvent.setup()
+    streamChatMessage.mockImplementationOnce((messages, results, language, { onToken, signal }) => {
+      onToken('Partial')
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+      })
+    })
+
+    renderWithProviders(<TestComponent />)
+
+    await waitFor(() => {
+      expect(screen.getByTestId('api-available')).toHaveTextContent('yes')
+    })
+
+    await user.click(screen.getByText('Send'))
+    await waitFor(() => {
+      expect(screen.getByTestId('message-1')).toHaveTextContent('assistant: Partial')
+    })
+
+    await user.click(screen.getByText('Stop'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('is-loading')).toHaveTextContent('idle')
+    })
+    expect(screen.getByTestId('message-1')).toHaveTextContent('assistant: Partial [stopped]')
+    expect(screen.getByTestId('error')).toHaveTextContent('no-error')
+  })
+
+  it('should keep only the question when stopped before any reply', async () => {
+    const user = userEvent.setup()
+    streamChatMessage.mockImplementationOnce((messages, results, language, { signal }) => (
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+      })
+    ))
+
+    renderWithProviders(<TestComponent />)
+
+    await waitFor(() => {
+      expect(screen.getByTestId('api-available')).toHaveTextContent('yes')
+    })
+
+    await user.click(screen.getByText('Send'))
+    await user.click(screen.getByText('Stop'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('is-loading')).toHaveTextContent('idle')
+    })
+    expect(screen.getByTestId('message-count')).toHaveTextContent('1')
+    expect(screen.getByTestId('message-0')).toHaveTextContent('user: Hello')
+  })
+
   it('should clear messages', async () => {
     const user = userEvent.setup()
-    sendChatMessage.mockResolvedValueOnce('Response')
+    streamChatMessage.mockResolvedValueOnce('Response')
 
     renderWithProviders(<TestComponent />)
 
@@ -208,7 +299,7 @@ describe('ChatContext', () => {
 
   it('should clear error', async () => {
     const user = userEvent.setup()
-    sendChatMessage.mockRejectedValueOnce(new Error('Test error'))
+    streamChatMessage.mockRejectedValueOnce(new Error('Test error'))
     
     renderWithProviders(<TestComponent />)
 
@@ -1,17 +1,18 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react'
+import { getItem, setItem, removeItem, clearUserData } from '../storage/storage'
 
 const ConsentContext = createContext(null)
 
 const CONSENT_KEY = 'visioncheck-consent'
 
 /**
- * Load consent state from localStorage
+ * Load consent state from storage
  */
 const loadConsentState = () => {
   try {
-    const saved = localStorage.getItem(CONSENT_KEY)
+    const saved = getItem(CONSENT_KEY)
     if (saved) {
-      return JSON.parse(saved)
+      return saved
     }
   } catch (e) {
     console.warn('Failed to load consent state:', e)
@@ -40,10 +41,10 @@ export function ConsentProvider({ children }) {
     return saved || { hasConsented: false, consentGiven: false }
   })
 
-  // Persist consent state to localStorage
+  // Persist consent state
   useEffect(() => {
     try {
-      localStorage.setItem(CONSENT_KEY, JSON.stringify(consentState))
+      setItem(CONSENT_KEY, consentState)
     } catch (e) {
       console.warn('Failed to persist consent state:', e)
     }
@@ -58,16 +59,10 @@ export function ConsentProvider({ children }) {
   }, [])
 
   const revokeConsent = useCallback(() => {
-    // Clear all visioncheck data when consent is revoked
-    const keysToRemove = []
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i)
-      if (key && key.startsWith('visioncheck-') && key !== CONSENT_KEY) {
-        keysToRemove.push(key)
-      }
-    }
-    keysToRemove.forEach(key => localStorage.removeItem(key))
-    
+    // Clear this user's data and images when consent is revoked. Other
+    // profiles on the device keep theirs.
+    clearUserData({ keep: [CONSENT_KEY] })
+
     setConsentState({ hasConsented: true, consentGiven: false })
   }, [])
 
@@ -75,7 +70,7 @@ export function ConsentProvider({ children }) {
     // Reset to show the consent banner again
     setConsentState({ hasConsented: false, consentGiven: false })
     try {
-      localStorage.removeItem(CONSENT_KEY)
+      removeItem(CONSENT_KEY)
     } catch (e) {
       console.warn('Failed to remove consent state:', e)
     }
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react'
 import { useTranslation } from 'react-i18next'
+import { setItem } from '../storage/storage'
 
 const LanguageContext = createContext(null)
 
@@ -11,7 +12,8 @@ const SUPPORTED_LANGUAGES = ['en', 'de']
  * 
  * Features:
  * - Syncs with i18next for translations
- * - localStorage persistence
+ * - Persistence through the storage module (kept in localStorage so the
+ *   i18next detector can read it before the app renders)
  * - Provides current language for audio path construction
  */
 export function LanguageProvider({ children }) {
@@ -43,12 +45,12 @@ export function LanguageProvider({ children }) {
     return () => i18n.off('languageChanged', handleLanguageChanged)
   }, [i18n, language])
 
-  // Persist to localStorage
+  // Persist language
   useEffect(() => {
     try {
-      localStorage.setItem(STORAGE_KEY, language)
+      setItem(STORAGE_KEY, language)
     } catch (e) {
-      console.warn('Failed to save language to localStorage:', e)
+      console.warn('Failed to save language to storage:', e)
     }
   }, [language])
 
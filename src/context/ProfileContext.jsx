@@ -0,0 +1,146 @@
+import { createContext, useContext, useState, useCallback, Fragment } from 'react'
+import { useLanguage } from './LanguageContext'
+import {
+  getItem,
+  setItem,
+  clearProfileStorage,
+  PROFILES_KEY,
+  DEFAULT_PROFILE_ID,
+} from '../storage/storage'
+
+const ProfileContext = createContext(null)
+
+const createProfile = (id, { name = '', birthYear = null, wearsGlasses = false, language = null } = {}) => ({
+  id,
+  name: name.trim(),
+  birthYear: Number.isInteger(birthYear) ? birthYear : null,
+  wearsGlasses: !!wearsGlasses,
+  language,
+  createdAt: new Date().toISOString()
+})
+
+// Data saved before profiles existed belongs to an unnamed default profile
+const getDefaultRecord = () => ({
+  activeId: DEFAULT_PROFILE_ID,
+  profiles: [createProfile(DEFAULT_PROFILE_ID)]
+})
+
+/**
+ * Load the profile list from storage
+ */
+const loadProfiles = () => {
+  try {
+    const saved = getItem(PROFILES_KEY)
+    if (saved?.profiles?.some(profile => profile.id === DEFAULT_PROFILE_ID)) {
+      const activeId = saved.profiles.some(profile => profile.id === saved.activeId)
+        ? saved.activeId
+        : DEFAULT_PROFILE_ID
+      return { ...saved, activeId }
+    }
+  } catch (e) {
+    console.warn('Failed to load profiles:', e)
+  }
+  return getDefaultRecord()
+}
+
+/**
+ * ProfileProvider - Lets several people share one device
+ *
+ * Features:
+ * - Profiles with name, birth year, glasses and preferred language
+ * - Results, history, achievements, chat and consent are stored per profile
+ *   (see PROFILE_KEYS in the storage module)
+ * - The profile list itself is not encrypted by the vault, as it is device-wide
+ *   and read before unlocking; the lock screen and vault settings say so
+ * - Everything below the provider remounts when the active profile changes
+ *   (or on refresh), so the other contexts load the new profile's data
+ * - Switching applies the profile's preferred language
+ */
+export function ProfileProvider({ children }) {
+  const { setLanguage } = useLanguage()
+  const [record, setRecord] = useState(loadProfiles)
+  // Bumped to remount the app after stored data changed underneath it
+  const [revision, setRevision] = useState(0)
+
+  const save = useCallback((next) => {
+    setRecord(next)
+    try {
+      setItem(PROFILES_KEY, next)
+    } catch (e) {
+      console.warn('Failed to save profiles:', e)
+    }
+  }, [])
+
+  const switchProfile = useCallback((id) => {
+    const profile = record.profiles.find(p => p.id === id)
+    if (!profile || id === record.activeId) return
+    save({ ...record, activeId: id })
+    if (profile.language) setLanguage(profile.language)
+  }, [record, save, setLanguage])
+
+  const addProfile = useCallback((details) => {
+    const id = `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+    const profile = createProfile(id, details)
+    save({ activeId: id, profiles: [...record.profiles, profile] })
+    if (profile.language) setLanguage(profile.language)
+    return id
+  }, [record, save, setLanguage])
+
+  const updateProfile = useCallback((id, changes) => {
+    const profiles = record.profiles.map(profile => profile.id === id
+      ? { ...createProfile(id, { ...profile, ...changes }), createdAt: profile.createdAt }
+      : profile
+    )
+    save({ ...record, profiles })
+    if (id === record.activeId && changes.language) setLanguage(changes.language)
+  }, [record, save, setLanguage])
+
+  // The default profile holds pre-existing data and cannot be removed
+  const removeProfile = useCallback((id) => {
+    if (id === DEFAULT_PROFILE_ID || !record.profiles.some(p => p.id === id)) return
+    clearProfileStorage(id)
+    save({
+      activeId: id === record.activeId ? DEFAULT_PROFILE_ID : record.activeId,
+      profiles: record.profiles.filter(p => p.id !== id)
+    })
+  }, [record, save])
+
+  // Re-read the list and reload every context's data, e.g. after data was
+  // deleted or imported
+  const refresh = useCallback(() => {
+    setRecord(loadProfiles())
+    setRevision(r => r + 1)
+  }, [])
+
+  const activeProfile = record.profiles.find(p => p.id === record.activeId)
+
+  const value = {
+    profiles: record.profiles,
+    activeProfile,
+    addProfile,
+    updateProfile,
+    removeProfile,
+    switchProfile,
+    refresh,
+  }
+
+  return (
+    <ProfileContext.Provider value={value}>
+      <Fragment key={`${record.activeId}:${revision}`}>
+        {children}
+      </Fragment>
+    </ProfileContext.Provider>
+  )
+}
+
+/**
+ * Hook to access profiles and profile actions
+ * @returns {{ profiles: Array<{id: string, name: string, birthYear: number|null, wearsGlasses: boolean, language: string|null, createdAt: string}>, activeProfile: Object, addProfile: (details: Object) => string, updateProfile: (id: string, changes: Object) => void, removeProfile: (id: string) => void, switchProfile: (id: string) => void, refresh: () => void }}
+ */
+export function useProfiles() {
+  const context = useContext(ProfileContext)
+  if (!context) {
+    throw new Error('useProfiles must be used within a ProfileProvider')
+  }
+  return context
+}
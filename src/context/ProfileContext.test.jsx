@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { render, screen, act } from '@testing-library/react'
+import { I18nextProvider } from 'react-i18next'
+import { ProfileProvider, useProfiles } from './ProfileContext'
+import { LanguageProvider } from './LanguageContext'
+import { ConsentProvider, useConsent } from './ConsentContext'
+import { getItem, resetStorage, PROFILES_KEY } from '../storage/storage'
+import i18n from '../i18n'
+
+function TestComponent() {
+  const { profiles, activeProfile, addProfile, updateProfile, removeProfile, switchProfile } = useProfiles()
+  const { consentGiven } = useConsent()
+  return (
+    <div>
+      <span data-testid="active">{activeProfile.name || activeProfile.id}</span>
+      <span data-testid="active-id">{activeProfile.id}</span>
+      <span data-testid="count">{profiles.length}</span>
+      <span data-testid="consent">{consentGiven ? 'yes' : 'no'}</span>
+      <button onClick={() => addProfile({ name: ' Anna ', birthYear: 1980, wearsGlasses: true, language: 'de' })}>Add Anna</button>
+      <button onClick={() => switchProfile('default')}>Switch to default</button>
+      <button onClick={() => updateProfile('default', { name: 'Sam' })}>Rename default</button>
+      <button onClick={() => removeProfile(activeProfile.id)}>Remove active</button>
+      <button onClick={() => removeProfile('default')}>Remove default</button>
+    </div>
+  )
+}
+
+function renderProfiles() {
+  return render(
+    <I18nextProvider i18n={i18n}>
+      <LanguageProvider>
+        <ProfileProvider>
+          <ConsentProvider>
+            <TestComponent />
+          </ConsentProvider>
+        </ProfileProvider>
+      </LanguageProvider>
+    </I18nextProvider>
+  )
+}
+
+describe('ProfileContext', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    resetStorage()
+    await i18n.changeLanguage('en')
+    localStorage.setItem('visioncheck-consent', JSON.stringify({ hasConsented: true, consentGiven: true }))
+  })
+
+  afterEach(() => {
+    resetStorage()
+  })
+
+  it('throws when used outside provider', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    expect(() => render(<TestComponent />)).toThrow('useProfiles must be used within a ProfileProvider')
+    spy.mockRestore()
+  })
+
+  it('starts with the unnamed default profile', () => {
+    renderProfiles()
+
+    expect(screen.getByTestId('active')).toHaveTextContent('default')
+    expect(screen.getByTestId('count')).toHaveTextContent('1')
+  })
+
+  it('adds a profile, switches to it and applies its language', () => {
+    renderProfiles()
+
+    act(() => {
+      screen.getByText('Add Anna').click()
+    })
+
+    expect(screen.getByTestId('active')).toHaveTextContent('Anna')
+    expect(screen.getByTestId('count')).toHaveTextContent('2')
+    expect(i18n.language).toBe('de')
+    expect(getItem(PROFILES_KEY).profiles[1]).toMatchObject({ name: 'Anna', birthYear: 1980, wearsGlasses: true, language: 'de' })
+  })
+
+  it('keeps consent separate for each profile', () => {
+    renderProfiles()
+    expect(screen.getByTestId('consent')).toHaveTextContent('yes')
+
+    act(() => {
+      screen.getByText('Add Anna').click()
+    })
+    expect(screen.getByTestId('consent')).toHaveTextContent('no')
+
+    act(() => {
+      screen.getByText('Switch to default').click()
+    })
+    expect(screen.getByTestId('consent')).toHaveTextContent('yes')
+  })
+
+  it('updates a profile', () => {
+    renderProfiles()
+
+    act(() => {
+      screen.getByText('Rename default').click()
+    })
+
+    expect(screen.getByTestId('active')).toHaveTextContent('Sam')
+  })
+
+  it('removes a profile and its data but never the default one', () => {
+    renderProfiles()
+    act(() => {
+      screen.getByText('Add Anna').click()
+    })
+    const id = screen.getByTestId('active-id').textContent
+    expect(localStorage.getItem(`visioncheck-consent:${id}`)).not.toBeNull()
+
+    act(() => {
+      screen.getByText('Remove active').click()
+    })
+    act(() => {
+      screen.getByText('Remove default').click()
+    })
+
+    expect(screen.getByTestId('active')).toHaveTextContent('default')
+    expect(screen.getByTestId('count')).toHaveTextContent('1')
+    expect(localStorage.getItem(`visioncheck-consent:${id}`)).toBeNull()
+  })
+})
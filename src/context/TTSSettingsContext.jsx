@@ -1,4 +1,5 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react'
+import { getItem, setItem } from '../storage/storage'
 
 const TTSSettingsContext = createContext(null)
 
@@ -10,24 +11,24 @@ const defaultSettings = {
 
 export function TTSSettingsProvider({ children }) {
   const [settings, setSettings] = useState(() => {
-    // Load from localStorage on initial render
+    // Load from storage on initial render
     try {
-      const stored = localStorage.getItem(STORAGE_KEY)
+      const stored = getItem(STORAGE_KEY)
       if (stored) {
-        return { ...defaultSettings, ...JSON.parse(stored) }
+        return { ...defaultSettings, ...stored }
       }
     } catch (e) {
-      console.warn('Failed to load TTS settings from localStorage:', e)
+      console.warn('Failed to load TTS settings from storage:', e)
     }
     return defaultSettings
   })
 
-  // Persist to localStorage when settings change
+  // Persist when settings change
   useEffect(() => {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+      setItem(STORAGE_KEY, settings)
     } catch (e) {
-      console.warn('Failed to save TTS settings to localStorage:', e)
+      console.warn('Failed to save TTS settings to storage:', e)
     }
   }, [settings])
 
@@ -1,5 +1,8 @@
 import { createContext, useContext, useState, useEffect } from 'react'
 import { useConsent } from './ConsentContext'
+import { loadCalibration, getCalibrationSnapshot } from '../utils/calibration'
+import { isStructuredAnalysis } from '../utils/eyeAnalysis'
+import { getItem, setItem, removeItem, saveImage, dataUrlToBlob, isUsingIndexedDB, getHistoryLimit } from '../storage/storage'
 
 const TestResultsContext = createContext(null)
 
@@ -14,6 +17,7 @@ const getDefaultResults = () => ({
     right: null
   },
   colorVision: null, // Stays binocular
+  colorArrangement: null, // Binocular, like colorVision
   contrastSensitivity: {
     left: null,
     right: null
@@ -30,76 +34,49 @@ const getDefaultResults = () => ({
     left: null,
     right: null
   },
-  eyePhoto: null,
+  hyperacuity: {
+    left: null,
+    right: null
+  },
+  eyePhoto: {
+    left: null,
+    right: null
+  },
   completedAt: null
 })
 
-// Prepare results for storage (exclude large image data)
+const EYES = ['left', 'right']
+
+// Prepare results for storage. Eye images are kept as blobs in the image
+// store (see imageId), never inline as base64.
 const prepareForStorage = (results) => {
-  if (results.eyePhoto?.imageData) {
+  if (EYES.some(eye => results.eyePhoto?.[eye]?.imageData)) {
     return {
       ...results,
-      eyePhoto: {
-        ...results.eyePhoto,
-        imageData: null // Exclude large base64 image
-      }
+      eyePhoto: Object.fromEntries(EYES.map(eye => [
+        eye,
+        results.eyePhoto[eye] && { ...results.eyePhoto[eye], imageData: null }
+      ]))
     }
   }
   return results
 }
 
-// Check if data is in old format (single object instead of per-eye)
-const isOldFormat = (data) => {
-  if (!data) return false
-  // Old format has properties like snellen/level directly, not left/right
-  return data.snellen !== undefined || data.level !== undefined || data.logCS !== undefined || data.hasIssues !== undefined
-}
-
-// Migrate old format to new per-eye structure
-const migrateResults = (saved) => {
-  const defaults = getDefaultResults()
-  
-  // If visualAcuity is in old format, reset it
-  if (isOldFormat(saved.visualAcuity)) {
-    saved.visualAcuity = defaults.visualAcuity
-  } else if (!saved.visualAcuity) {
-    saved.visualAcuity = defaults.visualAcuity
-  }
-  
-  // If contrastSensitivity is in old format, reset it
-  if (isOldFormat(saved.contrastSensitivity)) {
-    saved.contrastSensitivity = defaults.contrastSensitivity
-  } else if (!saved.contrastSensitivity) {
-    saved.contrastSensitivity = defaults.contrastSensitivity
-  }
-  
-  // If amslerGrid is in old format, reset it
-  if (isOldFormat(saved.amslerGrid)) {
-    saved.amslerGrid = defaults.amslerGrid
-  } else if (!saved.amslerGrid) {
-    saved.amslerGrid = defaults.amslerGrid
-  }
-  
-  // If astigmatism doesn't exist, add it
-  if (!saved.astigmatism) {
-    saved.astigmatism = defaults.astigmatism
-  }
-  
-  // If peripheralVision doesn't exist, add it
-  if (!saved.peripheralVision) {
-    saved.peripheralVision = defaults.peripheralVision
-  }
-  
-  return saved
+// Attach the device calibration to a screen-based test result so results
+// from different devices can be compared. Read from storage rather than
+// CalibrationContext so the provider does not depend on it.
+const withCalibration = (data) => {
+  if (!data || data.calibration !== undefined) return data
+  const calibration = getCalibrationSnapshot(loadCalibration())
+  return calibration ? { ...data, calibration } : data
 }
 
-// Load initial state from localStorage
+// Load initial state from storage (already migrated to the current schema)
 const loadPersistedResults = () => {
   try {
-    const saved = localStorage.getItem(STORAGE_KEY)
+    const saved = getItem(STORAGE_KEY)
     if (saved) {
-      const parsed = JSON.parse(saved)
-      return migrateResults(parsed)
+      return { ...getDefaultResults(), ...saved }
     }
   } catch (e) {
     console.warn('Failed to load persisted results:', e)
@@ -107,12 +84,12 @@ const loadPersistedResults = () => {
   return getDefaultResults()
 }
 
-// Load history from localStorage
+// Load history from storage
 const loadPersistedHistory = () => {
   try {
-    const saved = localStorage.getItem(HISTORY_KEY)
-    if (saved) {
-      return JSON.parse(saved)
+    const saved = getItem(HISTORY_KEY)
+    if (Array.isArray(saved)) {
+      return saved
     }
   } catch (e) {
     console.warn('Failed to load persisted history:', e)
@@ -120,12 +97,12 @@ const loadPersistedHistory = () => {
   return []
 }
 
-// Load achievements from localStorage
+// Load achievements from storage
 const loadPersistedAchievements = () => {
   try {
-    const saved = localStorage.getItem(ACHIEVEMENTS_KEY)
+    const saved = getItem(ACHIEVEMENTS_KEY)
     if (saved) {
-      return JSON.parse(saved)
+      return saved
     }
   } catch (e) {
     console.warn('Failed to load persisted achievements:', e)
@@ -164,7 +141,7 @@ const hasThreeDayStreak = (historyData) => {
 /**
  * Provides test results state, persistence, history, and achievement management to descendant components via TestResultsContext.
  *
- * The provider persists results, history, and achievements to localStorage, exposes update handlers for per-eye and binocular tests
+ * The provider persists results, history, and achievements through the storage module, exposes update handlers for per-eye and binocular tests
  * (visual acuity, color vision, contrast sensitivity, Amsler grid, astigmatism, peripheral vision, and eye photo), and offers
  * history management and achievement utilities.
  *
@@ -185,23 +162,42 @@ export function TestResultsProvider({ children }) {
     consentGiven ? loadPersistedAchievements() : {}
   )
 
-  // Persist to localStorage whenever results change (only if consent given)
+  // Persist whenever results change (only if consent given)
   useEffect(() => {
     if (!consentGiven) return
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(prepareForStorage(results)))
+      setItem(STORAGE_KEY, prepareForStorage(results))
     } catch (e) {
       console.warn('Failed to persist results:', e)
     }
   }, [results, consentGiven])
 
+  // Move newly captured eye photos into the image store so they survive reloads
+  const pendingImageOf = (eye) => consentGiven && !results.eyePhoto?.[eye]?.imageId ? results.eyePhoto?.[eye]?.imageData : null
+  const pendingLeftImage = pendingImageOf('left')
+  const pendingRightImage = pendingImageOf('right')
+  useEffect(() => {
+    if (!isUsingIndexedDB()) return
+    let cancelled = false
+    const pending = { left: pendingLeftImage, right: pendingRightImage }
+    EYES.filter(eye => pending[eye]).forEach(eye => {
+      saveImage(dataUrlToBlob(pending[eye])).then(imageId => {
+        if (cancelled || !imageId) return
+        setResults(prev => prev.eyePhoto?.[eye]?.imageData === pending[eye]
+          ? { ...prev, eyePhoto: { ...prev.eyePhoto, [eye]: { ...prev.eyePhoto[eye], imageId } } }
+          : prev)
+      })
+    })
+    return () => { cancelled = true }
+  }, [pendingLeftImage, pendingRightImage])
+
   // Update visual acuity for a specific eye
   const updateVisualAcuity = (eye, data) => {
     setResults(prev => ({
       ...prev,
       visualAcuity: {
         ...prev.visualAcuity,
-        [eye]: data
+        [eye]: withCalibration(data)
       },
       completedAt: new Date().toISOString()
     }))
@@ -210,26 +206,60 @@ export function TestResultsProvider({ children }) {
   const updateColorVision = (data) => {
     setResults(prev => ({
       ...prev,
-      colorVision: data,
+      colorVision: withCalibration(data),
+      completedAt: new Date().toISOString()
+    }))
+  }
+
+  const updateColorArrangement = (data) => {
+    setResults(prev => ({
+      ...prev,
+      colorArrangement: withCalibration(data),
       completedAt: new Date().toISOString()
     }))
   }
 
-  const updateEyePhoto = (data) => {
+  // Update the eye photo for a specific eye
+  const updateEyePhoto = (eye, data) => {
     setResults(prev => ({
       ...prev,
-      eyePhoto: data,
+      eyePhoto: {
+        ...prev.eyePhoto,
+        [eye]: data
+      },
       completedAt: new Date().toISOString()
     }))
   }
 
+  // Keep a translated narrative with the analysis of an eye, unless the
+  // photo was re-analyzed while the translation was running
+  const cacheEyePhotoTranslation = (eye, language, text, sourceText) => {
+    setResults(prev => {
+      const photo = prev.eyePhoto?.[eye]
+      const analysis = photo?.analysis
+      if (!isStructuredAnalysis(analysis) || !Object.values(analysis.narrative).includes(sourceText)) {
+        return prev
+      }
+      return {
+        ...prev,
+        eyePhoto: {
+          ...prev.eyePhoto,
+          [eye]: {
+            ...photo,
+            analysis: { ...analysis, narrative: { ...analysis.narrative, [language]: text } }
+          }
+        }
+      }
+    })
+  }
+
   // Update contrast sensitivity for a specific eye
   const updateContrastSensitivity = (eye, data) => {
     setResults(prev => ({
       ...prev,
       contrastSensitivity: {
         ...prev.contrastSensitivity,
-        [eye]: data
+        [eye]: withCalibration(data)
       },
       completedAt: new Date().toISOString()
     }))
@@ -241,7 +271,7 @@ export function TestResultsProvider({ children }) {
       ...prev,
       amslerGrid: {
         ...prev.amslerGrid,
-        [eye]: data
+        [eye]: withCalibration(data)
       },
       completedAt: new Date().toISOString()
     }))
@@ -253,7 +283,7 @@ export function TestResultsProvider({ children }) {
       ...prev,
       astigmatism: {
         ...prev.astigmatism,
-        [eye]: data
+        [eye]: withCalibration(data)
       },
       completedAt: new Date().toISOString()
     }))
@@ -265,7 +295,19 @@ export function TestResultsProvider({ children }) {
       ...prev,
       peripheralVision: {
         ...prev.peripheralVision,
-        [eye]: data
+        [eye]: withCalibration(data)
+      },
+      completedAt: new Date().toISOString()
+    }))
+  }
+
+  // Update preferential hyperacuity for a specific eye
+  const updateHyperacuity = (eye, data) => {
+    setResults(prev => ({
+      ...prev,
+      hyperacuity: {
+        ...prev.hyperacuity,
+        [eye]: withCalibration(data)
       },
       completedAt: new Date().toISOString()
     }))
@@ -274,7 +316,7 @@ export function TestResultsProvider({ children }) {
   const clearResults = () => {
     setResults(getDefaultResults())
     try {
-      localStorage.removeItem(STORAGE_KEY)
+      removeItem(STORAGE_KEY)
     } catch (e) {
       console.warn('Failed to clear persisted results:', e)
     }
@@ -286,7 +328,9 @@ export function TestResultsProvider({ children }) {
     const hasAmslerGrid = results.amslerGrid?.left || results.amslerGrid?.right
     const hasAstigmatism = results.astigmatism?.left || results.astigmatism?.right
     const hasPeripheralVision = results.peripheralVision?.left || results.peripheralVision?.right
-    return hasVisualAcuity || results.colorVision || hasContrastSensitivity || hasAmslerGrid || hasAstigmatism || hasPeripheralVision || results.eyePhoto
+    const hasHyperacuity = results.hyperacuity?.left || results.hyperacuity?.right
+    const hasEyePhoto = results.eyePhoto?.left || results.eyePhoto?.right || results.eyePhoto?.unknown
+    return hasVisualAcuity || results.colorVision || results.colorArrangement || hasContrastSensitivity || hasAmslerGrid || hasAstigmatism || hasPeripheralVision || hasHyperacuity || hasEyePhoto
   }
 
   // Save current session to history
@@ -296,10 +340,11 @@ export function TestResultsProvider({ children }) {
     const hasAmslerGrid = results.amslerGrid?.left || results.amslerGrid?.right
     const hasAstigmatism = results.astigmatism?.left || results.astigmatism?.right
     const hasPeripheralVision = results.peripheralVision?.left || results.peripheralVision?.right
+    const hasHyperacuity = results.hyperacuity?.left || results.hyperacuity?.right
     
-    const hasEyePhoto = results.eyePhoto
-    
-    if (!hasVisualAcuity && !results.colorVision && !hasContrastSensitivity && !hasAmslerGrid && !hasAstigmatism && !hasPeripheralVision && !hasEyePhoto) return
+    const hasEyePhoto = results.eyePhoto?.left || results.eyePhoto?.right || results.eyePhoto?.unknown
+
+    if (!hasVisualAcuity && !results.colorVision && !results.colorArrangement && !hasContrastSensitivity && !hasAmslerGrid && !hasAstigmatism && !hasPeripheralVision && !hasHyperacuity && !hasEyePhoto) return
 
     // Helper to get summary for an eye
     const getEyeSummary = (eyeData, fields) => {
@@ -311,47 +356,68 @@ export function TestResultsProvider({ children }) {
       return summary
     }
 
+    // Acuity and contrast keep their per-trial log (`history`) so sessions can
+    // be reanalysed from the exported data. Results stay in place after saving,
+    // so exports tell a result saved twice by its testedAt.
     const session = {
       id: Date.now(),
       date: new Date().toISOString(),
       visualAcuity: hasVisualAcuity ? {
-        left: getEyeSummary(results.visualAcuity.left, ['snellen', 'level']),
-        right: getEyeSummary(results.visualAcuity.right, ['snellen', 'level'])
+        left: getEyeSummary(results.visualAcuity.left, ['snellen', 'level', 'logMAR', 'logMARCI', 'calibration', 'viewingDistance', 'history', 'testedAt']),
+        right: getEyeSummary(results.visualAcuity.right, ['snellen', 'level', 'logMAR', 'logMARCI', 'calibration', 'viewingDistance', 'history', 'testedAt'])
       } : null,
       colorVision: results.colorVision ? {
         correctCount: results.colorVision.correctCount,
         totalPlates: results.colorVision.totalPlates,
-        status: results.colorVision.status
+        status: results.colorVision.status,
+        testedAt: results.colorVision.testedAt,
+        ...(results.colorVision.calibration && { calibration: results.colorVision.calibration })
+      } : null,
+      colorArrangement: results.colorArrangement ? {
+        arrangement: results.colorArrangement.arrangement,
+        crossings: results.colorArrangement.crossings,
+        confusionAngle: results.colorArrangement.confusionAngle,
+        confusionIndex: results.colorArrangement.confusionIndex,
+        selectivityIndex: results.colorArrangement.selectivityIndex,
+        hasDefect: results.colorArrangement.hasDefect,
+        defectType: results.colorArrangement.defectType,
+        status: results.colorArrangement.status,
+        testedAt: results.colorArrangement.testedAt,
+        ...(results.colorArrangement.calibration && { calibration: results.colorArrangement.calibration })
       } : null,
       contrastSensitivity: hasContrastSensitivity ? {
-        left: getEyeSummary(results.contrastSensitivity.left, ['logCS', 'level', 'maxLevel']),
-        right: getEyeSummary(results.contrastSensitivity.right, ['logCS', 'level', 'maxLevel'])
+        left: getEyeSummary(results.contrastSensitivity.left, ['logCS', 'logCSCI', 'level', 'maxLevel', 'calibration', 'history', 'testedAt']),
+        right: getEyeSummary(results.contrastSensitivity.right, ['logCS', 'logCSCI', 'level', 'maxLevel', 'calibration', 'history', 'testedAt'])
       } : null,
       amslerGrid: hasAmslerGrid ? {
-        left: getEyeSummary(results.amslerGrid.left, ['hasIssues', 'status']),
-        right: getEyeSummary(results.amslerGrid.right, ['hasIssues', 'status'])
+        left: getEyeSummary(results.amslerGrid.left, ['hasIssues', 'status', 'regions', 'variant', 'testedAt', 'calibration']),
+        right: getEyeSummary(results.amslerGrid.right, ['hasIssues', 'status', 'regions', 'variant', 'testedAt', 'calibration'])
       } : null,
       astigmatism: hasAstigmatism ? {
-        left: getEyeSummary(results.astigmatism.left, ['allLinesEqual', 'severity', 'estimatedAxis']),
-        right: getEyeSummary(results.astigmatism.right, ['allLinesEqual', 'severity', 'estimatedAxis'])
+        left: getEyeSummary(results.astigmatism.left, ['allLinesEqual', 'severity', 'estimatedAxis', 'axisConfidence', 'testedAt', 'calibration']),
+        right: getEyeSummary(results.astigmatism.right, ['allLinesEqual', 'severity', 'estimatedAxis', 'axisConfidence', 'testedAt', 'calibration'])
       } : null,
       peripheralVision: hasPeripheralVision ? {
-        left: getEyeSummary(results.peripheralVision.left, ['detectionRate', 'avgReactionTime', 'severity']),
-        right: getEyeSummary(results.peripheralVision.right, ['detectionRate', 'avgReactionTime', 'severity'])
+        left: getEyeSummary(results.peripheralVision.left, ['detectionRate', 'avgReactionTime', 'severity', 'testedAt', 'calibration']),
+        right: getEyeSummary(results.peripheralVision.right, ['detectionRate', 'avgReactionTime', 'severity', 'testedAt', 'calibration'])
+      } : null,
+      hyperacuity: hasHyperacuity ? {
+        left: getEyeSummary(results.hyperacuity.left, ['map', 'abnormalLocations', 'hasIssues', 'status', 'fieldDegrees', 'testedAt', 'calibration']),
+        right: getEyeSummary(results.hyperacuity.right, ['map', 'abnormalLocations', 'hasIssues', 'status', 'fieldDegrees', 'testedAt', 'calibration'])
       } : null,
       eyePhoto: hasEyePhoto ? {
-        status: results.eyePhoto.status,
-        analysis: results.eyePhoto.analysis,
-        analyzedAt: results.eyePhoto.analyzedAt
-        // imageData is intentionally excluded to reduce storage size
+        left: getEyeSummary(results.eyePhoto.left, ['status', 'analysis', 'analyzedAt', 'imageId']),
+        right: getEyeSummary(results.eyePhoto.right, ['status', 'analysis', 'analyzedAt', 'imageId']),
+        // A photo from before the eye was recorded
+        ...(results.eyePhoto.unknown && { unknown: getEyeSummary(results.eyePhoto.unknown, ['status', 'analysis', 'analyzedAt', 'imageId']) })
       } : null
     }
 
-    const newHistory = [session, ...history].slice(0, 20) // Keep last 20
+    const newHistory = [session, ...history].slice(0, getHistoryLimit())
     setHistory(newHistory)
     if (consentGiven) {
       try {
-        localStorage.setItem(HISTORY_KEY, JSON.stringify(newHistory))
+        setItem(HISTORY_KEY, newHistory)
       } catch (e) {
         console.warn('Failed to persist history:', e)
       }
@@ -362,7 +428,7 @@ export function TestResultsProvider({ children }) {
   const clearHistory = () => {
     setHistory([])
     try {
-      localStorage.removeItem(HISTORY_KEY)
+      removeItem(HISTORY_KEY)
     } catch (e) {
       console.warn('Failed to clear history:', e)
     }
@@ -382,7 +448,7 @@ export function TestResultsProvider({ children }) {
     setAchievements(newAchievements)
     if (consentGiven) {
       try {
-        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(newAchievements))
+        setItem(ACHIEVEMENTS_KEY, newAchievements)
       } catch (e) {
         console.warn('Failed to persist achievements:', e)
       }
@@ -404,7 +470,7 @@ export function TestResultsProvider({ children }) {
     setAchievements(newAchievements)
     if (consentGiven) {
       try {
-        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(newAchievements))
+        setItem(ACHIEVEMENTS_KEY, newAchievements)
       } catch (e) {
         console.warn('Failed to persist achievements:', e)
       }
@@ -421,10 +487,12 @@ export function TestResultsProvider({ children }) {
     const hasAmslerGrid = currentResults.amslerGrid?.left || currentResults.amslerGrid?.right
     const hasAstigmatism = currentResults.astigmatism?.left || currentResults.astigmatism?.right
     const hasPeripheralVision = currentResults.peripheralVision?.left || currentResults.peripheralVision?.right
+    const hasHyperacuity = currentResults.hyperacuity?.left || currentResults.hyperacuity?.right
     const hasColorVision = currentResults.colorVision
+    const hasColorArrangement = currentResults.colorArrangement
     
     // First test achievement
-    if (!achievements['first-test'] && (hasVisualAcuity || hasColorVision || hasContrastSensitivity || hasAmslerGrid || hasAstigmatism || hasPeripheralVision)) {
+    if (!achievements['first-test'] && (hasVisualAcuity || hasColorVision || hasColorArrangement || hasContrastSensitivity || hasAmslerGrid || hasAstigmatism || hasPeripheralVision || hasHyperacuity)) {
       if (unlockAchievement('first-test')) {
         newlyUnlocked.push('first-test')
       }
@@ -485,11 +553,14 @@ export function TestResultsProvider({ children }) {
       results,
       updateVisualAcuity,
       updateColorVision,
+      updateColorArrangement,
       updateContrastSensitivity,
       updateAmslerGrid,
       updateAstigmatism,
       updatePeripheralVision,
+      updateHyperacuity,
       updateEyePhoto,
+      cacheEyePhotoTranslation,
       clearResults,
       hasAnyResults,
       history,
@@ -39,7 +39,7 @@ function TestConsumer({ onMount }) {
       <span data-testid="color-vision">{context.results.colorVision?.score || 'none'}</span>
       <span data-testid="contrast-sensitivity">{csLogCS}</span>
       <span data-testid="amsler-grid">{amslerStatus}</span>
-      <span data-testid="eye-photo">{context.results.eyePhoto?.status || 'none'}</span>
+      <span data-testid="eye-photo">{context.results.eyePhoto?.left?.status || context.results.eyePhoto?.right?.status || 'none'}</span>
       <span data-testid="history-count">{context.history.length}</span>
     </div>
   )
@@ -120,11 +120,12 @@ describe('TestResultsContext', () => {
     )
 
     act(() => {
-      contextRef.updateEyePhoto({ status: 'analyzed', analysis: 'Test analysis', analyzedAt: '2024-01-01T00:00:00.000Z' })
+      contextRef.updateEyePhoto('right', { status: 'analyzed', analysis: 'Test analysis', analyzedAt: '2024-01-01T00:00:00.000Z' })
     })
 
     expect(screen.getByTestId('has-results')).toHaveTextContent('yes')
     expect(screen.getByTestId('eye-photo')).toHaveTextContent('analyzed')
+    expect(contextRef.results.eyePhoto.left).toBeNull()
   })
 
   it('clears all results', () => {
@@ -233,6 +234,50 @@ describe('TestResultsContext', () => {
     })
   })
 
+  it('keeps the QUEST confidence intervals in history', () => {
+    let contextRef
+
+    renderWithProviders(
+      <TestResultsProvider>
+        <TestConsumer onMount={(ctx) => { contextRef = ctx }} />
+      </TestResultsProvider>
+    )
+
+    act(() => {
+      contextRef.updateVisualAcuity('left', { snellen: '20/20', level: 8, logMAR: 0.02, logMARCI: [-0.08, 0.12] })
+      contextRef.updateContrastSensitivity('left', { logCS: 1.5, logCSCI: [1.35, 1.65], level: 9, maxLevel: 10 })
+    })
+
+    act(() => {
+      contextRef.saveToHistory()
+    })
+
+    expect(contextRef.history[0].visualAcuity.left.logMARCI).toEqual([-0.08, 0.12])
+    expect(contextRef.history[0].contrastSensitivity.left.logCSCI).toEqual([1.35, 1.65])
+  })
+
+  it('keeps when each result was tested in history', () => {
+    let contextRef
+
+    renderWithProviders(
+      <TestResultsProvider>
+        <TestConsumer onMount={(ctx) => { contextRef = ctx }} />
+      </TestResultsProvider>
+    )
+
+    act(() => {
+      contextRef.updateVisualAcuity('left', { snellen: '20/20', level: 8, testedAt: '2024-02-01T09:00:00.000Z' })
+      contextRef.updateColorVision({ correctCount: 8, totalPlates: 8, status: 'normal', testedAt: '2024-02-01T09:05:00.000Z' })
+    })
+
+    act(() => {
+      contextRef.saveToHistory()
+    })
+
+    expect(contextRef.history[0].visualAcuity.left.testedAt).toBe('2024-02-01T09:00:00.000Z')
+    expect(contextRef.history[0].colorVision.testedAt).toBe('2024-02-01T09:05:00.000Z')
+  })
+
   it('does not save to history when no results exist', () => {
     let contextRef
     
@@ -334,7 +379,10 @@ describe('TestResultsContext', () => {
       contextRef.updateAmslerGrid('right', { 
         hasIssues: true, 
         status: 'concerns_noted',
-        answers: { missing: true, wavy: true, blurry: false, distorted: false }
+        answers: { missing: true, wavy: true, blurry: false, distorted: false },
+        regions: [{ type: 'missing', cells: [[9, 9], [10, 9]] }, { type: 'wavy', cells: [[3, 12]] }],
+        variant: 'redOnBlack',
+        testedAt: '2026-05-01T10:00:00.000Z'
       })
     })
 
@@ -344,9 +392,13 @@ describe('TestResultsContext', () => {
 
     expect(screen.getByTestId('history-count')).toHaveTextContent('1')
     expect(contextRef.history[0].visualAcuity.left).toBeDefined()
+    // The marked areas and chart variant are kept so maps can be compared across sessions
     expect(contextRef.history[0].amslerGrid.right).toEqual({
       hasIssues: true,
-      status: 'concerns_noted'
+      status: 'concerns_noted',
+      regions: [{ type: 'missing', cells: [[9, 9], [10, 9]] }, { type: 'wavy', cells: [[3, 12]] }],
+      variant: 'redOnBlack',
+      testedAt: '2026-05-01T10:00:00.000Z'
     })
   })
 
@@ -406,7 +458,7 @@ describe('TestResultsContext', () => {
 
     // Only set eye photo (no other test results)
     act(() => {
-      contextRef.updateEyePhoto({ 
+      contextRef.updateEyePhoto('left', { 
         status: 'analyzed', 
         analysis: 'The eye appears healthy with no visible abnormalities.',
         analyzedAt: '2024-01-15T10:30:00.000Z',
@@ -420,12 +472,15 @@ describe('TestResultsContext', () => {
 
     expect(screen.getByTestId('history-count')).toHaveTextContent('1')
     expect(contextRef.history[0].eyePhoto).toEqual({
-      status: 'analyzed',
-      analysis: 'The eye appears healthy with no visible abnormalities.',
-      analyzedAt: '2024-01-15T10:30:00.000Z'
+      left: {
+        status: 'analyzed',
+        analysis: 'The eye appears healthy with no visible abnormalities.',
+        analyzedAt: '2024-01-15T10:30:00.000Z'
+      },
+      right: null
     })
     // Verify imageData is excluded
-    expect(contextRef.history[0].eyePhoto.imageData).toBeUndefined()
+    expect(contextRef.history[0].eyePhoto.left.imageData).toBeUndefined()
   })
 
   it('includes eye photo data in history session with other tests', () => {
@@ -439,7 +494,7 @@ describe('TestResultsContext', () => {
 
     act(() => {
       contextRef.updateVisualAcuity('left', { snellen: '20/20', level: 8 })
-      contextRef.updateEyePhoto({ 
+      contextRef.updateEyePhoto('right', { 
         status: 'analyzed', 
         analysis: 'No significant findings.',
         analyzedAt: '2024-01-15T11:00:00.000Z'
@@ -453,9 +508,89 @@ describe('TestResultsContext', () => {
     expect(screen.getByTestId('history-count')).toHaveTextContent('1')
     expect(contextRef.history[0].visualAcuity.left).toBeDefined()
     expect(contextRef.history[0].eyePhoto).toEqual({
-      status: 'analyzed',
-      analysis: 'No significant findings.',
-      analyzedAt: '2024-01-15T11:00:00.000Z'
+      left: null,
+      right: {
+        status: 'analyzed',
+        analysis: 'No significant findings.',
+        analyzedAt: '2024-01-15T11:00:00.000Z'
+      }
+    })
+  })
+
+  it('attaches the device calibration to screen-based results', () => {
+    let contextRef
+    localStorage.setItem('visioncheck-calibration', JSON.stringify({
+      pxPerMm: 5.2,
+      viewingDistanceCm: 40,
+      method: 'card',
+      devicePixelRatio: 2,
+      calibratedAt: '2024-01-15T09:00:00.000Z'
+    }))
+
+    renderWithProviders(
+      <TestResultsProvider>
+        <TestConsumer onMount={(ctx) => { contextRef = ctx }} />
+      </TestResultsProvider>
+    )
+
+    act(() => {
+      contextRef.updateVisualAcuity('left', { snellen: '20/20', level: 8 })
+    })
+
+    act(() => {
+      contextRef.saveToHistory()
     })
+
+    const expected = {
+      pxPerMm: 5.2,
+      viewingDistanceCm: 40,
+      method: 'card',
+      devicePixelRatio: 2,
+      calibratedAt: '2024-01-15T09:00:00.000Z'
+    }
+    expect(contextRef.results.visualAcuity.left.calibration).toEqual(expected)
+    expect(contextRef.history[0].visualAcuity.left.calibration).toEqual(expected)
+  })
+
+  it('does not attach calibration when the device is uncalibrated', () => {
+    let contextRef
+
+    renderWithProviders(
+      <TestResultsProvider>
+        <TestConsumer onMount={(ctx) => { contextRef = ctx }} />
+      </TestResultsProvider>
+    )
+
+    act(() => {
+      contextRef.updateVisualAcuity('left', { snellen: '20/20', level: 8 })
+    })
+
+    expect(contextRef.results.visualAcuity.left).toEqual({ snellen: '20/20', level: 8 })
+  })
+
+  it('keeps the per-trial log when saving acuity and contrast sessions', () => {
+    let contextRef
+    const trials = [
+      { stimulus: { direction: 'up', logMAR: 0.1 }, response: 'up', correct: true, reactionTimeMs: 800, timestamp: '2024-01-15T10:00:00.000Z' },
+      { stimulus: { direction: 'left', logMAR: 0.0 }, response: 'down', correct: false, reactionTimeMs: 1200, timestamp: '2024-01-15T10:00:02.000Z' }
+    ]
+
+    renderWithProviders(
+      <TestResultsProvider>
+        <TestConsumer onMount={(ctx) => { contextRef = ctx }} />
+      </TestResultsProvider>
+    )
+
+    act(() => {
+      contextRef.updateVisualAcuity('left', { snellen: '20/20', level: 8, history: trials })
+      contextRef.updateContrastSensitivity('right', { logCS: 1.5, level: 9, maxLevel: 10, history: trials })
+    })
+
+    act(() => {
+      contextRef.saveToHistory()
+    })
+
+    expect(contextRef.history[0].visualAcuity.left.history).toEqual(trials)
+    expect(contextRef.history[0].contrastSensitivity.right.history).toEqual(trials)
   })
 })
@@ -1,4 +1,5 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react'
+import { getItem, setItem } from '../storage/storage'
 
 const ThemeContext = createContext(null)
 
@@ -10,19 +11,19 @@ const STORAGE_KEY = 'visioncheck-theme'
  * Features:
  * - Three modes: 'light', 'dark', 'system'
  * - System preference detection via matchMedia
- * - localStorage persistence
+ * - Persistence through the storage module
  * - Applies 'dark' class to document.documentElement
  */
 export function ThemeProvider({ children }) {
-  // Initialize theme from localStorage or default to 'system'
+  // Initialize theme from storage or default to 'system'
   const [theme, setThemeState] = useState(() => {
     try {
-      const stored = localStorage.getItem(STORAGE_KEY)
+      const stored = getItem(STORAGE_KEY)
       if (stored && ['light', 'dark', 'system'].includes(stored)) {
         return stored
       }
     } catch (e) {
-      console.warn('Failed to load theme from localStorage:', e)
+      console.warn('Failed to load theme from storage:', e)
     }
     return 'system'
   })
@@ -61,12 +62,12 @@ export function ThemeProvider({ children }) {
     }
   }, [theme])
 
-  // Persist theme to localStorage
+  // Persist theme
   useEffect(() => {
     try {
-      localStorage.setItem(STORAGE_KEY, theme)
+      setItem(STORAGE_KEY, theme)
     } catch (e) {
-      console.warn('Failed to save theme to localStorage:', e)
+      console.warn('Failed to save theme to storage:', e)
     }
   }, [theme])
 
@@ -0,0 +1,126 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react'
+import { useConsent } from './ConsentContext'
+import {
+  getItem,
+  setItem,
+  isVaultEnabled,
+  isVaultLocked,
+  enableVault,
+  unlockVault,
+  lockVault,
+  disableVault,
+  resetVault,
+} from '../storage/storage'
+
+const VaultContext = createContext(null)
+
+const AUTO_LOCK_KEY = 'visioncheck-auto-lock'
+const DEFAULT_AUTO_LOCK_MINUTES = 5
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart']
+
+/**
+ * VaultProvider - Manages the optional encrypted vault for health data
+ *
+ * Features:
+ * - Enable/disable encryption with a passphrase or PIN
+ * - Lock and unlock; results, history, achievements and chat are
+ *   unreadable while locked
+ * - Auto-lock after a configurable period without user activity
+ */
+export function VaultProvider({ children }) {
+  // Vault state lives in the storage module; re-render reads it again. The
+  // provider also re-renders on consent changes, since revoking consent
+  // deletes the vault along with everything else.
+  useConsent()
+  const [, setRevision] = useState(0)
+  const status = { enabled: isVaultEnabled(), locked: isVaultLocked() }
+  const [autoLockMinutes, setAutoLockMinutesState] = useState(() => {
+    const stored = getItem(AUTO_LOCK_KEY)
+    return typeof stored === 'number' && stored >= 0 ? stored : DEFAULT_AUTO_LOCK_MINUTES
+  })
+
+  const refresh = useCallback(() => setRevision(r => r + 1), [])
+
+  const enable = useCallback(async (passphrase) => {
+    await enableVault(passphrase)
+    refresh()
+  }, [refresh])
+
+  const unlock = useCallback(async (passphrase) => {
+    const unlocked = await unlockVault(passphrase)
+    refresh()
+    return unlocked
+  }, [refresh])
+
+  const lock = useCallback(() => {
+    lockVault()
+    refresh()
+  }, [refresh])
+
+  const disable = useCallback(async () => {
+    await disableVault()
+    refresh()
+  }, [refresh])
+
+  const reset = useCallback(async () => {
+    await resetVault()
+    refresh()
+  }, [refresh])
+
+  const setAutoLockMinutes = useCallback((minutes) => {
+    setAutoLockMinutesState(minutes)
+    try {
+      setItem(AUTO_LOCK_KEY, minutes)
+    } catch (e) {
+      console.warn('Failed to save auto-lock setting:', e)
+    }
+  }, [])
+
+  // Lock after a period without user activity
+  useEffect(() => {
+    if (!status.enabled || status.locked || autoLockMinutes <= 0) return
+
+    let timer
+    const restart = () => {
+      clearTimeout(timer)
+      timer = setTimeout(lock, autoLockMinutes * 60 * 1000)
+    }
+    restart()
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, restart, { passive: true }))
+    return () => {
+      clearTimeout(timer)
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, restart))
+    }
+  }, [status.enabled, status.locked, autoLockMinutes, lock])
+
+  const value = {
+    isEnabled: status.enabled,
+    isLocked: status.locked,
+    autoLockMinutes,
+    enable,
+    unlock,
+    lock,
+    disable,
+    reset,
+    setAutoLockMinutes,
+    refresh,
+  }
+
+  return (
+    <VaultContext.Provider value={value}>
+      {children}
+    </VaultContext.Provider>
+  )
+}
+
+/**
+ * Hook to access vault state and actions
+ * @returns {{ isEnabled: boolean, isLocked: boolean, autoLockMinutes: number, enable: (passphrase: string) => Promise<void>, unlock: (passphrase: string) => Promise<boolean>, lock: () => void, disable: () => Promise<void>, reset: () => Promise<void>, setAutoLockMinutes: (minutes: number) => void, refresh: () => void }}
+ */
+export function useVault() {
+  const context = useContext(VaultContext)
+  if (!context) {
+    throw new Error('useVault must be used within a VaultProvider')
+  }
+  return context
+}
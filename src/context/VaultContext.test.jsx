@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { render, screen, act, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { VaultProvider, useVault } from './VaultContext'
+import { ConsentProvider } from './ConsentContext'
+import VaultGate from '../components/VaultGate'
+import { enableVault, flushStorage, getItem, resetStorage, setItem } from '../storage/storage'
+import i18n from '../i18n'
+
+// Keep key derivation fast in tests
+const FAST = { iterations: 1000 }
+
+function TestComponent() {
+  const { isEnabled, isLocked, autoLockMinutes, lock, setAutoLockMinutes } = useVault()
+  return (
+    <div>
+      <span data-testid="enabled">{isEnabled ? 'enabled' : 'disabled'}</span>
+      <span data-testid="locked">{isLocked ? 'locked' : 'unlocked'}</span>
+      <span data-testid="auto-lock">{autoLockMinutes}</span>
+      <button onClick={lock}>Lock</button>
+      <button onClick={() => setAutoLockMinutes(1)}>One minute</button>
+    </div>
+  )
+}
+
+function renderVault(ui = <TestComponent />) {
+  return render(
+    <ConsentProvider>
+      <VaultProvider>
+        {ui}
+      </VaultProvider>
+    </ConsentProvider>
+  )
+}
+
+describe('VaultContext', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    resetStorage()
+    await i18n.changeLanguage('en')
+    localStorage.setItem('visioncheck-consent', JSON.stringify({ hasConsented: true, consentGiven: true }))
+  })
+
+  afterEach(async () => {
+    vi.useRealTimers()
+    await flushStorage()
+    resetStorage()
+  })
+
+  it('throws when used outside provider', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    expect(() => render(<TestComponent />)).toThrow('useVault must be used within a VaultProvider')
+    spy.mockRestore()
+  })
+
+  it('reports a disabled vault by default', () => {
+    renderVault()
+
+    expect(screen.getByTestId('enabled')).toHaveTextContent('disabled')
+    expect(screen.getByTestId('locked')).toHaveTextContent('unlocked')
+    expect(screen.getByTestId('auto-lock')).toHaveTextContent('5')
+  })
+
+  it('locks and shows the lock screen instead of the app', async () => {
+    const user = userEvent.setup()
+    await enableVault('1234', FAST)
+
+    renderVault(
+      <>
+        <TestComponent />
+        <VaultGate><p>Health data</p></VaultGate>
+      </>
+    )
+    expect(screen.getByText('Health data')).toBeInTheDocument()
+
+    await user.click(screen.getByText('Lock'))
+
+    expect(screen.getByTestId('locked')).toHaveTextContent('locked')
+    expect(screen.queryByText('Health data')).not.toBeInTheDocument()
+    expect(screen.getByText('VisionCheck is locked')).toBeInTheDocument()
+    expect(screen.getByText(/Profile names and birth years are not encrypted/)).toBeInTheDocument()
+  })
+
+  it('unlocks from the lock screen with the right passphrase only', async () => {
+    const user = userEvent.setup()
+    setItem('visioncheck-results', { colorVision: { correctCount: 8 } })
+    await enableVault('1234', FAST)
+    resetStorage()
+
+    renderVault(<VaultGate><p>Health data</p></VaultGate>)
+    const input = screen.getByLabelText('Passphrase or PIN')
+
+    await user.type(input, '9999')
+    await user.click(screen.getByRole('button', { name: 'Unlock' }))
+    expect(await screen.findByRole('alert')).toHaveTextContent('Incorrect passphrase or PIN.')
+
+    await user.type(input, '1234')
+    await user.click(screen.getByRole('button', { name: 'Unlock' }))
+
+    expect(await screen.findByText('Health data')).toBeInTheDocument()
+    expect(getItem('visioncheck-results')).toEqual({ colorVision: { correctCount: 8 } })
+  })
+
+  it('deletes encrypted data when the passphrase is forgotten', async () => {
+    const user = userEvent.setup()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    setItem('visioncheck-results', { colorVision: { correctCount: 8 } })
+    await enableVault('1234', FAST)
+    resetStorage()
+
+    renderVault(<VaultGate><p>Health data</p></VaultGate>)
+    await user.click(screen.getByText('Forgot it? Delete encrypted data'))
+
+    expect(await screen.findByText('Health data')).toBeInTheDocument()
+    expect(getItem('visioncheck-results')).toBeNull()
+  })
+
+  it('locks automatically after inactivity', async () => {
+    await enableVault('1234', FAST)
+    vi.useFakeTimers()
+
+    renderVault()
+    act(() => {
+      screen.getByText('One minute').click()
+    })
+    expect(localStorage.getItem('visioncheck-auto-lock')).toBe('1')
+
+    act(() => {
+      vi.advanceTimersByTime(50 * 1000)
+      window.dispatchEvent(new KeyboardEvent('keydown'))
+      vi.advanceTimersByTime(50 * 1000)
+    })
+    expect(screen.getByTestId('locked')).toHaveTextContent('unlocked')
+
+    act(() => {
+      vi.advanceTimersByTime(15 * 1000)
+    })
+    expect(screen.getByTestId('locked')).toHaveTextContent('locked')
+  })
+
+  it('does not auto-lock when set to never', async () => {
+    localStorage.setItem('visioncheck-auto-lock', '0')
+    await enableVault('1234', FAST)
+    vi.useFakeTimers()
+
+    renderVault()
+    act(() => {
+      vi.advanceTimersByTime(24 * 60 * 60 * 1000)
+    })
+
+    expect(screen.getByTestId('locked')).toHaveTextContent('unlocked')
+  })
+
+  it('enables encryption with the default key derivation', async () => {
+    function EnableButton() {
+      const { enable } = useVault()
+      return <button onClick={() => enable('1234')}>Enable</button>
+    }
+    const user = userEvent.setup()
+
+    renderVault(<><TestComponent /><EnableButton /></>)
+    await user.click(screen.getByText('Enable'))
+
+    await waitFor(() => expect(screen.getByTestId('enabled')).toHaveTextContent('enabled'), { timeout: 5000 })
+    expect(getItem('visioncheck-vault').iterations).toBe(600000)
+  })
+})
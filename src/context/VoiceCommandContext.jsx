@@ -1,4 +1,5 @@
 import { createContext, useContext, useState, useCallback, useEffect } from 'react'
+import { getItem, setItem } from '../storage/storage'
 
 const VoiceCommandContext = createContext(null)
 
@@ -9,14 +10,13 @@ const STORAGE_KEY = 'visioncheck-voice-enabled'
  * 
  * Features:
  * - Toggle voice commands on/off
- * - Persist preference to localStorage
+ * - Persist preference through the storage module
  * - Check browser support for Web Speech API
  */
 export function VoiceCommandProvider({ children }) {
   const [voiceEnabled, setVoiceEnabledState] = useState(() => {
     try {
-      const stored = localStorage.getItem(STORAGE_KEY)
-      return stored === 'true'
+      return getItem(STORAGE_KEY) === true
     } catch {
       return false
     }
@@ -30,10 +30,10 @@ export function VoiceCommandProvider({ children }) {
     setIsSupported(!!SpeechRecognition)
   }, [])
 
-  // Persist to localStorage
+  // Persist preference
   useEffect(() => {
     try {
-      localStorage.setItem(STORAGE_KEY, voiceEnabled.toString())
+      setItem(STORAGE_KEY, voiceEnabled)
     } catch {
       // Ignore storage errors
     }
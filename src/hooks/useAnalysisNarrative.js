@@ -0,0 +1,63 @@
+import { useState, useEffect, useRef } from 'react'
+import { translateText } from '../api/openai'
+import { getAnalysisNarrative, isStructuredAnalysis } from '../utils/eyeAnalysis'
+
+/**
+ * useAnalysisNarrative - Hook for showing an eye photo analysis narrative in the current language
+ *
+ * Photos are analyzed once, in the language the app was in at the time. When
+ * the narrative is missing in `language`, it is translated from the English
+ * (or only) version and passed to `onTranslated`, so the caller can cache it
+ * with the stored result. The untranslated text is shown in the meantime and
+ * if the translation fails. Legacy markdown analyses are returned as they are.
+ *
+ * @param {import('../utils/eyeAnalysis').EyeAnalysis|Record<string, string>|string|null} analysis
+ * @param {string} language - Language code to show
+ * @param {(language: string, text: string, sourceText: string) => void} [onTranslated]
+ * @returns {{narrative: string, status: 'ready'|'translating'|'failed'}}
+ */
+export function useAnalysisNarrative(analysis, language, onTranslated) {
+  const [translation, setTranslation] = useState({ key: null, text: null })
+  const onTranslatedRef = useRef(onTranslated)
+
+  useEffect(() => {
+    onTranslatedRef.current = onTranslated
+  })
+
+  const narratives = isStructuredAnalysis(analysis) ? analysis.narrative : null
+  const needsTranslation = !!narratives && !narratives[language]
+  const sourceLanguage = needsTranslation ? (narratives.en ? 'en' : Object.keys(narratives)[0]) : null
+  const sourceText = sourceLanguage ? narratives[sourceLanguage] : null
+  const key = sourceText ? `${sourceLanguage}:${language}:${sourceText}` : null
+
+  useEffect(() => {
+    if (!key) return
+    let cancelled = false
+
+    translateText(sourceText, sourceLanguage, language)
+      .then(text => {
+        if (cancelled) return
+        setTranslation({ key, text })
+        onTranslatedRef.current?.(language, text, sourceText)
+      })
+      .catch(error => {
+        console.error('Translation error:', error)
+        if (!cancelled) setTranslation({ key, text: null })
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [key, sourceText, sourceLanguage, language])
+
+  if (!key) {
+    return { narrative: getAnalysisNarrative(analysis, language), status: 'ready' }
+  }
+  // Ignore a translation left over from a previous text or language
+  if (translation.key !== key) {
+    return { narrative: sourceText, status: 'translating' }
+  }
+  return translation.text
+    ? { narrative: translation.text, status: 'ready' }
+    : { narrative: sourceText, status: 'failed' }
+}
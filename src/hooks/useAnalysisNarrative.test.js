@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { renderHook, waitFor } from '@testing-library/react'
+import { useAnalysisNarrative } from './useAnalysisNarrative'
+import { translateText } from '../api/openai'
+
+vi.mock('../api/openai', () => ({
+  translateText: vi.fn()
+}))
+
+const analysis = (narrative) => ({
+  imageQuality: 'good',
+  findings: { redness: 'none', sclera: 'none', pupil: 'none', iris: 'none', eyelid: 'none' },
+  recommendation: 'routine',
+  narrative
+})
+
+describe('useAnalysisNarrative', () => {
+  beforeEach(() => {
+    translateText.mockReset()
+  })
+
+  it('uses a stored narrative without translating', () => {
+    const { result } = renderHook(() => useAnalysisNarrative(analysis({ en: 'Clear', de: 'Klar' }), 'de'))
+
+    expect(result.current).toEqual({ narrative: 'Klar', status: 'ready' })
+    expect(translateText).not.toHaveBeenCalled()
+  })
+
+  it('translates a missing narrative and reports it for caching', async () => {
+    translateText.mockResolvedValue('Klar')
+    const onTranslated = vi.fn()
+
+    const { result } = renderHook(() => useAnalysisNarrative(analysis({ en: 'Clear' }), 'de', onTranslated))
+
+    expect(result.current).toEqual({ narrative: 'Clear', status: 'translating' })
+    await waitFor(() => expect(result.current).toEqual({ narrative: 'Klar', status: 'ready' }))
+    expect(translateText).toHaveBeenCalledWith('Clear', 'en', 'de')
+    expect(onTranslated).toHaveBeenCalledWith('de', 'Klar', 'Clear')
+  })
+
+  it('translates from the only narrative there is', async () => {
+    translateText.mockResolvedValue('Clear')
+
+    const { result } = renderHook(() => useAnalysisNarrative(analysis({ de: 'Klar' }), 'en'))
+
+    await waitFor(() => expect(result.current.narrative).toBe('Clear'))
+    expect(translateText).toHaveBeenCalledWith('Klar', 'de', 'en')
+  })
+
+  it('keeps the untranslated text when translation fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    translateText.mockRejectedValue(new Error('API unavailable'))
+
+    const { result } = renderHook(() => useAnalysisNarrative(analysis({ en: 'Clear' }), 'de'))
+
+    await waitFor(() => expect(result.current).toEqual({ narrative: 'Clear', status: 'failed' }))
+    console.error.mockRestore()
+  })
+
+  it('returns legacy markdown as it is', () => {
+    const { result } = renderHook(() => useAnalysisNarrative('## Summary', 'de'))
+
+    expect(result.current).toEqual({ narrative: '## Summary', status: 'ready' })
+    expect(translateText).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,166 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import {
+  SMOOTHING_WINDOW,
+  estimateDistanceFromFace,
+  getDistanceBand,
+  classifyDistance,
+  median,
+  summarizeDistance,
+} from '../utils/viewingDistance'
+import { createLandmarkDetector } from '../utils/faceLandmarks'
+
+const DETECTION_INTERVAL_MS = 500
+
+function stopTracks(stream) {
+  stream?.getTracks().forEach(track => track.stop())
+}
+
+// The built-in FaceDetector is faster where a browser ships it; everywhere
+// else the bundled landmark model runs on TensorFlow.js
+async function createDetector() {
+  if ('FaceDetector' in window) {
+    return new window.FaceDetector({ fastMode: true, maxDetectedFaces: 1 })
+  }
+  return createLandmarkDetector()
+}
+
+/**
+ * useDistanceMonitor - Hook for estimating viewing distance with the front camera
+ *
+ * Detects the face in an off-screen video element with the browser's
+ * FaceDetector (Shape Detection API) where available, and with the bundled
+ * face landmark model otherwise. Frames never leave the device and nothing
+ * is uploaded. Only browsers without camera access report `isSupported: false`.
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} options.targetDistanceCm - Required viewing distance
+ * @param {number} options.intervalMs - Time between detections (default: 500)
+ * @returns {Object} - { isSupported, status, distanceCm, distanceStatus, band, start, stop, reset, getSummary }
+ */
+export function useDistanceMonitor({ targetDistanceCm, intervalMs = DETECTION_INTERVAL_MS }) {
+  const isSupported = typeof window !== 'undefined' && !!navigator.mediaDevices?.getUserMedia
+
+  const [status, setStatus] = useState(isSupported ? 'idle' : 'unsupported') // idle, requesting, active, denied, failed, unsupported
+  const [distanceCm, setDistanceCm] = useState(null)
+
+  const streamRef = useRef(null)
+  const videoRef = useRef(null)
+  const detectorRef = useRef(null)
+  const timerRef = useRef(null)
+  const pendingRef = useRef(null)
+  const recentRef = useRef([])
+  const readingsRef = useRef([])
+  const methodRef = useRef(null)
+
+  const band = getDistanceBand(targetDistanceCm)
+
+  const stop = useCallback(() => {
+    clearInterval(timerRef.current)
+    timerRef.current = null
+    pendingRef.current = null
+    stopTracks(streamRef.current)
+    streamRef.current = null
+    videoRef.current = null
+    setStatus(prev => (['unsupported', 'denied', 'failed'].includes(prev) ? prev : 'idle'))
+  }, [])
+
+  const detect = useCallback(async () => {
+    const video = videoRef.current
+    if (!video || !detectorRef.current || !video.videoWidth) return
+
+    try {
+      const faces = await detectorRef.current.detect(video)
+      const estimate = estimateDistanceFromFace(faces[0], video.videoWidth)
+      if (!estimate) return
+
+      recentRef.current = [...recentRef.current, estimate.distanceCm].slice(-SMOOTHING_WINDOW)
+      const smoothed = median(recentRef.current)
+      readingsRef.current.push(smoothed)
+      methodRef.current = estimate.method
+      setDistanceCm(Math.round(smoothed))
+    } catch (e) {
+      console.warn('Face detection failed:', e)
+    }
+  }, [])
+
+  const start = useCallback(async () => {
+    if (!isSupported || streamRef.current || pendingRef.current) return
+
+    // stop() clears the token, so a start it interrupted releases its own stream
+    const token = {}
+    pendingRef.current = token
+    let stream = null
+    const abandoned = () => {
+      if (pendingRef.current === token) return false
+      stopTracks(stream)
+      return true
+    }
+
+    setStatus('requesting')
+    const video = document.createElement('video')
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'user', width: { ideal: 640 }, height: { ideal: 480 } }
+      })
+      if (abandoned()) return
+
+      video.muted = true
+      video.playsInline = true
+      video.srcObject = stream
+      await video.play()
+    } catch (err) {
+      if (abandoned()) return
+      console.error('Distance monitor camera error:', err)
+      stopTracks(stream)
+      stop()
+      setStatus('denied')
+      return
+    }
+    if (abandoned()) return
+
+    try {
+      detectorRef.current ??= await createDetector()
+    } catch (err) {
+      if (abandoned()) return
+      console.error('Face detection model failed to load:', err)
+      stopTracks(stream)
+      stop()
+      setStatus('failed')
+      return
+    }
+    if (abandoned()) return
+
+    streamRef.current = stream
+    videoRef.current = video
+    pendingRef.current = null
+    timerRef.current = setInterval(detect, intervalMs)
+    setStatus('active')
+  }, [isSupported, intervalMs, detect, stop])
+
+  // Clear readings between test runs (e.g. when switching eyes)
+  const reset = useCallback(() => {
+    recentRef.current = []
+    readingsRef.current = []
+    methodRef.current = null
+    setDistanceCm(null)
+  }, [])
+
+  const getSummary = useCallback(() => (
+    summarizeDistance(readingsRef.current, targetDistanceCm, methodRef.current)
+  ), [targetDistanceCm])
+
+  // Release the camera on unmount
+  useEffect(() => stop, [stop])
+
+  return {
+    isSupported,
+    status,
+    distanceCm,
+    distanceStatus: status === 'active' ? classifyDistance(distanceCm, band) : 'unknown',
+    band,
+    start,
+    stop,
+    reset,
+    getSummary,
+  }
+}
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import { useDistanceMonitor } from './useDistanceMonitor'
+import { focalLengthPx, AVERAGE_FACE_WIDTH_MM } from '../utils/viewingDistance'
+import { createLandmarkDetector } from '../utils/faceLandmarks'
+
+vi.mock('../utils/faceLandmarks', () => ({
+  createLandmarkDetector: vi.fn()
+}))
+
+const FRAME_WIDTH = 640
+
+// Face width in pixels that corresponds to the given distance
+let faceDistanceCm = 40
+const faceWidthPx = () => (focalLengthPx(FRAME_WIDTH) * AVERAGE_FACE_WIDTH_MM) / (faceDistanceCm * 10)
+
+class MockFaceDetector {
+  async detect() {
+    return [{ boundingBox: { width: faceWidthPx() }, landmarks: [] }]
+  }
+}
+
+describe('useDistanceMonitor', () => {
+  let stopTrack
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    faceDistanceCm = 40
+    stopTrack = vi.fn()
+    window.FaceDetector = MockFaceDetector
+    Object.defineProperty(navigator, 'mediaDevices', {
+      configurable: true,
+      value: {
+        getUserMedia: vi.fn().mockResolvedValue({ getTracks: () => [{ stop: stopTrack }] })
+      }
+    })
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue()
+    Object.defineProperty(HTMLVideoElement.prototype, 'videoWidth', {
+      configurable: true,
+      get: () => FRAME_WIDTH
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+    delete window.FaceDetector
+    delete navigator.mediaDevices
+    delete HTMLVideoElement.prototype.videoWidth
+  })
+
+  it('reports unsupported when the camera is unavailable', () => {
+    delete navigator.mediaDevices
+
+    const { result } = renderHook(() => useDistanceMonitor({ targetDistanceCm: 40 }))
+
+    expect(result.current.isSupported).toBe(false)
+    expect(result.current.status).toBe('unsupported')
+    expect(result.current.distanceStatus).toBe('unknown')
+  })
+
+  it('estimates distance from detected faces', async () => {
+    const { result } = renderHook(() => useDistanceMonitor({ targetDistanceCm: 40 }))
+
+    await act(async () => {
+      await result.current.start()
+    })
+    expect(result.current.status).toBe('active')
+
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(500)
+    })
+
+    expect(result.current.distanceCm).toBe(40)
+    expect(result.current.distanceStatus).toBe('ok')
+  })
+
+  it('flags distances outside the band and summarises readings', async () => {
+    const { result } = renderHook(() => useDistanceMonitor({ targetDistanceCm: 40 }))
+
+    await act(async () => {
+      await result.current.start()
+    })
+
+    faceDistanceCm = 70
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(500 * 5)
+    })
+
+    expect(result.current.distanceStatus).toBe('too-far')
+    expect(result.current.getSummary()).toMatchObject({
+      targetCm: 40,
+      measuredCm: 70,
+      withinRange: false,
+      method: 'camera-face'
+    })
+  })
+
+  it('falls back to the bundled landmark model without FaceDetector', async () => {
+    delete window.FaceDetector
+    createLandmarkDetector.mockResolvedValue(new MockFaceDetector())
+    const { result } = renderHook(() => useDistanceMonitor({ targetDistanceCm: 40 }))
+
+    expect(result.current.isSupported).toBe(true)
+    await act(async () => {
+      await result.current.start()
+    })
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(500)
+    })
+
+    expect(createLandmarkDetector).toHaveBeenCalled()
+    expect(result.current.distanceCm).toBe(40)
+  })
+
+  it('releases the camera when the landmark model fails to load', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    delete window.FaceDetector
+    createLandmarkDetector.mockRejectedValue(new Error('404'))
+    const { result } = renderHook(() => useDistanceMonitor({ targetDistanceCm: 40 }))
+
+    await act(async () => {
+      await result.current.start()
+    })
+
+    expect(result.current.status).toBe('failed')
+    expect(stopTrack).toHaveBeenCalled()
+  })
+
+  it('reports denied when camera access fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    navigator.mediaDevices.getUserMedia.mockRejectedValue(new Error('NotAllowedError'))
+
+    const { result } = renderHook(() => useDistanceMonitor({ targetDistanceCm: 40 }))
+
+    await act(async () => {
+      await result.current.start()
+    })
+
+    expect(result.current.status).toBe('denied')
+  })
+
+  it('stops the camera on unmount', async () => {
+    const { result, unmount } = renderHook(() => useDistanceMonitor({ targetDistanceCm: 40 }))
+
+    await act(async () => {
+      await result.current.start()
+    })
+    unmount()
+
+    expect(stopTrack).toHaveBeenCalled()
+  })
+
+  it('releases a camera that opens after the monitor was stopped', async () => {
+    let grant
+    navigator.mediaDevices.getUserMedia.mockReturnValue(new Promise(resolve => { grant = resolve }))
+    const { result, unmount } = renderHook(() => useDistanceMonitor({ targetDistanceCm: 40 }))
+
+    let starting
+    act(() => {
+      starting = result.current.start()
+    })
+    unmount()
+    await act(async () => {
+      grant({ getTracks: () => [{ stop: stopTrack }] })
+      await starting
+    })
+
+    expect(stopTrack).toHaveBeenCalled()
+    expect(vi.getTimerCount()).toBe(0)
+  })
+
+  it('opens the camera once when started again during the permission prompt', async () => {
+    const { result } = renderHook(() => useDistanceMonitor({ targetDistanceCm: 40 }))
+
+    await act(async () => {
+      await Promise.all([result.current.start(), result.current.start()])
+    })
+
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1)
+    expect(result.current.status).toBe('active')
+  })
+})
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react'
+import { assessImageQuality, readImageData, QUALITY_UNAVAILABLE } from '../utils/imageQuality'
+
+const CHECK_INTERVAL_MS = 500
+
+/**
+ * useImageQuality - Hook for live quality checks of the camera preview
+ *
+ * Samples the video a couple of times per second and checks sharpness,
+ * exposure, glare and whether an eye sits in the guide circle. Frames are
+ * measured on the device and never uploaded.
+ *
+ * @param {React.RefObject<HTMLVideoElement>} videoRef - Camera preview
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Whether the camera is live
+ * @param {number} options.intervalMs - Time between checks (default: 500)
+ * @returns {import('../utils/imageQuality').QualityResult|null} Latest result, or null until the first frame
+ */
+export function useImageQuality(videoRef, { enabled, intervalMs = CHECK_INTERVAL_MS }) {
+  const [quality, setQuality] = useState(null)
+
+  useEffect(() => {
+    if (!enabled) return
+
+    const timer = setInterval(() => {
+      const video = videoRef.current
+      if (!video?.videoWidth) return
+      const frame = readImageData(video, video.videoWidth, video.videoHeight)
+      setQuality(frame ? assessImageQuality(frame) : QUALITY_UNAVAILABLE)
+    }, intervalMs)
+
+    return () => {
+      clearInterval(timer)
+      setQuality(null)
+    }
+  }, [videoRef, enabled, intervalMs])
+
+  return quality
+}
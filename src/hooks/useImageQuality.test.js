@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import { useImageQuality } from './useImageQuality'
+import { readImageData, QUALITY_UNAVAILABLE } from '../utils/imageQuality'
+
+vi.mock('../utils/imageQuality', async (importOriginal) => ({
+  ...await importOriginal(),
+  readImageData: vi.fn(),
+}))
+
+// Uniform dark frame: fails every check
+const DARK_FRAME = { data: new Uint8ClampedArray(64 * 48 * 4).fill(10), width: 64, height: 48 }
+
+describe('useImageQuality', () => {
+  const videoRef = { current: { videoWidth: 1280, videoHeight: 720 } }
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    readImageData.mockReturnValue(DARK_FRAME)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.clearAllMocks()
+  })
+
+  it('does not sample while disabled', () => {
+    const { result } = renderHook(() => useImageQuality(videoRef, { enabled: false }))
+
+    act(() => { vi.advanceTimersByTime(2000) })
+
+    expect(result.current).toBeNull()
+    expect(readImageData).not.toHaveBeenCalled()
+  })
+
+  it('reports the quality of the latest frame', () => {
+    const { result, rerender } = renderHook(
+      ({ enabled }) => useImageQuality(videoRef, { enabled }),
+      { initialProps: { enabled: true } }
+    )
+    expect(result.current).toBeNull()
+
+    act(() => { vi.advanceTimersByTime(500) })
+
+    expect(readImageData).toHaveBeenCalledWith(videoRef.current, 1280, 720)
+    expect(result.current.passed).toBe(false)
+    expect(result.current.issues[0]).toBe('tooDark')
+
+    rerender({ enabled: false })
+    expect(result.current).toBeNull()
+  })
+
+  it('does not hold up capture when frames cannot be read', () => {
+    readImageData.mockReturnValue(null)
+    const { result } = renderHook(() => useImageQuality(videoRef, { enabled: true }))
+
+    act(() => { vi.advanceTimersByTime(500) })
+
+    expect(result.current).toBe(QUALITY_UNAVAILABLE)
+  })
+})
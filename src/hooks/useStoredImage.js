@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react'
+import { loadImage } from '../storage/storage'
+
+/**
+ * useStoredImage - Hook for displaying an image kept in the storage module
+ *
+ * Loads the blob saved under `imageId` and exposes it as an object URL,
+ * which is revoked when the id changes or the component unmounts.
+ *
+ * @param {string|null|undefined} imageId - Id returned by saveImage
+ * @returns {string|null} Object URL for use as an img src, or null while loading or when missing
+ */
+export function useStoredImage(imageId) {
+  const [image, setImage] = useState({ id: null, url: null })
+
+  useEffect(() => {
+    if (!imageId) return
+    let cancelled = false
+    let url = null
+
+    loadImage(imageId).then(blob => {
+      if (cancelled || !blob) return
+      url = URL.createObjectURL(blob)
+      setImage({ id: imageId, url })
+    })
+
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [imageId])
+
+  // Ignore a URL left over from a previous id
+  return image.id === imageId ? image.url : null
+}
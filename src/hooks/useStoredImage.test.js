@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { renderHook, waitFor } from '@testing-library/react'
+import { useStoredImage } from './useStoredImage'
+import { loadImage } from '../storage/storage'
+
+vi.mock('../storage/storage', () => ({
+  loadImage: vi.fn()
+}))
+
+describe('useStoredImage', () => {
+  beforeEach(() => {
+    URL.createObjectURL = vi.fn(() => 'blob:eye-photo')
+    URL.revokeObjectURL = vi.fn()
+    loadImage.mockReset()
+  })
+
+  afterEach(() => {
+    delete URL.createObjectURL
+    delete URL.revokeObjectURL
+  })
+
+  it('returns an object URL for a stored image', async () => {
+    loadImage.mockResolvedValue(new Blob(['x'], { type: 'image/jpeg' }))
+
+    const { result } = renderHook(() => useStoredImage('img-1'))
+
+    expect(result.current).toBeNull()
+    await waitFor(() => expect(result.current).toBe('blob:eye-photo'))
+    expect(loadImage).toHaveBeenCalledWith('img-1')
+  })
+
+  it('revokes the URL on unmount', async () => {
+    loadImage.mockResolvedValue(new Blob(['x']))
+
+    const { result, unmount } = renderHook(() => useStoredImage('img-1'))
+    await waitFor(() => expect(result.current).toBe('blob:eye-photo'))
+    unmount()
+
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:eye-photo')
+  })
+
+  it('returns null without an id or when the image is missing', async () => {
+    loadImage.mockResolvedValue(null)
+
+    const { result: withoutId } = renderHook(() => useStoredImage(null))
+    const { result: missing } = renderHook(() => useStoredImage('img-gone'))
+
+    await waitFor(() => expect(loadImage).toHaveBeenCalledTimes(1))
+    expect(withoutId.current).toBeNull()
+    expect(missing.current).toBeNull()
+    expect(URL.createObjectURL).not.toHaveBeenCalled()
+  })
+})
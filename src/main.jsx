@@ -3,9 +3,14 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import './i18n' // Initialize i18n
 import App from './App.jsx'
+import { initStorage } from './storage/storage'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Load persisted data (and run any pending migrations) before the first
+// render so contexts can read their initial state synchronously
+initStorage().finally(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
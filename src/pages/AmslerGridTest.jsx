@@ -1,12 +1,30 @@
-import { useState } from 'react'
+import { useState, useRef } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
 import { useTestResults } from '../context/TestResultsContext'
+import { useCalibration } from '../context/CalibrationContext'
 import EyeSelector from '../components/EyeSelector'
 import Celebration from '../components/Celebration'
 import AchievementBadge from '../components/AchievementBadge'
 import AudioInstructions from '../components/AudioInstructions'
+import CalibrationNotice from '../components/CalibrationNotice'
+import AmslerMap, { AmslerLegend } from '../components/AmslerMap'
+import { visualAngleToPx, pxToVisualAngleDegrees, AMSLER_CELL_DEGREES } from '../utils/calibration'
+import {
+  AMSLER_GRID_SIZE as GRID_SIZE,
+  AMSLER_VARIANTS,
+  DEFAULT_AMSLER_VARIANT,
+  DISTORTION_TYPES,
+  DISTORTION_COLORS,
+  marksToRegions,
+  countMarkedCells,
+  parseAmslerVariant,
+} from '../utils/amsler'
 
-const GRID_SIZE = 20 // 20x20 grid
+const CELL = 200 / GRID_SIZE
+const DEFAULT_GRID_PX = 264 // Uncalibrated grid size
+const GRID_PADDING_PX = 8
+// Question ids double as the distortion types the user can mark
 const QUESTIONS = [
   { id: 'missing', question: 'Do any areas of the grid appear to be missing or blank?' },
   { id: 'wavy', question: 'Do any of the lines appear wavy or bent?' },
@@ -14,37 +32,163 @@ const QUESTIONS = [
   { id: 'distorted', question: 'Do the squares appear distorted or different sizes?' },
 ]
 
-function AmslerGrid() {
+/**
+ * Get the on-screen grid size so each square subtends one degree, limited to the viewport.
+ *
+ * @param {Object|null} calibration - Calibration profile, or null when uncalibrated
+ * @returns {number} Grid side length in CSS pixels
+ */
+function getGridSizePx(calibration) {
+  if (!calibration) return DEFAULT_GRID_PX
+  const idealSize = GRID_SIZE * visualAngleToPx(AMSLER_CELL_DEGREES * 60, calibration)
+  const maxSize = window.innerWidth - 48 - GRID_PADDING_PX * 2
+  return Math.min(idealSize, maxSize)
+}
+
+// Colors and line pattern of each chart variant
+const VARIANT_STYLES = {
+  whiteOnBlack: { background: '#000000', line: '#ffffff', dot: '#ef4444' },
+  blackOnWhite: { background: '#ffffff', line: '#000000', dot: '#ef4444' },
+  redOnBlack: { background: '#000000', line: '#ef4444', dot: '#ef4444' },
+  // Lines at 45°, which can show distortions the upright grid hides
+  crossHatch: { background: '#000000', line: '#ffffff', dot: '#ef4444', rotate: 45 },
+  // Diagonals through the centre lead the eye to it when a central scotoma hides the dot
+  diagonals: { background: '#000000', line: '#ffffff', dot: '#ef4444', diagonals: true },
+}
+
+const ARROW_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+}
+
+/**
+ * The grid, with the marked areas laid over it. Given `onMark`, squares can
+ * be marked by tapping, by tracing across them or with the arrow keys and
+ * Space; `onMark(cell, start)` is called for each square, with `start` set
+ * for the first square of a stroke.
+ */
+function AmslerGrid({ size = DEFAULT_GRID_PX, variant = DEFAULT_AMSLER_VARIANT, marks = {}, onMark, label }) {
+  const outerSize = size + GRID_PADDING_PX * 2
+  const style = VARIANT_STYLES[variant]
+  // Rotated lines have to reach the corners of the square
+  const lineCount = style.rotate ? Math.ceil(GRID_SIZE * Math.SQRT2) : GRID_SIZE
+  const lineOffset = (GRID_SIZE - lineCount) / 2 * CELL
+  const lineEnd = 200 - lineOffset
+  const [cursor, setCursor] = useState(null)
+  const tracing = useRef(false)
+
+  const cellAt = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect()
+    const col = Math.floor(((event.clientX - rect.left) / rect.width) * GRID_SIZE)
+    const row = Math.floor(((event.clientY - rect.top) / rect.height) * GRID_SIZE)
+    return col >= 0 && col < GRID_SIZE && row >= 0 && row < GRID_SIZE ? `${col},${row}` : null
+  }
+
+  const handlePointerDown = (event) => {
+    const cell = cellAt(event)
+    if (!cell) return
+    event.currentTarget.setPointerCapture?.(event.pointerId)
+    tracing.current = true
+    onMark(cell, true)
+  }
+
+  const handlePointerMove = (event) => {
+    if (!tracing.current) return
+    const cell = cellAt(event)
+    if (cell) onMark(cell, false)
+  }
+
+  const stopTracing = () => {
+    tracing.current = false
+  }
+
+  const handleKeyDown = (event) => {
+    const [col, row] = (cursor ?? `${GRID_SIZE / 2},${GRID_SIZE / 2}`).split(',').map(Number)
+    if (ARROW_KEYS[event.key]) {
+      event.preventDefault()
+      const [dx, dy] = ARROW_KEYS[event.key]
+      setCursor(`${Math.min(GRID_SIZE - 1, Math.max(0, col + dx))},${Math.min(GRID_SIZE - 1, Math.max(0, row + dy))}`)
+    } else if (event.key === ' ' || event.key === 'Enter') {
+      event.preventDefault()
+      setCursor(`${col},${row}`)
+      onMark(`${col},${row}`, true)
+    }
+  }
+
+  const interactive = !!onMark
+  const [cursorCol, cursorRow] = cursor ? cursor.split(',').map(Number) : []
+
   return (
-    <div className="relative bg-black p-2 rounded-lg" style={{ width: 280, height: 280 }}>
+    <div className="relative p-2 rounded-lg" style={{ width: outerSize, height: outerSize, backgroundColor: style.background }}>
       {/* Grid lines */}
-      <svg viewBox="0 0 200 200" className="w-full h-full">
-        {/* Vertical lines */}
-        {Array.from({ length: GRID_SIZE + 1 }).map((_, i) => (
-          <line
-            key={`v-${i}`}
-            x1={i * (200 / GRID_SIZE)}
-            y1={0}
-            x2={i * (200 / GRID_SIZE)}
-            y2={200}
-            stroke="white"
-            strokeWidth="0.5"
-          />
-        ))}
-        {/* Horizontal lines */}
-        {Array.from({ length: GRID_SIZE + 1 }).map((_, i) => (
-          <line
-            key={`h-${i}`}
-            x1={0}
-            y1={i * (200 / GRID_SIZE)}
-            x2={200}
-            y2={i * (200 / GRID_SIZE)}
-            stroke="white"
-            strokeWidth="0.5"
-          />
-        ))}
+      <svg
+        viewBox="0 0 200 200"
+        className={`w-full h-full ${interactive ? 'cursor-crosshair focus:outline-none focus-visible:ring-2 focus-visible:ring-purple-400' : ''}`}
+        {...(interactive && {
+          role: 'application',
+          'aria-label': label,
+          tabIndex: 0,
+          style: { touchAction: 'none' },
+          onPointerDown: handlePointerDown,
+          onPointerMove: handlePointerMove,
+          onPointerUp: stopTracing,
+          onPointerCancel: stopTracing,
+          onKeyDown: handleKeyDown,
+          onBlur: () => setCursor(null),
+        })}
+      >
+        {/* Marked areas */}
+        {Object.entries(marks).map(([cell, type]) => {
+          const [col, row] = cell.split(',').map(Number)
+          return (
+            <rect
+              key={cell}
+              data-type={type}
+              x={col * CELL}
+              y={row * CELL}
+              width={CELL}
+              height={CELL}
+              fill={DISTORTION_COLORS[type]}
+              fillOpacity={0.6}
+            />
+          )
+        })}
+        <g stroke={style.line} strokeWidth="0.5" transform={style.rotate ? `rotate(${style.rotate} 100 100)` : undefined}>
+          {/* Vertical lines */}
+          {Array.from({ length: lineCount + 1 }).map((_, i) => (
+            <line
+              key={`v-${i}`}
+              x1={lineOffset + i * CELL}
+              y1={lineOffset}
+              x2={lineOffset + i * CELL}
+              y2={lineEnd}
+            />
+          ))}
+          {/* Horizontal lines */}
+          {Array.from({ length: lineCount + 1 }).map((_, i) => (
+            <line
+              key={`h-${i}`}
+              x1={lineOffset}
+              y1={lineOffset + i * CELL}
+              x2={lineEnd}
+              y2={lineOffset + i * CELL}
+            />
+          ))}
+        </g>
+        {style.diagonals && (
+          <g stroke={style.line} strokeWidth="1">
+            <line x1={0} y1={0} x2={200} y2={200} />
+            <line x1={200} y1={0} x2={0} y2={200} />
+          </g>
+        )}
+        {/* Keyboard cursor */}
+        {cursor && (
+          <rect x={cursorCol * CELL} y={cursorRow * CELL} width={CELL} height={CELL} fill="none" stroke="#c084fc" strokeWidth="1.5" />
+        )}
         {/* Center dot */}
-        <circle cx={100} cy={100} r={3} fill="#ef4444" />
+        <circle cx={100} cy={100} r={3} fill={style.dot} />
       </svg>
     </div>
   )
@@ -52,22 +196,35 @@ function AmslerGrid() {
 
 export default function AmslerGridTest() {
   const navigate = useNavigate()
+  const { t } = useTranslation(['tests', 'results'])
   const { results, updateAmslerGrid, checkAndUnlockAchievements } = useTestResults()
+  const { calibration, viewingDistanceCm } = useCalibration()
+  const gridSizePx = getGridSizePx(calibration)
+  // Visual field actually covered by the grid (null when uncalibrated)
+  const fieldDegrees = calibration ? pxToVisualAngleDegrees(gridSizePx, calibration) : null
   
-  const [phase, setPhase] = useState('eye-select') // eye-select, instructions, testing, complete
+  const [phase, setPhase] = useState('eye-select') // eye-select, instructions, testing, marking, complete
   const [currentEye, setCurrentEye] = useState(null) // 'left' | 'right' | null
   const [currentQuestion, setCurrentQuestion] = useState(0)
   const [answers, setAnswers] = useState({})
+  const [marks, setMarks] = useState({}) // distortion type by "column,row"
+  const [tool, setTool] = useState(DISTORTION_TYPES[0]) // a distortion type or 'eraser'
+  const [variant, setVariant] = useState(DEFAULT_AMSLER_VARIANT)
+  const strokeErases = useRef(false)
   const [newAchievements, setNewAchievements] = useState([])
 
   const resetTestState = () => {
     setCurrentQuestion(0)
     setAnswers({})
+    setMarks({})
   }
 
   const handleEyeSelect = (eye) => {
     setCurrentEye(eye)
     resetTestState()
+    // Keep the chart the eye was last tested with, so results stay comparable
+    const otherEye = eye === 'left' ? 'right' : 'left'
+    setVariant(parseAmslerVariant(results.amslerGrid?.[eye]?.variant ?? results.amslerGrid?.[otherEye]?.variant))
     setPhase('instructions')
   }
 
@@ -81,22 +238,49 @@ export default function AmslerGridTest() {
     setAnswers(prev => ({ ...prev, [question.id]: answer }))
     
     if (currentQuestion + 1 >= QUESTIONS.length) {
-      finishTest({ ...answers, [question.id]: answer })
+      const finalAnswers = { ...answers, [question.id]: answer }
+      const reported = QUESTIONS.find(q => finalAnswers[q.id])
+      if (reported) {
+        // Let the user show where, starting with the first problem they reported
+        setTool(reported.id)
+        setPhase('marking')
+      } else {
+        finishTest(finalAnswers, {})
+      }
     } else {
       setCurrentQuestion(currentQuestion + 1)
     }
   }
 
-  const finishTest = (finalAnswers) => {
-    const hasIssues = Object.values(finalAnswers).some(a => a === true)
+  // A stroke that starts on a square already marked with the current type
+  // erases instead, so tapping a square again unmarks it
+  const handleMark = (cell, start) => {
+    if (start) strokeErases.current = tool === 'eraser' || marks[cell] === tool
+    const erase = strokeErases.current
+    setMarks(prev => {
+      if (erase ? !(cell in prev) : prev[cell] === tool) return prev
+      const next = { ...prev }
+      if (erase) delete next[cell]
+      else next[cell] = tool
+      return next
+    })
+  }
+
+  const finishTest = (finalAnswers, finalMarks) => {
+    const regions = marksToRegions(finalMarks)
+    const hasIssues = Object.values(finalAnswers).some(a => a === true) || regions.length > 0
     
     const newResult = {
       answers: finalAnswers,
       hasIssues,
+      // Where the distortions are, as grid cells per type
+      regions,
       status: hasIssues ? 'concerns_noted' : 'normal',
       message: hasIssues 
         ? 'Some visual distortions were noted. Please consult an eye care professional.'
         : 'No obvious distortions detected. Continue with regular eye care.',
+      variant,
+      fieldDegrees: fieldDegrees === null ? null : +fieldDegrees.toFixed(1),
       testedAt: new Date().toISOString()
     }
     
@@ -174,12 +358,44 @@ export default function AmslerGridTest() {
             label="Test Instructions" 
           />
 
+          <CalibrationNotice />
+
+          {/* Chart variant */}
+          <div className="bg-slate-50 rounded-xl p-6 mb-6">
+            <h3 className="font-semibold text-slate-700 mb-1">{t('tests:amslerGrid.variant.title')}</h3>
+            <p className="text-sm text-slate-500 mb-4">{t('tests:amslerGrid.variant.hint')}</p>
+            <div role="group" aria-label={t('tests:amslerGrid.variant.title')} className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+              {AMSLER_VARIANTS.map(option => (
+                <button
+                  key={option}
+                  onClick={() => setVariant(option)}
+                  aria-pressed={variant === option}
+                  aria-describedby={`amsler-variant-${option}`}
+                  className={`flex flex-col items-center gap-2 p-3 rounded-xl border-2 text-sm transition-colors ${variant === option ? 'border-purple-500 bg-purple-50' : 'border-slate-200 bg-white hover:border-purple-300'}`}
+                >
+                  <span aria-hidden="true">
+                    <AmslerGrid size={56} variant={option} />
+                  </span>
+                  <span className="font-medium text-slate-700">{t(`results:amslerGrid.variants.${option}`)}</span>
+                  <span id={`amsler-variant-${option}`} className="text-xs text-slate-500 text-center">
+                    {t(`tests:amslerGrid.variant.descriptions.${option}`)}
+                  </span>
+                </button>
+              ))}
+            </div>
+            {fieldDegrees !== null && fieldDegrees < GRID_SIZE * AMSLER_CELL_DEGREES - 0.5 && (
+              <p className="text-sm text-amber-700 mt-4">
+                {t('tests:amslerGrid.variant.fieldLimited', { degrees: Math.round(fieldDegrees / 2) })}
+              </p>
+            )}
+          </div>
+
           <div className="bg-slate-50 rounded-xl p-6 mb-6">
             <h3 className="font-semibold text-slate-700 mb-4">Instructions:</h3>
             <ol className="space-y-3 text-slate-600">
               <li className="flex gap-3">
                 <span className="shrink-0 w-6 h-6 bg-purple-100 text-purple-600 rounded-full flex items-center justify-center text-sm font-medium">1</span>
-                <span>Hold your phone at arm&apos;s length (~40cm)</span>
+                <span>{calibration ? `Hold your phone ${viewingDistanceCm}cm from your eyes` : "Hold your phone at arm's length (~40cm)"}</span>
               </li>
               <li className="flex gap-3">
                 <span className="shrink-0 w-6 h-6 bg-purple-100 text-purple-600 rounded-full flex items-center justify-center text-sm font-medium">2</span>
@@ -248,7 +464,7 @@ export default function AmslerGridTest() {
             Focus on the red dot in the center
           </p>
           
-          <AmslerGrid />
+          <AmslerGrid size={gridSizePx} variant={variant} />
           
           <p className="text-white text-lg font-medium mt-8 text-center px-4">
             {question.question}
@@ -273,9 +489,82 @@ export default function AmslerGridTest() {
     )
   }
 
+  // Marking phase
+  if (phase === 'marking') {
+    const markedCount = Object.keys(marks).length
+
+    return (
+      <div className="min-h-screen bg-slate-900 flex flex-col">
+        <header className="bg-slate-800 px-4 py-4 flex items-center justify-between">
+          <button 
+            onClick={() => setPhase('eye-select')} 
+            className="text-white/70 hover:text-white transition-colors"
+          >
+            ← Exit
+          </button>
+          <h1 className="text-white font-medium">{t('tests:amslerGrid.marking.title')}</h1>
+          <div className="text-sm text-white/70 bg-slate-700 px-2 py-1 rounded-full">
+            {currentEye === 'left' ? '👁️ L' : '👁️ R'}
+          </div>
+        </header>
+
+        <div className="flex-1 flex flex-col items-center justify-center p-6">
+          <p className="text-white/80 text-sm mb-1 text-center max-w-sm">
+            {t('tests:amslerGrid.marking.instruction')}
+          </p>
+          <p className="text-white/50 text-xs mb-4 text-center max-w-sm">
+            {t('tests:amslerGrid.marking.keyboardHint')}
+          </p>
+
+          <AmslerGrid
+            size={gridSizePx}
+            variant={variant}
+            marks={marks}
+            onMark={handleMark}
+            label={t('tests:amslerGrid.marking.gridLabel', { count: markedCount })}
+          />
+
+          {/* Distortion types and eraser */}
+          <div role="group" aria-label={t('tests:amslerGrid.marking.tools')} className="flex flex-wrap justify-center gap-2 mt-6">
+            {[...DISTORTION_TYPES, 'eraser'].map(option => (
+              <button
+                key={option}
+                onClick={() => setTool(option)}
+                aria-pressed={tool === option}
+                className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition-colors ${tool === option ? 'bg-white text-slate-900' : 'bg-slate-700 text-white/80 hover:bg-slate-600'}`}
+              >
+                {option === 'eraser'
+                  ? <span aria-hidden="true">⌫</span>
+                  : <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: DISTORTION_COLORS[option] }} />}
+                {option === 'eraser' ? t('tests:amslerGrid.marking.eraser') : t(`results:amslerGrid.types.${option}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="p-6 flex gap-4">
+          <button
+            onClick={() => setMarks({})}
+            disabled={markedCount === 0}
+            className="flex-1 py-4 bg-slate-700 text-white font-semibold rounded-xl hover:bg-slate-600 disabled:opacity-50 transition-colors"
+          >
+            {t('tests:amslerGrid.marking.clear')}
+          </button>
+          <button
+            onClick={() => finishTest(answers, marks)}
+            className="flex-1 py-4 bg-purple-500 text-white font-semibold rounded-xl hover:bg-purple-600 transition-colors"
+          >
+            {t('tests:amslerGrid.marking.done')}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
   // Complete phase
   if (phase === 'complete') {
-    const hasIssues = Object.values(answers).some(a => a === true)
+    const regions = results.amslerGrid?.[currentEye]?.regions ?? []
+    const hasIssues = Object.values(answers).some(a => a === true) || regions.length > 0
     const issuesList = QUESTIONS.filter(q => answers[q.id])
     const otherEye = currentEye === 'left' ? 'right' : 'left'
     const otherEyeComplete = results.amslerGrid?.[otherEye]
@@ -337,6 +626,17 @@ export default function AmslerGridTest() {
             </div>
           )}
 
+          {/* Marked areas */}
+          {regions.length > 0 && (
+            <div className="bg-white rounded-xl border border-slate-200 p-4 mb-6">
+              <h3 className="font-semibold text-slate-800 mb-3">{t('results:amslerGrid.mapTitle')}</h3>
+              <div className="flex flex-col items-center gap-3">
+                <AmslerMap regions={regions} label={t('results:amslerGrid.markedCells', { count: countMarkedCells(regions) })} className="w-48 h-48" />
+                <AmslerLegend types={regions.map(region => region.type)} />
+              </div>
+            </div>
+          )}
+
           {/* Explanation */}
           <div className="bg-white rounded-xl border border-slate-200 p-4 mb-6">
             <h3 className="font-semibold text-slate-800 mb-3">What does this mean?</h3>
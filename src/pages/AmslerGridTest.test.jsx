@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
+import { I18nextProvider } from 'react-i18next'
+import AmslerGridTest from './AmslerGridTest'
+import { TestResultsProvider } from '../context/TestResultsContext'
+import { TTSSettingsProvider } from '../context/TTSSettingsContext'
+import { LanguageProvider } from '../context/LanguageContext'
+import { ConsentProvider } from '../context/ConsentContext'
+import { CalibrationProvider } from '../context/CalibrationContext'
+import i18n from '../i18n'
+
+// Normal results celebrate with confetti, which needs a real canvas
+vi.mock('canvas-confetti', () => ({
+  default: vi.fn()
+}))
+
+beforeEach(async () => {
+  vi.spyOn(window.HTMLMediaElement.prototype, 'play').mockResolvedValue(undefined)
+  vi.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {})
+  vi.spyOn(window.HTMLMediaElement.prototype, 'load').mockImplementation(() => {})
+
+  localStorage.clear()
+  localStorage.setItem('visioncheck-consent', JSON.stringify({ hasConsented: true, consentGiven: true }))
+  await i18n.changeLanguage('en')
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+function renderWithProviders(ui) {
+  return render(
+    <MemoryRouter>
+      <I18nextProvider i18n={i18n}>
+        <LanguageProvider>
+          <TTSSettingsProvider>
+            <ConsentProvider>
+              <CalibrationProvider>
+                <TestResultsProvider>
+                  {ui}
+                </TestResultsProvider>
+              </CalibrationProvider>
+            </ConsentProvider>
+          </TTSSettingsProvider>
+        </LanguageProvider>
+      </I18nextProvider>
+    </MemoryRouter>
+  )
+}
+
+// Answers the four questions in order: missing, wavy, blurry, distorted
+function answerQuestions(answers) {
+  fireEvent.click(screen.getByText('Left'))
+  fireEvent.click(screen.getByRole('button', { name: 'Start Test' }))
+  answers.forEach(answer => fireEvent.click(screen.getByRole('button', { name: answer ? 'Yes' : 'No' })))
+}
+
+const savedResult = () => JSON.parse(localStorage.getItem('visioncheck-results')).amslerGrid.left
+
+describe('AmslerGridTest', () => {
+  it('finishes without marking when no problems are reported', async () => {
+    renderWithProviders(<AmslerGridTest />)
+    answerQuestions([false, false, false, false])
+
+    expect(await screen.findByText('No distortions detected')).toBeInTheDocument()
+    await waitFor(() => expect(savedResult()).toMatchObject({ hasIssues: false, regions: [] }))
+  })
+
+  it('asks to mark the areas with the first reported problem selected', () => {
+    renderWithProviders(<AmslerGridTest />)
+    answerQuestions([false, true, true, false])
+
+    expect(screen.getByText('Mark the affected areas')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Wavy lines' })).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.getByRole('button', { name: 'Blurry' })).toHaveAttribute('aria-pressed', 'false')
+  })
+
+  it('marks squares with the keyboard and saves them as regions', async () => {
+    renderWithProviders(<AmslerGridTest />)
+    answerQuestions([false, true, false, false])
+
+    const grid = screen.getByRole('application')
+    fireEvent.keyDown(grid, { key: ' ' })
+    fireEvent.keyDown(grid, { key: 'ArrowRight' })
+    fireEvent.keyDown(grid, { key: 'Enter' })
+    fireEvent.click(screen.getByRole('button', { name: 'Blurry' }))
+    fireEvent.keyDown(grid, { key: 'ArrowUp' })
+    fireEvent.keyDown(grid, { key: ' ' })
+    expect(grid).toHaveAccessibleName('Amsler grid for marking, 3 squares marked')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Done' }))
+
+    expect(await screen.findByRole('img', { name: '3 squares marked' })).toBeInTheDocument()
+    await waitFor(() => expect(savedResult().regions).toEqual([
+      { type: 'wavy', cells: [[10, 10], [11, 10]] },
+      { type: 'blurry', cells: [[11, 9]] }
+    ]))
+  })
+
+  it('unmarks a square when it is tapped again', () => {
+    renderWithProviders(<AmslerGridTest />)
+    answerQuestions([true, false, false, false])
+
+    const grid = screen.getByRole('application')
+    vi.spyOn(grid, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0, width: 200, height: 200 })
+
+    // Trace across the top row, then tap the first square again
+    fireEvent.pointerDown(grid, { clientX: 5, clientY: 5 })
+    fireEvent.pointerMove(grid, { clientX: 15, clientY: 5 })
+    fireEvent.pointerMove(grid, { clientX: 25, clientY: 5 })
+    fireEvent.pointerUp(grid)
+    expect(grid).toHaveAccessibleName('Amsler grid for marking, 3 squares marked')
+
+    fireEvent.pointerDown(grid, { clientX: 5, clientY: 5 })
+    fireEvent.pointerUp(grid)
+    expect(grid).toHaveAccessibleName('Amsler grid for marking, 2 squares marked')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear all' }))
+    expect(grid).toHaveAccessibleName('Amsler grid for marking, 0 squares marked')
+  })
+
+  describe('chart variants', () => {
+    it('saves the chart the grid was viewed with', async () => {
+      renderWithProviders(<AmslerGridTest />)
+      fireEvent.click(screen.getByText('Left'))
+
+      expect(screen.getByRole('button', { name: /White on black/ })).toHaveAttribute('aria-pressed', 'true')
+      fireEvent.click(screen.getByRole('button', { name: /Red on black/ }))
+      expect(screen.getByRole('button', { name: /Red on black/ })).toHaveAttribute('aria-pressed', 'true')
+
+      fireEvent.click(screen.getByRole('button', { name: 'Start Test' }))
+      ;[false, false, false, false].forEach(() => fireEvent.click(screen.getByRole('button', { name: 'No' })))
+
+      await waitFor(() => expect(savedResult().variant).toBe('redOnBlack'))
+    })
+
+    it('starts with the chart the eye was last tested with', () => {
+      localStorage.setItem('visioncheck-results', JSON.stringify({
+        amslerGrid: { left: { hasIssues: false, variant: 'diagonals' }, right: null }
+      }))
+      renderWithProviders(<AmslerGridTest />)
+      fireEvent.click(screen.getByText('Right'))
+
+      expect(screen.getByRole('button', { name: /Fixation diagonals/ })).toHaveAttribute('aria-pressed', 'true')
+    })
+
+    it('warns when the screen cannot show the full field', () => {
+      localStorage.setItem('visioncheck-calibration', JSON.stringify({ pxPerMm: 8, viewingDistanceCm: 40, method: 'card' }))
+      renderWithProviders(<AmslerGridTest />)
+      fireEvent.click(screen.getByText('Left'))
+
+      expect(screen.getByText(/the grid covers 9° around the dot instead of 10°/)).toBeInTheDocument()
+    })
+
+    it('does not warn when uncalibrated', () => {
+      renderWithProviders(<AmslerGridTest />)
+      fireEvent.click(screen.getByText('Left'))
+
+      expect(screen.queryByText(/around the dot instead of/)).not.toBeInTheDocument()
+    })
+  })
+})
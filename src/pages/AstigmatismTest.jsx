@@ -6,44 +6,15 @@ import EyeSelector from '../components/EyeSelector'
 import Celebration from '../components/Celebration'
 import AchievementBadge from '../components/AchievementBadge'
 import AudioInstructions from '../components/AudioInstructions'
+import { FAN_OFFSETS, astigmatismSeverity, axisConfidence, axisToLineAngle, clockToAxis, fanAxes, meanAxis } from '../utils/astigmatism'
 
-// Clock positions (1-12) mapped to degrees (0-180 for astigmatism axis)
-// Clock position corresponds to the angle of the line
-// 12 o'clock = 90°, 3 o'clock = 0°/180°, 6 o'clock = 90°, 9 o'clock = 0°/180°
-const CLOCK_TO_AXIS = {
-  12: 90,
-  1: 75,
-  2: 60,
-  3: 45,
-  4: 30,
-  5: 15,
-  6: 0, // or 180
-  7: 165,
-  8: 150,
-  9: 135,
-  10: 120,
-  11: 105
-}
+const FAN_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G']
 
-// Calculate severity based on number of lines selected
-const calculateSeverity = (selectedLines) => {
-  if (selectedLines.length === 0) return 'none'
-  if (selectedLines.length <= 2) return 'mild'
-  if (selectedLines.length <= 4) return 'moderate'
-  return 'significant'
-}
-
-// Estimate axis from selected lines (find the mode/most common direction)
-const estimateAxis = (selectedLines) => {
-  if (selectedLines.length === 0) return null
-  
-  // Get all axes for selected lines
-  const axes = selectedLines.map(pos => CLOCK_TO_AXIS[pos])
-  
-  // Find average direction (handling the 0/180 wraparound)
-  // For simplicity, just return the first selected line's axis
-  return axes[0]
-}
+// Screen point at the given distance from the center along a drawing angle
+const pointAt = (center, angle, radius) => ({
+  x: center + Math.cos(angle * Math.PI / 180) * radius,
+  y: center - Math.sin(angle * Math.PI / 180) * radius
+})
 
 function ClockDial({ selectedLines, onLineToggle, disabled }) {
   const { t } = useTranslation('tests')
@@ -150,20 +121,81 @@ function ClockDial({ selectedLines, onLineToggle, disabled }) {
   )
 }
 
+// Fan of lines 10° apart through the center, around the dial's darkest direction
+function FanChart({ axis, onSelect }) {
+  const center = 150
+  const innerRadius = 20
+  const outerRadius = 115
+
+  return (
+    <svg viewBox="0 0 300 300" className="w-[300px] h-[300px]" aria-hidden="true">
+      <circle cx={center} cy={center} r={outerRadius + 25} fill="white" className="dark:fill-slate-800" stroke="#e2e8f0" strokeWidth="2" />
+      {FAN_OFFSETS.map((offset, index) => {
+        // Each line runs through the center; the letter sits at the end on
+        // the same side for all of them, so the angle comes from the offset
+        // rather than from fanAxes, whose axes wrap around at 180°
+        const angle = axisToLineAngle(axis) - offset
+        const ends = [angle, angle + 180].map(direction => [pointAt(center, direction, innerRadius), pointAt(center, direction, outerRadius)])
+        const label = pointAt(center, angle, outerRadius + 14)
+        return (
+          <g key={offset} className="cursor-pointer" onClick={() => onSelect(index)}>
+            {ends.map(([from, to], end) => (
+              <g key={end}>
+                <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke="transparent" strokeWidth="14" />
+                <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke="#1e293b" strokeWidth="2" strokeLinecap="round" className="dark:stroke-slate-300" />
+              </g>
+            ))}
+            <text
+              x={label.x}
+              y={label.y}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              className="text-xs fill-slate-500 dark:fill-slate-400 select-none"
+            >
+              {FAN_LETTERS[index]}
+            </text>
+          </g>
+        )
+      })}
+      <circle cx={center} cy={center} r={8} fill="#ef4444" />
+      <circle cx={center} cy={center} r={4} fill="white" />
+    </svg>
+  )
+}
+
+// Square of parallel lines at the given drawing angle
+function LineBlock({ angle }) {
+  return (
+    <svg viewBox="0 0 100 100" className="w-32 h-32 bg-white rounded-lg" aria-hidden="true">
+      <g transform={`rotate(${-angle} 50 50)`}>
+        {Array.from({ length: 23 }, (_, i) => -40 + i * 8).map(y => (
+          <line key={y} x1={-40} y1={y} x2={140} y2={y} stroke="#1e293b" strokeWidth="2" />
+        ))}
+      </g>
+    </svg>
+  )
+}
+
 export default function AstigmatismTest() {
   const { t } = useTranslation(['tests', 'common'])
   const navigate = useNavigate()
   const { results, updateAstigmatism, checkAndUnlockAchievements } = useTestResults()
   
-  const [phase, setPhase] = useState('eye-select') // eye-select, instructions, testing, complete
+  const [phase, setPhase] = useState('eye-select') // eye-select, instructions, testing, fan, block, complete
   const [currentEye, setCurrentEye] = useState(null) // 'left' | 'right' | null
   const [selectedLines, setSelectedLines] = useState([])
   const [allLinesEqual, setAllLinesEqual] = useState(null)
+  const [dial, setDial] = useState(null) // meanAxis of the selected lines
+  const [fan, setFan] = useState(null) // { axis, response }
+  const [alignedOnLeft, setAlignedOnLeft] = useState(true)
+  const [savedResult, setSavedResult] = useState(null)
   const [newAchievements, setNewAchievements] = useState([])
 
   const resetTestState = useCallback(() => {
     setSelectedLines([])
     setAllLinesEqual(null)
+    setDial(null)
+    setFan(null)
   }, [])
 
   const handleEyeSelect = useCallback((eye) => {
@@ -193,21 +225,22 @@ export default function AstigmatismTest() {
     setSelectedLines([])
   }, [])
 
-  const finishTest = useCallback(() => {
+  const finishTest = useCallback((axisFields) => {
     const isEqual = allLinesEqual === true
-    const severity = isEqual ? 'none' : calculateSeverity(selectedLines)
-    const axis = isEqual ? null : estimateAxis(selectedLines)
     
     const newResult = {
       allLinesEqual: isEqual,
       selectedLines: isEqual ? [] : selectedLines,
-      estimatedAxis: axis,
-      severity,
+      estimatedAxis: null,
+      axisConfidence: null,
+      ...axisFields,
+      severity: isEqual ? 'none' : astigmatismSeverity(selectedLines, axisFields?.axisRefinement?.block ?? null),
       testedAt: new Date().toISOString()
     }
     
     // Save result for the current eye
     updateAstigmatism(currentEye, newResult)
+    setSavedResult(newResult)
     
     // Check for newly unlocked achievements
     const updatedResults = {
@@ -223,6 +256,40 @@ export default function AstigmatismTest() {
     setPhase('complete')
   }, [allLinesEqual, selectedLines, currentEye, results, updateAstigmatism, checkAndUnlockAchievements])
 
+  // Darker lines go on to the fan around their mean axis, unless they point
+  // in too many directions to have one
+  const handleConfirm = useCallback(() => {
+    if (allLinesEqual === true) {
+      finishTest()
+      return
+    }
+    const mean = meanAxis(selectedLines.map(clockToAxis))
+    if (mean.axis === null) {
+      finishTest()
+      return
+    }
+    setDial(mean)
+    setPhase('fan')
+  }, [allLinesEqual, selectedLines, finishTest])
+
+  const handleFanAnswer = useCallback((index) => {
+    setFan(index === null
+      ? { axis: dial.axis, response: 'equal' }
+      : { axis: fanAxes(dial.axis)[index], response: 'picked' })
+    // The block along the axis is placed at random, so habit doesn't pick it
+    setAlignedOnLeft(Math.random() < 0.5)
+    setPhase('block')
+  }, [dial])
+
+  const handleBlockAnswer = useCallback((answer) => {
+    const block = answer === 'equal' ? 'equal' : (answer === 'left') === alignedOnLeft ? 'aligned' : 'perpendicular'
+    finishTest({
+      estimatedAxis: fan.axis,
+      axisConfidence: axisConfidence(dial.concentration, fan.response, block),
+      axisRefinement: { dialAxis: dial.axis, fanAxis: fan.response === 'picked' ? fan.axis : null, block }
+    })
+  }, [alignedOnLeft, dial, fan, finishTest])
+
   const canSubmit = allLinesEqual === true || selectedLines.length > 0
 
   // Eye selection phase
@@ -372,7 +439,7 @@ export default function AstigmatismTest() {
           </button>
           
           <button
-            onClick={finishTest}
+            onClick={handleConfirm}
             disabled={!canSubmit}
             className="w-full py-4 bg-teal-500 text-white font-semibold rounded-xl hover:bg-teal-600 disabled:bg-slate-300 dark:disabled:bg-slate-600 disabled:cursor-not-allowed transition-colors"
           >
@@ -383,11 +450,112 @@ export default function AstigmatismTest() {
     )
   }
 
+  // Fan phase: finer lines around the darkest direction on the dial
+  if (phase === 'fan') {
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-slate-50 to-slate-100 dark:from-slate-900 dark:to-slate-800 flex flex-col">
+        <header className="bg-white/80 dark:bg-slate-800/80 backdrop-blur-sm border-b border-slate-100 dark:border-slate-700 px-4 py-4 flex items-center justify-between">
+          <button 
+            onClick={() => setPhase('eye-select')} 
+            className="text-slate-600 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200 transition-colors"
+          >
+            ← {t('common:actions.exit')}
+          </button>
+          <h1 className="font-semibold text-slate-800 dark:text-slate-100">{t('astigmatism.title')}</h1>
+          <div className="text-sm text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-slate-700 px-2 py-1 rounded-full">
+            {currentEye === 'left' ? '👁️ L' : '👁️ R'}
+          </div>
+        </header>
+
+        <div className="flex-1 flex flex-col items-center justify-center p-6">
+          <p className="text-slate-600 dark:text-slate-300 text-center mb-2">
+            {t('astigmatism.fan.hint')}
+          </p>
+          <p className="text-slate-800 dark:text-slate-100 text-lg font-medium text-center mb-6">
+            {t('astigmatism.fan.question')}
+          </p>
+          
+          <FanChart axis={dial.axis} onSelect={handleFanAnswer} />
+        </div>
+
+        <div className="p-6 space-y-3">
+          <div className="grid grid-cols-7 gap-2">
+            {FAN_LETTERS.map((letter, index) => (
+              <button
+                key={letter}
+                onClick={() => handleFanAnswer(index)}
+                aria-label={t('astigmatism.fan.line', { letter })}
+                className="py-3 font-semibold rounded-xl transition-colors bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 border border-slate-200 dark:border-slate-600 hover:bg-slate-50 dark:hover:bg-slate-700"
+              >
+                {letter}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => handleFanAnswer(null)}
+            className="w-full py-4 font-semibold rounded-xl transition-colors bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 border border-slate-200 dark:border-slate-600 hover:bg-slate-50 dark:hover:bg-slate-700"
+          >
+            {t('astigmatism.fan.allEqual')}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  // Block phase: lines along the axis against lines across it
+  if (phase === 'block') {
+    const angles = [axisToLineAngle(fan.axis), axisToLineAngle(fan.axis) + 90]
+    const [leftAngle, rightAngle] = alignedOnLeft ? angles : [...angles].reverse()
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-slate-50 to-slate-100 dark:from-slate-900 dark:to-slate-800 flex flex-col">
+        <header className="bg-white/80 dark:bg-slate-800/80 backdrop-blur-sm border-b border-slate-100 dark:border-slate-700 px-4 py-4 flex items-center justify-between">
+          <button 
+            onClick={() => setPhase('eye-select')} 
+            className="text-slate-600 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200 transition-colors"
+          >
+            ← {t('common:actions.exit')}
+          </button>
+          <h1 className="font-semibold text-slate-800 dark:text-slate-100">{t('astigmatism.title')}</h1>
+          <div className="text-sm text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-slate-700 px-2 py-1 rounded-full">
+            {currentEye === 'left' ? '👁️ L' : '👁️ R'}
+          </div>
+        </header>
+
+        <div className="flex-1 flex flex-col items-center justify-center p-6">
+          <p className="text-slate-800 dark:text-slate-100 text-lg font-medium text-center mb-6">
+            {t('astigmatism.block.question')}
+          </p>
+          
+          <div className="flex gap-6">
+            {[['left', leftAngle], ['right', rightAngle]].map(([side, angle]) => (
+              <button
+                key={side}
+                onClick={() => handleBlockAnswer(side)}
+                className="flex flex-col items-center gap-2 p-3 rounded-xl border border-slate-200 dark:border-slate-600 hover:border-teal-400 transition-colors"
+              >
+                <LineBlock angle={angle} />
+                <span className="text-sm font-medium text-slate-700 dark:text-slate-200">{t(`astigmatism.block.${side}`)}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="p-6">
+          <button
+            onClick={() => handleBlockAnswer('equal')}
+            className="w-full py-4 font-semibold rounded-xl transition-colors bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 border border-slate-200 dark:border-slate-600 hover:bg-slate-50 dark:hover:bg-slate-700"
+          >
+            {t('astigmatism.block.equal')}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
   // Complete phase
   if (phase === 'complete') {
-    const isNormal = allLinesEqual === true
-    const severity = isNormal ? 'none' : calculateSeverity(selectedLines)
-    const axis = isNormal ? null : estimateAxis(selectedLines)
+    const isNormal = savedResult.allLinesEqual
+    const { severity, estimatedAxis: axis, axisConfidence: confidence } = savedResult
     const otherEyeComplete = results.astigmatism?.[otherEye]
     const bothComplete = results.astigmatism?.left && results.astigmatism?.right
     
@@ -427,9 +595,14 @@ export default function AstigmatismTest() {
               <p className="text-slate-600 dark:text-slate-400 text-sm">
                 {isNormal ? t('astigmatism.results.noAstigmatismDesc') : t('astigmatism.results.possibleAstigmatismDesc')}
               </p>
-              {!isNormal && axis !== null && (
+              {!isNormal && (
                 <p className="text-slate-700 dark:text-slate-300 text-sm mt-2 font-medium">
-                  {t('astigmatism.results.axis', { degrees: axis })}
+                  {axis !== null ? t('astigmatism.results.axis', { degrees: axis }) : t('astigmatism.results.axisUnclear')}
+                </p>
+              )}
+              {!isNormal && axis !== null && (
+                <p className="text-slate-500 dark:text-slate-400 text-sm mt-1">
+                  {t('astigmatism.results.confidence', { percent: Math.round(confidence * 100) })}
                 </p>
               )}
               {!isNormal && (
@@ -271,4 +271,60 @@ describe('AstigmatismTest', () => {
       expect(saved.astigmatism.left.severity).toBe('none')
     })
   })
+
+  describe('axis refinement', () => {
+    // Taps the dial lines at the given clock positions and confirms
+    async function selectDialLines(...positions) {
+      renderWithProviders(<AstigmatismTest />)
+      fireEvent.click(screen.getByText('Left'))
+      fireEvent.click(await screen.findByRole('button', { name: 'Start Test' }))
+      await screen.findByText(/Do any lines appear darker/)
+      // Each clock position has an invisible tap line and the visible one
+      const lines = document.querySelectorAll('svg line')
+      positions.forEach(position => fireEvent.click(lines[(position - 1) * 2]))
+      fireEvent.click(screen.getByText('Confirm Selection'))
+    }
+
+    it('refines the axis with the fan and block and saves a confidence', async () => {
+      // Lines along the axis in the left block
+      vi.spyOn(Math, 'random').mockReturnValue(0.2)
+      await selectDialLines(1, 7)
+
+      // The fan is centered on 30°, so line E is 10° further
+      expect(screen.getByText('Which of these lines looks darkest?')).toBeInTheDocument()
+      fireEvent.click(screen.getByRole('button', { name: 'Line E' }))
+      fireEvent.click(screen.getByRole('button', { name: /Left block/ }))
+
+      expect(screen.getByText('Estimated axis: 40°')).toBeInTheDocument()
+      expect(screen.getByText('Confidence: 100%')).toBeInTheDocument()
+      const saved = JSON.parse(localStorage.getItem('visioncheck-results')).astigmatism.left
+      expect(saved).toMatchObject({
+        allLinesEqual: false,
+        selectedLines: [1, 7],
+        estimatedAxis: 40,
+        axisConfidence: 1,
+        axisRefinement: { dialAxis: 30, fanAxis: 40, block: 'aligned' },
+        severity: 'mild'
+      })
+    })
+
+    it('lowers the confidence when the follow-up does not confirm the axis', async () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.2)
+      await selectDialLines(1)
+
+      fireEvent.click(screen.getByText('They all look the same'))
+      fireEvent.click(screen.getByRole('button', { name: /Right block/ }))
+
+      const saved = JSON.parse(localStorage.getItem('visioncheck-results')).astigmatism.left
+      expect(saved).toMatchObject({ estimatedAxis: 30, axisConfidence: 0.24, axisRefinement: { fanAxis: null, block: 'perpendicular' } })
+    })
+
+    it('skips the follow-up when the darker lines have no common direction', async () => {
+      await selectDialLines(12, 3)
+
+      expect(screen.getByText('No single direction stood out')).toBeInTheDocument()
+      const saved = JSON.parse(localStorage.getItem('visioncheck-results')).astigmatism.left
+      expect(saved).toMatchObject({ estimatedAxis: null, axisConfidence: null, severity: 'mild' })
+    })
+  })
 })
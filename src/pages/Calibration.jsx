@@ -0,0 +1,239 @@
+import { useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { useCalibration } from '../context/CalibrationContext'
+import {
+  CREDIT_CARD_WIDTH_MM,
+  CREDIT_CARD_HEIGHT_MM,
+  RULER_LENGTH_MM,
+  MIN_PX_PER_MM,
+  MAX_PX_PER_MM,
+  MIN_VIEWING_DISTANCE_CM,
+  MAX_VIEWING_DISTANCE_CM,
+} from '../utils/calibration'
+
+const PX_PER_MM_STEP = 0.02
+
+/**
+ * Draw a credit-card-sized rectangle at the current pixels-per-millimetre.
+ *
+ * @param {{pxPerMm: number}} props
+ * @returns {JSX.Element}
+ */
+function CardShape({ pxPerMm }) {
+  return (
+    <div
+      data-testid="calibration-card"
+      className="rounded-xl border-2 border-sky-500 bg-sky-100 dark:bg-sky-900/40 mx-auto"
+      style={{
+        width: CREDIT_CARD_WIDTH_MM * pxPerMm,
+        height: CREDIT_CARD_HEIGHT_MM * pxPerMm
+      }}
+    />
+  )
+}
+
+/**
+ * Draw a ruler line with centimetre ticks at the current pixels-per-millimetre.
+ *
+ * @param {{pxPerMm: number}} props
+ * @returns {JSX.Element}
+ */
+function RulerShape({ pxPerMm }) {
+  const width = RULER_LENGTH_MM * pxPerMm
+  const ticks = Array.from({ length: RULER_LENGTH_MM / 10 + 1 })
+
+  return (
+    <div data-testid="calibration-ruler" className="relative h-10 mx-auto" style={{ width }}>
+      <div className="absolute left-0 right-0 top-1/2 h-0.5 bg-sky-500" />
+      {ticks.map((_, i) => (
+        <div
+          key={i}
+          className="absolute top-1 bottom-1 w-0.5 bg-sky-500"
+          style={{ left: i * 10 * pxPerMm - 1 }}
+        />
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Screen calibration wizard.
+ *
+ * Step one matches an on-screen shape to a credit card or ruler to measure
+ * pixels per millimetre; step two records the viewing distance. The profile is
+ * saved per device and used to size optotypes at the correct visual angle.
+ *
+ * @returns {JSX.Element}
+ */
+export default function Calibration() {
+  const { t } = useTranslation(['common', 'tests'])
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const { calibration, pxPerMm: savedPxPerMm, viewingDistanceCm: savedDistance, saveCalibration, clearCalibration } = useCalibration()
+
+  const [step, setStep] = useState('size') // size, distance
+  const [method, setMethod] = useState(calibration?.method ?? 'card')
+  const [pxPerMm, setPxPerMm] = useState(savedPxPerMm)
+  const [distanceInput, setDistanceInput] = useState(String(savedDistance))
+
+  const returnTo = searchParams.get('returnTo') || '/'
+  const distance = Number(distanceInput)
+  const distanceValid = Number.isFinite(distance) &&
+    distance >= MIN_VIEWING_DISTANCE_CM &&
+    distance <= MAX_VIEWING_DISTANCE_CM
+
+  const adjust = (delta) => {
+    setPxPerMm(prev => Math.min(MAX_PX_PER_MM, Math.max(MIN_PX_PER_MM, +(prev + delta).toFixed(2))))
+  }
+
+  const handleSave = () => {
+    if (!distanceValid) return
+    saveCalibration({ pxPerMm, viewingDistanceCm: distance, method })
+    navigate(returnTo)
+  }
+
+  const handleReset = () => {
+    clearCalibration()
+    navigate(returnTo)
+  }
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-slate-900">
+      <header className="sticky top-0 bg-white dark:bg-slate-900 border-b border-slate-100 dark:border-slate-800 px-4 py-4 flex items-center gap-4">
+        {step === 'size' ? (
+          <Link to={returnTo} className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+            ← {t('nav.back')}
+          </Link>
+        ) : (
+          <button
+            onClick={() => setStep('size')}
+            className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+          >
+            ← {t('nav.back')}
+          </button>
+        )}
+        <h1 className="text-lg font-semibold text-slate-800 dark:text-slate-100">{t('tests:calibration.title')}</h1>
+      </header>
+
+      <div className="p-6 max-w-md mx-auto">
+        <div className="text-center mb-6">
+          <div className="text-6xl mb-4">📏</div>
+          <p className="text-slate-600 dark:text-slate-400">{t('tests:calibration.intro')}</p>
+        </div>
+
+        {step === 'size' && (
+          <>
+            <h2 className="font-semibold text-slate-800 dark:text-slate-100 mb-3">{t('tests:calibration.steps.size')}</h2>
+
+            <div className="flex gap-2 mb-4" role="group" aria-label={t('tests:calibration.methodLabel')}>
+              {['card', 'ruler'].map(m => (
+                <button
+                  key={m}
+                  onClick={() => setMethod(m)}
+                  aria-pressed={method === m}
+                  className={`flex-1 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    method === m
+                      ? 'bg-sky-500 text-white'
+                      : 'bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700'
+                  }`}
+                >
+                  {t(`tests:calibration.method.${m}`)}
+                </button>
+              ))}
+            </div>
+
+            <p className="text-sm text-slate-600 dark:text-slate-300 mb-6">
+              {method === 'card'
+                ? t('tests:calibration.cardInstruction')
+                : t('tests:calibration.rulerInstruction', { mm: RULER_LENGTH_MM, cm: RULER_LENGTH_MM / 10 })}
+            </p>
+
+            <div className="mb-6 overflow-x-auto py-2">
+              {method === 'card' ? <CardShape pxPerMm={pxPerMm} /> : <RulerShape pxPerMm={pxPerMm} />}
+            </div>
+
+            <div className="flex items-center gap-3 mb-8">
+              <button
+                onClick={() => adjust(-PX_PER_MM_STEP * 5)}
+                className="w-10 h-10 rounded-full bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-200 font-bold"
+                aria-label={t('tests:calibration.smaller')}
+              >
+                −
+              </button>
+              <input
+                type="range"
+                min={MIN_PX_PER_MM}
+                max={MAX_PX_PER_MM}
+                step={PX_PER_MM_STEP}
+                value={pxPerMm}
+                onChange={(e) => setPxPerMm(Number(e.target.value))}
+                className="flex-1 accent-sky-500"
+                aria-label={t('tests:calibration.sliderLabel')}
+              />
+              <button
+                onClick={() => adjust(PX_PER_MM_STEP * 5)}
+                className="w-10 h-10 rounded-full bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-200 font-bold"
+                aria-label={t('tests:calibration.larger')}
+              >
+                +
+              </button>
+            </div>
+
+            <button
+              onClick={() => setStep('distance')}
+              className="w-full py-4 bg-sky-500 text-white font-semibold rounded-xl hover:bg-sky-600 active:bg-sky-700 transition-colors"
+            >
+              {t('actions.next')}
+            </button>
+          </>
+        )}
+
+        {step === 'distance' && (
+          <>
+            <h2 className="font-semibold text-slate-800 dark:text-slate-100 mb-3">{t('tests:calibration.steps.distance')}</h2>
+            <p className="text-sm text-slate-600 dark:text-slate-300 mb-4">
+              {t('tests:calibration.distanceInstruction')}
+            </p>
+
+            <label htmlFor="viewing-distance" className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-2">
+              {t('tests:calibration.distanceLabel')}
+            </label>
+            <input
+              id="viewing-distance"
+              type="number"
+              inputMode="numeric"
+              min={MIN_VIEWING_DISTANCE_CM}
+              max={MAX_VIEWING_DISTANCE_CM}
+              value={distanceInput}
+              onChange={(e) => setDistanceInput(e.target.value)}
+              className="w-full text-center text-2xl py-3 border-2 border-slate-200 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100 rounded-xl mb-2 focus:border-sky-500 focus:outline-none"
+            />
+            <p className={`text-xs mb-8 ${distanceValid ? 'text-slate-500 dark:text-slate-400' : 'text-red-600 dark:text-red-400'}`}>
+              {distanceValid
+                ? t('tests:calibration.distanceHint')
+                : t('tests:calibration.distanceInvalid', { min: MIN_VIEWING_DISTANCE_CM, max: MAX_VIEWING_DISTANCE_CM })}
+            </p>
+
+            <button
+              onClick={handleSave}
+              disabled={!distanceValid}
+              className="w-full py-4 bg-sky-500 text-white font-semibold rounded-xl hover:bg-sky-600 active:bg-sky-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('tests:calibration.save')}
+            </button>
+          </>
+        )}
+
+        {calibration && (
+          <button
+            onClick={handleReset}
+            className="w-full py-3 mt-3 text-slate-500 dark:text-slate-400 text-sm font-medium hover:text-slate-700 dark:hover:text-slate-200 transition-colors"
+          >
+            {t('tests:calibration.reset')}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
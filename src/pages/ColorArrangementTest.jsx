@@ -0,0 +1,440 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { useTestResults } from '../context/TestResultsContext'
+import Celebration from '../components/Celebration'
+import AchievementBadge from '../components/AchievementBadge'
+import ArrangementDiagram from '../components/ArrangementDiagram'
+import { CAPS, CAP_COLORS, PILOT_CAP, createTrayOrder, summarizeArrangement } from '../utils/colorArrangement'
+
+// Movement before a press on a cap becomes a drag
+const DRAG_THRESHOLD_PX = 8
+
+// Keys that move a cap within the row
+const MOVE_KEYS = {
+  ArrowLeft: -1,
+  ArrowUp: -1,
+  ArrowRight: 1,
+  ArrowDown: 1,
+}
+
+const CAP_CLASSES = 'w-10 h-10 rounded-full border-2 border-white/70 shadow touch-none select-none focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 focus-visible:ring-offset-2 focus-visible:ring-offset-neutral-700'
+
+const contains = (element, x, y) => {
+  const rect = element.getBoundingClientRect()
+  return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+}
+
+export default function ColorArrangementTest() {
+  const { t } = useTranslation(['tests', 'common', 'results'])
+  const navigate = useNavigate()
+  const { results, updateColorArrangement, checkAndUnlockAchievements } = useTestResults()
+
+  const [phase, setPhase] = useState('instructions') // instructions, testing, complete
+  const [trayOrder, setTrayOrder] = useState(CAPS)
+  const [arrangement, setArrangement] = useState([])
+  const [drag, setDrag] = useState(null) // { cap, x, y } while a cap is dragged
+  const [testResults, setTestResults] = useState(null)
+  const [newAchievements, setNewAchievements] = useState([])
+
+  const rowRef = useRef(null)
+  const trayRef = useRef(null)
+  const dragStart = useRef(null)
+  const suppressClick = useRef(false)
+  // Cap to keep focused after the keyboard moves it
+  const focusCap = useRef(null)
+
+  useEffect(() => {
+    if (focusCap.current === null) return
+    rowRef.current?.querySelector(`[data-cap="${focusCap.current}"]`)?.focus()
+    focusCap.current = null
+  }, [arrangement])
+
+  const startTest = () => {
+    setTrayOrder(createTrayOrder())
+    setArrangement([])
+    setPhase('testing')
+  }
+
+  // Put a cap into the row, at the end unless an index is given
+  const placeCap = (cap, index) => {
+    setArrangement(prev => {
+      const rest = prev.filter(c => c !== cap)
+      rest.splice(index ?? rest.length, 0, cap)
+      return rest
+    })
+  }
+
+  const removeCap = (cap) => {
+    setArrangement(prev => prev.filter(c => c !== cap))
+  }
+
+  const moveCap = (cap, delta) => {
+    const from = arrangement.indexOf(cap)
+    const to = from + delta
+    if (to < 0 || to >= arrangement.length) return
+    focusCap.current = cap
+    placeCap(cap, to)
+  }
+
+  // Where a dropped cap goes: before or after the row cap closest to the pointer
+  const dropIndex = (cap, x, y) => {
+    const slots = [...rowRef.current.querySelectorAll('[data-cap]')]
+      .filter(element => Number(element.dataset.cap) !== cap)
+    if (slots.length === 0) return 0
+    const centres = slots.map(element => {
+      const rect = element.getBoundingClientRect()
+      return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 }
+    })
+    const closest = centres.reduce((best, centre, i) =>
+      Math.hypot(x - centre.x, y - centre.y) < Math.hypot(x - centres[best].x, y - centres[best].y) ? i : best, 0)
+    return x > centres[closest].x ? closest + 1 : closest
+  }
+
+  const handlePointerDown = (event, cap) => {
+    suppressClick.current = false
+    dragStart.current = { cap, x: event.clientX, y: event.clientY, moved: false }
+    event.currentTarget.setPointerCapture?.(event.pointerId)
+  }
+
+  const handlePointerMove = (event) => {
+    const start = dragStart.current
+    if (!start) return
+    if (!start.moved && Math.hypot(event.clientX - start.x, event.clientY - start.y) < DRAG_THRESHOLD_PX) return
+    start.moved = true
+    setDrag({ cap: start.cap, x: event.clientX, y: event.clientY })
+  }
+
+  const handlePointerUp = (event) => {
+    const start = dragStart.current
+    dragStart.current = null
+    if (!start?.moved) return
+    // The click that ends a drag is not a tap
+    suppressClick.current = true
+    setDrag(null)
+    const { clientX: x, clientY: y } = event
+    if (contains(rowRef.current, x, y)) {
+      placeCap(start.cap, dropIndex(start.cap, x, y))
+    } else if (contains(trayRef.current, x, y)) {
+      removeCap(start.cap)
+    }
+  }
+
+  const handlePointerCancel = () => {
+    dragStart.current = null
+    setDrag(null)
+  }
+
+  // A tap moves a cap from the tray to the end of the row, or back
+  const handleTap = (cap, placed) => {
+    if (suppressClick.current) {
+      suppressClick.current = false
+      return
+    }
+    if (placed) {
+      removeCap(cap)
+    } else {
+      placeCap(cap)
+    }
+  }
+
+  const handleRowKeyDown = (event, cap) => {
+    if (MOVE_KEYS[event.key]) {
+      event.preventDefault()
+      moveCap(cap, MOVE_KEYS[event.key])
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+      event.preventDefault()
+      removeCap(cap)
+    }
+  }
+
+  const finishTest = () => {
+    const newResult = {
+      ...summarizeArrangement(arrangement),
+      testedAt: new Date().toISOString()
+    }
+
+    setTestResults(newResult)
+    updateColorArrangement(newResult)
+
+    // Check for newly unlocked achievements
+    const unlocked = checkAndUnlockAchievements({ ...results, colorArrangement: newResult })
+    setNewAchievements(unlocked)
+
+    setPhase('complete')
+  }
+
+  const capHandlers = (cap, placed) => ({
+    'data-cap': placed ? cap : undefined,
+    onPointerDown: (event) => handlePointerDown(event, cap),
+    onPointerMove: handlePointerMove,
+    onPointerUp: handlePointerUp,
+    onPointerCancel: handlePointerCancel,
+    onClick: () => handleTap(cap, placed),
+  })
+
+  // Instructions phase
+  if (phase === 'instructions') {
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-slate-50 to-slate-100 dark:from-slate-900 dark:to-slate-800">
+        <header className="bg-white/80 dark:bg-slate-800/80 backdrop-blur-sm border-b border-slate-100 dark:border-slate-700 px-4 py-4 sticky top-0">
+          <div className="max-w-lg mx-auto flex items-center justify-between">
+            <Link to="/" className="text-slate-600 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200 transition-colors">
+              ← {t('common:nav.back')}
+            </Link>
+            <h1 className="font-semibold text-slate-800 dark:text-slate-100">{t('colorArrangement.title')}</h1>
+            <div className="w-12" />
+          </div>
+        </header>
+
+        <main className="max-w-lg mx-auto px-4 py-8">
+          <div className="text-center mb-8">
+            <div className="w-20 h-20 bg-cyan-100 dark:bg-cyan-900/50 rounded-2xl flex items-center justify-center text-4xl mx-auto mb-4">
+              ◑
+            </div>
+            <h2 className="text-2xl font-bold text-slate-800 dark:text-slate-100 mb-2">{t('colorArrangement.title')}</h2>
+            <p className="text-slate-600 dark:text-slate-400">{t('colorArrangement.subtitle')}</p>
+          </div>
+
+          <div className="bg-slate-50 dark:bg-slate-800 rounded-xl p-6 mb-6">
+            <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-4">{t('colorArrangement.instructions.title')}</h3>
+            <ol className="space-y-3 text-slate-600 dark:text-slate-400">
+              {['step1', 'step2', 'step3', 'step4'].map((step, i) => (
+                <li key={step} className="flex gap-3">
+                  <span className="shrink-0 w-6 h-6 bg-cyan-100 dark:bg-cyan-900/50 text-cyan-600 dark:text-cyan-400 rounded-full flex items-center justify-center text-sm font-medium">{i + 1}</span>
+                  <span>{t(`colorArrangement.instructions.${step}`)}</span>
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          <div className="bg-amber-50 dark:bg-amber-950/50 border border-amber-200 dark:border-amber-800 rounded-xl p-4 mb-8">
+            <p className="text-amber-800 dark:text-amber-200 text-sm">
+              <strong>{t('common:note')}:</strong> {t('colorArrangement.instructions.note')}
+            </p>
+          </div>
+
+          <button
+            onClick={startTest}
+            className="w-full py-4 bg-cyan-500 text-white font-semibold rounded-xl hover:bg-cyan-600 transition-colors"
+          >
+            {t('common:actions.startTest')}
+          </button>
+        </main>
+      </div>
+    )
+  }
+
+  // Testing phase
+  if (phase === 'testing') {
+    const tray = trayOrder.filter(cap => !arrangement.includes(cap))
+
+    return (
+      <div className="min-h-screen bg-neutral-800 flex flex-col">
+        <header className="bg-neutral-900 px-4 py-4 flex items-center justify-between">
+          <button
+            onClick={() => setPhase('instructions')}
+            className="text-white/70 hover:text-white transition-colors"
+          >
+            ← {t('common:actions.exit')}
+          </button>
+          <h1 className="font-semibold text-white">{t('colorArrangement.title')}</h1>
+          <div className="text-sm text-white/70 bg-neutral-700 px-2 py-1 rounded-full">
+            {t('colorArrangement.placed', { count: arrangement.length, total: CAPS.length })}
+          </div>
+        </header>
+
+        <main className="flex-1 flex flex-col gap-6 max-w-lg w-full mx-auto px-4 py-6">
+          <p className="text-white/80 text-center">{t('colorArrangement.prompt')}</p>
+
+          <div
+            ref={rowRef}
+            role="group"
+            aria-label={t('colorArrangement.rowLabel')}
+            className="flex flex-wrap gap-2 p-3 bg-neutral-700 rounded-xl min-h-16"
+          >
+            <div
+              role="img"
+              aria-label={t('colorArrangement.pilot')}
+              className={`${CAP_CLASSES} flex items-center justify-center text-xs font-bold text-white/80`}
+              style={{ backgroundColor: CAP_COLORS[PILOT_CAP] }}
+            >
+              P
+            </div>
+            {arrangement.map((cap, i) => (
+              <button
+                key={cap}
+                {...capHandlers(cap, true)}
+                onKeyDown={(event) => handleRowKeyDown(event, cap)}
+                aria-label={t('colorArrangement.placedCap', { position: i + 1 })}
+                className={`${CAP_CLASSES} ${drag?.cap === cap ? 'opacity-30' : ''}`}
+                style={{ backgroundColor: CAP_COLORS[cap] }}
+              />
+            ))}
+            {tray.map(cap => (
+              <div key={cap} className="w-10 h-10 rounded-full border-2 border-dashed border-white/20" />
+            ))}
+          </div>
+
+          <div
+            ref={trayRef}
+            role="group"
+            aria-label={t('colorArrangement.trayLabel')}
+            className="flex flex-wrap justify-center gap-3 p-4 bg-neutral-900/60 rounded-xl min-h-20"
+          >
+            {tray.map((cap, i) => (
+              <button
+                key={cap}
+                {...capHandlers(cap, false)}
+                aria-label={t('colorArrangement.trayCap', { index: i + 1 })}
+                className={`${CAP_CLASSES} ${drag?.cap === cap ? 'opacity-30' : ''}`}
+                style={{ backgroundColor: CAP_COLORS[cap] }}
+              />
+            ))}
+          </div>
+
+          <p className="text-white/50 text-xs text-center">{t('colorArrangement.hint')}</p>
+
+          <div className="mt-auto flex gap-3">
+            <button
+              onClick={() => setArrangement([])}
+              disabled={arrangement.length === 0}
+              className="flex-1 py-4 bg-neutral-700 text-white font-semibold rounded-xl hover:bg-neutral-600 transition-colors disabled:opacity-40"
+            >
+              {t('colorArrangement.startOver')}
+            </button>
+            <button
+              onClick={finishTest}
+              disabled={arrangement.length < CAPS.length}
+              className="flex-1 py-4 bg-cyan-500 text-white font-semibold rounded-xl hover:bg-cyan-600 transition-colors disabled:opacity-40"
+            >
+              {t('colorArrangement.done')}
+            </button>
+          </div>
+        </main>
+
+        {/* The cap under the pointer while dragging */}
+        {drag && (
+          <div
+            className="fixed w-10 h-10 rounded-full border-2 border-white shadow-lg pointer-events-none -translate-x-1/2 -translate-y-1/2"
+            style={{ left: drag.x, top: drag.y, backgroundColor: CAP_COLORS[drag.cap] }}
+          />
+        )}
+      </div>
+    )
+  }
+
+  // Complete phase
+  if (phase === 'complete' && testResults) {
+    const isNormal = !testResults.hasDefect
+
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-slate-50 to-slate-100 dark:from-slate-900 dark:to-slate-800">
+        {/* Trigger celebration for normal results */}
+        {isNormal && <Celebration type="confetti" />}
+
+        <header className="bg-white/80 dark:bg-slate-800/80 backdrop-blur-sm border-b border-slate-100 dark:border-slate-700 px-4 py-4 sticky top-0">
+          <div className="max-w-lg mx-auto flex items-center justify-between">
+            <Link to="/" className="text-slate-600 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200 transition-colors">
+              ← {t('common:nav.back')}
+            </Link>
+            <h1 className="font-semibold text-slate-800 dark:text-slate-100">{t('colorArrangement.results.title')}</h1>
+            <div className="w-12" />
+          </div>
+        </header>
+
+        <main className="max-w-lg mx-auto px-4 py-8">
+          <div className="text-center mb-8">
+            <div className={`text-6xl mb-4 ${isNormal ? 'animate-bounce' : ''}`}>
+              {isNormal ? '✅' : '⚠️'}
+            </div>
+          </div>
+
+          {/* Result Card */}
+          <div className={`${isNormal ? 'bg-emerald-50 dark:bg-emerald-950/50' : 'bg-amber-50 dark:bg-amber-950/50'} rounded-2xl p-6 mb-6`}>
+            <div className="flex flex-col items-center gap-3">
+              <ArrangementDiagram
+                arrangement={testResults.arrangement}
+                label={t('results:colorArrangement.diagramLabel', { count: testResults.crossings })}
+                className="w-56 h-56"
+              />
+              <p className={`text-lg font-semibold ${isNormal ? 'text-emerald-600 dark:text-emerald-400' : 'text-amber-600 dark:text-amber-400'}`}>
+                {isNormal
+                  ? t('results:colorArrangement.normal')
+                  : t(`results:colorArrangement.types.${testResults.defectType}`)}
+              </p>
+              <p className="text-slate-600 dark:text-slate-400 text-sm">
+                {t('results:colorArrangement.crossings', { count: testResults.crossings })}
+              </p>
+              <p className="text-slate-500 dark:text-slate-400 text-xs text-center">
+                {t('results:colorArrangement.indices', {
+                  confusionIndex: testResults.confusionIndex,
+                  selectivityIndex: testResults.selectivityIndex,
+                  angle: testResults.confusionAngle
+                })}
+              </p>
+              <p className="text-slate-500 dark:text-slate-400 text-xs text-center">
+                {t('colorArrangement.results.diagramHint')}
+              </p>
+            </div>
+          </div>
+
+          {/* Explanation */}
+          <div className="bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700 p-4 mb-6">
+            <h3 className="font-semibold text-slate-800 dark:text-slate-100 mb-3">{t('common:results.whatThisMeans')}</h3>
+            <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+              {isNormal
+                ? t('colorArrangement.explanation.normal')
+                : t('colorArrangement.explanation.defect')}
+            </p>
+            <div className={`${isNormal ? 'bg-emerald-50 dark:bg-emerald-950/50 border-emerald-200 dark:border-emerald-800' : 'bg-amber-50 dark:bg-amber-950/50 border-amber-200 dark:border-amber-800'} border rounded-lg p-3`}>
+              <p className={`text-sm ${isNormal ? 'text-emerald-800 dark:text-emerald-200' : 'text-amber-800 dark:text-amber-200'}`}>
+                {isNormal
+                  ? t('colorArrangement.recommendation.normal')
+                  : t('colorArrangement.recommendation.defect')}
+              </p>
+            </div>
+          </div>
+
+          {/* Show achievement if earned */}
+          {newAchievements.includes('first-test') && (
+            <div className="mb-6 animate-slide-up">
+              <AchievementBadge achievementId="first-test" isNew />
+            </div>
+          )}
+
+          {/* Disclaimer */}
+          <div className="bg-amber-50 dark:bg-amber-950/50 border border-amber-200 dark:border-amber-800 rounded-xl p-4 mb-8">
+            <p className="text-amber-800 dark:text-amber-200 text-sm">
+              <strong>{t('common:disclaimer.title')}:</strong> {t('common:disclaimer.text')}
+            </p>
+          </div>
+
+          {/* Action Buttons */}
+          <div className="space-y-3">
+            <button
+              onClick={() => navigate('/results')}
+              className="w-full py-4 bg-cyan-500 text-white font-semibold rounded-xl hover:bg-cyan-600 transition-colors"
+            >
+              {t('common:actions.viewResults')}
+            </button>
+            <button
+              onClick={startTest}
+              className="w-full py-4 bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 font-semibold rounded-xl hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors"
+            >
+              {t('common:actions.retake')}
+            </button>
+            <Link
+              to="/"
+              className="w-full py-4 text-slate-500 dark:text-slate-400 font-medium flex items-center justify-center hover:text-slate-700 dark:hover:text-slate-300 transition-colors"
+            >
+              {t('common:nav.backToHome')}
+            </Link>
+          </div>
+        </main>
+      </div>
+    )
+  }
+
+  return null
+}
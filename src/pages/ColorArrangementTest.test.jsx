@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, within } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
+import { I18nextProvider } from 'react-i18next'
+import ColorArrangementTest from './ColorArrangementTest'
+import { TestResultsProvider } from '../context/TestResultsContext'
+import { TTSSettingsProvider } from '../context/TTSSettingsContext'
+import { LanguageProvider } from '../context/LanguageContext'
+import { ConsentProvider } from '../context/ConsentContext'
+import { CalibrationProvider } from '../context/CalibrationContext'
+import i18n from '../i18n'
+
+// Normal results celebrate with confetti, which needs a real canvas
+vi.mock('canvas-confetti', () => ({
+  default: vi.fn()
+}))
+
+beforeEach(async () => {
+  localStorage.clear()
+  localStorage.setItem('visioncheck-consent', JSON.stringify({ hasConsented: true, consentGiven: true }))
+  await i18n.changeLanguage('en')
+  // Leaves the tray in cap order, so the first tray cap is always the lowest
+  vi.spyOn(Math, 'random').mockReturnValue(0.999)
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+function renderWithProviders(ui) {
+  return render(
+    <MemoryRouter>
+      <I18nextProvider i18n={i18n}>
+        <LanguageProvider>
+          <TTSSettingsProvider>
+            <ConsentProvider>
+              <CalibrationProvider>
+                <TestResultsProvider>
+                  {ui}
+                </TestResultsProvider>
+              </CalibrationProvider>
+            </ConsentProvider>
+          </TTSSettingsProvider>
+        </LanguageProvider>
+      </I18nextProvider>
+    </MemoryRouter>
+  )
+}
+
+function startTest() {
+  fireEvent.click(screen.getByRole('button', { name: 'Start Test' }))
+}
+
+function placeAllCaps() {
+  for (let i = 0; i < 15; i++) {
+    fireEvent.click(screen.getByRole('button', { name: 'Unplaced cap 1' }))
+  }
+}
+
+const placedCaps = () => within(screen.getByRole('group', { name: 'Your arrangement' }))
+  .getAllByRole('button')
+  .map(button => Number(button.dataset.cap))
+
+const savedResult = () => JSON.parse(localStorage.getItem('visioncheck-results')).colorArrangement
+
+describe('ColorArrangementTest', () => {
+  it('places tapped caps in order and saves a normal arrangement', () => {
+    renderWithProviders(<ColorArrangementTest />)
+    startTest()
+
+    expect(screen.getByRole('button', { name: 'Done' })).toBeDisabled()
+    placeAllCaps()
+    expect(screen.getByText('15/15 placed')).toBeInTheDocument()
+    fireEvent.click(screen.getByRole('button', { name: 'Done' }))
+
+    expect(savedResult()).toMatchObject({
+      arrangement: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+      crossings: 0,
+      hasDefect: false,
+      status: 'normal'
+    })
+    expect(screen.getByText('Normal arrangement')).toBeInTheDocument()
+    expect(screen.getByRole('img', { name: 'Arrangement diagram, 0 crossings' })).toBeInTheDocument()
+  })
+
+  it('puts a tapped row cap back in the tray', () => {
+    renderWithProviders(<ColorArrangementTest />)
+    startTest()
+    placeAllCaps()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cap in position 3' }))
+    expect(placedCaps()).toEqual([1, 2, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15])
+    expect(screen.getByRole('button', { name: 'Done' })).toBeDisabled()
+  })
+
+  it('moves row caps with the keyboard and keeps them focused', () => {
+    renderWithProviders(<ColorArrangementTest />)
+    startTest()
+    placeAllCaps()
+
+    const first = screen.getByRole('button', { name: 'Cap in position 1' })
+    first.focus()
+    fireEvent.keyDown(first, { key: 'ArrowRight' })
+    expect(placedCaps().slice(0, 3)).toEqual([2, 1, 3])
+    expect(document.activeElement.dataset.cap).toBe('1')
+
+    fireEvent.keyDown(document.activeElement, { key: 'Delete' })
+    expect(placedCaps()).not.toContain(1)
+  })
+
+  it('drops a dragged cap next to the closest row cap', () => {
+    renderWithProviders(<ColorArrangementTest />)
+    startTest()
+    placeAllCaps()
+
+    const row = screen.getByRole('group', { name: 'Your arrangement' })
+    vi.spyOn(row, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0, right: 800, bottom: 50, width: 800, height: 50 })
+    within(row).getAllByRole('button').forEach((button, i) => {
+      vi.spyOn(button, 'getBoundingClientRect').mockReturnValue({ left: 50 + i * 50, top: 5, right: 90 + i * 50, bottom: 45, width: 40, height: 40 })
+    })
+
+    // Cap 1 lands just right of cap 2
+    const cap = screen.getByRole('button', { name: 'Cap in position 1' })
+    fireEvent.pointerDown(cap, { clientX: 70, clientY: 25 })
+    fireEvent.pointerMove(cap, { clientX: 100, clientY: 25 })
+    fireEvent.pointerUp(cap, { clientX: 125, clientY: 25 })
+
+    expect(placedCaps().slice(0, 3)).toEqual([2, 1, 3])
+  })
+})
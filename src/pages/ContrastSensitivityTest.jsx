@@ -1,15 +1,31 @@
 import { useState, useCallback, useEffect, useRef } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { useTestResults } from '../context/TestResultsContext'
+import { useCalibration } from '../context/CalibrationContext'
 import EyeSelector from '../components/EyeSelector'
 import Celebration from '../components/Celebration'
 import AchievementBadge from '../components/AchievementBadge'
 import AudioInstructions from '../components/AudioInstructions'
+import CalibrationNotice from '../components/CalibrationNotice'
+import { createTrialRecord } from '../utils/trials'
+import { visualAngleToPx, PELLI_ROBSON_LETTER_DEGREES, CAP_HEIGHT_RATIO } from '../utils/calibration'
+import {
+  createQuest,
+  questUpdate,
+  questNextIntensity,
+  questIsDone,
+  questThreshold,
+  logContrastToLogCS,
+  CONTRAST_QUEST,
+  CONTRAST_STOPPING,
+} from '../utils/psychophysics'
 
 // Letters used in Pelli-Robson test
 const LETTERS = ['C', 'D', 'H', 'K', 'N', 'O', 'R', 'S', 'V', 'Z']
 
 // Contrast levels (percentage opacity, roughly following Pelli-Robson)
+// The adaptive procedure measures a continuous logCS threshold; these levels
+// are used to report the equivalent Pelli-Robson level
 const CONTRAST_LEVELS = [
   { level: 1, opacity: 1.0, logCS: 0.0 },
   { level: 2, opacity: 0.7, logCS: 0.15 },
@@ -32,50 +48,77 @@ const CS_EXPLANATIONS = {
   low: { label: 'Reduced sensitivity', description: 'Professional evaluation recommended' },
 }
 
-const TRIALS_PER_LEVEL = 3
-const MIN_CORRECT = 2
+/**
+ * Find the highest contrast level reached by a logCS threshold.
+ * @param {number} logCS - Measured threshold
+ * @returns {number} Level (1-10), or 0 if below the first level
+ */
+function getLevelForLogCS(logCS) {
+  const reached = CONTRAST_LEVELS.filter(c => c.logCS <= logCS + 0.005)
+  return reached.length ? reached[reached.length - 1].level : 0
+}
 
 export default function ContrastSensitivityTest() {
   const navigate = useNavigate()
   const { results, updateContrastSensitivity, checkAndUnlockAchievements } = useTestResults()
+  const { calibration, viewingDistanceCm } = useCalibration()
   const [newAchievements, setNewAchievements] = useState([])
   
   const [phase, setPhase] = useState('eye-select') // eye-select, instructions, testing, complete
   const [currentEye, setCurrentEye] = useState(null) // 'left' | 'right' | null
-  const [currentLevel, setCurrentLevel] = useState(0)
-  const [trialInLevel, setTrialInLevel] = useState(0)
-  const [correctInLevel, setCorrectInLevel] = useState(0)
+  const [quest, setQuest] = useState(() => createQuest(CONTRAST_QUEST))
   const [currentLetter, setCurrentLetter] = useState(() => 
     LETTERS[Math.floor(Math.random() * LETTERS.length)]
   )
   const [inputValue, setInputValue] = useState('')
   const [bestLevel, setBestLevel] = useState(0)
+  const [threshold, setThreshold] = useState(null)
   const [feedback, setFeedback] = useState(null)
   const [testHistory, setTestHistory] = useState([])
 
   const inputRef = useRef(null)
   const feedbackRef = useRef(feedback)
 
+  // Time the current letter became answerable, for reaction times
+  const shownAtRef = useRef(null)
+  const trialCount = quest.trials.length
+  useEffect(() => {
+    if (phase === 'testing' && feedback === null) {
+      shownAtRef.current = performance.now()
+    }
+  }, [phase, feedback, trialCount])
+
   const generateNewLetter = useCallback(() => {
     setCurrentLetter(LETTERS[Math.floor(Math.random() * LETTERS.length)])
   }, [])
 
   const resetTestState = useCallback(() => {
-    setCurrentLevel(0)
-    setTrialInLevel(0)
-    setCorrectInLevel(0)
+    setQuest(createQuest(CONTRAST_QUEST))
     setBestLevel(0)
+    setThreshold(null)
     setTestHistory([])
     setInputValue('')
     generateNewLetter()
   }, [generateNewLetter])
 
-  const finishTest = useCallback((finalLevel, updatedHistory) => {
-    const levelResult = finalLevel > 0 ? CONTRAST_LEVELS[finalLevel - 1] : null
+  const finishTest = useCallback((finalQuest, updatedHistory) => {
+    const estimate = questThreshold(finalQuest)
+    // Clamp at 0 logCS: letters at full contrast are the easiest we can show
+    const logCS = Math.max(0, logContrastToLogCS(estimate.threshold))
+    // Upper contrast bound is the lower logCS bound and vice versa
+    const logCSCI = [estimate.ci[1], estimate.ci[0]].map(v => +Math.max(0, logContrastToLogCS(v)).toFixed(2))
+    const finalLevel = getLevelForLogCS(logCS)
+
+    setBestLevel(finalLevel)
+    setThreshold({ logCS, ci: logCSCI })
+
     const newResult = {
       level: finalLevel,
-      logCS: levelResult?.logCS || 0,
+      logCS: +logCS.toFixed(2),
+      logCSCI,
       maxLevel: CONTRAST_LEVELS.length,
+      method: 'quest',
+      trialCount: estimate.trials,
       history: updatedHistory,
       testedAt: new Date().toISOString()
     }
@@ -112,14 +155,15 @@ export default function ContrastSensitivityTest() {
     if (!inputValue) return
     
     const isCorrect = inputValue.toUpperCase() === currentLetter
+    const logContrast = questNextIntensity(quest)
     
     // Build the new trial entry
-    const newTrial = {
-      level: currentLevel,
-      expected: currentLetter,
-      answered: inputValue.toUpperCase(),
-      correct: isCorrect
-    }
+    const newTrial = createTrialRecord({
+      stimulus: { letter: currentLetter, logCS: logContrastToLogCS(logContrast) },
+      response: inputValue.toUpperCase(),
+      correct: isCorrect,
+      shownAt: shownAtRef.current
+    })
     
     // Compute the updated history to pass to finishTest (avoids stale closure)
     const updatedHistory = [...testHistory, newTrial]
@@ -132,39 +176,22 @@ export default function ContrastSensitivityTest() {
     feedbackRef.current = newFeedback
     setFeedback(newFeedback)
     
-    const newCorrect = isCorrect ? correctInLevel + 1 : correctInLevel
-    const newTrialCount = trialInLevel + 1
+    const updatedQuest = questUpdate(quest, logContrast, isCorrect)
     
     setTimeout(() => {
       feedbackRef.current = null
       setFeedback(null)
+      setQuest(updatedQuest)
       
-      if (newTrialCount >= TRIALS_PER_LEVEL) {
-        if (newCorrect >= MIN_CORRECT) {
-          // Passed this level
-          const newBest = Math.max(bestLevel, currentLevel + 1)
-          setBestLevel(newBest)
-          
-          if (currentLevel + 1 >= CONTRAST_LEVELS.length) {
-            finishTest(newBest, updatedHistory)
-          } else {
-            setCurrentLevel(currentLevel + 1)
-            setTrialInLevel(0)
-            setCorrectInLevel(0)
-            generateNewLetter()
-          }
-        } else {
-          finishTest(bestLevel, updatedHistory)
-        }
+      if (questIsDone(updatedQuest, CONTRAST_STOPPING)) {
+        finishTest(updatedQuest, updatedHistory)
       } else {
-        setTrialInLevel(newTrialCount)
-        setCorrectInLevel(newCorrect)
         generateNewLetter()
       }
       
       setInputValue('')
     }, 300)
-  }, [inputValue, currentLetter, currentLevel, trialInLevel, correctInLevel, bestLevel, testHistory, generateNewLetter, finishTest])
+  }, [inputValue, currentLetter, quest, testHistory, generateNewLetter, finishTest])
 
   // Keyboard support - Enter to submit
   useEffect(() => {
@@ -249,12 +276,14 @@ export default function ContrastSensitivityTest() {
             label="Test Instructions" 
           />
 
+          <CalibrationNotice />
+
           <div className="bg-slate-50 rounded-xl p-6 mb-8">
             <h3 className="font-semibold text-slate-800 mb-4">Instructions:</h3>
             <ol className="space-y-3 text-slate-600">
               <li className="flex gap-3">
                 <span className="shrink-0 w-6 h-6 bg-amber-100 text-amber-600 rounded-full flex items-center justify-center text-sm font-medium">1</span>
-                <span>Hold your phone at arm's length (~40cm)</span>
+                <span>{calibration ? `Hold your phone ${viewingDistanceCm}cm from your eyes` : "Hold your phone at arm's length (~40cm)"}</span>
               </li>
               <li className="flex gap-3">
                 <span className="shrink-0 w-6 h-6 bg-amber-100 text-amber-600 rounded-full flex items-center justify-center text-sm font-medium">2</span>
@@ -266,7 +295,7 @@ export default function ContrastSensitivityTest() {
               </li>
               <li className="flex gap-3">
                 <span className="shrink-0 w-6 h-6 bg-amber-100 text-amber-600 rounded-full flex items-center justify-center text-sm font-medium">4</span>
-                <span>Letters will fade as you progress</span>
+                <span>Letters fade or darken to find the faintest you can see – guess if you're not sure</span>
               </li>
             </ol>
           </div>
@@ -290,7 +319,7 @@ export default function ContrastSensitivityTest() {
   }
 
   if (phase === 'complete') {
-    const result = bestLevel > 0 ? CONTRAST_LEVELS[bestLevel - 1] : null
+    const result = threshold
     const explanation = result ? getExplanation(result.logCS) : CS_EXPLANATIONS.low
     const otherEye = currentEye === 'left' ? 'right' : 'left'
     const otherEyeComplete = results.contrastSensitivity?.[otherEye]
@@ -327,6 +356,11 @@ export default function ContrastSensitivityTest() {
             <p className="text-sm text-slate-500 mt-2">
               Level {bestLevel} of {CONTRAST_LEVELS.length}
             </p>
+            {result && (
+              <p className="text-xs text-slate-500 mt-1">
+                95% CI {result.ci[0].toFixed(2)} to {result.ci[1].toFixed(2)} logCS
+              </p>
+            )}
           </div>
 
           <div className="bg-slate-50 rounded-xl p-4 mb-6 text-left">
@@ -437,7 +471,12 @@ export default function ContrastSensitivityTest() {
   }
 
   // Testing phase
-  const contrast = CONTRAST_LEVELS[currentLevel]
+  // Letter opacity over the grey background sets the Weber contrast
+  const opacity = Math.pow(10, questNextIntensity(quest))
+  // Pelli-Robson letter size at the calibrated distance; falls back to text-8xl (96px)
+  const letterFontSize = calibration
+    ? visualAngleToPx(PELLI_ROBSON_LETTER_DEGREES * 60, calibration) / CAP_HEIGHT_RATIO
+    : 96
   
   return (
     <div className="min-h-screen bg-white dark:bg-slate-900 flex flex-col">
@@ -452,10 +491,7 @@ export default function ContrastSensitivityTest() {
           {currentEye === 'left' ? '👁️ L' : '👁️ R'}
         </div>
         <div className="text-sm text-slate-500">
-          Lvl {currentLevel + 1}/{CONTRAST_LEVELS.length}
-        </div>
-        <div className="text-sm text-slate-500">
-          {trialInLevel + 1}/{TRIALS_PER_LEVEL}
+          Trial {trialCount + 1}/{CONTRAST_STOPPING.maxTrials}
         </div>
       </header>
 
@@ -463,7 +499,7 @@ export default function ContrastSensitivityTest() {
       <div className="h-1 bg-slate-100">
         <div 
           className="h-full bg-amber-500 transition-all duration-300"
-          style={{ width: `${((currentLevel * TRIALS_PER_LEVEL + trialInLevel) / (CONTRAST_LEVELS.length * TRIALS_PER_LEVEL)) * 100}%` }}
+          style={{ width: `${(trialCount / CONTRAST_STOPPING.maxTrials) * 100}%` }}
         />
       </div>
 
@@ -475,9 +511,10 @@ export default function ContrastSensitivityTest() {
         transition-colors duration-150
       `}>
         <span 
-          className="text-8xl font-bold select-none"
+          className="font-bold select-none leading-none"
           style={{ 
-            color: `rgba(0, 0, 0, ${contrast.opacity})`,
+            fontSize: `${letterFontSize}px`,
+            color: `rgba(0, 0, 0, ${opacity})`,
             fontFamily: 'Arial, sans-serif'
           }}
         >
@@ -487,7 +524,7 @@ export default function ContrastSensitivityTest() {
 
       {/* Current contrast level indicator */}
       <div className="text-center py-2 text-sm text-slate-400">
-        Contrast: {Math.round(contrast.opacity * 100)}%
+        Contrast: {opacity >= 0.1 ? Math.round(opacity * 100) : (opacity * 100).toFixed(1)}%
       </div>
 
       {/* Letter input */}
@@ -2,8 +2,17 @@ import { useState } from 'react'
 import { useTranslation } from 'react-i18next'
 import { Link } from 'react-router-dom'
 import { useConsent } from '../context/ConsentContext'
+import { useVault } from '../context/VaultContext'
+import { useProfiles } from '../context/ProfileContext'
+import VaultSettings from '../components/VaultSettings'
+import DataImport from '../components/DataImport'
+import { collectTrialRows, trialsToCsv, dropRepeatedResults } from '../utils/trials'
+import { buildFhirBundle, FHIR_MIME_TYPE } from '../utils/fhir'
+import { downloadBlob } from '../utils/download'
+import { getItem, clearUserData } from '../storage/storage'
+import { createBackup } from '../storage/backup'
 
-// All visioncheck localStorage keys
+// All visioncheck storage keys
 const STORAGE_KEYS = [
   'visioncheck-results',
   'visioncheck-history',
@@ -14,50 +23,69 @@ const STORAGE_KEYS = [
   'visioncheck-tts-settings',
   'visioncheck-voice-enabled',
   'visioncheck-location-consent',
-  'visioncheck-consent'
+  'visioncheck-consent',
+  'visioncheck-calibration',
+  'visioncheck-auto-lock',
+  'visioncheck-profiles'
 ]
 
 /**
- * Get all stored data from localStorage
+ * Get all stored data
  */
 function getAllStoredData() {
   const data = {}
   STORAGE_KEYS.forEach(key => {
     try {
-      const value = localStorage.getItem(key)
-      if (value) {
-        data[key] = JSON.parse(value)
-      }
-    } catch {
-      const value = localStorage.getItem(key)
-      if (value) {
+      const value = getItem(key)
+      if (value !== null) {
         data[key] = value
       }
+    } catch (e) {
+      console.warn(`Failed to read ${key}:`, e)
     }
   })
   return data
 }
 
 /**
- * Delete all visioncheck data from localStorage
+ * The current results plus saved history sessions, each result once: saving
+ * to history does not clear the results, so they can already be in history
+ */
+function getSessions(data) {
+  const history = Array.isArray(data['visioncheck-history']) ? data['visioncheck-history'] : []
+  const results = data['visioncheck-results']
+  const current = results ? [{ ...results, id: 'current', date: results.completedAt }] : []
+  return dropRepeatedResults([...current, ...history])
+}
+
+/**
+ * Gather trial rows from saved history plus the current unsaved results
+ */
+function getTrialRows(data) {
+  return collectTrialRows(getSessions(data))
+}
+
+/**
+ * Delete all visioncheck data, including stored eye images. When several
+ * profiles share the device only the active profile's data is deleted.
  */
 function deleteAllData() {
-  STORAGE_KEYS.forEach(key => {
-    try {
-      localStorage.removeItem(key)
-    } catch (e) {
-      console.warn(`Failed to remove ${key}:`, e)
-    }
-  })
+  try {
+    clearUserData()
+  } catch (e) {
+    console.warn('Failed to delete stored data:', e)
+  }
 }
 
 /**
  * Data Settings page component.
- * Allows users to view, export, and delete their data.
+ * Allows users to view, export, import, and delete their data.
  */
 export default function DataSettings() {
   const { t } = useTranslation('legal')
   const { consentGiven, giveConsent, revokeConsent } = useConsent()
+  const { refresh: refreshVault } = useVault()
+  const { activeProfile, refresh: refreshProfiles } = useProfiles()
   const [expandedSection, setExpandedSection] = useState(null)
   const [storedData, setStoredData] = useState(() => getAllStoredData())
 
@@ -66,21 +94,28 @@ export default function DataSettings() {
   }
 
   const handleExport = () => {
-    const data = getAllStoredData()
+    const data = createBackup(getAllStoredData())
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `visioncheck-data-${new Date().toISOString().split('T')[0]}.json`
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
+    downloadBlob(blob, `visioncheck-data-${new Date().toISOString().split('T')[0]}.json`)
+  }
+
+  const handleExportTrials = () => {
+    const csv = trialsToCsv(getTrialRows(getAllStoredData()))
+    const blob = new Blob([csv], { type: 'text/csv' })
+    downloadBlob(blob, `visioncheck-trials-${new Date().toISOString().split('T')[0]}.csv`)
+  }
+
+  const handleExportFhir = () => {
+    const bundle = buildFhirBundle(getSessions(getAllStoredData()), { profile: activeProfile })
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: FHIR_MIME_TYPE })
+    downloadBlob(blob, `visioncheck-fhir-${new Date().toISOString().split('T')[0]}.json`)
   }
 
   const handleDeleteAll = () => {
     if (confirm(t('dataSettings.sections.deleteData.confirm'))) {
       deleteAllData()
+      refreshVault()
+      refreshProfiles()
       refreshData()
       alert(t('dataSettings.sections.deleteData.success'))
     }
@@ -98,6 +133,7 @@ export default function DataSettings() {
   }
 
   const hasData = Object.keys(storedData).length > 0
+  const trialCount = getTrialRows(storedData).length
 
   // Format data for display
   const formatValue = (value) => {
@@ -165,6 +201,8 @@ export default function DataSettings() {
           )}
         </section>
 
+        <VaultSettings />
+
         {/* View Data */}
         <section className="mb-6 p-4 bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700">
           <h2 className="text-lg font-semibold text-slate-800 dark:text-slate-100 mb-3">
@@ -265,6 +303,9 @@ export default function DataSettings() {
                     {storedData['visioncheck-onboarded'] !== undefined && (
                       <p><strong>Onboarded:</strong> {String(storedData['visioncheck-onboarded'])}</p>
                     )}
+                    {storedData['visioncheck-calibration'] && (
+                      <p><strong>Screen Calibration:</strong> {formatValue(storedData['visioncheck-calibration'])}</p>
+                    )}
                   </div>
                 )}
               </div>
@@ -287,8 +328,31 @@ export default function DataSettings() {
           >
             {t('dataSettings.sections.exportData.button')}
           </button>
+          <p className="text-slate-500 dark:text-slate-400 text-sm mt-4 mb-2">
+            {t('dataSettings.sections.exportData.trialsDescription', { count: trialCount })}
+          </p>
+          <button
+            onClick={handleExportTrials}
+            disabled={trialCount === 0}
+            className="w-full py-3 bg-white dark:bg-slate-700 text-sky-600 dark:text-sky-300 border border-sky-300 dark:border-sky-700 font-semibold rounded-xl hover:bg-sky-50 dark:hover:bg-slate-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('dataSettings.sections.exportData.trialsButton')}
+          </button>
+          <p className="text-slate-500 dark:text-slate-400 text-sm mt-4 mb-2">
+            {t('dataSettings.sections.exportData.fhirDescription')}
+          </p>
+          <button
+            onClick={handleExportFhir}
+            disabled={!storedData['visioncheck-results'] && !storedData['visioncheck-history']?.length}
+            className="w-full py-3 bg-white dark:bg-slate-700 text-sky-600 dark:text-sky-300 border border-sky-300 dark:border-sky-700 font-semibold rounded-xl hover:bg-sky-50 dark:hover:bg-slate-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('dataSettings.sections.exportData.fhirButton')}
+          </button>
         </section>
 
+        {/* Import Data */}
+        <DataImport />
+
         {/* Delete All Data */}
         <section className="mb-6 p-4 bg-white dark:bg-slate-800 rounded-xl border border-red-200 dark:border-red-800">
           <h2 className="text-lg font-semibold text-red-600 dark:text-red-400 mb-2">
@@ -5,6 +5,10 @@ import { MemoryRouter } from 'react-router-dom'
 import { I18nextProvider } from 'react-i18next'
 import DataSettings from './DataSettings'
 import { ConsentProvider } from '../context/ConsentContext'
+import { VaultProvider } from '../context/VaultContext'
+import { LanguageProvider } from '../context/LanguageContext'
+import { ProfileProvider } from '../context/ProfileContext'
+import { lockVault, resetStorage } from '../storage/storage'
 import i18n from '../i18n'
 
 // Mock URL.createObjectURL and URL.revokeObjectURL
@@ -21,9 +25,15 @@ function renderWithProviders(ui, { consentGiven = true } = {}) {
   return render(
     <I18nextProvider i18n={i18n}>
       <MemoryRouter>
-        <ConsentProvider>
-          {ui}
-        </ConsentProvider>
+        <LanguageProvider>
+          <ProfileProvider>
+            <ConsentProvider>
+              <VaultProvider>
+                {ui}
+              </VaultProvider>
+            </ConsentProvider>
+          </ProfileProvider>
+        </LanguageProvider>
       </MemoryRouter>
     </I18nextProvider>
   )
@@ -94,6 +104,116 @@ describe('DataSettings', () => {
     expect(screen.getByRole('button', { name: /Export Data/i })).toBeInTheDocument()
   })
 
+  it('should disable trial export when no trials are stored', () => {
+    renderWithProviders(<DataSettings />)
+
+    expect(screen.getByRole('button', { name: /Export Trial Data/i })).toBeDisabled()
+  })
+
+  it('should export trial-level data as CSV', async () => {
+    const user = userEvent.setup()
+    const trial = {
+      stimulus: { direction: 'up', logMAR: 0.3 },
+      response: 'up',
+      correct: true,
+      reactionTimeMs: 850,
+      timestamp: '2024-01-15T10:00:00.000Z'
+    }
+    localStorage.setItem('visioncheck-history', JSON.stringify([
+      { id: 1, date: '2024-01-15T10:05:00.000Z', visualAcuity: { left: { snellen: '20/40', history: [trial, trial] }, right: null } }
+    ]))
+
+    renderWithProviders(<DataSettings />)
+
+    expect(screen.getByText(/\(2 trials\)/)).toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: /Export Trial Data/i }))
+
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(1)
+    const blob = URL.createObjectURL.mock.calls[0][0]
+    expect(blob.type).toBe('text/csv')
+    // jsdom's Blob has no text(), so read it with FileReader
+    const csv = await new Promise(resolve => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.readAsText(blob)
+    })
+    expect(csv.split('\n')[1]).toBe('1,2024-01-15T10:05:00.000Z,visualAcuity,left,1,direction=up;logMAR=0.3,up,true,850,2024-01-15T10:00:00.000Z')
+  })
+
+  it('should export the trials of results saved to history once', async () => {
+    const user = userEvent.setup()
+    const trial = { stimulus: { direction: 'up', logMAR: 0.3 }, response: 'up', correct: true, reactionTimeMs: 850, timestamp: '2024-01-15T10:00:00.000Z' }
+    const left = { snellen: '20/40', history: [trial, trial], testedAt: '2024-01-15T10:01:00.000Z' }
+    const right = { snellen: '20/20', history: [{ ...trial, timestamp: '2024-01-15T10:10:00.000Z' }], testedAt: '2024-01-15T10:11:00.000Z' }
+    // Saving to history keeps the results in place, so the right eye tested
+    // afterwards joins the left eye already saved
+    localStorage.setItem('visioncheck-results', JSON.stringify({ completedAt: '2024-01-15T10:11:00.000Z', visualAcuity: { left, right } }))
+    localStorage.setItem('visioncheck-history', JSON.stringify([
+      { id: 1, date: '2024-01-15T10:05:00.000Z', visualAcuity: { left, right: null } }
+    ]))
+
+    renderWithProviders(<DataSettings />)
+
+    expect(screen.getByText(/\(3 trials\)/)).toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: /Export Trial Data/i }))
+
+    const csv = await new Promise(resolve => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.readAsText(URL.createObjectURL.mock.calls[0][0])
+    })
+    expect(csv.trim().split('\n').slice(1).map(line => line.split(',').slice(0, 4).join(','))).toEqual([
+      'current,2024-01-15T10:11:00.000Z,visualAcuity,right',
+      '1,2024-01-15T10:05:00.000Z,visualAcuity,left',
+      '1,2024-01-15T10:05:00.000Z,visualAcuity,left'
+    ])
+  })
+
+  it('should export results and history as a FHIR bundle', async () => {
+    const user = userEvent.setup()
+    localStorage.setItem('visioncheck-results', JSON.stringify({
+      completedAt: '2024-02-01T09:00:00.000Z',
+      visualAcuity: { left: { snellen: '20/20', logMAR: 0 }, right: null }
+    }))
+    localStorage.setItem('visioncheck-history', JSON.stringify([
+      { id: 1, date: '2024-01-15T10:05:00.000Z', visualAcuity: { left: { snellen: '20/40', logMAR: 0.3 }, right: null } }
+    ]))
+
+    renderWithProviders(<DataSettings />)
+    await user.click(screen.getByRole('button', { name: /Export for EHR/i }))
+
+    const blob = URL.createObjectURL.mock.calls[0][0]
+    expect(blob.type).toBe('application/fhir+json')
+    const bundle = JSON.parse(await new Promise(resolve => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.readAsText(blob)
+    }))
+    expect(bundle.resourceType).toBe('Bundle')
+    const observations = bundle.entry.map(e => e.resource).filter(r => r.resourceType === 'Observation')
+    expect(observations.map(o => o.valueString)).toEqual(['20/20', '20/40'])
+  })
+
+  it('should export results saved to history once in the FHIR bundle', async () => {
+    const user = userEvent.setup()
+    const visualAcuity = { left: { snellen: '20/20', logMAR: 0, testedAt: '2024-02-01T09:00:00.000Z' }, right: null }
+    localStorage.setItem('visioncheck-results', JSON.stringify({ completedAt: '2024-02-01T09:00:00.000Z', visualAcuity }))
+    localStorage.setItem('visioncheck-history', JSON.stringify([
+      { id: 1, date: '2024-02-01T09:05:00.000Z', visualAcuity }
+    ]))
+
+    renderWithProviders(<DataSettings />)
+    await user.click(screen.getByRole('button', { name: /Export for EHR/i }))
+
+    const bundle = JSON.parse(await new Promise(resolve => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.readAsText(URL.createObjectURL.mock.calls[0][0])
+    }))
+    const observations = bundle.entry.map(e => e.resource).filter(r => r.resourceType === 'Observation')
+    expect(observations.map(o => o.valueString)).toEqual(['20/20'])
+  })
+
   it('should have delete all data button', () => {
     renderWithProviders(<DataSettings />)
     
@@ -146,6 +266,45 @@ describe('DataSettings', () => {
     expect(localStorage.getItem('visioncheck-results')).not.toBeNull()
   })
 
+  it('should reject mismatched vault passphrases', async () => {
+    const user = userEvent.setup()
+    renderWithProviders(<DataSettings />)
+
+    await user.type(screen.getByLabelText('Passphrase or PIN'), '1234')
+    await user.type(screen.getByLabelText('Repeat passphrase or PIN'), '1235')
+    await user.click(screen.getByRole('button', { name: /Turn On Encryption/i }))
+
+    expect(screen.getByRole('alert')).toHaveTextContent('The entries do not match.')
+    expect(localStorage.getItem('visioncheck-vault')).toBeNull()
+  })
+
+  it('should encrypt stored results when encryption is turned on', async () => {
+    const user = userEvent.setup()
+    localStorage.setItem('visioncheck-results', JSON.stringify({ colorVision: { correctCount: 8 } }))
+    renderWithProviders(<DataSettings />)
+
+    await user.type(screen.getByLabelText('Passphrase or PIN'), '1234')
+    await user.type(screen.getByLabelText('Repeat passphrase or PIN'), '1234')
+    await user.click(screen.getByRole('button', { name: /Turn On Encryption/i }))
+
+    expect(await screen.findByText('Encryption is on', {}, { timeout: 5000 })).toBeInTheDocument()
+    expect(JSON.parse(localStorage.getItem('visioncheck-results')).encrypted).toBe(true)
+    expect(screen.getByLabelText(/Lock automatically/i)).toHaveValue('5')
+    lockVault()
+  })
+
+  it('should not offer encryption without storage consent', () => {
+    renderWithProviders(<DataSettings />, { consentGiven: false })
+
+    expect(screen.getByText('Enable data storage to use encryption.')).toBeInTheDocument()
+  })
+
+  it('should say which data encryption leaves readable', () => {
+    renderWithProviders(<DataSettings />)
+
+    expect(screen.getByText(/Profile names, birth years and app settings are not encrypted/)).toBeInTheDocument()
+  })
+
   it('should have back to home link', () => {
     renderWithProviders(<DataSettings />)
     
@@ -158,4 +317,67 @@ describe('DataSettings', () => {
     expect(screen.getByRole('link', { name: /Privacy/i })).toBeInTheDocument()
     expect(screen.getByRole('link', { name: /Terms/i })).toBeInTheDocument()
   })
+
+  describe('import', () => {
+    const importFile = (data) => new File([JSON.stringify(data)], 'export.json', { type: 'application/json' })
+
+    beforeEach(() => {
+      resetStorage()
+      vi.spyOn(window, 'alert').mockImplementation(() => {})
+      localStorage.setItem('visioncheck-history', JSON.stringify([
+        { id: 1, date: '2024-01-01T00:00:00.000Z' },
+        { id: 2, date: '2024-01-02T00:00:00.000Z' }
+      ]))
+    })
+
+    const exported = {
+      'visioncheck-schema-version': 2,
+      'visioncheck-history': [
+        { id: 2, date: '2024-01-02T00:00:00.000Z' },
+        { id: 3, date: '2024-01-03T00:00:00.000Z' }
+      ]
+    }
+
+    it('shows an error for files that are not exports', async () => {
+      const user = userEvent.setup()
+      renderWithProviders(<DataSettings />)
+
+      await user.upload(screen.getByLabelText(/Choose Export File/i), new File(['{"a":1}'], 'x.json', { type: 'application/json' }))
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('This file is not a VisionCheck data export.')
+    })
+
+    it('previews and merges history', async () => {
+      const user = userEvent.setup()
+      renderWithProviders(<DataSettings />)
+
+      await user.upload(screen.getByLabelText(/Choose Export File/i), importFile(exported))
+
+      expect(await screen.findByText('Merging adds 1 session(s) that are not on this device yet.')).toBeInTheDocument()
+      await user.click(screen.getByRole('button', { name: 'Import' }))
+
+      expect(window.alert).toHaveBeenCalledWith('Your data has been imported')
+      expect(JSON.parse(localStorage.getItem('visioncheck-history')).map(s => s.id)).toEqual([3, 2, 1])
+    })
+
+    it('replaces history when chosen', async () => {
+      const user = userEvent.setup()
+      renderWithProviders(<DataSettings />)
+
+      await user.upload(screen.getByLabelText(/Choose Export File/i), importFile(exported))
+      await user.click(await screen.findByRole('radio', { name: /Replace/ }))
+
+      expect(screen.getByText('Replacing removes 1 session(s) on this device that are not in the file.')).toBeInTheDocument()
+      await user.click(screen.getByRole('button', { name: 'Import' }))
+
+      expect(JSON.parse(localStorage.getItem('visioncheck-history')).map(s => s.id)).toEqual([3, 2])
+    })
+
+    it('requires consent', () => {
+      renderWithProviders(<DataSettings />, { consentGiven: false })
+
+      expect(screen.getByText('Importing requires consent to data storage.')).toBeInTheDocument()
+      expect(screen.queryByLabelText(/Choose Export File/i)).not.toBeInTheDocument()
+    })
+  })
 })
@@ -1,10 +1,13 @@
 import { useState, useRef, useCallback, useEffect } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
-import ReactMarkdown from 'react-markdown'
 import { useTranslation } from 'react-i18next'
 import { useTestResults } from '../context/TestResultsContext'
-import { analyzeEyePhotoAllLanguages, checkApiHealth } from '../api/openai'
+import { analyzeEyePhoto, checkApiHealth, describeRejection } from '../api/openai'
 import AudioInstructions from '../components/AudioInstructions'
+import EyeAnalysisDetails from '../components/EyeAnalysisDetails'
+import EyeSelector from '../components/EyeSelector'
+import { useImageQuality } from '../hooks/useImageQuality'
+import { assessPhotoFile } from '../utils/imageQuality'
 
 // Camera states
 const CAMERA_STATES = {
@@ -14,12 +17,19 @@ const CAMERA_STATES = {
   ERROR: 'error',
 }
 
-function CameraGuideOverlay() {
+// Live guidance for the first problem in the frame, or the go-ahead
+function CameraGuideOverlay({ quality, t }) {
+  const guidance = !quality
+    ? t('tests:eyePhoto.quality.checking')
+    : quality.passed
+      ? t('tests:eyePhoto.quality.ready')
+      : t(`tests:eyePhoto.quality.${quality.issues[0]}`)
+
   return (
     <div className="absolute inset-0 pointer-events-none">
       {/* Eye positioning guide */}
       <div className="absolute inset-0 flex items-center justify-center">
-        <div className="w-40 h-40 border-4 border-white/70 rounded-full shadow-lg" />
+        <div className={`w-40 h-40 border-4 rounded-full shadow-lg transition-colors ${quality?.passed ? 'border-green-400' : 'border-white/70'}`} />
       </div>
       
       {/* Corner guides */}
@@ -30,8 +40,8 @@ function CameraGuideOverlay() {
       
       {/* Instructions */}
       <div className="absolute bottom-20 left-0 right-0 text-center">
-        <p className="text-white text-sm font-medium drop-shadow-lg">
-          Position your eye within the circle
+        <p role="status" aria-live="polite" className="text-white text-sm font-medium drop-shadow-lg">
+          {guidance}
         </p>
       </div>
     </div>
@@ -54,11 +64,13 @@ function ApiUnavailableNotice({ t }) {
 export default function EyePhotoAnalysis() {
   const navigate = useNavigate()
   const { t, i18n } = useTranslation(['common', 'tests'])
-  const { updateEyePhoto } = useTestResults()
+  const { results, updateEyePhoto, cacheEyePhotoTranslation } = useTestResults()
   
-  const [phase, setPhase] = useState('instructions') // instructions, capture, analyzing, results
+  const [phase, setPhase] = useState('eye-select') // eye-select, instructions, capture, analyzing, results
+  const [currentEye, setCurrentEye] = useState(null) // 'left' | 'right' | null
   const [cameraState, setCameraState] = useState(CAMERA_STATES.IDLE)
   const [capturedImage, setCapturedImage] = useState(null)
+  const [photoQuality, setPhotoQuality] = useState(null) // checked quality of an uploaded photo
   const [analysis, setAnalysis] = useState(null)
   const [error, setError] = useState(null)
   const [apiAvailable, setApiAvailable] = useState(null) // null = checking, true = available, false = unavailable
@@ -67,6 +79,11 @@ export default function EyePhotoAnalysis() {
   const streamRef = useRef(null)
   const canvasRef = useRef(null)
 
+  // Capture stays disabled until the live frame passes the quality checks
+  const frameQuality = useImageQuality(videoRef, {
+    enabled: cameraState === CAMERA_STATES.ACTIVE && !capturedImage,
+  })
+
   // Check API health on mount
   useEffect(() => {
     checkApiHealth().then(health => {
@@ -138,8 +155,11 @@ export default function EyePhotoAnalysis() {
     
     const reader = new FileReader()
     reader.onload = (e) => {
-      setCapturedImage(e.target.result)
+      const imageData = e.target.result
+      setCapturedImage(imageData)
+      setPhotoQuality(null)
       setPhase('capture')
+      assessPhotoFile(imageData).then(setPhotoQuality)
     }
     reader.readAsDataURL(file)
   }, [])
@@ -151,12 +171,11 @@ export default function EyePhotoAnalysis() {
     setError(null)
     
     try {
-      // Analyze in both languages in parallel
-      const result = await analyzeEyePhotoAllLanguages(capturedImage)
-      setAnalysis(result) // Stores { en: "...", de: "..." }
+      // Analyze once in the current language; other languages are translated when viewed
+      const result = await analyzeEyePhoto(capturedImage, i18n.resolvedLanguage || 'en')
+      setAnalysis(result)
       
-      // Save to context with both language versions
-      updateEyePhoto({
+      updateEyePhoto(currentEye, {
         imageData: capturedImage,
         analysis: result,
         status: 'analyzed',
@@ -167,29 +186,48 @@ export default function EyePhotoAnalysis() {
       setApiAvailable(true)
     } catch (err) {
       console.error('Analysis error:', err)
-      setError(err.message || 'Failed to analyze image')
+      setError(describeRejection(err, t) || err.message || 'Failed to analyze image')
       setPhase('capture')
       if (err.message?.includes('API key not configured') || err.message?.includes('unavailable')) {
         setApiAvailable(false)
       }
     }
-  }, [capturedImage, updateEyePhoto])
+  }, [capturedImage, currentEye, updateEyePhoto, t, i18n.resolvedLanguage])
 
   const retakePhoto = useCallback(() => {
     setCapturedImage(null)
+    setPhotoQuality(null)
     setAnalysis(null)
     setError(null)
     startCamera()
   }, [startCamera])
 
+  const handleEyeSelect = (eye) => {
+    setCurrentEye(eye)
+    setCapturedImage(null)
+    setPhotoQuality(null)
+    setAnalysis(null)
+    setError(null)
+    setPhase('instructions')
+  }
+
+  const photographOtherEye = () => {
+    setCapturedImage(null)
+    setPhotoQuality(null)
+    setAnalysis(null)
+    setPhase('eye-select')
+  }
+
   const goToResults = () => {
     navigate('/results')
   }
 
+  const eyeBadge = currentEye === 'left' ? '👁️ L' : '👁️ R'
+
   const isDisabled = apiAvailable === false
 
-  // Instructions phase
-  if (phase === 'instructions') {
+  // Eye selection phase
+  if (phase === 'eye-select') {
     return (
       <div className="min-h-screen bg-white dark:bg-slate-900">
         <header className="sticky top-0 bg-white dark:bg-slate-900 border-b border-slate-100 dark:border-slate-800 px-4 py-4 flex items-center gap-4">
@@ -198,6 +236,33 @@ export default function EyePhotoAnalysis() {
           </Link>
           <h1 className="text-lg font-semibold text-slate-800 dark:text-slate-100">Eye Photo Analysis</h1>
         </header>
+        <EyeSelector
+          onSelect={handleEyeSelect}
+          completedEyes={results.eyePhoto}
+          testName="Eye Photo Analysis"
+          prompt={t('tests:eyePhoto.eyeSelect.prompt')}
+          tip={t('tests:eyePhoto.eyeSelect.tip')}
+        />
+      </div>
+    )
+  }
+
+  // Instructions phase
+  if (phase === 'instructions') {
+    return (
+      <div className="min-h-screen bg-white dark:bg-slate-900">
+        <header className="sticky top-0 bg-white dark:bg-slate-900 border-b border-slate-100 dark:border-slate-800 px-4 py-4 flex items-center gap-4">
+          <button
+            onClick={() => setPhase('eye-select')}
+            className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+          >
+            ← Back
+          </button>
+          <h1 className="flex-1 text-lg font-semibold text-slate-800 dark:text-slate-100">Eye Photo Analysis</h1>
+          <span className="text-sm text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-slate-800 px-3 py-1 rounded-full">
+            {eyeBadge}
+          </span>
+        </header>
 
         <div className="p-6 max-w-md mx-auto">
           <div className="text-center mb-8">
@@ -280,14 +345,17 @@ export default function EyePhotoAnalysis() {
       <div className="min-h-screen bg-black flex flex-col">
         <header className="sticky top-0 bg-black/80 backdrop-blur px-4 py-4 flex items-center gap-4 z-10">
           <button 
-            onClick={() => { stopCamera(); setPhase('instructions'); setCapturedImage(null); }}
+            onClick={() => { stopCamera(); setPhase('instructions'); setCapturedImage(null); setPhotoQuality(null); }}
             className="text-white/80 hover:text-white"
           >
             ← Back
           </button>
-          <h1 className="text-lg font-semibold text-white">
+          <h1 className="flex-1 text-lg font-semibold text-white">
             {capturedImage ? 'Review Photo' : 'Capture Eye'}
           </h1>
+          <span className="text-sm text-white/80 bg-white/10 px-3 py-1 rounded-full">
+            {eyeBadge}
+          </span>
         </header>
 
         <div className="flex-1 relative flex items-center justify-center bg-black">
@@ -307,7 +375,7 @@ export default function EyePhotoAnalysis() {
                 muted
                 className="max-w-full max-h-full object-contain"
               />
-              {cameraState === CAMERA_STATES.ACTIVE && <CameraGuideOverlay />}
+              {cameraState === CAMERA_STATES.ACTIVE && <CameraGuideOverlay quality={frameQuality} t={t} />}
               
               {cameraState === CAMERA_STATES.REQUESTING && (
                 <div className="absolute inset-0 flex items-center justify-center bg-black">
@@ -339,16 +407,27 @@ export default function EyePhotoAnalysis() {
           {!capturedImage ? (
             <button
               onClick={capturePhoto}
-              disabled={cameraState !== CAMERA_STATES.ACTIVE}
+              disabled={cameraState !== CAMERA_STATES.ACTIVE || !frameQuality?.passed}
               className="w-full py-4 bg-white text-black font-semibold rounded-xl hover:bg-slate-100 disabled:bg-slate-600 disabled:text-slate-400 transition-colors"
             >
               📷 Capture
             </button>
           ) : (
             <div className="space-y-3">
+              {photoQuality && !photoQuality.passed && (
+                <div className="p-3 bg-amber-500/20 border border-amber-500/50 rounded-xl text-amber-100 text-sm">
+                  <p className="font-medium mb-1">{t('tests:eyePhoto.quality.uploadRejected')}</p>
+                  <ul className="list-disc list-inside">
+                    {photoQuality.issues.map(issue => (
+                      <li key={issue}>{t(`tests:eyePhoto.quality.${issue}`)}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
               <button
                 onClick={analyzeImage}
-                className="w-full py-4 bg-violet-500 text-white font-semibold rounded-xl hover:bg-violet-600 transition-colors"
+                disabled={photoQuality?.passed === false}
+                className="w-full py-4 bg-violet-500 text-white font-semibold rounded-xl hover:bg-violet-600 disabled:bg-slate-600 disabled:text-slate-400 disabled:cursor-not-allowed transition-colors"
               >
                 ✨ Analyze with AI
               </button>
@@ -399,7 +478,10 @@ export default function EyePhotoAnalysis() {
           <Link to="/" className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
             ← Home
           </Link>
-          <h1 className="text-lg font-semibold text-slate-800 dark:text-slate-100">Analysis Results</h1>
+          <h1 className="flex-1 text-lg font-semibold text-slate-800 dark:text-slate-100">Analysis Results</h1>
+          <span className="text-sm text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-slate-800 px-3 py-1 rounded-full">
+            {eyeBadge}
+          </span>
         </header>
 
         <div className="p-6 max-w-2xl mx-auto">
@@ -421,13 +503,10 @@ export default function EyePhotoAnalysis() {
 
           {/* Analysis results */}
           <div className="bg-slate-50 dark:bg-slate-800 rounded-xl p-6 mb-6">
-            <div className="text-slate-700 dark:text-slate-200 text-sm leading-relaxed space-y-3 [&>h2]:text-base [&>h2]:font-semibold [&>h2]:mt-4 [&>h2]:mb-2 [&>h3]:text-sm [&>h3]:font-semibold [&>h3]:mt-3 [&>h3]:mb-1 [&>p]:mb-2 [&>ul]:list-disc [&>ul]:pl-4 [&>ul]:space-y-1 [&>ol]:list-decimal [&>ol]:pl-4 [&>ol]:space-y-1 [&>hr]:my-3 [&>hr]:border-slate-200 dark:[&>hr]:border-slate-700">
-              <ReactMarkdown>
-                {typeof analysis === 'string' 
-                  ? analysis 
-                  : (analysis[i18n.language] || analysis.en)}
-              </ReactMarkdown>
-            </div>
+            <EyeAnalysisDetails
+              analysis={analysis}
+              onTranslated={(...translation) => cacheEyePhotoTranslation(currentEye, ...translation)}
+            />
           </div>
 
           {/* Disclaimer */}
@@ -440,6 +519,20 @@ export default function EyePhotoAnalysis() {
           </div>
 
           <div className="space-y-3">
+            {!results.eyePhoto?.[currentEye === 'left' ? 'right' : 'left'] && (
+              <button
+                onClick={photographOtherEye}
+                className="w-full py-4 bg-violet-500 text-white font-semibold rounded-xl hover:bg-violet-600 transition-colors"
+              >
+                📷 {t(currentEye === 'left' ? 'tests:eyePhoto.actions.photographRight' : 'tests:eyePhoto.actions.photographLeft')}
+              </button>
+            )}
+            <Link
+              to={`/eye-photo/timeline?eye=${currentEye}`}
+              className="block w-full py-4 bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-200 font-semibold rounded-xl hover:bg-slate-200 dark:hover:bg-slate-700 transition-colors text-center"
+            >
+              🕒 {t('tests:eyePhoto.timeline.open')}
+            </Link>
             <button
               onClick={goToResults}
               className="w-full py-4 bg-violet-500 text-white font-semibold rounded-xl hover:bg-violet-600 transition-colors"
@@ -1,22 +1,35 @@
 import { useRef, useCallback, useEffect, useState } from 'react'
 import { Link } from 'react-router-dom'
 import html2pdf from 'html2pdf.js'
-import ReactMarkdown from 'react-markdown'
 import { useTranslation } from 'react-i18next'
 import { useTestResults } from '../context/TestResultsContext'
+import { useProfiles } from '../context/ProfileContext'
 import AchievementBadge, { ACHIEVEMENTS } from '../components/AchievementBadge'
 import Celebration from '../components/Celebration'
 import FindDoctorButton from '../components/FindDoctorButton'
+import { useStoredImage } from '../hooks/useStoredImage'
+import { buildFhirBundle, FHIR_MIME_TYPE } from '../utils/fhir'
+import { downloadBlob } from '../utils/download'
+import { getRecommendationKeys } from '../utils/recommendation'
+import { compareEyeAnalyses, getAnalysisNarrative, getEyePhotoTier, isStructuredAnalysis } from '../utils/eyeAnalysis'
+import EyeAnalysisDetails from '../components/EyeAnalysisDetails'
+import AmslerMap, { AmslerLegend } from '../components/AmslerMap'
+import { DISTORTION_COLORS, DISTORTION_TYPES, amslerMapSvg, countMarkedCells, findPreviousAmslerMap, parseAmslerRegions, parseAmslerVariant } from '../utils/amsler'
+import HyperacuityMap, { HyperacuityLegend } from '../components/HyperacuityMap'
+import { THRESHOLD_CATEGORIES, THRESHOLD_COLORS, hyperacuityMapSvg } from '../utils/hyperacuity'
+import ArrangementDiagram from '../components/ArrangementDiagram'
+import { arrangementDiagramSvg } from '../utils/colorArrangement'
+import { fetchReportPdf } from '../api/report'
 
 /**
  * Render a styled result card containing an icon, title, status pill, and arbitrary content.
  *
- * @param {{title: string, icon: import('react').ReactNode, status: 'complete'|'pending'|'warning', children?: import('react').ReactNode, color?: 'sky'|'emerald'|'violet'|'amber'|'purple'|'teal'|'fuchsia', t: (key: string) => string}} props - Component props.
+ * @param {{title: string, icon: import('react').ReactNode, status: 'complete'|'pending'|'warning', children?: import('react').ReactNode, color?: 'sky'|'emerald'|'violet'|'amber'|'purple'|'teal'|'fuchsia'|'indigo'|'cyan', t: (key: string) => string}} props - Component props.
  * @param {string} props.title - Visible card title.
  * @param {React.ReactNode} props.icon - Icon displayed to the left of the title.
  * @param {'complete'|'pending'|'warning'} props.status - Status key used to derive the status label and its styling.
  * @param {React.ReactNode} [props.children] - Card body content.
- * @param {'sky'|'emerald'|'violet'|'amber'|'purple'|'teal'|'fuchsia'} [props.color='sky'] - Color theme for the card background/border.
+ * @param {'sky'|'emerald'|'violet'|'amber'|'purple'|'teal'|'fuchsia'|'indigo'|'cyan'} [props.color='sky'] - Color theme for the card background/border.
  * @param {(key: string) => string} props.t - Translation function used to localize the status text.
  * @returns {JSX.Element} The rendered result card element.
  */
@@ -29,6 +42,8 @@ function ResultCard({ title, icon, status, children, color = 'sky', t }) {
     purple: 'bg-purple-50 dark:bg-purple-900/30 border-purple-200 dark:border-purple-800',
     teal: 'bg-teal-50 dark:bg-teal-900/30 border-teal-200 dark:border-teal-800',
     fuchsia: 'bg-fuchsia-50 dark:bg-fuchsia-900/30 border-fuchsia-200 dark:border-fuchsia-800',
+    indigo: 'bg-indigo-50 dark:bg-indigo-900/30 border-indigo-200 dark:border-indigo-800',
+    cyan: 'bg-cyan-50 dark:bg-cyan-900/30 border-cyan-200 dark:border-cyan-800',
   }
 
   const statusColors = {
@@ -97,6 +112,9 @@ function VisualAcuityResult({ data, t }) {
   // Check for asymmetry
   const hasAsymmetry = hasLeft && hasRight && Math.abs(data.left.level - data.right.level) >= 2
 
+  // Results where the camera measured the user outside the required distance band
+  const wrongDistance = ['left', 'right'].filter(eye => data[eye]?.viewingDistance?.withinRange === false)
+
   return (
     <div className="space-y-3">
       <div className="grid grid-cols-2 gap-4">
@@ -109,6 +127,12 @@ function VisualAcuityResult({ data, t }) {
           {hasLeft && (
             <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
               Level {data.left.level}/{data.left.maxLevel}
+              {data.left.logMAR !== undefined && ` · logMAR ${data.left.logMAR.toFixed(2)}`}
+            </div>
+          )}
+          {hasLeft && data.left.viewingDistance?.withinRange && (
+            <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+              📷 {t('results:viewingDistance.measured', { distance: data.left.viewingDistance.measuredCm })}
             </div>
           )}
         </div>
@@ -122,6 +146,12 @@ function VisualAcuityResult({ data, t }) {
           {hasRight && (
             <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
               Level {data.right.level}/{data.right.maxLevel}
+              {data.right.logMAR !== undefined && ` · logMAR ${data.right.logMAR.toFixed(2)}`}
+            </div>
+          )}
+          {hasRight && data.right.viewingDistance?.withinRange && (
+            <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+              📷 {t('results:viewingDistance.measured', { distance: data.right.viewingDistance.measuredCm })}
             </div>
           )}
         </div>
@@ -133,6 +163,19 @@ function VisualAcuityResult({ data, t }) {
           ⚠️ {t('results:recommendations.followUp')}
         </div>
       )}
+
+      {/* Wrong viewing distance warning */}
+      {wrongDistance.map(eye => (
+        <div
+          key={eye}
+          className="bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-800 rounded-lg p-3 text-sm text-amber-800 dark:text-amber-200"
+        >
+          📷 {t(`results:eyeLabels.${eye}Eye`)}: {t('results:viewingDistance.outOfRange', {
+            distance: data[eye].viewingDistance.measuredCm,
+            target: data[eye].viewingDistance.targetCm
+          })}
+        </div>
+      ))}
     </div>
   )
 }
@@ -173,6 +216,42 @@ function ColorVisionResult({ data, t }) {
   )
 }
 
+/**
+ * Render color arrangement results: the arrangement diagram, the defect type
+ * if any, and the number of crossings.
+ *
+ * @param {{arrangement: number[], crossings: number, hasDefect: boolean, defectType: string | null} | null | undefined} data - The color arrangement result; when falsy a localized "no results" description is displayed.
+ * @param {Function} t - Translation function used for localized strings.
+ * @returns {JSX.Element} A React element with the diagram and a status line.
+ */
+function ColorArrangementResult({ data, t }) {
+  if (!data) {
+    return (
+      <p className="text-sm text-slate-500 dark:text-slate-400">
+        {t('results:noResults.description')}
+      </p>
+    )
+  }
+
+  return (
+    <div className="flex items-center gap-4">
+      <ArrangementDiagram
+        arrangement={data.arrangement}
+        label={t('results:colorArrangement.diagramLabel', { count: data.crossings })}
+        className="w-28 h-28 shrink-0"
+      />
+      <div className="space-y-1">
+        {data.hasDefect ? (
+          <p className="text-sm font-semibold text-amber-600 dark:text-amber-400">⚠️ {t(`results:colorArrangement.types.${data.defectType}`)}</p>
+        ) : (
+          <p className="text-sm font-semibold text-cyan-600 dark:text-cyan-400">✓ {t('results:colorArrangement.normal')}</p>
+        )}
+        <p className="text-xs text-slate-500 dark:text-slate-400">{t('results:colorArrangement.crossings', { count: data.crossings })}</p>
+      </div>
+    </div>
+  )
+}
+
 /**
  * Convert a Markdown string to plain text by removing common formatting and collapsing whitespace.
  *
@@ -192,176 +271,203 @@ function stripMarkdown(text) {
     .trim()
 }
 
-/**
- * Extract a concise human-readable summary or recommendation from an AI analysis text while ignoring boilerplate disclaimers.
- *
- * Attempts to locate a "Summary" or "Recommendation(s)" section, then common reassuring recommendation phrases, and finally falls back to the first meaningful non-disclaimer line. Result is stripped of simple Markdown and truncated to 150 characters when applicable.
- *
- * @param {string} analysis - AI-generated analysis text to extract a summary from.
- * @returns {string|null} The extracted summary or recommendation (trimmed and up to 150 characters), or `null` if no suitable content is found.
- */
-function extractSummary(analysis) {
-  if (!analysis) return null
-  
-  // Try to find Summary or Recommendations section
-  const summaryMatch = analysis.match(/(?:Summary|Recommendations?)[:\s]*\n?([\s\S]{30,200}?)(?=\n\n|\n\d\.|\n[-*]|$)/i)
-  if (summaryMatch) {
-    return stripMarkdown(summaryMatch[1]).substring(0, 150)
-  }
-  
-  // Try to find "Looks healthy" or similar recommendation phrases
-  const healthMatch = analysis.match(/(Looks healthy[^.]*\.|Continue regular[^.]*\.|No visible[^.]*\.|Consider scheduling[^.]*\.|Recommend seeing[^.]*\.)/i)
-  if (healthMatch) {
-    return stripMarkdown(healthMatch[1])
-  }
-  
-  // Fallback: skip disclaimers and get first meaningful sentence
-  const lines = analysis.split('\n').filter(line => {
-    const lower = line.toLowerCase()
-    return line.trim() && 
-           !lower.includes('disclaimer') && 
-           !lower.includes('not a medical diagnosis') &&
-           !lower.includes('educational') &&
-           !lower.includes('screening purposes') &&
-           !lower.includes('consult an eye care')
-  })
-  
-  if (lines.length > 0) {
-    return stripMarkdown(lines[0]).substring(0, 150)
-  }
-  
-  return null
+const EYE_TIER_TEXT_COLORS = {
+  routine: 'text-emerald-700 dark:text-emerald-300',
+  schedule_exam: 'text-amber-700 dark:text-amber-300',
+  see_soon: 'text-red-700 dark:text-red-300',
 }
 
 /**
- * Show a compact eye-photo result card with a brief extracted summary and an accessible modal displaying the full analysis and image.
- * @param {{analysis?: string, imageData?: string}|null} data - Eye photo result data; null renders a "no results" description.
+ * Show one eye's photo in the side-by-side comparison with its recommendation tier, opening the full analysis when activated.
+ * @param {'left'|'right'|'unknown'} eye - Which eye the photo shows; 'unknown' for a photo taken before the eye was recorded.
+ * @param {{analysis?: Object|string, imageData?: string, imageId?: string}|null} photo - Eye photo result; null renders an empty slot.
+ * @param {function} onOpen - Called to open the full analysis.
  * @param {function} t - Translation function for localized strings.
- * @returns {JSX.Element} A React element containing the eye photo card and, when opened, a modal with the full analysis and image.
+ * @returns {JSX.Element} A tile for the comparison grid.
  */
-function EyePhotoResult({ data, t }) {
-  const { i18n } = useTranslation()
-  const [showFullAnalysis, setShowFullAnalysis] = useState(false)
+function EyePhotoTile({ eye, photo, onOpen, t }) {
+  // Fresh captures are still inline; saved photos are loaded from the image store
+  const storedImage = useStoredImage(photo?.imageData ? null : photo?.imageId)
+  const imageSrc = photo?.imageData || storedImage
+  const label = t(`results:eyeLabels.${eye}Eye`)
 
-  if (!data) {
+  if (!photo) {
     return (
-      <p className="text-sm text-slate-500 dark:text-slate-400">
-        {t('results:noResults.description')}
-      </p>
+      <div className="text-center p-3 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
+        <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">{label}</div>
+        <div className="text-2xl font-bold text-slate-300 dark:text-slate-600">—</div>
+      </div>
     )
   }
 
-  // Handle both legacy (string) and new (object with language keys) analysis format
-  const analysisText = typeof data.analysis === 'string' 
-    ? data.analysis 
-    : (data.analysis?.[i18n.language] || data.analysis?.en || '')
+  // Analyses saved before the structured format have no recommendation to show
+  const tier = isStructuredAnalysis(photo.analysis) ? photo.analysis.recommendation : null
 
-  const summary = extractSummary(analysisText)
+  return (
+    <div
+      className="text-center p-3 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 space-y-2 cursor-pointer hover:bg-violet-100/50 dark:hover:bg-violet-900/30 transition-colors"
+      onClick={onOpen}
+      onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); onOpen(); } }}
+      role="button"
+      tabIndex={0}
+      aria-label={`${t('results:cards.eyePhoto')}: ${label}`}
+    >
+      <div className="text-xs text-slate-500 dark:text-slate-400">{label}</div>
+      {imageSrc && (
+        <div className="flex justify-center">
+          <img
+            src={imageSrc}
+            alt={label}
+            className="w-16 h-16 object-cover rounded-full border-2 border-violet-200 dark:border-violet-700"
+          />
+        </div>
+      )}
+      <p className={`text-xs font-medium ${tier ? EYE_TIER_TEXT_COLORS[tier] : 'text-emerald-600 dark:text-emerald-400'}`}>
+        {tier ? t(`results:eyeAnalysis.recommendation.${tier}`) : t('tests:eyePhoto.status.complete')}
+      </p>
+      <p className="text-xs text-violet-600 dark:text-violet-400 flex items-center justify-center gap-1">
+        <span>{t('actions.viewResults')}</span>
+        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+        </svg>
+      </p>
+    </div>
+  )
+}
 
-  const handleCardClick = () => {
-    setShowFullAnalysis(true)
-  }
+/**
+ * Show the full analysis and image of one eye's photo in a modal.
+ * @param {'left'|'right'|'unknown'} eye - Which eye the photo shows; 'unknown' for a photo taken before the eye was recorded.
+ * @param {{analysis?: Object|string, imageData?: string, imageId?: string}} photo - Eye photo result.
+ * @param {function} onTranslated - Called with a narrative translated for display.
+ * @param {function} onClose - Called to close the modal.
+ * @param {function} t - Translation function for localized strings.
+ * @returns {JSX.Element} The modal overlay.
+ */
+function EyePhotoModal({ eye, photo, onTranslated, onClose, t }) {
+  const storedImage = useStoredImage(photo.imageData ? null : photo.imageId)
+  const imageSrc = photo.imageData || storedImage
+  const label = t(`results:eyeLabels.${eye}Eye`)
 
   return (
-    <>
+    <div 
+      className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
       <div 
-        className="space-y-3 cursor-pointer hover:bg-violet-100/50 dark:hover:bg-violet-900/30 -m-2 p-2 rounded-lg transition-colors" 
-        onClick={handleCardClick}
-        onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); handleCardClick(); } }}
-        role="button"
-        tabIndex={0}
-        aria-label={t('results:cards.eyePhoto')}
+        className="bg-white dark:bg-slate-800 rounded-2xl max-w-lg w-full max-h-[80vh] overflow-hidden shadow-xl"
+        onClick={(e) => e.stopPropagation()}
       >
-        {data.imageData && (
-          <div className="flex justify-center">
-            <img
-              src={data.imageData}
-              alt={t('results:cards.eyePhoto')}
-              className="w-16 h-16 object-cover rounded-full border-2 border-violet-200 dark:border-violet-700"
-            />
+        {/* Modal Header */}
+        <div className="bg-violet-50 dark:bg-violet-900/30 p-4 border-b border-violet-100 dark:border-violet-800 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <span className="text-2xl">📸</span>
+            <h3 className="font-semibold text-slate-800 dark:text-slate-100">{t('results:cards.eyePhoto')} · {label}</h3>
           </div>
-        )}
-        
-        {/* Status indicator */}
-        <div className="flex items-center gap-2">
-          <span className="w-2 h-2 bg-emerald-500 rounded-full"></span>
-          <span className="text-sm font-medium text-emerald-600 dark:text-emerald-400">{t('tests:eyePhoto.status.complete')}</span>
+          <button
+            onClick={onClose}
+            className="w-8 h-8 rounded-full bg-violet-100 hover:bg-violet-200 flex items-center justify-center transition-colors"
+            aria-label={t('actions.close')}
+          >
+            <svg className="w-5 h-5 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
         </div>
         
-        {/* Summary text */}
-        {summary && (
-          <p className="text-sm text-slate-600 dark:text-slate-300">
-            {summary}{summary.length >= 150 ? '...' : ''}
-          </p>
-        )}
+        {/* Modal Body */}
+        <div className="p-4 overflow-y-auto max-h-[60vh]">
+          {imageSrc && (
+            <div className="flex justify-center mb-4">
+              <img
+                src={imageSrc}
+                alt={label}
+                className="w-24 h-24 object-cover rounded-full border-4 border-violet-200"
+              />
+            </div>
+          )}
+          
+          <EyeAnalysisDetails analysis={photo.analysis} onTranslated={onTranslated} />
+        </div>
         
-        {/* View details hint */}
-        <p className="text-xs text-violet-600 dark:text-violet-400 flex items-center gap-1">
-          <span>{t('actions.viewResults')}</span>
-          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
-          </svg>
-        </p>
+        {/* Modal Footer */}
+        <div className="p-4 border-t border-slate-100 dark:border-slate-700 bg-slate-50 dark:bg-slate-900">
+          <button
+            onClick={onClose}
+            className="w-full py-3 bg-violet-500 text-white font-medium rounded-xl hover:bg-violet-600 transition-colors"
+          >
+            {t('actions.close')}
+          </button>
+        </div>
       </div>
+    </div>
+  )
+}
 
-      {/* Full Analysis Modal */}
-      {showFullAnalysis && (
-        <div 
-          className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4"
-          onClick={() => setShowFullAnalysis(false)}
-        >
-          <div 
-            className="bg-white rounded-2xl max-w-lg w-full max-h-[80vh] overflow-hidden shadow-xl"
-            onClick={(e) => e.stopPropagation()}
-          >
-            {/* Modal Header */}
-            <div className="bg-violet-50 p-4 border-b border-violet-100 flex items-center justify-between">
-              <div className="flex items-center gap-2">
-                <span className="text-2xl">📸</span>
-                <h3 className="font-semibold text-slate-800">{t('results:cards.eyePhoto')}</h3>
-              </div>
-              <button
-                onClick={() => setShowFullAnalysis(false)}
-                className="w-8 h-8 rounded-full bg-violet-100 hover:bg-violet-200 flex items-center justify-center transition-colors"
-                aria-label={t('actions.close')}
-              >
-                <svg className="w-5 h-5 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
-            </div>
-            
-            {/* Modal Body */}
-            <div className="p-4 overflow-y-auto max-h-[60vh]">
-              {data.imageData && (
-                <div className="flex justify-center mb-4">
-                  <img
-                    src={data.imageData}
-                    alt={t('results:cards.eyePhoto')}
-                    className="w-24 h-24 object-cover rounded-full border-4 border-violet-200"
-                  />
-                </div>
-              )}
-              
-              {/* Full analysis text with markdown rendering */}
-              <div className="text-slate-700 text-sm leading-relaxed space-y-3 [&>h2]:text-base [&>h2]:font-semibold [&>h2]:mt-4 [&>h2]:mb-2 [&>h3]:text-sm [&>h3]:font-semibold [&>h3]:mt-3 [&>h3]:mb-1 [&>p]:mb-2 [&>ul]:list-disc [&>ul]:pl-4 [&>ul]:space-y-1 [&>ol]:list-decimal [&>ol]:pl-4 [&>ol]:space-y-1 [&>hr]:my-3 [&>hr]:border-slate-200">
-                <ReactMarkdown>{analysisText}</ReactMarkdown>
-              </div>
-            </div>
-            
-            {/* Modal Footer */}
-            <div className="p-4 border-t border-slate-100 bg-slate-50">
-              <button
-                onClick={() => setShowFullAnalysis(false)}
-                className="w-full py-3 bg-violet-500 text-white font-medium rounded-xl hover:bg-violet-600 transition-colors"
-              >
-                {t('actions.close')}
-              </button>
-            </div>
-          </div>
+/**
+ * Compare the left and right eye photos side by side, highlighting findings whose severity differs between the eyes.
+ * A photo taken before the eye was recorded is shown below them.
+ * @param {{left?: Object|null, right?: Object|null, unknown?: Object}|null} data - Per-eye eye photo results; no photos renders a "no results" description.
+ * @param {function} onTranslated - Called with `(eye, language, text, sourceText)` when a narrative is translated for display.
+ * @param {function} t - Translation function for localized strings.
+ * @returns {JSX.Element} The comparison grid, any asymmetries and, when opened, a modal with one eye's full analysis.
+ */
+function EyePhotoResult({ data, onTranslated, t }) {
+  const [openEye, setOpenEye] = useState(null)
+
+  if (!data?.left && !data?.right && !data?.unknown) {
+    return (
+      <p className="text-sm text-slate-500 dark:text-slate-400">
+        {t('results:noResults.description')}
+      </p>
+    )
+  }
+
+  const differences = compareEyeAnalyses(data.left?.analysis, data.right?.analysis)
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-4">
+        <EyePhotoTile eye="left" photo={data.left} onOpen={() => setOpenEye('left')} t={t} />
+        <EyePhotoTile eye="right" photo={data.right} onOpen={() => setOpenEye('right')} t={t} />
+      </div>
+
+      {data.unknown && (
+        <EyePhotoTile eye="unknown" photo={data.unknown} onOpen={() => setOpenEye('unknown')} t={t} />
+      )}
+
+      <Link
+        to="/eye-photo/timeline"
+        className="block text-center text-sm font-medium text-violet-600 dark:text-violet-400 hover:underline"
+      >
+        {t('tests:eyePhoto.timeline.open')} →
+      </Link>
+
+      {/* Asymmetries between the eyes */}
+      {differences.length > 0 && (
+        <div className="bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-800 rounded-lg p-3 text-sm text-amber-800 dark:text-amber-200">
+          <p className="font-medium mb-1">⚠️ {t('results:eyeAnalysis.asymmetry')}</p>
+          <ul className="space-y-1">
+            {differences.map(({ finding, left, right }) => (
+              <li key={finding}>
+                {t(`results:eyeAnalysis.findings.${finding}`)}: {t('results:eyeLabels.leftEye')} {t(`results:eyeAnalysis.severity.${left}`)} · {t('results:eyeLabels.rightEye')} {t(`results:eyeAnalysis.severity.${right}`)}
+              </li>
+            ))}
+          </ul>
         </div>
       )}
-    </>
+
+      {/* Full Analysis Modal */}
+      {openEye && data[openEye] && (
+        <EyePhotoModal
+          eye={openEye}
+          photo={data[openEye]}
+          onTranslated={(...translation) => onTranslated(openEye, ...translation)}
+          onClose={() => setOpenEye(null)}
+          t={t}
+        />
+      )}
+    </div>
   )
 }
 
@@ -458,10 +564,11 @@ function ContrastSensitivityResult({ data, t }) {
  * @param {Object} data - Result object containing optional `left` and `right` eye entries.
  * @param {{ hasIssues?: boolean }} [data.left] - Left eye result (presence indicates a result).
  * @param {{ hasIssues?: boolean }} [data.right] - Right eye result (presence indicates a result).
+ * @param {Object[]} history - Saved sessions, for the previous map of each eye.
  * @param {Function} t - Translation function used for localized strings.
- * @returns {JSX.Element} A React element that displays the Amsler Grid per-eye statuses and a recommendation line.
+ * @returns {JSX.Element} A React element that displays the Amsler Grid per-eye statuses, any marked areas next to the previous session's, and a recommendation line.
  */
-function AmslerGridResult({ data, t }) {
+function AmslerGridResult({ data, history, t }) {
   const hasLeft = data?.left
   const hasRight = data?.right
   const hasAny = hasLeft || hasRight
@@ -502,6 +609,11 @@ function AmslerGridResult({ data, t }) {
           <div className={`text-xl font-bold ${getEyeColorClass(data.left)}`}>
             {hasLeft ? getEyeStatus(data.left) : '—'}
           </div>
+          {data.left?.variant && (
+            <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+              {t('results:amslerGrid.variant', { variant: t(`results:amslerGrid.variants.${parseAmslerVariant(data.left.variant)}`) })}
+            </div>
+          )}
         </div>
         
         {/* Right Eye */}
@@ -510,9 +622,16 @@ function AmslerGridResult({ data, t }) {
           <div className={`text-xl font-bold ${getEyeColorClass(data.right)}`}>
             {hasRight ? getEyeStatus(data.right) : '—'}
           </div>
+          {data.right?.variant && (
+            <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+              {t('results:amslerGrid.variant', { variant: t(`results:amslerGrid.variants.${parseAmslerVariant(data.right.variant)}`) })}
+            </div>
+          )}
         </div>
       </div>
 
+      <AmslerMaps data={data} history={history} t={t} />
+
       {anyIssues ? (
         <p className="text-sm text-amber-600 dark:text-amber-400">⚠️ {t('results:recommendations.seeDoctor')}</p>
       ) : (
@@ -522,10 +641,131 @@ function AmslerGridResult({ data, t }) {
   )
 }
 
+/**
+ * Marked areas of each eye's Amsler grid next to the previous session's, so
+ * changes can be seen at a glance. Renders nothing when no areas were marked
+ * in either session.
+ * @param {{left?: Object, right?: Object}} data - Amsler grid results
+ * @param {Object[]} history - Saved sessions
+ * @param {Function} t - Translation function
+ */
+function AmslerMaps({ data, history, t }) {
+  const { i18n } = useTranslation()
+  const dateLocale = i18n.language === 'de' ? 'de-DE' : 'en-US'
+
+  const eyes = ['left', 'right'].filter(eye => data?.[eye]).map(eye => {
+    const regions = parseAmslerRegions(data[eye].regions)
+    const previous = findPreviousAmslerMap(history, eye, data[eye])
+    return { eye, regions, previous: previous?.regions.length || regions.length ? previous : null }
+  })
+  const types = [...new Set(eyes.flatMap(({ regions, previous }) => [...regions, ...(previous?.regions ?? [])].map(region => region.type)))]
+  if (types.length === 0) return null
+
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 p-3 space-y-3">
+      <p className="text-sm font-medium text-slate-800 dark:text-slate-100">{t('results:amslerGrid.mapTitle')}</p>
+      {eyes.map(({ eye, regions, previous }) => {
+        const count = countMarkedCells(regions)
+        const previousCount = previous && countMarkedCells(previous.regions)
+        const describe = (cells) => `${t(`results:eyeLabels.${eye}Eye`)}: ${cells ? t('results:amslerGrid.markedCells', { count: cells }) : t('results:amslerGrid.noMarks')}`
+        return (
+          <div key={eye}>
+            <p className="text-xs text-slate-500 dark:text-slate-400 mb-1">{t(`results:eyeLabels.${eye}Eye`)}</p>
+            <div className="flex gap-4">
+              <figure className="text-center">
+                <AmslerMap regions={regions} label={describe(count)} className="w-28 h-28" />
+                <figcaption className="text-xs text-slate-500 dark:text-slate-400 mt-1">{t('results:amslerGrid.current')}</figcaption>
+              </figure>
+              {previous && (
+                <figure className="text-center">
+                  <AmslerMap regions={previous.regions} label={describe(previousCount)} className="w-28 h-28 opacity-80" />
+                  <figcaption className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                    {t('results:amslerGrid.previous', { date: new Date(previous.date).toLocaleDateString(dateLocale, { month: 'short', day: 'numeric' }) })}
+                  </figcaption>
+                </figure>
+              )}
+            </div>
+            {previous && count !== previousCount && (
+              <p className={`text-xs mt-1 ${count > previousCount ? 'text-amber-600 dark:text-amber-400' : 'text-emerald-600 dark:text-emerald-400'}`}>
+                {t(count > previousCount ? 'results:amslerGrid.more' : 'results:amslerGrid.fewer')}
+              </p>
+            )}
+          </div>
+        )
+      })}
+      <AmslerLegend types={types} />
+    </div>
+  )
+}
+
+/**
+ * Render preferential hyperacuity results: each eye's threshold map, how many
+ * positions were reduced, and a recommendation line.
+ *
+ * @param {{left?: Object, right?: Object}} data - Hyperacuity results per eye; a missing eye has no result.
+ * @param {Function} t - Translation function used for localized strings.
+ * @returns {JSX.Element} A React element with the per-eye threshold maps and their color key.
+ */
+function HyperacuityResult({ data, t }) {
+  const eyes = ['left', 'right'].filter(eye => data?.[eye])
+
+  if (eyes.length === 0) {
+    return (
+      <p className="text-sm text-slate-500 dark:text-slate-400">
+        {t('results:noResults.description')}
+      </p>
+    )
+  }
+
+  const describe = (eyeData) => {
+    if (eyeData.status === 'not_graded') return t('results:hyperacuity.notGraded')
+    return eyeData.hasIssues
+      ? t('results:hyperacuity.abnormal', { count: eyeData.abnormalLocations })
+      : t('results:hyperacuity.normal')
+  }
+  const anyIssues = eyes.some(eye => data[eye].hasIssues)
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-4">
+        {['left', 'right'].map(eye => (
+          <div key={eye} className="flex flex-col items-center p-3 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">{t(`results:eyeLabels.${eye}Eye`)}</div>
+            {data?.[eye] ? (
+              <>
+                {data[eye].map && (
+                  <HyperacuityMap
+                    map={data[eye].map}
+                    label={`${t(`results:eyeLabels.${eye}Eye`)}: ${t('results:hyperacuity.mapLabel', { count: data[eye].abnormalLocations ?? 0 })}`}
+                    className="w-24 h-24"
+                  />
+                )}
+                <div className={`text-sm font-semibold mt-2 ${data[eye].hasIssues ? 'text-amber-600 dark:text-amber-400' : 'text-indigo-600 dark:text-indigo-400'}`}>
+                  {describe(data[eye])}
+                </div>
+              </>
+            ) : (
+              <div className="text-xl font-bold text-slate-600 dark:text-slate-400">—</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <HyperacuityLegend />
+
+      {anyIssues ? (
+        <p className="text-sm text-amber-600 dark:text-amber-400">⚠️ {t('results:recommendations.seeDoctor')}</p>
+      ) : (
+        <p className="text-sm text-emerald-600 dark:text-emerald-400">✓ {t('tests:hyperacuity.recommendation.normal')}</p>
+      )}
+    </div>
+  )
+}
+
 /**
  * Render astigmatism results for left and right eyes, including status icons, severity/axis details, asymmetry warning, and recommendations.
  *
- * @param {{ left?: { allLinesEqual: boolean, severity?: string, estimatedAxis?: number | null }, right?: { allLinesEqual: boolean, severity?: string, estimatedAxis?: number | null }}} data - Astigmatism result data for each eye; missing eye keys indicate no result for that eye.
+ * @param {{ left?: { allLinesEqual: boolean, severity?: string, estimatedAxis?: number | null, axisConfidence?: number | null }, right?: { allLinesEqual: boolean, severity?: string, estimatedAxis?: number | null, axisConfidence?: number | null }}} data - Astigmatism result data for each eye; missing eye keys indicate no result for that eye.
  * @param {Function} t - Translation function (i18n) used to localize labels and messages.
  * @returns {JSX.Element} A React element showing per-eye astigmatism summaries, any asymmetry warning, and a recommendation line (see doctor or no astigmatism).
  */
@@ -588,6 +828,11 @@ function AstigmatismResult({ data, t }) {
               {t('results:astigmatism.axis', { degrees: data.left.estimatedAxis })}
             </div>
           )}
+          {hasLeft && !data.left.allLinesEqual && typeof data.left.axisConfidence === 'number' && (
+            <div className="text-xs text-slate-500 dark:text-slate-400">
+              {t('results:astigmatism.axisConfidence', { percent: Math.round(data.left.axisConfidence * 100) })}
+            </div>
+          )}
         </div>
         
         {/* Right Eye */}
@@ -608,6 +853,11 @@ function AstigmatismResult({ data, t }) {
               {t('results:astigmatism.axis', { degrees: data.right.estimatedAxis })}
             </div>
           )}
+          {hasRight && !data.right.allLinesEqual && typeof data.right.axisConfidence === 'number' && (
+            <div className="text-xs text-slate-500 dark:text-slate-400">
+              {t('results:astigmatism.axisConfidence', { percent: Math.round(data.right.axisConfidence * 100) })}
+            </div>
+          )}
         </div>
       </div>
 
@@ -816,6 +1066,28 @@ function HistoryChart({ history, t, i18n }) {
   )
 }
 
+/**
+ * Describe the person a report belongs to, e.g. "Anna · Age 42 · Wears glasses".
+ *
+ * @param {{name: string, birthYear: number|null, wearsGlasses: boolean}|undefined} profile - Active profile.
+ * @param {(key: string, options?: Object) => string} t - Translation function.
+ * @returns {string|null} The description, or null for an unnamed profile (a single user on their own device).
+ */
+function describeProfile(profile, t) {
+  if (!profile?.name) return null
+  const parts = [profile.name]
+  if (profile.birthYear) {
+    parts.push(t('profiles.age', { age: new Date().getFullYear() - profile.birthYear }))
+  }
+  if (profile.wearsGlasses) parts.push(t('profiles.withGlasses'))
+  return parts.join(' · ')
+}
+
+// Profile names are user input and must not be interpreted as markup in the PDF template
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char])
+
 /**
  * Display an aggregated eye health report comprising test results, history, achievements, recommendations, and actions.
  *
@@ -835,8 +1107,13 @@ export default function HealthSnapshot() {
     getUnlockedAchievements,
     isAchievementNew,
     markAchievementSeen,
-    checkAndUnlockAchievements
+    checkAndUnlockAchievements,
+    cacheEyePhotoTranslation
   } = useTestResults()
+  const { activeProfile } = useProfiles()
+  const profileDescription = describeProfile(activeProfile, t)
+  const eyePhotoTier = getEyePhotoTier(results.eyePhoto)
+  const hasEyePhoto = !!(results.eyePhoto?.left || results.eyePhoto?.right || results.eyePhoto?.unknown)
   const reportRef = useRef(null)
   const [showCelebration, setShowCelebration] = useState(false)
   const [showManageData, setShowManageData] = useState(false)
@@ -886,94 +1163,8 @@ export default function HealthSnapshot() {
   }, [results, t])
 
   const getRecommendation = useCallback(() => {
-    const recommendations = []
-    
-    // Visual Acuity - check both eyes, use worst case
-    const vaLeft = results.visualAcuity?.left
-    const vaRight = results.visualAcuity?.right
-    if (vaLeft || vaRight) {
-      const worstLevel = Math.min(vaLeft?.level ?? 10, vaRight?.level ?? 10)
-      if (worstLevel < 5) {
-        recommendations.push(t('results:recommendations.seeDoctor'))
-      } else if (worstLevel < 8) {
-        recommendations.push(t('results:recommendations.followUp'))
-      }
-      // Check asymmetry
-      if (vaLeft && vaRight && Math.abs(vaLeft.level - vaRight.level) >= 2) {
-        recommendations.push(t('results:recommendations.followUp'))
-      }
-    }
-    
-    if (results.colorVision) {
-      if (results.colorVision.status === 'possible_deficiency') {
-        recommendations.push(t('results:recommendations.seeDoctor'))
-      } else if (results.colorVision.status === 'mild_difficulty') {
-        recommendations.push(t('results:recommendations.followUp'))
-      }
-    }
-
-    // Amsler Grid - check both eyes
-    const amslerLeft = results.amslerGrid?.left
-    const amslerRight = results.amslerGrid?.right
-    if (amslerLeft || amslerRight) {
-      const anyIssues = amslerLeft?.hasIssues || amslerRight?.hasIssues
-      if (anyIssues) {
-        recommendations.push(t('results:recommendations.seeDoctor'))
-      }
-    }
-
-    // Contrast Sensitivity - check both eyes, use worst case
-    const csLeft = results.contrastSensitivity?.left
-    const csRight = results.contrastSensitivity?.right
-    if (csLeft || csRight) {
-      const worstLogCS = Math.min(csLeft?.logCS ?? 1.5, csRight?.logCS ?? 1.5)
-      if (worstLogCS < 0.6) {
-        recommendations.push(t('results:recommendations.seeDoctor'))
-      } else if (worstLogCS < 0.9) {
-        recommendations.push(t('results:recommendations.followUp'))
-      }
-      // Check asymmetry
-      if (csLeft && csRight && Math.abs(csLeft.logCS - csRight.logCS) >= 0.3) {
-        recommendations.push(t('results:recommendations.followUp'))
-      }
-    }
-
-    // Astigmatism - check both eyes
-    const astigLeft = results.astigmatism?.left
-    const astigRight = results.astigmatism?.right
-    if (astigLeft || astigRight) {
-      const anyAstigmatism = (astigLeft && !astigLeft.allLinesEqual) || (astigRight && !astigRight.allLinesEqual)
-      if (anyAstigmatism) {
-        recommendations.push(t('results:recommendations.followUp'))
-      }
-      // Check asymmetry
-      if (astigLeft && astigRight && astigLeft.allLinesEqual !== astigRight.allLinesEqual) {
-        recommendations.push(t('results:recommendations.followUp'))
-      }
-    }
-
-    // Peripheral Vision - check both eyes
-    const pvLeft = results.peripheralVision?.left
-    const pvRight = results.peripheralVision?.right
-    if (pvLeft || pvRight) {
-      const isNormal = (eyeData) => eyeData?.severity === 'excellent' || eyeData?.severity === 'normal'
-      const anyConcerns = (pvLeft && !isNormal(pvLeft)) || (pvRight && !isNormal(pvRight))
-      if (anyConcerns) {
-        recommendations.push(t('results:recommendations.seeDoctor'))
-      }
-    }
-    
-    if (recommendations.length === 0) {
-      if (hasAnyResults()) {
-        return t('results:recommendations.allNormal')
-      }
-      return t('results:noResults.description')
-    }
-    
-    // Remove duplicates and join
-    const uniqueRecommendations = [...new Set(recommendations)]
-    return uniqueRecommendations.join(' ')
-  }, [results, hasAnyResults, t])
+    return getRecommendationKeys(results).map(key => t(key)).join(' ')
+  }, [results, t])
 
   const handleShare = useCallback(async () => {
     const shareData = {
@@ -1018,6 +1209,10 @@ export default function HealthSnapshot() {
       text += `🎨 Color Vision: ${results.colorVision.correctCount}/${results.colorVision.totalPlates} correct\n`
     }
 
+    if (results.colorArrangement) {
+      text += `◑ Color Arrangement: ${results.colorArrangement.hasDefect ? 'Concerns Noted' : 'Normal'}\n`
+    }
+
     const csLeft = results.contrastSensitivity?.left
     const csRight = results.contrastSensitivity?.right
     if (csLeft || csRight) {
@@ -1034,8 +1229,16 @@ export default function HealthSnapshot() {
       const anyIssues = amslerLeft?.hasIssues || amslerRight?.hasIssues
       text += `# Amsler Grid: ${anyIssues ? 'Concerns Noted' : 'Normal'}\n`
     }
+
+    const hyperacuityLeft = results.hyperacuity?.left
+    const hyperacuityRight = results.hyperacuity?.right
+    if (hyperacuityLeft || hyperacuityRight) {
+      const anyIssues = hyperacuityLeft?.hasIssues || hyperacuityRight?.hasIssues
+      const anyGraded = [hyperacuityLeft, hyperacuityRight].some(eye => eye && eye.status !== 'not_graded')
+      text += `⋯ Hyperacuity: ${anyIssues ? 'Concerns Noted' : anyGraded ? 'Normal' : 'Not Graded'}\n`
+    }
     
-    if (results.eyePhoto) {
+    if (hasEyePhoto) {
       text += `📸 AI Eye Analysis: Complete\n`
     }
     
@@ -1046,7 +1249,8 @@ export default function HealthSnapshot() {
     return text
   }
 
-  const handleDownloadPDF = useCallback(async () => {
+  // In-browser fallback for when the report endpoint is unreachable
+  const downloadBrowserPDF = useCallback(async () => {
     const vaLeft = results.visualAcuity?.left
     const vaRight = results.visualAcuity?.right
     const csLeft = results.contrastSensitivity?.left
@@ -1057,12 +1261,18 @@ export default function HealthSnapshot() {
     const astigRight = results.astigmatism?.right
     const pvLeft = results.peripheralVision?.left
     const pvRight = results.peripheralVision?.right
+    const hyperacuityLeft = results.hyperacuity?.left
+    const hyperacuityRight = results.hyperacuity?.right
 
     // Check which sections have content
     const hasVisionClarity = vaLeft || vaRight || csLeft || csRight
-    const hasColorShape = results.colorVision || astigLeft || astigRight
-    const hasEyeHealth = amslerLeft || amslerRight || pvLeft || pvRight
-    const hasAIAnalysis = results.eyePhoto
+    const hasColorShape = results.colorVision || results.colorArrangement || astigLeft || astigRight
+    const hasEyeHealth = amslerLeft || amslerRight || hyperacuityLeft || hyperacuityRight || pvLeft || pvRight
+    const hasAIAnalysis = hasEyePhoto
+    const analysisText = ['left', 'right', 'unknown']
+      .filter(eye => results.eyePhoto?.[eye]?.analysis)
+      .map(eye => `${t(`results:eyeLabels.${eye}Eye`)}: ${stripMarkdown(getAnalysisNarrative(results.eyePhoto[eye].analysis, i18n.language))}`)
+      .join('\n\n')
     
     // Create a styled container for the PDF
     const element = document.createElement('div')
@@ -1071,6 +1281,7 @@ export default function HealthSnapshot() {
         <div style="text-align: center; margin-bottom: 30px;">
           <h1 style="color: #0ea5e9; margin: 0;">👁️ VisionCheck AI</h1>
           <p style="color: #64748b;">Mobile Eye Health Pre-Screening</p>
+          ${profileDescription ? `<p style="color: #0f172a; font-weight: bold; margin: 0;">${escapeHtml(profileDescription)}</p>` : ''}
           <p style="color: #94a3b8; font-size: 14px;">${new Date().toLocaleDateString()}</p>
         </div>
         
@@ -1144,6 +1355,23 @@ export default function HealthSnapshot() {
               </div>
             ` : ''}
             
+            ${results.colorArrangement ? `
+              <div style="background: #ecfeff; border-radius: 12px; padding: 20px; margin-bottom: 15px; page-break-inside: avoid; break-inside: avoid;">
+                <h3 style="margin: 0 0 10px 0;">◑ ${t('results:cards.colorArrangement')}</h3>
+                <div style="display: flex; gap: 20px; align-items: center;">
+                  ${arrangementDiagramSvg(results.colorArrangement.arrangement, 140)}
+                  <div>
+                    <p style="font-size: 16px; font-weight: bold; color: ${results.colorArrangement.hasDefect ? '#f59e0b' : '#06b6d4'}; margin: 0;">
+                      ${results.colorArrangement.hasDefect ? t(`results:colorArrangement.types.${results.colorArrangement.defectType}`) : t('results:colorArrangement.normal')}
+                    </p>
+                    <p style="color: #64748b; margin: 5px 0 0 0; font-size: 12px;">
+                      ${t('results:colorArrangement.crossings', { count: results.colorArrangement.crossings })}
+                    </p>
+                  </div>
+                </div>
+              </div>
+            ` : ''}
+            
             ${(astigLeft || astigRight) ? `
               <div style="background: #f0fdfa; border-radius: 12px; padding: 20px; page-break-inside: avoid; break-inside: avoid;">
                 <h3 style="margin: 0 0 10px 0;">⊕ Astigmatism</h3>
@@ -1183,14 +1411,43 @@ export default function HealthSnapshot() {
                     <p style="font-size: 20px; font-weight: bold; color: ${amslerLeft?.hasIssues ? '#f59e0b' : '#a855f7'}; margin: 0;">
                       ${amslerLeft ? (amslerLeft.hasIssues ? 'Concerns' : 'Normal') : '—'}
                     </p>
+                    ${amslerLeft?.variant ? `<p style="color: #64748b; margin: 4px 0 0 0; font-size: 11px;">${t('results:amslerGrid.variant', { variant: t(`results:amslerGrid.variants.${parseAmslerVariant(amslerLeft.variant)}`) })}</p>` : ''}
+                    ${amslerLeft?.regions?.length ? `<div style="margin-top: 8px;">${amslerMapSvg(amslerLeft.regions, 120)}</div>` : ''}
                   </div>
                   <div style="flex: 1; text-align: center;">
                     <p style="color: #64748b; margin: 0 0 5px 0; font-size: 12px;">Right Eye</p>
                     <p style="font-size: 20px; font-weight: bold; color: ${amslerRight?.hasIssues ? '#f59e0b' : '#a855f7'}; margin: 0;">
                       ${amslerRight ? (amslerRight.hasIssues ? 'Concerns' : 'Normal') : '—'}
                     </p>
+                    ${amslerRight?.variant ? `<p style="color: #64748b; margin: 4px 0 0 0; font-size: 11px;">${t('results:amslerGrid.variant', { variant: t(`results:amslerGrid.variants.${parseAmslerVariant(amslerRight.variant)}`) })}</p>` : ''}
+                    ${amslerRight?.regions?.length ? `<div style="margin-top: 8px;">${amslerMapSvg(amslerRight.regions, 120)}</div>` : ''}
                   </div>
                 </div>
+                ${(amslerLeft?.regions?.length || amslerRight?.regions?.length) ? `
+                  <p style="color: #64748b; margin: 10px 0 0 0; font-size: 12px; text-align: center;">
+                    ${DISTORTION_TYPES.map(type => `<span style="color: ${DISTORTION_COLORS[type]};">■</span> ${t(`results:amslerGrid.types.${type}`)}`).join(' &nbsp; ')}
+                  </p>
+                ` : ''}
+              </div>
+            ` : ''}
+            
+            ${(hyperacuityLeft || hyperacuityRight) ? `
+              <div style="background: #eef2ff; border-radius: 12px; padding: 20px; margin-bottom: 15px; page-break-inside: avoid; break-inside: avoid;">
+                <h3 style="margin: 0 0 10px 0;">⋯ ${t('results:cards.hyperacuity')}</h3>
+                <div style="display: flex; gap: 20px;">
+                  ${[['Left Eye', hyperacuityLeft], ['Right Eye', hyperacuityRight]].map(([label, eyeData]) => `
+                    <div style="flex: 1; text-align: center;">
+                      <p style="color: #64748b; margin: 0 0 5px 0; font-size: 12px;">${label}</p>
+                      <p style="font-size: 16px; font-weight: bold; color: ${eyeData?.hasIssues ? '#f59e0b' : '#6366f1'}; margin: 0;">
+                        ${eyeData ? (eyeData.status === 'not_graded' ? t('results:hyperacuity.notGraded') : eyeData.hasIssues ? t('results:hyperacuity.abnormal', { count: eyeData.abnormalLocations }) : t('results:hyperacuity.normal')) : '—'}
+                      </p>
+                      ${eyeData?.map ? `<div style="margin-top: 8px;">${hyperacuityMapSvg(eyeData.map, 120)}</div>` : ''}
+                    </div>
+                  `).join('')}
+                </div>
+                <p style="color: #64748b; margin: 10px 0 0 0; font-size: 12px; text-align: center;">
+                  ${THRESHOLD_CATEGORIES.map(category => `<span style="color: ${THRESHOLD_COLORS[category]};">■</span> ${t(`results:hyperacuity.categories.${category}`)}`).join(' &nbsp; ')}
+                </p>
               </div>
             ` : ''}
             
@@ -1226,13 +1483,11 @@ export default function HealthSnapshot() {
             
             <div style="background: #faf5ff; border-radius: 12px; padding: 20px; page-break-inside: avoid; break-inside: avoid;">
               <h3 style="margin: 0 0 10px 0;">📸 AI Eye Analysis</h3>
+              ${eyePhotoTier ? `
+                <p style="color: #0f172a; font-weight: bold; font-size: 14px;">${escapeHtml(t(`results:eyeAnalysis.recommendation.${eyePhotoTier}`))}</p>
+              ` : ''}
               <p style="color: #64748b; white-space: pre-wrap; font-size: 14px;">
-                ${stripMarkdown(typeof results.eyePhoto.analysis === 'string' 
-                  ? results.eyePhoto.analysis 
-                  : (results.eyePhoto.analysis?.[i18n.language] || results.eyePhoto.analysis?.en || '')
-                ).substring(0, 500)}${stripMarkdown(typeof results.eyePhoto.analysis === 'string' 
-                  ? results.eyePhoto.analysis 
-                  : (results.eyePhoto.analysis?.[i18n.language] || results.eyePhoto.analysis?.en || '')).length > 500 ? '...' : ''}
+                ${escapeHtml(analysisText.substring(0, 500))}${analysisText.length > 500 ? '...' : ''}
               </p>
             </div>
           </div>
@@ -1298,7 +1553,25 @@ export default function HealthSnapshot() {
     }
     
     await html2pdf().set(opt).from(element).save()
-  }, [results, i18n.language, unlockedAchievementIds, getRecommendation, t])
+  }, [results, i18n.language, unlockedAchievementIds, getRecommendation, profileDescription, eyePhotoTier, hasEyePhoto, t])
+
+  // The server renders a localized, paginated report with trend charts
+  const handleDownloadPDF = useCallback(async () => {
+    try {
+      const blob = await fetchReportPdf({ results, history, language: i18n.language, profile: activeProfile })
+      downloadBlob(blob, `visioncheck-report-${new Date().toISOString().split('T')[0]}.pdf`)
+    } catch (error) {
+      console.warn('Report endpoint failed, creating the PDF in the browser:', error)
+      await downloadBrowserPDF()
+    }
+  }, [results, history, i18n.language, activeProfile, downloadBrowserPDF])
+
+  // FHIR R4 Bundle for import into a practice's EHR
+  const handleDownloadFhir = () => {
+    const bundle = buildFhirBundle([results], { profile: activeProfile })
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: FHIR_MIME_TYPE })
+    downloadBlob(blob, `visioncheck-fhir-${new Date().toISOString().split('T')[0]}.json`)
+  }
 
   const overallStatus = getOverallStatus()
 
@@ -1351,6 +1624,13 @@ export default function HealthSnapshot() {
               <p className="text-white/80 text-sm">{t('app.subtitle')}</p>
             </div>
           </div>
+
+          {profileDescription && (
+            <div className="mb-4">
+              <p className="text-white/80 text-sm">{t('profiles.patient')}</p>
+              <p className="font-semibold">{profileDescription}</p>
+            </div>
+          )}
           
           <div className="flex items-center justify-between">
             <div>
@@ -1391,7 +1671,9 @@ export default function HealthSnapshot() {
                   const worstLevel = Math.min(leftLevel, rightLevel)
                   const hasAsymmetry = results.visualAcuity?.left && results.visualAcuity?.right && 
                     Math.abs(leftLevel - rightLevel) >= 2
-                  return worstLevel >= 8 && !hasAsymmetry ? 'complete' : 'warning'
+                  const wrongDistance = results.visualAcuity?.left?.viewingDistance?.withinRange === false ||
+                    results.visualAcuity?.right?.viewingDistance?.withinRange === false
+                  return worstLevel >= 8 && !hasAsymmetry && !wrongDistance ? 'complete' : 'warning'
                 })()}
               >
                 <VisualAcuityResult data={results.visualAcuity} t={t} />
@@ -1440,6 +1722,19 @@ export default function HealthSnapshot() {
                 <ColorVisionResult data={results.colorVision} t={t} />
               </ResultCard>
 
+              <ResultCard
+                title={t('results:cards.colorArrangement')}
+                icon="◑"
+                color="cyan"
+                t={t}
+                status={results.colorArrangement ?
+                  (results.colorArrangement.hasDefect ? 'warning' : 'complete') :
+                  'pending'
+                }
+              >
+                <ColorArrangementResult data={results.colorArrangement} t={t} />
+              </ResultCard>
+
               <ResultCard
                 title={t('results:cards.astigmatism')}
                 icon="⊕"
@@ -1480,7 +1775,22 @@ export default function HealthSnapshot() {
                   return anyIssues ? 'warning' : 'complete'
                 })()}
               >
-                <AmslerGridResult data={results.amslerGrid} t={t} />
+                <AmslerGridResult data={results.amslerGrid} history={history} t={t} />
+              </ResultCard>
+
+              <ResultCard
+                title={t('results:cards.hyperacuity')}
+                icon="⋯"
+                color="indigo"
+                t={t}
+                status={(() => {
+                  const hasAny = results.hyperacuity?.left || results.hyperacuity?.right
+                  if (!hasAny) return 'pending'
+                  const anyIssues = results.hyperacuity?.left?.hasIssues || results.hyperacuity?.right?.hasIssues
+                  return anyIssues ? 'warning' : 'complete'
+                })()}
+              >
+                <HyperacuityResult data={results.hyperacuity} t={t} />
               </ResultCard>
 
               <ResultCard
@@ -1517,9 +1827,9 @@ export default function HealthSnapshot() {
                 icon="📸"
                 color="violet"
                 t={t}
-                status={results.eyePhoto ? 'complete' : 'pending'}
+                status={!hasEyePhoto ? 'pending' : eyePhotoTier && eyePhotoTier !== 'routine' ? 'warning' : 'complete'}
               >
-                <EyePhotoResult data={results.eyePhoto} t={t} />
+                <EyePhotoResult data={results.eyePhoto} onTranslated={cacheEyePhotoTranslation} t={t} />
               </ResultCard>
             </div>
           </section>
@@ -1570,7 +1880,7 @@ export default function HealthSnapshot() {
             const vaRight = results.visualAcuity?.right
             const hasVAConcern = (vaLeft && vaLeft.level < 8) || (vaRight && vaRight.level < 8)
             
-            const hasColorConcern = results.colorVision && results.colorVision.status !== 'normal'
+            const hasColorConcern = (results.colorVision && results.colorVision.status !== 'normal') || results.colorArrangement?.hasDefect
             
             const csLeft = results.contrastSensitivity?.left
             const csRight = results.contrastSensitivity?.right
@@ -1588,8 +1898,10 @@ export default function HealthSnapshot() {
             const pvRight = results.peripheralVision?.right
             const isNormal = (eyeData) => eyeData?.severity === 'excellent' || eyeData?.severity === 'normal'
             const hasPVConcern = (pvLeft && !isNormal(pvLeft)) || (pvRight && !isNormal(pvRight))
+
+            const hasHyperacuityConcern = results.hyperacuity?.left?.hasIssues || results.hyperacuity?.right?.hasIssues
             
-            const showFindDoctor = hasVAConcern || hasColorConcern || hasCSConcern || hasAmslerConcern || hasAstigConcern || hasPVConcern
+            const showFindDoctor = hasVAConcern || hasColorConcern || hasCSConcern || hasAmslerConcern || hasAstigConcern || hasPVConcern || hasHyperacuityConcern
             
             return showFindDoctor ? (
               <div className="mt-4">
@@ -1608,8 +1920,8 @@ export default function HealthSnapshot() {
             {t('results:sections.yourActionsDescription')}
           </p>
           
-          {/* Primary Actions - 2-column grid */}
-          <div className="grid grid-cols-2 gap-3 mb-3">
+          {/* Primary Actions - 3-column grid */}
+          <div className="grid grid-cols-3 gap-3 mb-3">
             <button
               onClick={handleShare}
               className="py-3 bg-sky-500 text-white font-semibold rounded-xl hover:bg-sky-600 transition-colors flex items-center justify-center gap-2"
@@ -1623,6 +1935,14 @@ export default function HealthSnapshot() {
             >
               <span>📄</span> {t('results:actions.pdf')}
             </button>
+
+            <button
+              onClick={handleDownloadFhir}
+              aria-label={t('results:actions.fhirLabel')}
+              className="py-3 bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-200 font-semibold rounded-xl hover:bg-slate-200 dark:hover:bg-slate-700 transition-colors flex items-center justify-center gap-2"
+            >
+              <span>🏥</span> {t('results:actions.fhir')}
+            </button>
           </div>
 
           {/* Save to History - full width */}
@@ -1633,11 +1953,13 @@ export default function HealthSnapshot() {
             }}
             disabled={!(results.visualAcuity?.left || results.visualAcuity?.right) && 
                       !results.colorVision && 
+                      !results.colorArrangement &&
                       !(results.contrastSensitivity?.left || results.contrastSensitivity?.right) && 
                       !(results.amslerGrid?.left || results.amslerGrid?.right) &&
                       !(results.astigmatism?.left || results.astigmatism?.right) &&
                       !(results.peripheralVision?.left || results.peripheralVision?.right) &&
-                      !results.eyePhoto}
+                      !(results.hyperacuity?.left || results.hyperacuity?.right) &&
+                      !hasEyePhoto}
             className="w-full py-3 mb-3 bg-emerald-500 text-white font-semibold rounded-xl hover:bg-emerald-600 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <span>📊</span> {t('results:actions.saveToHistory')}
@@ -1,35 +1,60 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { render, screen } from '@testing-library/react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
 import { MemoryRouter } from 'react-router-dom'
 import { I18nextProvider } from 'react-i18next'
 import HealthSnapshot from './HealthSnapshot'
 import { TestResultsProvider } from '../context/TestResultsContext'
 import { ConsentProvider } from '../context/ConsentContext'
+import { LanguageProvider } from '../context/LanguageContext'
+import { ProfileProvider } from '../context/ProfileContext'
+import { resetStorage } from '../storage/storage'
 import i18n from '../i18n'
 
 // Mock html2pdf to avoid issues in test environment
+const { pdfFrom } = vi.hoisted(() => ({
+  pdfFrom: vi.fn(() => ({ save: () => Promise.resolve() }))
+}))
 vi.mock('html2pdf.js', () => ({
   default: () => ({
-    set: () => ({ from: () => ({ save: () => Promise.resolve() }) })
+    set: () => ({ from: pdfFrom })
   })
 }))
 
+// The server report is unavailable unless a test says otherwise
+const { fetchReportPdf } = vi.hoisted(() => ({
+  fetchReportPdf: vi.fn()
+}))
+vi.mock('../api/report', () => ({ fetchReportPdf }))
+
+const { translateText } = vi.hoisted(() => ({
+  translateText: vi.fn()
+}))
+vi.mock('../api/openai', () => ({ translateText }))
+
 // Clear localStorage before each test
 beforeEach(() => {
   localStorage.clear()
   localStorage.setItem('visioncheck-consent', JSON.stringify({ hasConsented: true, consentGiven: true }))
   i18n.changeLanguage('en')
+  pdfFrom.mockClear()
+  fetchReportPdf.mockReset()
+  fetchReportPdf.mockRejectedValue(new Error('API error: 404'))
 })
 
 function renderWithProviders(ui) {
   return render(
     <I18nextProvider i18n={i18n}>
       <MemoryRouter>
-        <ConsentProvider>
-          <TestResultsProvider>
-            {ui}
-          </TestResultsProvider>
-        </ConsentProvider>
+        <LanguageProvider>
+          <ProfileProvider>
+            <ConsentProvider>
+              <TestResultsProvider>
+                {ui}
+              </TestResultsProvider>
+            </ConsentProvider>
+          </ProfileProvider>
+        </LanguageProvider>
       </MemoryRouter>
     </I18nextProvider>
   )
@@ -43,7 +68,8 @@ function setTestResults(results) {
     colorVision: results.colorVision || null,
     contrastSensitivity: results.contrastSensitivity || { left: null, right: null },
     amslerGrid: results.amslerGrid || { left: null, right: null },
-    eyePhoto: results.eyePhoto || null,
+    hyperacuity: results.hyperacuity || { left: null, right: null },
+    eyePhoto: results.eyePhoto || { left: null, right: null },
     completedAt: results.completedAt || null
   }
   localStorage.setItem('visioncheck-results', JSON.stringify(formattedResults))
@@ -262,6 +288,104 @@ describe('HealthSnapshot', () => {
       const dashes = screen.getAllByText('—')
       expect(dashes.length).toBeGreaterThan(0)
     })
+
+    it('maps the marked Amsler grid areas', () => {
+      setTestResults({
+        amslerGrid: {
+          left: { hasIssues: true, variant: 'redOnBlack', regions: [{ type: 'wavy', cells: [[9, 9], [10, 9]] }] },
+          right: { hasIssues: false, regions: [] }
+        }
+      })
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.getByRole('img', { name: 'Left Eye: 2 squares marked' })).toBeInTheDocument()
+      expect(screen.getByRole('img', { name: 'Right Eye: No areas marked' })).toBeInTheDocument()
+      expect(screen.getByText('Wavy lines')).toBeInTheDocument()
+      expect(screen.getByText('Chart: Red on black')).toBeInTheDocument()
+    })
+
+    it('leaves out the Amsler map when no areas were marked', () => {
+      setTestResults({ amslerGrid: { left: { hasIssues: false, regions: [] }, right: { hasIssues: false } } })
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.queryByText('Marked areas')).not.toBeInTheDocument()
+    })
+  })
+
+  describe('hyperacuity', () => {
+    it('shows each eye\'s threshold map next to the Amsler grid', () => {
+      const map = (threshold) => [-4, 0, 4].flatMap(y => [-4, 0, 4].map(x => ({ x, y, thresholdArcmin: threshold })))
+      setTestResults({
+        amslerGrid: { left: { hasIssues: false }, right: null },
+        hyperacuity: {
+          left: { hasIssues: false, abnormalLocations: 0, map: map(4) },
+          right: { hasIssues: true, abnormalLocations: 9, map: map(null) }
+        }
+      })
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.getByText('Hyperacuity')).toBeInTheDocument()
+      expect(screen.getByRole('img', { name: 'Left Eye: Hyperacuity map, 0 areas reduced' })).toBeInTheDocument()
+      expect(screen.getByRole('img', { name: 'Right Eye: Hyperacuity map, 9 areas reduced' })).toBeInTheDocument()
+      expect(screen.getByText('Reduced in 9 areas')).toBeInTheDocument()
+      expect(screen.getByRole('button', { name: /find eye doctors near me/i })).toBeInTheDocument()
+    })
+
+    it('shows an uncalibrated result as not graded, without a map', () => {
+      setTestResults({
+        hyperacuity: {
+          left: { hasIssues: false, abnormalLocations: null, map: null, status: 'not_graded' },
+          right: null
+        }
+      })
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.getByText('Not graded: screen not calibrated')).toBeInTheDocument()
+      expect(screen.queryByRole('img', { name: /Hyperacuity map/ })).not.toBeInTheDocument()
+    })
+  })
+
+  describe('viewing distance', () => {
+    it('flags acuity results measured outside the required distance', () => {
+      setTestResults({
+        visualAcuity: {
+          left: {
+            snellen: '20/20',
+            level: 8,
+            maxLevel: 10,
+            viewingDistance: { targetCm: 40, measuredCm: 62, minCm: 55, maxCm: 70, withinRange: false, method: 'camera-face', samples: 30 }
+          },
+          right: null
+        }
+      })
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.getByText(/Taken at ~62 cm instead of 40 cm/)).toBeInTheDocument()
+    })
+
+    it('shows the measured distance when it was within range', () => {
+      setTestResults({
+        visualAcuity: {
+          left: {
+            snellen: '20/20',
+            level: 8,
+            maxLevel: 10,
+            viewingDistance: { targetCm: 40, measuredCm: 41, minCm: 37, maxCm: 44, withinRange: true, method: 'camera-eyes', samples: 30 }
+          },
+          right: null
+        }
+      })
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.getByText(/Measured at ~41 cm/)).toBeInTheDocument()
+      expect(screen.queryByText(/instead of/)).not.toBeInTheDocument()
+    })
   })
 
   describe('HistoryChart level 0 handling', () => {
@@ -273,7 +397,7 @@ describe('HealthSnapshot', () => {
         colorVision: results.colorVision || null,
         contrastSensitivity: results.contrastSensitivity || { left: null, right: null },
         amslerGrid: results.amslerGrid || { left: null, right: null },
-        eyePhoto: results.eyePhoto || null,
+        eyePhoto: results.eyePhoto || { left: null, right: null },
         completedAt: results.completedAt || null
       }
       localStorage.setItem('visioncheck-results', JSON.stringify(formattedResults))
@@ -494,4 +618,206 @@ describe('HealthSnapshot', () => {
       expect(screen.queryByRole('button', { name: /find eye doctors near me/i })).not.toBeInTheDocument()
     })
   })
+
+  describe('eye photo analysis', () => {
+    const structuredPhoto = {
+      status: 'analyzed',
+      analyzedAt: '2024-06-01T10:00:00.000Z',
+      analysis: {
+        imageQuality: 'good',
+        findings: { redness: 'mild', sclera: 'none', pupil: 'none', iris: 'none', eyelid: 'not_assessed' },
+        recommendation: 'schedule_exam',
+        narrative: { en: 'Some **redness** is visible.', de: 'Etwas **Rötung** ist sichtbar.' }
+      }
+    }
+
+    it('shows the recommendation tier on the card and the findings in the details', async () => {
+      const user = userEvent.setup()
+      setTestResults({ eyePhoto: { left: structuredPhoto, right: null } })
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.getByText('Consider scheduling an eye exam')).toBeInTheDocument()
+      // The tier also feeds the overall recommendation
+      expect(screen.getByText(/Some results may warrant professional evaluation/)).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Eye Photo Analysis: Left Eye' }))
+
+      expect(screen.getByText('Findings')).toBeInTheDocument()
+      expect(screen.getByText('Redness').nextSibling).toHaveTextContent('Mild')
+      expect(screen.getByText('Eyelid').nextSibling).toHaveTextContent('Not assessed')
+      expect(screen.getByText('redness')).toBeInTheDocument()
+    })
+
+    it('shows the narrative in the current language', async () => {
+      const user = userEvent.setup()
+      setTestResults({ eyePhoto: { left: structuredPhoto, right: null } })
+      i18n.changeLanguage('de')
+
+      renderWithProviders(<HealthSnapshot />)
+      await user.click(screen.getByRole('button', { name: 'Augenfoto-Analyse: Linkes Auge' }))
+
+      expect(screen.getByText('Rötung', { selector: 'strong' })).toBeInTheDocument()
+    })
+
+    it('translates a narrative missing in the current language once and keeps it', async () => {
+      const user = userEvent.setup()
+      translateText.mockReset().mockResolvedValue('Etwas **Rötung** ist sichtbar.')
+      setTestResults({
+        eyePhoto: {
+          left: null,
+          right: { ...structuredPhoto, analysis: { ...structuredPhoto.analysis, narrative: { en: 'Some **redness** is visible.' } } }
+        }
+      })
+      i18n.changeLanguage('de')
+
+      renderWithProviders(<HealthSnapshot />)
+      await user.click(screen.getByRole('button', { name: 'Augenfoto-Analyse: Rechtes Auge' }))
+
+      expect(await screen.findByText('Rötung', { selector: 'strong' })).toBeInTheDocument()
+      expect(translateText).toHaveBeenCalledWith('Some **redness** is visible.', 'en', 'de')
+
+      // Reopening uses the translation cached with the result
+      await user.click(screen.getAllByRole('button', { name: 'Schließen' })[0])
+      await user.click(screen.getByRole('button', { name: 'Augenfoto-Analyse: Rechtes Auge' }))
+      expect(screen.getByText('Rötung', { selector: 'strong' })).toBeInTheDocument()
+      expect(translateText).toHaveBeenCalledTimes(1)
+    })
+
+    it('compares the eyes and highlights findings that differ', () => {
+      const right = {
+        ...structuredPhoto,
+        analysis: { ...structuredPhoto.analysis, recommendation: 'see_soon', findings: { ...structuredPhoto.analysis.findings, redness: 'severe' } }
+      }
+      setTestResults({ eyePhoto: { left: structuredPhoto, right } })
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.getByRole('button', { name: 'Eye Photo Analysis: Left Eye' })).toHaveTextContent('Consider scheduling an eye exam')
+      expect(screen.getByRole('button', { name: 'Eye Photo Analysis: Right Eye' })).toHaveTextContent('See an eye care professional soon')
+      expect(screen.getByText(/The eyes look different/)).toBeInTheDocument()
+      expect(screen.getByText('Redness: Left Eye Mild · Right Eye Severe')).toBeInTheDocument()
+      // The more urgent eye sets the overall recommendation
+      expect(screen.getByText(/we recommend consulting an eye care professional/)).toBeInTheDocument()
+    })
+
+    it('still shows analyses saved as markdown', async () => {
+      const user = userEvent.setup()
+      setTestResults({ eyePhoto: { left: { status: 'analyzed', analysis: { en: '## Summary\n\nLooks healthy overall.' } }, right: null } })
+
+      renderWithProviders(<HealthSnapshot />)
+      await user.click(screen.getByRole('button', { name: 'Eye Photo Analysis: Left Eye' }))
+
+      expect(screen.getByRole('heading', { name: 'Summary' })).toBeInTheDocument()
+      expect(screen.getByText('Looks healthy overall.')).toBeInTheDocument()
+      expect(screen.queryByText('Findings')).not.toBeInTheDocument()
+    })
+
+    it('shows a photo taken before the eye was recorded', async () => {
+      const user = userEvent.setup()
+      setTestResults({ eyePhoto: { left: null, right: null, unknown: { status: 'analyzed', analysis: { en: '## Summary\n\nLooks healthy overall.' } } } })
+
+      renderWithProviders(<HealthSnapshot />)
+      await user.click(screen.getByRole('button', { name: 'Eye Photo Analysis: Eye not recorded' }))
+
+      expect(screen.getByText('Looks healthy overall.')).toBeInTheDocument()
+    })
+  })
+
+  describe('profiles', () => {
+    // The storage module caches the active profile id
+    beforeEach(() => {
+      resetStorage()
+    })
+
+    const saveProfiles = (profile) => {
+      localStorage.setItem('visioncheck-profiles', JSON.stringify({
+        activeId: profile.id,
+        profiles: [{ id: 'default', name: '' }, profile]
+      }))
+    }
+    const results = {
+      visualAcuity: { left: { snellen: '20/40', level: 6, maxLevel: 10 }, right: null }
+    }
+
+    it('shows the active profile in the report header', () => {
+      saveProfiles({ id: 'anna', name: 'Anna', birthYear: new Date().getFullYear() - 42, wearsGlasses: true })
+      localStorage.setItem('visioncheck-consent:anna', JSON.stringify({ hasConsented: true, consentGiven: true }))
+      localStorage.setItem('visioncheck-results:anna', JSON.stringify(results))
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.getByText('Anna · Age 42 · Wears glasses')).toBeInTheDocument()
+      expect(screen.getAllByText('20/40').length).toBeGreaterThan(0)
+    })
+
+    it('does not show a name for the unnamed default profile', () => {
+      setTestResults(results)
+
+      renderWithProviders(<HealthSnapshot />)
+
+      expect(screen.queryByText('Patient')).not.toBeInTheDocument()
+    })
+
+    it('includes the escaped profile name in the PDF', async () => {
+      const user = userEvent.setup()
+      saveProfiles({ id: 'tom', name: 'Tom <b>', birthYear: null, wearsGlasses: false })
+      localStorage.setItem('visioncheck-consent:tom', JSON.stringify({ hasConsented: true, consentGiven: true }))
+      localStorage.setItem('visioncheck-results:tom', JSON.stringify(results))
+
+      renderWithProviders(<HealthSnapshot />)
+      await user.click(screen.getByRole('button', { name: /PDF/ }))
+
+      await waitFor(() => expect(pdfFrom).toHaveBeenCalled())
+      const element = pdfFrom.mock.calls.at(-1)[0]
+      expect(element.innerHTML).toContain('Tom &lt;b&gt;')
+      expect(element.querySelector('b')).toBeNull()
+    })
+
+    it('downloads the server-rendered report in the current language', async () => {
+      const user = userEvent.setup()
+      URL.createObjectURL = vi.fn(() => 'mock-url')
+      URL.revokeObjectURL = vi.fn()
+      const pdf = new Blob(['%PDF-1.3'], { type: 'application/pdf' })
+      fetchReportPdf.mockResolvedValue(pdf)
+      saveProfiles({ id: 'anna', name: 'Anna', birthYear: 1980, wearsGlasses: true })
+      localStorage.setItem('visioncheck-consent:anna', JSON.stringify({ hasConsented: true, consentGiven: true }))
+      localStorage.setItem('visioncheck-results:anna', JSON.stringify(results))
+      await i18n.changeLanguage('de')
+
+      renderWithProviders(<HealthSnapshot />)
+      await user.click(screen.getByRole('button', { name: /PDF/ }))
+
+      await waitFor(() => expect(URL.createObjectURL).toHaveBeenCalledWith(pdf))
+      expect(fetchReportPdf).toHaveBeenCalledWith(expect.objectContaining({
+        results: expect.objectContaining(results),
+        history: [],
+        language: 'de',
+        profile: expect.objectContaining({ name: 'Anna' })
+      }))
+      expect(pdfFrom).not.toHaveBeenCalled()
+    })
+
+    it('exports a FHIR bundle for the active profile', async () => {
+      const user = userEvent.setup()
+      URL.createObjectURL = vi.fn(() => 'mock-url')
+      URL.revokeObjectURL = vi.fn()
+      saveProfiles({ id: 'anna', name: 'Anna', birthYear: 1980, wearsGlasses: true })
+      localStorage.setItem('visioncheck-consent:anna', JSON.stringify({ hasConsented: true, consentGiven: true }))
+      localStorage.setItem('visioncheck-results:anna', JSON.stringify(results))
+
+      renderWithProviders(<HealthSnapshot />)
+      await user.click(screen.getByRole('button', { name: /FHIR/ }))
+
+      const blob = URL.createObjectURL.mock.calls[0][0]
+      expect(blob.type).toBe('application/fhir+json')
+      const bundle = JSON.parse(await new Promise(resolve => {
+        const reader = new FileReader()
+        reader.onload = () => resolve(reader.result)
+        reader.readAsText(blob)
+      }))
+      expect(bundle.entry[0].resource).toEqual({ resourceType: 'Patient', name: [{ text: 'Anna' }], birthDate: '1980' })
+      expect(bundle.entry[1].resource.valueString).toBe('20/40')
+    })
+  })
 })
@@ -5,11 +5,12 @@ import AudioInstructions from '../components/AudioInstructions'
 import ThemeToggle from '../components/ThemeToggle'
 import LanguageSelector from '../components/LanguageSelector'
 import VoiceToggle from '../components/VoiceToggle'
+import ProfileSwitcher from '../components/ProfileSwitcher'
 import { useTestResults } from '../context/TestResultsContext'
 import { useLanguage } from '../context/LanguageContext'
 
 /**
- * Render the Home page with app title, language/theme controls, audio instructions, a medical disclaimer, navigational test option cards, and footer.
+ * Render the Home page with app title, language/theme controls, the profile switcher, audio instructions, a medical disclaimer, navigational test option cards, and footer.
  *
  * Shows a localized "last tested" timestamp when test results include a completion time.
  * @returns {JSX.Element} The Home page React element.
@@ -51,6 +52,7 @@ export default function Home() {
             {t('home:lastTested', { date: formatLastTested(results.completedAt) })}
           </p>
         )}
+        <ProfileSwitcher />
       </header>
 
       {/* Audio Instructions */}
@@ -109,6 +111,23 @@ export default function Home() {
               </div>
             </Link>
 
+            <Link
+              to="/color-arrangement"
+              className="block p-6 bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-100 dark:border-slate-700 hover:shadow-md transition-shadow focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:ring-offset-2 dark:focus:ring-offset-slate-900"
+              aria-label={`${t('home:tests.colorArrangement.title')} - ${t('home:tests.colorArrangement.description')}`}
+            >
+              <div className="flex items-center gap-4">
+                <div className="w-14 h-14 bg-cyan-100 dark:bg-cyan-900/50 rounded-xl flex items-center justify-center text-2xl">
+                  ◑
+                </div>
+                <div className="flex-1">
+                  <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-100">{t('home:tests.colorArrangement.title')}</h3>
+                  <p className="text-sm text-slate-500 dark:text-slate-400">{t('home:tests.colorArrangement.description')}</p>
+                </div>
+                <div className="text-slate-400 dark:text-slate-500">→</div>
+              </div>
+            </Link>
+
             <Link
               to="/contrast-sensitivity"
               className="block p-6 bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-100 dark:border-slate-700 hover:shadow-md transition-shadow focus:outline-none focus:ring-2 focus:ring-amber-500 focus:ring-offset-2 dark:focus:ring-offset-slate-900"
@@ -143,6 +162,23 @@ export default function Home() {
               </div>
             </Link>
 
+            <Link
+              to="/hyperacuity"
+              className="block p-6 bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-100 dark:border-slate-700 hover:shadow-md transition-shadow focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 dark:focus:ring-offset-slate-900"
+              aria-label={`${t('home:tests.hyperacuity.title')} - ${t('home:tests.hyperacuity.description')}`}
+            >
+              <div className="flex items-center gap-4">
+                <div className="w-14 h-14 bg-indigo-100 dark:bg-indigo-900/50 rounded-xl flex items-center justify-center text-2xl">
+                  ⋯
+                </div>
+                <div className="flex-1">
+                  <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-100">{t('home:tests.hyperacuity.title')}</h3>
+                  <p className="text-sm text-slate-500 dark:text-slate-400">{t('home:tests.hyperacuity.description')}</p>
+                </div>
+                <div className="text-slate-400 dark:text-slate-500">→</div>
+              </div>
+            </Link>
+
             <Link
               to="/astigmatism"
               className="block p-6 bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-100 dark:border-slate-700 hover:shadow-md transition-shadow focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-offset-2 dark:focus:ring-offset-slate-900"
@@ -274,6 +310,9 @@ export default function Home() {
             <Link to="/settings/data" className="text-slate-400 hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300">
               {t('legal:footer.data')}
             </Link>
+            <Link to="/calibration" className="text-slate-400 hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300">
+              {t('home:footer.calibration')}
+            </Link>
           </div>
         </div>
       </footer>
@@ -0,0 +1,567 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { useTestResults } from '../context/TestResultsContext'
+import { useCalibration } from '../context/CalibrationContext'
+import EyeSelector from '../components/EyeSelector'
+import Celebration from '../components/Celebration'
+import AchievementBadge from '../components/AchievementBadge'
+import CalibrationNotice from '../components/CalibrationNotice'
+import HyperacuityMap, { HyperacuityLegend } from '../components/HyperacuityMap'
+import { visualAngleToPx, pxToVisualAngleDegrees } from '../utils/calibration'
+import {
+  HYPERACUITY_FIELD_DEGREES as FIELD_DEGREES,
+  HYPERACUITY_LOCATIONS,
+  DISPLACEMENT_LEVELS_ARCMIN,
+  START_LEVEL,
+  FLASH_MS,
+  BUMP_OFFSETS_DEGREES,
+  getLayoutScale,
+  createTrialOrder,
+  createStimulus,
+  linePoint,
+  nextLevel,
+  isLocalized,
+  summarizeHyperacuity,
+} from '../utils/hyperacuity'
+
+const DEFAULT_FIELD_PX = 288 // Uncalibrated field size
+const FIELD_PADDING_PX = 8
+// Pause before each line, so the eyes settle back on the dot
+const PAUSE_MS = 800
+const DOT_RADIUS_PX = 1.5
+
+// Keyboard cursor moves between the test positions, three per row
+const ARROW_KEYS = {
+  ArrowLeft: -1,
+  ArrowRight: 1,
+  ArrowUp: -3,
+  ArrowDown: 3,
+}
+const CENTRE_LOCATION = 4
+// Once a position is picked, the arrows step along its line instead
+const STEP_KEYS = {
+  ArrowLeft: -1,
+  ArrowUp: -1,
+  ArrowRight: 1,
+  ArrowDown: 1,
+}
+const MIDDLE_STEP = Math.floor(BUMP_OFFSETS_DEGREES.length / 2)
+
+/**
+ * Get the on-screen field size so it covers the full test field, limited to the viewport.
+ * A field capped by the viewport covers fewer degrees; the test positions then
+ * move closer together (see getLayoutScale) while the bumps keep their size.
+ *
+ * @param {Object|null} calibration - Calibration profile, or null when uncalibrated
+ * @returns {number} Field side length in CSS pixels
+ */
+function getFieldSizePx(calibration) {
+  if (!calibration) return DEFAULT_FIELD_PX
+  const idealSize = visualAngleToPx(FIELD_DEGREES * 60, calibration)
+  const maxSize = window.innerWidth - 48 - FIELD_PADDING_PX * 2
+  return Math.min(idealSize, maxSize)
+}
+
+/**
+ * Test field: fixation dot, the flashed line and the keyboard cursor.
+ * The SVG spans the degrees the field actually covers, so a bump is drawn at
+ * its visual angle. Responses are reported in degrees from the fixation dot.
+ *
+ * With the keyboard, the arrows first pick a position and Enter selects it;
+ * then they step along the line last shown there (`orientation`) to where the
+ * bend was, Enter answers and Escape goes back to the positions.
+ */
+function HyperacuityField({ size, degrees, scale, stimulus, orientation, cursor, onCursorMove, step, onStepChange, onRespond, label }) {
+  const fieldRef = useRef(null)
+  const [focused, setFocused] = useState(false)
+  // Positions in degrees to SVG coordinates, which span the field in degrees
+  const half = degrees / 2
+
+  const handlePointerDown = (e) => {
+    const rect = fieldRef.current.getBoundingClientRect()
+    onRespond({
+      x: ((e.clientX - rect.left) / rect.width - 0.5) * degrees,
+      y: ((e.clientY - rect.top) / rect.height - 0.5) * degrees,
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    if (step !== null) {
+      if (e.key in STEP_KEYS) {
+        e.preventDefault()
+        onStepChange(Math.min(BUMP_OFFSETS_DEGREES.length - 1, Math.max(0, step + STEP_KEYS[e.key])))
+      } else if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault()
+        onRespond(linePoint(cursor, orientation, BUMP_OFFSETS_DEGREES[step], 0, scale))
+      } else if (e.key === 'Escape') {
+        e.preventDefault()
+        onStepChange(null)
+      }
+    } else if (e.key in ARROW_KEYS) {
+      e.preventDefault()
+      const next = cursor + ARROW_KEYS[e.key]
+      // Stay within the grid, without wrapping to the next row
+      const sameRow = Math.abs(ARROW_KEYS[e.key]) === 3 || Math.floor(next / 3) === Math.floor(cursor / 3)
+      if (next >= 0 && next < HYPERACUITY_LOCATIONS.length && sameRow) onCursorMove(next)
+    } else if ((e.key === 'Enter' || e.key === ' ') && orientation) {
+      e.preventDefault()
+      onStepChange(MIDDLE_STEP)
+    }
+  }
+
+  // Shown only when the keyboard is in use
+  const cursorPosition = HYPERACUITY_LOCATIONS[cursor]
+  const stepPosition = step !== null && linePoint(cursor, orientation, BUMP_OFFSETS_DEGREES[step], 0, scale)
+  // Dots keep their size in pixels, however many degrees the field covers
+  const dotRadius = (DOT_RADIUS_PX / size) * degrees
+
+  return (
+    <svg
+      ref={fieldRef}
+      width={size}
+      height={size}
+      viewBox={`${-half} ${-half} ${degrees} ${degrees}`}
+      role="application"
+      aria-label={label}
+      tabIndex={0}
+      onPointerDown={handlePointerDown}
+      onKeyDown={handleKeyDown}
+      onFocus={() => setFocused(true)}
+      onBlur={() => setFocused(false)}
+      className="bg-black touch-none select-none focus:outline-none focus:ring-2 focus:ring-indigo-400"
+    >
+      {stimulus && stimulus.dots.map((dot, i) => (
+        <circle key={i} cx={dot.x} cy={dot.y} r={dotRadius} fill="#ffffff" />
+      ))}
+      <circle cx={0} cy={0} r={dotRadius * 2} fill="#ef4444" />
+      {focused && (
+        <rect
+          x={(cursorPosition.x - 1.5) * scale}
+          y={(cursorPosition.y - 1.5) * scale}
+          width={3 * scale}
+          height={3 * scale}
+          fill="none"
+          stroke="#818cf8"
+          strokeWidth={dotRadius / 2}
+          strokeDasharray={`${dotRadius * 2} ${dotRadius * 2}`}
+        />
+      )}
+      {focused && stepPosition && (
+        <circle
+          cx={stepPosition.x}
+          cy={stepPosition.y}
+          r={0.3 * scale}
+          fill="none"
+          stroke="#818cf8"
+          strokeWidth={dotRadius / 2}
+        />
+      )}
+    </svg>
+  )
+}
+
+export default function HyperacuityTest() {
+  const { t } = useTranslation(['tests', 'common', 'results'])
+  const navigate = useNavigate()
+  const { results, updateHyperacuity, checkAndUnlockAchievements } = useTestResults()
+  const { calibration, viewingDistanceCm } = useCalibration()
+  const fieldSizePx = getFieldSizePx(calibration)
+  // Visual field actually covered (null when uncalibrated)
+  const fieldDegrees = calibration ? pxToVisualAngleDegrees(fieldSizePx, calibration) : null
+  const layoutScale = getLayoutScale(fieldDegrees)
+
+  const [phase, setPhase] = useState('eye-select') // eye-select, instructions, testing, complete
+  const [currentEye, setCurrentEye] = useState(null)
+  const [order, setOrder] = useState([])
+  const [trialIndex, setTrialIndex] = useState(0)
+  const [levels, setLevels] = useState([])
+  const [trials, setTrials] = useState([])
+  const [stimulus, setStimulus] = useState(null)
+  const [visible, setVisible] = useState(false)
+  const [cursor, setCursor] = useState(CENTRE_LOCATION)
+  const [step, setStep] = useState(null) // Keyboard position along the line, null while picking a position
+  const [testResults, setTestResults] = useState(null)
+  const [newAchievements, setNewAchievements] = useState([])
+
+  const resetTestState = () => {
+    setOrder(createTrialOrder())
+    setTrialIndex(0)
+    setLevels(HYPERACUITY_LOCATIONS.map(() => START_LEVEL))
+    setTrials([])
+    setStimulus(null)
+    setVisible(false)
+    setCursor(CENTRE_LOCATION)
+    setStep(null)
+    setTestResults(null)
+  }
+
+  const handleEyeSelect = (eye) => {
+    setCurrentEye(eye)
+    resetTestState()
+    setPhase('instructions')
+  }
+
+  const handleTestAnotherEye = () => {
+    resetTestState()
+    setPhase('eye-select')
+  }
+
+  // Flash the next line after a pause; it is answered once it has been shown
+  useEffect(() => {
+    if (phase !== 'testing' || stimulus || trialIndex >= order.length) return
+    const location = order[trialIndex]
+    let hideTimeout
+    const showTimeout = setTimeout(() => {
+      setStimulus(createStimulus(location, levels[location], Math.random, layoutScale))
+      setVisible(true)
+      hideTimeout = setTimeout(() => setVisible(false), FLASH_MS)
+    }, PAUSE_MS)
+    return () => {
+      clearTimeout(showTimeout)
+      clearTimeout(hideTimeout)
+    }
+  }, [phase, stimulus, trialIndex, order, levels, layoutScale])
+
+  const finishTest = (allTrials) => {
+    const newResult = {
+      // Bump sizes are only known on a calibrated screen
+      ...summarizeHyperacuity(allTrials, { graded: !!calibration }),
+      trials: allTrials.length,
+      fieldDegrees: fieldDegrees === null ? null : +fieldDegrees.toFixed(1),
+      testedAt: new Date().toISOString()
+    }
+
+    setTestResults(newResult)
+
+    // Save result for the current eye
+    updateHyperacuity(currentEye, newResult)
+
+    // Check for newly unlocked achievements
+    const updatedResults = {
+      ...results,
+      hyperacuity: {
+        ...results.hyperacuity,
+        [currentEye]: newResult
+      }
+    }
+    const unlocked = checkAndUnlockAchievements(updatedResults)
+    setNewAchievements(unlocked)
+
+    setPhase('complete')
+  }
+
+  // A position in degrees, or null for "no bend seen"
+  const handleRespond = (response) => {
+    if (!stimulus) return
+    const localized = isLocalized(response, stimulus)
+    const allTrials = [...trials, {
+      location: stimulus.location,
+      amplitudeArcmin: DISPLACEMENT_LEVELS_ARCMIN[stimulus.level],
+      bump: stimulus.bump,
+      response,
+      localized,
+    }]
+    setTrials(allTrials)
+    setLevels(prev => prev.map((level, i) => i === stimulus.location ? nextLevel(level, localized) : level))
+    setStimulus(null)
+    setVisible(false)
+    setStep(null)
+
+    if (trialIndex + 1 >= order.length) {
+      finishTest(allTrials)
+    } else {
+      setTrialIndex(trialIndex + 1)
+    }
+  }
+
+  const eyeName = (eye) => eye === 'left' ? t('common:eye.left') : t('common:eye.right')
+
+  // Eye selection phase
+  if (phase === 'eye-select') {
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-slate-50 to-slate-100 dark:from-slate-900 dark:to-slate-800">
+        <header className="bg-white/80 dark:bg-slate-800/80 backdrop-blur-sm border-b border-slate-100 dark:border-slate-700 px-4 py-4 sticky top-0">
+          <div className="max-w-lg mx-auto flex items-center justify-between">
+            <Link to="/" className="text-slate-600 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200 transition-colors">
+              ← {t('common:nav.back')}
+            </Link>
+            <h1 className="font-semibold text-slate-800 dark:text-slate-100">{t('hyperacuity.title')}</h1>
+            <div className="w-12" />
+          </div>
+        </header>
+        <EyeSelector
+          onSelect={handleEyeSelect}
+          completedEyes={results.hyperacuity}
+          testName={t('hyperacuity.title')}
+        />
+      </div>
+    )
+  }
+
+  const otherEye = currentEye === 'left' ? 'right' : 'left'
+
+  // Instructions phase
+  if (phase === 'instructions') {
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-slate-50 to-slate-100 dark:from-slate-900 dark:to-slate-800">
+        <header className="bg-white/80 dark:bg-slate-800/80 backdrop-blur-sm border-b border-slate-100 dark:border-slate-700 px-4 py-4 sticky top-0">
+          <div className="max-w-lg mx-auto flex items-center justify-between">
+            <button
+              onClick={() => setPhase('eye-select')}
+              className="text-slate-600 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200 transition-colors"
+            >
+              ← {t('common:nav.back')}
+            </button>
+            <h1 className="font-semibold text-slate-800 dark:text-slate-100">{t('hyperacuity.title')}</h1>
+            <div className="text-sm text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-slate-700 px-3 py-1 rounded-full">
+              {currentEye === 'left' ? '👁️ L' : '👁️ R'}
+            </div>
+          </div>
+        </header>
+
+        <main className="max-w-lg mx-auto px-4 py-8">
+          <div className="text-center mb-8">
+            <div className="w-20 h-20 bg-indigo-100 dark:bg-indigo-900/50 rounded-2xl flex items-center justify-center text-4xl mx-auto mb-4">
+              ⋯
+            </div>
+            <h2 className="text-2xl font-bold text-slate-800 dark:text-slate-100 mb-2">{t('hyperacuity.title')}</h2>
+            <p className="text-slate-600 dark:text-slate-400">
+              {t('hyperacuity.subtitle', { eye: eyeName(currentEye) })}
+            </p>
+          </div>
+
+          <CalibrationNotice />
+
+          <div className="bg-slate-50 dark:bg-slate-800 rounded-xl p-6 mb-6">
+            <h3 className="font-semibold text-slate-700 dark:text-slate-200 mb-4">{t('hyperacuity.instructions.title')}</h3>
+            <ol className="space-y-3 text-slate-600 dark:text-slate-400">
+              {[
+                calibration
+                  ? t('hyperacuity.instructions.distance', { distance: viewingDistanceCm })
+                  : t('hyperacuity.instructions.distanceUncalibrated'),
+                t('hyperacuity.instructions.step1', { otherEye: eyeName(otherEye) }),
+                t('hyperacuity.instructions.step2'),
+                t('hyperacuity.instructions.step3'),
+                t('hyperacuity.instructions.step4'),
+              ].map((step, i) => (
+                <li key={i} className="flex gap-3">
+                  <span className="shrink-0 w-6 h-6 bg-indigo-100 dark:bg-indigo-900/50 text-indigo-600 dark:text-indigo-400 rounded-full flex items-center justify-center text-sm font-medium">{i + 1}</span>
+                  <span>{step}</span>
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          <div className="bg-amber-50 dark:bg-amber-950/50 border border-amber-200 dark:border-amber-800 rounded-xl p-4 mb-8">
+            <p className="text-amber-800 dark:text-amber-200 text-sm">
+              <strong>{t('common:note')}:</strong> {t('hyperacuity.instructions.note')}
+            </p>
+          </div>
+
+          <button
+            onClick={() => setPhase('testing')}
+            className="w-full py-4 bg-indigo-500 text-white font-semibold rounded-xl hover:bg-indigo-600 transition-colors"
+          >
+            {t('common:actions.startTest')}
+          </button>
+        </main>
+      </div>
+    )
+  }
+
+  // Testing phase
+  if (phase === 'testing') {
+    const progress = (trialIndex / order.length) * 100
+
+    return (
+      <div className="min-h-screen bg-slate-900 flex flex-col">
+        <header className="bg-slate-800 px-4 py-4 flex items-center justify-between">
+          <button
+            onClick={() => setPhase('eye-select')}
+            className="text-white/70 hover:text-white transition-colors"
+          >
+            ← {t('common:actions.exit')}
+          </button>
+          <h1 className="font-semibold text-white">{t('hyperacuity.title')}</h1>
+          <div className="text-sm text-white/70 bg-slate-700 px-2 py-1 rounded-full">
+            {currentEye === 'left' ? '👁️ L' : '👁️ R'}
+          </div>
+        </header>
+
+        <div className="h-1 bg-slate-700">
+          <div
+            className="h-full bg-indigo-500 transition-all duration-300"
+            style={{ width: `${progress}%` }}
+          />
+        </div>
+
+        <main className="flex-1 flex flex-col items-center justify-center gap-6 px-6 py-6">
+          <p className="text-white/60 text-sm text-center" aria-live="polite">
+            {!stimulus ? t('hyperacuity.focusPrompt') : step !== null ? t('hyperacuity.stepPrompt') : t('hyperacuity.respondPrompt')}
+          </p>
+
+          <div style={{ padding: FIELD_PADDING_PX }} className="bg-black rounded-lg">
+            <HyperacuityField
+              size={fieldSizePx}
+              degrees={fieldDegrees ?? FIELD_DEGREES}
+              scale={layoutScale}
+              stimulus={visible ? stimulus : null}
+              orientation={stimulus?.orientation}
+              cursor={cursor}
+              onCursorMove={setCursor}
+              step={step}
+              onStepChange={setStep}
+              onRespond={handleRespond}
+              label={t('hyperacuity.fieldLabel')}
+            />
+          </div>
+
+          <button
+            onClick={() => handleRespond(null)}
+            disabled={!stimulus}
+            className="px-6 py-3 bg-slate-700 text-white font-semibold rounded-xl hover:bg-slate-600 transition-colors disabled:opacity-40"
+          >
+            {t('hyperacuity.noBend')}
+          </button>
+
+          <p className="text-white/40 text-xs">
+            {trialIndex}/{order.length}
+          </p>
+        </main>
+      </div>
+    )
+  }
+
+  // Complete phase
+  if (phase === 'complete' && testResults) {
+    const isGraded = testResults.status !== 'not_graded'
+    const isNormal = isGraded && !testResults.hasIssues
+    const otherEyeComplete = results.hyperacuity?.[otherEye]
+
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-slate-50 to-slate-100 dark:from-slate-900 dark:to-slate-800">
+        {/* Trigger celebration for normal results */}
+        {isNormal && <Celebration type="confetti" />}
+
+        <header className="bg-white/80 dark:bg-slate-800/80 backdrop-blur-sm border-b border-slate-100 dark:border-slate-700 px-4 py-4 sticky top-0">
+          <div className="max-w-lg mx-auto flex items-center justify-between">
+            <Link to="/" className="text-slate-600 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200 transition-colors">
+              ← {t('common:nav.back')}
+            </Link>
+            <h1 className="font-semibold text-slate-800 dark:text-slate-100">{t('hyperacuity.results.title')}</h1>
+            <div className="text-sm text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-slate-700 px-3 py-1 rounded-full">
+              {currentEye === 'left' ? '👁️ L' : '👁️ R'}
+            </div>
+          </div>
+        </header>
+
+        <main className="max-w-lg mx-auto px-4 py-8">
+          <div className="text-center mb-8">
+            <div className={`text-6xl mb-4 ${isNormal ? 'animate-bounce' : ''}`}>
+              {isNormal ? '✅' : isGraded ? '⚠️' : 'ℹ️'}
+            </div>
+            <h2 className="text-2xl font-bold text-slate-800 dark:text-slate-100 mb-2">
+              {eyeName(currentEye)} {t('common:eye.eyeComplete')}
+            </h2>
+          </div>
+
+          {/* Result Card */}
+          {isGraded ? (
+            <div className={`${isNormal ? 'bg-emerald-50 dark:bg-emerald-950/50' : 'bg-amber-50 dark:bg-amber-950/50'} rounded-2xl p-6 mb-6`}>
+              <div className="flex flex-col items-center gap-3">
+                <HyperacuityMap
+                  map={testResults.map}
+                  label={t('results:hyperacuity.mapLabel', { count: testResults.abnormalLocations })}
+                  className="w-40 h-40"
+                />
+                <HyperacuityLegend />
+                <p className={`text-lg font-semibold ${isNormal ? 'text-emerald-600 dark:text-emerald-400' : 'text-amber-600 dark:text-amber-400'}`}>
+                  {isNormal
+                    ? t('results:hyperacuity.normal')
+                    : t('results:hyperacuity.abnormal', { count: testResults.abnormalLocations })}
+                </p>
+                <p className="text-slate-500 dark:text-slate-400 text-xs text-center">
+                  {t('hyperacuity.results.mapHint')}
+                </p>
+              </div>
+            </div>
+          ) : (
+            <div className="bg-slate-100 dark:bg-slate-800 rounded-2xl p-6 mb-6 text-center">
+              <p className="text-lg font-semibold text-slate-700 dark:text-slate-200">
+                {t('results:hyperacuity.notGraded')}
+              </p>
+            </div>
+          )}
+
+          {/* Explanation */}
+          <div className="bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700 p-4 mb-6">
+            <h3 className="font-semibold text-slate-800 dark:text-slate-100 mb-3">{t('common:results.whatThisMeans')}</h3>
+            <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+              {isNormal
+                ? t('hyperacuity.explanation.normal')
+                : isGraded ? t('hyperacuity.explanation.concerns') : t('hyperacuity.explanation.notGraded')}
+            </p>
+            {isGraded && (
+              <div className={`${isNormal ? 'bg-emerald-50 dark:bg-emerald-950/50 border-emerald-200 dark:border-emerald-800' : 'bg-amber-50 dark:bg-amber-950/50 border-amber-200 dark:border-amber-800'} border rounded-lg p-3`}>
+                <p className={`text-sm ${isNormal ? 'text-emerald-800 dark:text-emerald-200' : 'text-amber-800 dark:text-amber-200'}`}>
+                  {isNormal
+                    ? t('hyperacuity.recommendation.normal')
+                    : t('hyperacuity.recommendation.concerns')}
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* Show achievement if earned */}
+          {newAchievements.includes('first-test') && (
+            <div className="mb-6 animate-slide-up">
+              <AchievementBadge achievementId="first-test" isNew />
+            </div>
+          )}
+
+          {/* Disclaimer */}
+          <div className="bg-amber-50 dark:bg-amber-950/50 border border-amber-200 dark:border-amber-800 rounded-xl p-4 mb-8">
+            <p className="text-amber-800 dark:text-amber-200 text-sm">
+              <strong>{t('common:disclaimer.title')}:</strong> {t('common:disclaimer.text')}
+            </p>
+          </div>
+
+          {/* Action Buttons */}
+          <div className="space-y-3">
+            {!otherEyeComplete && (
+              <button
+                onClick={handleTestAnotherEye}
+                className="w-full py-4 bg-indigo-500 text-white font-semibold rounded-xl hover:bg-indigo-600 transition-colors"
+              >
+                {t('common:actions.testOtherEye', { eye: eyeName(otherEye) })} →
+              </button>
+            )}
+            {otherEyeComplete && (
+              <button
+                onClick={() => navigate('/results')}
+                className="w-full py-4 bg-indigo-500 text-white font-semibold rounded-xl hover:bg-indigo-600 transition-colors"
+              >
+                {t('common:actions.viewResults')}
+              </button>
+            )}
+            <button
+              onClick={handleTestAnotherEye}
+              className="w-full py-4 bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 font-semibold rounded-xl hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors"
+            >
+              {otherEyeComplete ? t('common:actions.retestEye') : t('common:actions.backToEyeSelection')}
+            </button>
+            <Link
+              to="/"
+              className="w-full py-4 text-slate-500 dark:text-slate-400 font-medium flex items-center justify-center hover:text-slate-700 dark:hover:text-slate-300 transition-colors"
+            >
+              {t('common:nav.backToHome')}
+            </Link>
+          </div>
+        </main>
+      </div>
+    )
+  }
+
+  return null
+}
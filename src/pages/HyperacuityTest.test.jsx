@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
+import { I18nextProvider } from 'react-i18next'
+import HyperacuityTest from './HyperacuityTest'
+import { TestResultsProvider } from '../context/TestResultsContext'
+import { TTSSettingsProvider } from '../context/TTSSettingsContext'
+import { LanguageProvider } from '../context/LanguageContext'
+import { ConsentProvider } from '../context/ConsentContext'
+import { CalibrationProvider } from '../context/CalibrationContext'
+import { HYPERACUITY_LOCATIONS, createTrialOrder } from '../utils/hyperacuity'
+import i18n from '../i18n'
+
+// Normal results celebrate with confetti, which needs a real canvas
+vi.mock('canvas-confetti', () => ({
+  default: vi.fn()
+}))
+
+beforeEach(async () => {
+  localStorage.clear()
+  localStorage.setItem('visioncheck-consent', JSON.stringify({ hasConsented: true, consentGiven: true }))
+  // The full 12° field fits on the screen
+  calibrate(2)
+  await i18n.changeLanguage('en')
+  vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+function calibrate(pxPerMm) {
+  localStorage.setItem('visioncheck-calibration', JSON.stringify({ pxPerMm, viewingDistanceCm: 40, method: 'card' }))
+}
+
+function renderWithProviders(ui) {
+  return render(
+    <MemoryRouter>
+      <I18nextProvider i18n={i18n}>
+        <LanguageProvider>
+          <TTSSettingsProvider>
+            <ConsentProvider>
+              <CalibrationProvider>
+                <TestResultsProvider>
+                  {ui}
+                </TestResultsProvider>
+              </CalibrationProvider>
+            </ConsentProvider>
+          </TTSSettingsProvider>
+        </LanguageProvider>
+      </I18nextProvider>
+    </MemoryRouter>
+  )
+}
+
+function startTest() {
+  fireEvent.click(screen.getByText('Left'))
+  fireEvent.click(screen.getByRole('button', { name: 'Start Test' }))
+}
+
+// Waits for the next line to be flashed
+const flashNextLine = () => act(() => vi.advanceTimersByTime(1000))
+
+const savedResult = () => JSON.parse(localStorage.getItem('visioncheck-results')).hyperacuity.left
+
+describe('HyperacuityTest', () => {
+  it('only takes an answer once a line has been shown', () => {
+    renderWithProviders(<HyperacuityTest />)
+    startTest()
+
+    expect(screen.getByRole('button', { name: 'No bend seen' })).toBeDisabled()
+    flashNextLine()
+    expect(screen.getByRole('button', { name: 'No bend seen' })).toBeEnabled()
+    expect(screen.getByText('Where was the line bent?')).toBeInTheDocument()
+  })
+
+  it('maps every position as reduced when no bend is seen', async () => {
+    renderWithProviders(<HyperacuityTest />)
+    startTest()
+
+    for (let trial = 0; trial < 27; trial++) {
+      flashNextLine()
+      fireEvent.click(screen.getByRole('button', { name: 'No bend seen' }))
+    }
+
+    expect(screen.getByRole('img', { name: 'Hyperacuity map, 9 areas reduced' })).toBeInTheDocument()
+    expect(screen.getByText('Reduced in 9 areas')).toBeInTheDocument()
+
+    vi.useRealTimers()
+    await waitFor(() => expect(savedResult()).toMatchObject({ hasIssues: true, abnormalLocations: 9, trials: 27 }))
+    expect(savedResult().map.every(cell => cell.thresholdArcmin === null)).toBe(true)
+  })
+
+  // Every line is vertical with its bump near the lower end, bent to the
+  // right, two steps down the line from its middle
+  function findBumpsWithKeyboard() {
+    vi.spyOn(Math, 'random').mockReturnValue(0.9)
+    const order = createTrialOrder(() => 0.9)
+    renderWithProviders(<HyperacuityTest />)
+    startTest()
+
+    const field = screen.getByRole('application')
+    let cursor = 4
+    for (const location of order) {
+      flashNextLine()
+      const columns = location % 3 - cursor % 3
+      const rows = Math.floor(location / 3) - Math.floor(cursor / 3)
+      for (let i = 0; i < Math.abs(columns); i++) fireEvent.keyDown(field, { key: columns > 0 ? 'ArrowRight' : 'ArrowLeft' })
+      for (let i = 0; i < Math.abs(rows); i++) fireEvent.keyDown(field, { key: rows > 0 ? 'ArrowDown' : 'ArrowUp' })
+      fireEvent.keyDown(field, { key: 'Enter' })
+      expect(screen.getByText(/Move along the line to the bend/)).toBeInTheDocument()
+      fireEvent.keyDown(field, { key: 'ArrowDown' })
+      fireEvent.keyDown(field, { key: 'ArrowDown' })
+      fireEvent.keyDown(field, { key: 'Enter' })
+      cursor = location
+    }
+  }
+
+  it('finds the bumps with the keyboard and lowers them at each find', async () => {
+    findBumpsWithKeyboard()
+
+    expect(screen.getByRole('img', { name: 'Hyperacuity map, 0 areas reduced' })).toBeInTheDocument()
+
+    vi.useRealTimers()
+    await waitFor(() => expect(savedResult()).toMatchObject({ hasIssues: false, status: 'normal', misplacedResponses: [] }))
+    // 16′, then 8′ and 4′ at every position
+    expect(savedResult().map.map(cell => cell.thresholdArcmin)).toEqual(Array(9).fill(4))
+  })
+
+  it('keeps the bump sizes on a field capped by the screen', async () => {
+    // 12° would be twice as wide as a phone screen
+    calibrate(8)
+    vi.stubGlobal('innerWidth', 400)
+
+    // The field spans the 6° it covers, so a bump is drawn at its visual angle
+    const { unmount } = renderWithProviders(<HyperacuityTest />)
+    startTest()
+    expect(Number(screen.getByRole('application').getAttribute('viewBox').split(' ')[2])).toBeCloseTo(6, 1)
+    unmount()
+
+    findBumpsWithKeyboard()
+    vi.unstubAllGlobals()
+
+    vi.useRealTimers()
+    await waitFor(() => expect(savedResult()).toMatchObject({ status: 'normal' }))
+    // The test positions moved closer together, the 4′ bumps were still found
+    expect(savedResult().fieldDegrees).toBeLessThan(8)
+    expect(savedResult().map.map(cell => cell.thresholdArcmin)).toEqual(Array(9).fill(4))
+  })
+
+  it('does not grade the result without a calibration', async () => {
+    localStorage.removeItem('visioncheck-calibration')
+    renderWithProviders(<HyperacuityTest />)
+    startTest()
+
+    for (let trial = 0; trial < 27; trial++) {
+      flashNextLine()
+      fireEvent.click(screen.getByRole('button', { name: 'No bend seen' }))
+    }
+
+    expect(screen.getByText('Not graded: screen not calibrated')).toBeInTheDocument()
+    expect(screen.queryByRole('img', { name: /Hyperacuity map/ })).not.toBeInTheDocument()
+
+    vi.useRealTimers()
+    await waitFor(() => expect(savedResult()).toMatchObject({ status: 'not_graded', hasIssues: false, map: null, fieldDegrees: null }))
+  })
+
+  it('misses a bump away from the middle of the line when tapping the position', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.9)
+    const order = createTrialOrder(() => 0.9)
+    renderWithProviders(<HyperacuityTest />)
+    startTest()
+
+    const field = screen.getByRole('application')
+    vi.spyOn(field, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0, width: 240, height: 240 })
+    for (const location of order) {
+      flashNextLine()
+      // 20 px per degree, with the fixation dot in the middle
+      const { x, y } = HYPERACUITY_LOCATIONS[location]
+      fireEvent.pointerDown(field, { clientX: 120 + x * 20, clientY: 120 + y * 20 })
+    }
+
+    vi.useRealTimers()
+    await waitFor(() => expect(savedResult()).toMatchObject({ hasIssues: true, abnormalLocations: 9 }))
+    expect(savedResult().map.every(cell => cell.thresholdArcmin === null)).toBe(true)
+  })
+
+  it('counts a tap far from the bump as a miss', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5)
+    renderWithProviders(<HyperacuityTest />)
+    startTest()
+
+    const field = screen.getByRole('application')
+    vi.spyOn(field, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0, width: 240, height: 240 })
+    for (let trial = 0; trial < 27; trial++) {
+      flashNextLine()
+      // The bottom right corner of the field, 2° beyond the nearest position
+      fireEvent.pointerDown(field, { clientX: 240, clientY: 240 })
+    }
+
+    vi.useRealTimers()
+    await waitFor(() => expect(savedResult()).toMatchObject({ hasIssues: true }))
+    expect(savedResult().misplacedResponses.length).toBeGreaterThan(0)
+    expect(savedResult().misplacedResponses[0]).toEqual({ x: 6, y: 6 })
+  })
+})
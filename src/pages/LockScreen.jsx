@@ -0,0 +1,98 @@
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useVault } from '../context/VaultContext'
+
+/**
+ * Lock screen shown instead of the app while the encrypted vault is locked.
+ * The passphrase never leaves this component except to derive the key.
+ */
+export default function LockScreen() {
+  const { t } = useTranslation('common')
+  const { unlock, reset } = useVault()
+  const [passphrase, setPassphrase] = useState('')
+  const [error, setError] = useState(null)
+  const [isUnlocking, setIsUnlocking] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!passphrase || isUnlocking) return
+    setIsUnlocking(true)
+    setError(null)
+    try {
+      const unlocked = await unlock(passphrase)
+      if (!unlocked) {
+        setError(t('vault.wrongPassphrase'))
+        setPassphrase('')
+      }
+    } catch (err) {
+      console.error('Failed to unlock vault:', err)
+      setError(t('vault.unlockFailed'))
+    } finally {
+      setIsUnlocking(false)
+    }
+  }
+
+  // Without the passphrase the data cannot be recovered; the only way out is
+  // to delete it and start over
+  const handleReset = () => {
+    if (confirm(t('vault.resetConfirm'))) {
+      reset()
+    }
+  }
+
+  return (
+    <main className="min-h-screen flex items-center justify-center bg-gradient-to-b from-sky-50 to-white dark:from-slate-900 dark:to-slate-800 px-6">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm p-6 bg-white dark:bg-slate-800 rounded-2xl border border-slate-200 dark:border-slate-700 shadow-sm"
+      >
+        <div className="text-4xl text-center mb-3" aria-hidden="true">🔒</div>
+        <h1 className="text-2xl font-bold text-center text-slate-800 dark:text-slate-100">
+          {t('vault.lockedTitle')}
+        </h1>
+        <p className="text-sm text-center text-slate-500 dark:text-slate-400 mt-2">
+          {t('vault.lockedDescription')}
+        </p>
+        <p className="text-xs text-center text-slate-500 dark:text-slate-400 mt-2 mb-6">
+          {t('vault.notEncrypted')}
+        </p>
+
+        <label htmlFor="vault-passphrase" className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-1">
+          {t('vault.passphrase')}
+        </label>
+        <input
+          id="vault-passphrase"
+          type="password"
+          autoComplete="current-password"
+          autoFocus
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          aria-invalid={!!error}
+          aria-describedby={error ? 'vault-error' : undefined}
+          className="w-full px-3 py-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 text-slate-800 dark:text-slate-100"
+        />
+        {error && (
+          <p id="vault-error" role="alert" className="text-sm text-red-600 dark:text-red-400 mt-2">
+            {error}
+          </p>
+        )}
+
+        <button
+          type="submit"
+          disabled={!passphrase || isUnlocking}
+          className="w-full mt-4 py-3 bg-sky-500 text-white font-semibold rounded-xl hover:bg-sky-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isUnlocking ? t('vault.unlocking') : t('vault.unlock')}
+        </button>
+
+        <button
+          type="button"
+          onClick={handleReset}
+          className="w-full mt-3 py-2 text-sm text-red-500 hover:text-red-600"
+        >
+          {t('vault.forgot')}
+        </button>
+      </form>
+    </main>
+  )
+}
@@ -0,0 +1,291 @@
+import { useState, useMemo } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import ReactMarkdown from 'react-markdown'
+import { useTestResults } from '../context/TestResultsContext'
+import { useStoredImage } from '../hooks/useStoredImage'
+import { compareEyePhotos, describeRejection } from '../api/openai'
+import { loadImage, blobToDataUrl } from '../storage/storage'
+import { getPhotoTimeline, detectChanges } from '../utils/photoTimeline'
+import { EYE_FINDINGS, getAnalysisNarrative, isStructuredAnalysis } from '../utils/eyeAnalysis'
+
+const CHANGE_STYLES = {
+  improved: 'text-emerald-700 dark:text-emerald-300 bg-emerald-100 dark:bg-emerald-900/50',
+  unchanged: 'text-slate-600 dark:text-slate-300 bg-slate-100 dark:bg-slate-700',
+  worsened: 'text-red-700 dark:text-red-300 bg-red-100 dark:bg-red-900/50',
+  not_assessed: 'text-slate-500 dark:text-slate-400 bg-slate-100 dark:bg-slate-700',
+}
+
+const CHANGE_ICONS = {
+  improved: '↘',
+  unchanged: '→',
+  worsened: '↗',
+  not_assessed: '·',
+}
+
+// Photos that have not been stored yet are still held as data URLs
+const useEntryImage = (entry) => {
+  const storedImage = useStoredImage(entry?.imageData ? null : entry?.imageId)
+  return entry?.imageData || storedImage
+}
+
+async function entryToDataUrl(entry) {
+  if (entry.imageData) return entry.imageData
+  const blob = await loadImage(entry.imageId)
+  if (!blob) throw new Error('Photo not available')
+  return blobToDataUrl(blob)
+}
+
+function TimelineThumbnail({ entry, label, selected, onSelect }) {
+  const src = useEntryImage(entry)
+  return (
+    <button
+      onClick={onSelect}
+      aria-pressed={selected}
+      className={`shrink-0 w-24 rounded-xl border-2 p-1 transition-colors ${selected ? 'border-violet-500 bg-violet-50 dark:bg-violet-900/30' : 'border-slate-200 dark:border-slate-700 hover:border-violet-300'}`}
+    >
+      <div className="w-full aspect-square rounded-lg overflow-hidden bg-slate-100 dark:bg-slate-800">
+        {src && <img src={src} alt={label} className="w-full h-full object-cover" />}
+      </div>
+      <span className="block mt-1 text-xs text-slate-600 dark:text-slate-300">{label}</span>
+    </button>
+  )
+}
+
+/**
+ * The later photo laid over the earlier one, revealed up to the slider.
+ */
+function CompareSlider({ before, after, beforeLabel, afterLabel, t }) {
+  const [position, setPosition] = useState(50)
+  const beforeSrc = useEntryImage(before)
+  const afterSrc = useEntryImage(after)
+
+  return (
+    <div className="mb-6">
+      <div className="relative w-full max-w-sm mx-auto aspect-square rounded-xl overflow-hidden bg-slate-100 dark:bg-slate-800">
+        {beforeSrc && <img src={beforeSrc} alt={beforeLabel} className="absolute inset-0 w-full h-full object-cover" />}
+        {afterSrc && (
+          <img
+            src={afterSrc}
+            alt={afterLabel}
+            className="absolute inset-0 w-full h-full object-cover"
+            style={{ clipPath: `inset(0 0 0 ${position}%)` }}
+          />
+        )}
+        <div className="absolute inset-y-0 w-0.5 bg-white shadow" style={{ left: `${position}%` }} />
+        <span className="absolute top-2 left-2 text-xs font-medium text-white bg-black/50 px-2 py-0.5 rounded">
+          {t('tests:eyePhoto.timeline.before')}
+        </span>
+        <span className="absolute top-2 right-2 text-xs font-medium text-white bg-black/50 px-2 py-0.5 rounded">
+          {t('tests:eyePhoto.timeline.after')}
+        </span>
+      </div>
+      <input
+        type="range"
+        min="0"
+        max="100"
+        value={position}
+        onChange={(e) => setPosition(Number(e.target.value))}
+        aria-label={t('tests:eyePhoto.timeline.sliderLabel')}
+        className="block w-full max-w-sm mx-auto mt-3 accent-violet-500"
+      />
+      <div className="flex justify-between max-w-sm mx-auto text-xs text-slate-500 dark:text-slate-400">
+        <span>{beforeLabel}</span>
+        <span>{afterLabel}</span>
+      </div>
+    </div>
+  )
+}
+
+function AiComparison({ comparison, t, language }) {
+  return (
+    <div className="bg-slate-50 dark:bg-slate-800 rounded-xl p-4 mb-6">
+      <h3 className="font-semibold text-slate-800 dark:text-slate-100 mb-3">{t('tests:eyePhoto.timeline.aiTitle')}</h3>
+      <ul className="grid grid-cols-2 gap-2 mb-4">
+        {EYE_FINDINGS.map(finding => {
+          const change = comparison.changes[finding]
+          return (
+            <li key={finding} className="flex items-center justify-between gap-2 text-sm">
+              <span className="text-slate-600 dark:text-slate-300">{t(`results:eyeAnalysis.findings.${finding}`)}</span>
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${CHANGE_STYLES[change]}`}>
+                {CHANGE_ICONS[change]} {t(`tests:eyePhoto.timeline.change.${change}`)}
+              </span>
+            </li>
+          )
+        })}
+      </ul>
+      <div className="text-slate-700 dark:text-slate-200 text-sm leading-relaxed [&>p]:mb-2 [&>ul]:list-disc [&>ul]:pl-4">
+        <ReactMarkdown>{getAnalysisNarrative(comparison.narrative, language)}</ReactMarkdown>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Eye photos of one eye over time: thumbnails of every session, a slider to
+ * compare any two of them, the changes between their saved analyses and an
+ * optional AI description of the visible changes.
+ */
+export default function PhotoTimeline() {
+  const { t, i18n } = useTranslation(['tests', 'results', 'common'])
+  const { results, history } = useTestResults()
+  const [searchParams] = useSearchParams()
+  const [eye, setEye] = useState(searchParams.get('eye') === 'right' ? 'right' : 'left')
+  const [picked, setPicked] = useState([])
+  const [comparison, setComparison] = useState({ status: 'idle', result: null, error: null })
+
+  const language = i18n.resolvedLanguage || 'en'
+  const dateLocale = i18n.language === 'de' ? 'de-DE' : 'en-US'
+
+  const timeline = useMemo(
+    () => getPhotoTimeline(history, results.eyePhoto, eye),
+    [history, results.eyePhoto, eye]
+  )
+
+  // The two most recent photos until the user picks others
+  const pickedIds = picked.filter(id => timeline.some(entry => entry.id === id))
+  const selectedIds = pickedIds.length > 0 ? pickedIds : timeline.slice(-2).map(entry => entry.id)
+  const [before, after] = timeline.filter(entry => selectedIds.includes(entry.id))
+
+  const labelOf = (entry) => entry.date
+    ? new Date(entry.date).toLocaleDateString(dateLocale, { year: 'numeric', month: 'short', day: 'numeric' })
+    : t('tests:eyePhoto.timeline.undated')
+
+  const changes = before && after && isStructuredAnalysis(before.analysis) && isStructuredAnalysis(after.analysis)
+    ? detectChanges(before.analysis, after.analysis)
+    : null
+
+  const selectEye = (nextEye) => {
+    setEye(nextEye)
+    setPicked([])
+    setComparison({ status: 'idle', result: null, error: null })
+  }
+
+  const togglePhoto = (id) => {
+    setPicked(selectedIds.includes(id) ? selectedIds.filter(other => other !== id) : [...selectedIds, id].slice(-2))
+    setComparison({ status: 'idle', result: null, error: null })
+  }
+
+  const compareWithAi = async () => {
+    setComparison({ status: 'loading', result: null, error: null })
+    try {
+      const [previousImage, image] = await Promise.all([entryToDataUrl(before), entryToDataUrl(after)])
+      const result = await compareEyePhotos(previousImage, image, language)
+      setComparison({ status: 'done', result, error: null })
+    } catch (err) {
+      console.error('Comparison error:', err)
+      const error = err.message === 'Photo not available'
+        ? t('tests:eyePhoto.timeline.photoUnavailable')
+        : describeRejection(err, t) || err.message
+      setComparison({ status: 'idle', result: null, error })
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-slate-900">
+      <header className="sticky top-0 bg-white dark:bg-slate-900 border-b border-slate-100 dark:border-slate-800 px-4 py-4 flex items-center gap-4 z-10">
+        <Link to="/results" className="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+          ← {t('common:nav.back')}
+        </Link>
+        <h1 className="text-lg font-semibold text-slate-800 dark:text-slate-100">{t('tests:eyePhoto.timeline.title')}</h1>
+      </header>
+
+      <div className="p-6 max-w-2xl mx-auto">
+        <p className="text-slate-600 dark:text-slate-400 mb-4">{t('tests:eyePhoto.timeline.subtitle')}</p>
+
+        {/* Eye toggle */}
+        <div className="grid grid-cols-2 gap-2 mb-6" role="group">
+          {['left', 'right'].map(option => (
+            <button
+              key={option}
+              onClick={() => selectEye(option)}
+              aria-pressed={eye === option}
+              className={`py-2 rounded-xl font-medium transition-colors ${eye === option ? 'bg-violet-500 text-white' : 'bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-700'}`}
+            >
+              {t(`results:eyeLabels.${option}Eye`)}
+            </button>
+          ))}
+        </div>
+
+        {timeline.length === 0 && (
+          <p className="text-sm text-slate-500 dark:text-slate-400 mb-6">{t('tests:eyePhoto.timeline.empty')}</p>
+        )}
+
+        {timeline.length > 0 && (
+          <>
+            {/* Thumbnails, oldest first */}
+            <div className="flex gap-3 overflow-x-auto pb-2 mb-2">
+              {timeline.map(entry => (
+                <TimelineThumbnail
+                  key={entry.id}
+                  entry={entry}
+                  label={labelOf(entry)}
+                  selected={selectedIds.includes(entry.id)}
+                  onSelect={() => togglePhoto(entry.id)}
+                />
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 dark:text-slate-400 mb-6">
+              {t(timeline.length < 2 ? 'tests:eyePhoto.timeline.needTwo' : 'tests:eyePhoto.timeline.selectHint')}
+            </p>
+          </>
+        )}
+
+        {before && after && (
+          <>
+            <CompareSlider
+              key={`${before.id}:${after.id}`}
+              before={before}
+              after={after}
+              beforeLabel={labelOf(before)}
+              afterLabel={labelOf(after)}
+              t={t}
+            />
+
+            {/* Changes between the saved analyses */}
+            {changes && (
+              <div className="bg-white dark:bg-slate-800 rounded-xl border border-slate-200 dark:border-slate-700 p-4 mb-6 text-sm">
+                {changes.length === 0 ? (
+                  <p className="text-slate-600 dark:text-slate-300">{t('tests:eyePhoto.timeline.noRecordedChanges')}</p>
+                ) : (
+                  <>
+                    <p className="font-medium text-slate-800 dark:text-slate-100 mb-1">{t('tests:eyePhoto.timeline.recordedChanges')}</p>
+                    <ul className="space-y-1">
+                      {changes.map(({ finding, before: from, after: to, direction }) => (
+                        <li key={finding} className="text-slate-600 dark:text-slate-300">
+                          {CHANGE_ICONS[direction]} {t(`results:eyeAnalysis.findings.${finding}`)}: {t(`results:eyeAnalysis.severity.${from}`)} → {t(`results:eyeAnalysis.severity.${to}`)}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            )}
+
+            {comparison.result && <AiComparison comparison={comparison.result} t={t} language={language} />}
+
+            {comparison.error && (
+              <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl p-4 mb-6">
+                <p className="text-sm text-red-700 dark:text-red-300">{comparison.error}</p>
+              </div>
+            )}
+
+            {!comparison.result && (
+              <button
+                onClick={compareWithAi}
+                disabled={comparison.status === 'loading'}
+                className="w-full py-4 mb-6 bg-violet-500 text-white font-semibold rounded-xl hover:bg-violet-600 disabled:bg-slate-300 dark:disabled:bg-slate-600 disabled:cursor-not-allowed transition-colors"
+              >
+                {comparison.status === 'loading' ? t('tests:eyePhoto.timeline.comparing') : `🤖 ${t('tests:eyePhoto.timeline.compareWithAI')}`}
+              </button>
+            )}
+
+            <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-xl p-4">
+              <p className="text-sm text-amber-800 dark:text-amber-200">{t('tests:eyePhoto.timeline.disclaimer')}</p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter } from 'react-router-dom'
+import { I18nextProvider } from 'react-i18next'
+import PhotoTimeline from './PhotoTimeline'
+import { TestResultsProvider } from '../context/TestResultsContext'
+import { ConsentProvider } from '../context/ConsentContext'
+import { LanguageProvider } from '../context/LanguageContext'
+import { ProfileProvider } from '../context/ProfileContext'
+import i18n from '../i18n'
+
+const { compareEyePhotos } = vi.hoisted(() => ({
+  compareEyePhotos: vi.fn()
+}))
+vi.mock('../api/openai', () => ({ compareEyePhotos, describeRejection: () => null }))
+
+// Stored photos come back as tiny PNGs
+const { loadImage } = vi.hoisted(() => ({
+  loadImage: vi.fn()
+}))
+vi.mock('../storage/storage', async (importOriginal) => ({ ...await importOriginal(), loadImage }))
+
+const analysis = (redness) => ({
+  imageQuality: 'good',
+  findings: { redness, sclera: 'none', pupil: 'none', iris: 'none', eyelid: 'none' },
+  recommendation: 'routine',
+  narrative: { en: 'Text' }
+})
+
+const session = (id, date, left) => ({ id, date, eyePhoto: { left, right: null } })
+
+beforeEach(() => {
+  localStorage.clear()
+  localStorage.setItem('visioncheck-consent', JSON.stringify({ hasConsented: true, consentGiven: true }))
+  localStorage.setItem('visioncheck-history', JSON.stringify([
+    session(2, '2026-03-02T10:00:00.000Z', { imageId: 'img-2', analysis: analysis('moderate'), analyzedAt: '2026-03-02T10:00:00.000Z' }),
+    session(1, '2026-01-15T10:00:00.000Z', { imageId: 'img-1', analysis: analysis('none'), analyzedAt: '2026-01-15T10:00:00.000Z' })
+  ]))
+  i18n.changeLanguage('en')
+  URL.createObjectURL = vi.fn(() => 'blob:eye-photo')
+  URL.revokeObjectURL = vi.fn()
+  loadImage.mockReset()
+  loadImage.mockResolvedValue(new Blob(['png'], { type: 'image/png' }))
+  compareEyePhotos.mockReset()
+})
+
+afterEach(() => {
+  delete URL.createObjectURL
+  delete URL.revokeObjectURL
+})
+
+function renderTimeline(path = '/eye-photo/timeline') {
+  return render(
+    <I18nextProvider i18n={i18n}>
+      <MemoryRouter initialEntries={[path]}>
+        <LanguageProvider>
+          <ProfileProvider>
+            <ConsentProvider>
+              <TestResultsProvider>
+                <PhotoTimeline />
+              </TestResultsProvider>
+            </ConsentProvider>
+          </ProfileProvider>
+        </LanguageProvider>
+      </MemoryRouter>
+    </I18nextProvider>
+  )
+}
+
+describe('PhotoTimeline', () => {
+  it('compares the two latest photos of the eye by default', async () => {
+    renderTimeline()
+    // Thumbnails and slider show the stored photos once they are loaded
+    expect(await screen.findAllByAltText('Mar 2, 2026')).toHaveLength(2)
+
+    const thumbnails = screen.getAllByRole('button', { pressed: true }).filter(button => /2026/.test(button.textContent))
+    expect(thumbnails.map(button => button.textContent)).toEqual(['Jan 15, 2026', 'Mar 2, 2026'])
+    expect(screen.getByRole('slider', { name: 'Drag to compare the photos' })).toBeInTheDocument()
+    expect(screen.getByText(/Redness: None → Moderate/)).toBeInTheDocument()
+  })
+
+  it('explains that a second photo is needed', async () => {
+    const user = userEvent.setup()
+    renderTimeline()
+
+    await user.click(screen.getByRole('button', { name: 'Right Eye' }))
+
+    expect(screen.getByText('There are no saved photos of this eye yet.')).toBeInTheDocument()
+    expect(screen.queryByRole('slider')).not.toBeInTheDocument()
+  })
+
+  it('sends the earlier photo first for an AI comparison', async () => {
+    const user = userEvent.setup()
+    compareEyePhotos.mockResolvedValue({
+      changes: { redness: 'worsened', sclera: 'unchanged', pupil: 'unchanged', iris: 'unchanged', eyelid: 'not_assessed' },
+      narrative: { en: 'The eye looks **redder**.' }
+    })
+    renderTimeline()
+
+    await user.click(screen.getByRole('button', { name: /Compare with AI/ }))
+
+    expect(await screen.findByText('AI comparison')).toBeInTheDocument()
+    expect(screen.getByText('redder')).toBeInTheDocument()
+    expect(loadImage.mock.calls.slice(-2).map(([id]) => id)).toEqual(['img-1', 'img-2'])
+    expect(compareEyePhotos).toHaveBeenCalledWith(expect.stringMatching(/^data:image\/png;base64,/), expect.stringMatching(/^data:image\/png;base64,/), 'en')
+  })
+
+  it('reports photos that can no longer be loaded', async () => {
+    const user = userEvent.setup()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    loadImage.mockResolvedValue(null)
+    renderTimeline()
+
+    await user.click(screen.getByRole('button', { name: /Compare with AI/ }))
+
+    await waitFor(() => expect(screen.getByText('One of the photos could not be loaded.')).toBeInTheDocument())
+    expect(compareEyePhotos).not.toHaveBeenCalled()
+  })
+})
@@ -2,29 +2,50 @@ import { useState, useCallback, useEffect, useRef } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { useTestResults } from '../context/TestResultsContext'
 import { useVoiceCommandSettings } from '../context/VoiceCommandContext'
+import { useCalibration } from '../context/CalibrationContext'
 import { useVoiceCommands } from '../hooks/useVoiceCommands'
+import { useDistanceMonitor } from '../hooks/useDistanceMonitor'
 import EyeSelector from '../components/EyeSelector'
 import Celebration from '../components/Celebration'
 import AchievementBadge from '../components/AchievementBadge'
 import AudioInstructions from '../components/AudioInstructions'
 import VoiceCommandIndicator from '../components/VoiceCommandIndicator'
+import CalibrationNotice from '../components/CalibrationNotice'
+import { createTrialRecord } from '../utils/trials'
+import DistanceMonitorOption from '../components/DistanceMonitorOption'
+import DistancePrompt from '../components/DistancePrompt'
+import { visualAngleToPx, CAP_HEIGHT_RATIO } from '../utils/calibration'
+import {
+  createQuest,
+  questUpdate,
+  questNextIntensity,
+  questIsDone,
+  questThreshold,
+  logMARToArcmin,
+  logMARToSnellen,
+  ACUITY_QUEST,
+  ACUITY_STOPPING,
+} from '../utils/psychophysics'
 
 // Tumbling E test - the E points in 4 directions
 const DIRECTIONS = ['right', 'down', 'left', 'up']
 
 // Visual acuity levels (approximate Snellen equivalents)
-// Size in pixels at each level, with corresponding Snellen fraction
+// The adaptive procedure measures a continuous logMAR threshold; these lines are
+// used to report the nearest Snellen score. Size is the fallback font size in
+// pixels used when the screen is not calibrated; calibrated devices derive the
+// size from the visual angle
 const ACUITY_LEVELS = [
-  { size: 120, snellen: '20/200', level: 1 },
-  { size: 96, snellen: '20/100', level: 2 },
-  { size: 72, snellen: '20/70', level: 3 },
-  { size: 60, snellen: '20/50', level: 4 },
-  { size: 48, snellen: '20/40', level: 5 },
-  { size: 36, snellen: '20/30', level: 6 },
-  { size: 28, snellen: '20/25', level: 7 },
-  { size: 24, snellen: '20/20', level: 8 },
-  { size: 18, snellen: '20/15', level: 9 },
-  { size: 14, snellen: '20/10', level: 10 },
+  { size: 120, snellen: '20/200', logMAR: 1.0, level: 1 },
+  { size: 96, snellen: '20/100', logMAR: 0.7, level: 2 },
+  { size: 72, snellen: '20/70', logMAR: 0.54, level: 3 },
+  { size: 60, snellen: '20/50', logMAR: 0.4, level: 4 },
+  { size: 48, snellen: '20/40', logMAR: 0.3, level: 5 },
+  { size: 36, snellen: '20/30', logMAR: 0.18, level: 6 },
+  { size: 28, snellen: '20/25', logMAR: 0.1, level: 7 },
+  { size: 24, snellen: '20/20', logMAR: 0.0, level: 8 },
+  { size: 18, snellen: '20/15', logMAR: -0.12, level: 9 },
+  { size: 14, snellen: '20/10', logMAR: -0.3, level: 10 },
 ]
 
 // Explanations for each Snellen score
@@ -41,10 +62,29 @@ const ACUITY_EXPLANATIONS = {
   '20/200': { label: 'Very low vision', description: 'Significant impairment' },
 }
 
-// Number of trials per level
-const TRIALS_PER_LEVEL = 3
-// Minimum correct to pass a level
-const MIN_CORRECT_TO_PASS = 2
+/**
+ * Find the smallest Snellen line at or above a logMAR threshold.
+ * @param {number} logMAR - Measured threshold
+ * @returns {number} Level (1-10), or 0 if worse than the largest line
+ */
+function getLevelForLogMAR(logMAR) {
+  const passed = ACUITY_LEVELS.filter(a => a.logMAR >= logMAR - 0.005)
+  return passed.length ? passed[passed.length - 1].level : 0
+}
+
+/**
+ * Uncalibrated font size for a logMAR value, interpolated between the
+ * fallback sizes of the neighbouring Snellen lines.
+ * @param {number} logMAR
+ * @returns {number} Font size in pixels
+ */
+function getFallbackSize(logMAR) {
+  const upper = ACUITY_LEVELS.find(a => a.logMAR <= logMAR) ?? ACUITY_LEVELS[ACUITY_LEVELS.length - 1]
+  const lower = [...ACUITY_LEVELS].reverse().find(a => a.logMAR >= logMAR) ?? ACUITY_LEVELS[0]
+  if (upper === lower) return upper.size
+  const t = (logMAR - upper.logMAR) / (lower.logMAR - upper.logMAR)
+  return Math.exp(Math.log(upper.size) + t * (Math.log(lower.size) - Math.log(upper.size)))
+}
 
 function TumblingE({ direction, size }) {
   // Rotation degrees for each direction
@@ -109,19 +149,38 @@ export default function VisualAcuityTest() {
   const navigate = useNavigate()
   const { results, updateVisualAcuity, checkAndUnlockAchievements, hasAchievement, isAchievementNew } = useTestResults()
   const { voiceEnabled } = useVoiceCommandSettings()
+  const { calibration, viewingDistanceCm } = useCalibration()
   const [newAchievements, setNewAchievements] = useState([])
   
   const [phase, setPhase] = useState('eye-select') // eye-select, instructions, testing, complete
   const [currentEye, setCurrentEye] = useState(null) // 'left' | 'right' | null
-  const [currentLevel, setCurrentLevel] = useState(0)
-  const [trialInLevel, setTrialInLevel] = useState(0)
-  const [correctInLevel, setCorrectInLevel] = useState(0)
+  const [quest, setQuest] = useState(() => createQuest(ACUITY_QUEST))
   const [currentDirection, setCurrentDirection] = useState(() => 
     DIRECTIONS[Math.floor(Math.random() * DIRECTIONS.length)]
   )
   const [feedback, setFeedback] = useState(null) // 'correct' | 'incorrect' | null
   const [bestLevel, setBestLevel] = useState(0)
+  const [threshold, setThreshold] = useState(null)
   const [testHistory, setTestHistory] = useState([])
+  const [distanceCheckEnabled, setDistanceCheckEnabled] = useState(false)
+
+  const {
+    isSupported: distanceCheckSupported,
+    status: distanceMonitorStatus,
+    distanceCm,
+    distanceStatus,
+    start: startDistanceMonitor,
+    stop: stopDistanceMonitor,
+    reset: resetDistanceMonitor,
+    getSummary: getDistanceSummary,
+  } = useDistanceMonitor({ targetDistanceCm: viewingDistanceCm })
+
+  // Pause while the camera shows the user outside the required distance band
+  const isPaused = phase === 'testing' && (distanceStatus === 'too-close' || distanceStatus === 'too-far')
+  const pausedRef = useRef(isPaused)
+  useEffect(() => {
+    pausedRef.current = isPaused
+  })
 
   const generateNewDirection = useCallback(() => {
     const newDir = DIRECTIONS[Math.floor(Math.random() * DIRECTIONS.length)]
@@ -133,16 +192,27 @@ export default function VisualAcuityTest() {
   // before React re-renders and re-runs the effect with the new feedback value
   const feedbackRef = useRef(feedback)
 
+  // Time the current stimulus became answerable, for reaction times
+  const shownAtRef = useRef(null)
+  const trialCount = quest.trials.length
+  useEffect(() => {
+    if (phase === 'testing' && feedback === null) {
+      shownAtRef.current = performance.now()
+    }
+  }, [phase, feedback, trialCount])
+
   const handleAnswer = useCallback((answer) => {
     const isCorrect = answer === currentDirection
+    const logMAR = questNextIntensity(quest)
     
     // Record this trial
-    setTestHistory(prev => [...prev, {
-      level: currentLevel,
-      expected: currentDirection,
-      answered: answer,
-      correct: isCorrect
-    }])
+    const updatedHistory = [...testHistory, createTrialRecord({
+      stimulus: { direction: currentDirection, logMAR },
+      response: answer,
+      correct: isCorrect,
+      shownAt: shownAtRef.current
+    })]
+    setTestHistory(updatedHistory)
 
     // Show feedback briefly - update ref synchronously to block rapid keypresses
     const newFeedback = isCorrect ? 'correct' : 'incorrect'
@@ -153,37 +223,16 @@ export default function VisualAcuityTest() {
       setFeedback(null)
     }, 300)
 
-    const newCorrectInLevel = isCorrect ? correctInLevel + 1 : correctInLevel
-    const newTrialInLevel = trialInLevel + 1
-
-    if (newTrialInLevel >= TRIALS_PER_LEVEL) {
-      // Finished this level
-      if (newCorrectInLevel >= MIN_CORRECT_TO_PASS) {
-        // Passed this level
-        const newBestLevel = Math.max(bestLevel, currentLevel + 1)
-        setBestLevel(newBestLevel)
-
-        if (currentLevel + 1 >= ACUITY_LEVELS.length) {
-          // Completed all levels!
-          finishTest(newBestLevel)
-        } else {
-          // Move to next level
-          setCurrentLevel(currentLevel + 1)
-          setTrialInLevel(0)
-          setCorrectInLevel(0)
-          generateNewDirection()
-        }
-      } else {
-        // Failed this level - test complete
-        finishTest(bestLevel)
-      }
+    // Update the threshold estimate; the next letter size follows from it
+    const updatedQuest = questUpdate(quest, logMAR, isCorrect)
+    setQuest(updatedQuest)
+
+    if (questIsDone(updatedQuest, ACUITY_STOPPING)) {
+      finishTest(updatedQuest, updatedHistory)
     } else {
-      // Continue with this level
-      setTrialInLevel(newTrialInLevel)
-      setCorrectInLevel(newCorrectInLevel)
       generateNewDirection()
     }
-  }, [currentDirection, currentLevel, trialInLevel, correctInLevel, bestLevel, generateNewDirection])
+  }, [currentDirection, quest, testHistory, generateNewDirection])
 
   // Keep handleAnswer in a ref to avoid re-attaching event listener on every state change
   const handleAnswerRef = useRef(handleAnswer)
@@ -196,7 +245,7 @@ export default function VisualAcuityTest() {
     const handleKeyDown = (event) => {
       // Use ref to get current feedback value synchronously
       // This avoids the closure capturing a stale feedback value
-      if (phase !== 'testing' || feedbackRef.current !== null) return
+      if (phase !== 'testing' || feedbackRef.current !== null || pausedRef.current) return
 
       const keyToDirection = {
         'ArrowUp': 'up',
@@ -219,7 +268,7 @@ export default function VisualAcuityTest() {
   // Voice command handler
   const handleVoiceCommand = useCallback((command) => {
     // Only process direction commands during testing phase
-    if (phase !== 'testing' || feedbackRef.current !== null) return
+    if (phase !== 'testing' || feedbackRef.current !== null || pausedRef.current) return
 
     const validDirections = ['up', 'down', 'left', 'right']
     if (validDirections.includes(command)) {
@@ -242,27 +291,50 @@ export default function VisualAcuityTest() {
     }
   }, [voiceEnabled, phase, startListening, stopListening])
 
+  // Keep the camera running from the instructions screen (so permission is
+  // asked before the test starts) until the test ends
+  useEffect(() => {
+    if (distanceCheckEnabled && (phase === 'instructions' || phase === 'testing')) {
+      startDistanceMonitor()
+    } else {
+      stopDistanceMonitor()
+    }
+  }, [distanceCheckEnabled, phase, startDistanceMonitor, stopDistanceMonitor])
+
   const resetTestState = () => {
-    setCurrentLevel(0)
-    setTrialInLevel(0)
-    setCorrectInLevel(0)
+    setQuest(createQuest(ACUITY_QUEST))
     setBestLevel(0)
+    setThreshold(null)
     setTestHistory([])
     generateNewDirection()
   }
 
-  const finishTest = (finalLevel) => {
+  const finishTest = (finalQuest, finalHistory) => {
+    const estimate = questThreshold(finalQuest)
+    const finalLevel = getLevelForLogMAR(estimate.threshold)
     const acuityData = finalLevel > 0 
       ? ACUITY_LEVELS[finalLevel - 1]
       : { snellen: 'Unable to determine', level: 0 }
     
+    setBestLevel(finalLevel)
+    setThreshold(estimate)
+
     const newResult = {
       snellen: acuityData.snellen,
       level: acuityData.level,
       maxLevel: ACUITY_LEVELS.length,
-      history: testHistory,
+      logMAR: +estimate.threshold.toFixed(2),
+      logMARCI: estimate.ci.map(v => +v.toFixed(2)),
+      method: 'quest',
+      trialCount: estimate.trials,
+      history: finalHistory,
       testedAt: new Date().toISOString()
     }
+
+    const viewingDistance = distanceCheckEnabled ? getDistanceSummary() : null
+    if (viewingDistance) {
+      newResult.viewingDistance = viewingDistance
+    }
     
     // Save result for the current eye
     updateVisualAcuity(currentEye, newResult)
@@ -293,11 +365,18 @@ export default function VisualAcuityTest() {
   }
 
   const startTest = () => {
+    resetDistanceMonitor()
     setPhase('testing')
     generateNewDirection()
   }
 
-  const currentAcuity = ACUITY_LEVELS[currentLevel]
+  // Font size that renders the E's cap height at the visual angle for a logMAR value
+  const getOptotypeSize = (logMAR) => {
+    if (!calibration) return getFallbackSize(logMAR)
+    return visualAngleToPx(logMARToArcmin(logMAR), calibration) / CAP_HEIGHT_RATIO
+  }
+
+  const currentLogMAR = questNextIntensity(quest)
 
   if (phase === 'eye-select') {
     return (
@@ -347,12 +426,22 @@ export default function VisualAcuityTest() {
             label="Test Instructions" 
           />
 
+          <CalibrationNotice />
+
+          <DistanceMonitorOption
+            enabled={distanceCheckEnabled}
+            onChange={setDistanceCheckEnabled}
+            isSupported={distanceCheckSupported}
+            status={distanceMonitorStatus}
+            targetDistanceCm={viewingDistanceCm}
+          />
+
           <div className="bg-slate-50 dark:bg-slate-800 rounded-xl p-6 mb-8">
             <h3 className="font-semibold text-slate-800 dark:text-slate-100 mb-4">Instructions:</h3>
             <ol className="space-y-3 text-slate-600 dark:text-slate-300">
               <li className="flex gap-3">
                 <span className="shrink-0 w-6 h-6 bg-sky-100 dark:bg-sky-900/50 text-sky-600 dark:text-sky-400 rounded-full flex items-center justify-center text-sm font-medium">1</span>
-                <span>Hold your phone at arm's length (~40cm)</span>
+                <span>{calibration ? `Hold your phone ${viewingDistanceCm}cm from your eyes` : "Hold your phone at arm's length (~40cm)"}</span>
               </li>
               <li className="flex gap-3">
                 <span className="shrink-0 w-6 h-6 bg-sky-100 dark:bg-sky-900/50 text-sky-600 dark:text-sky-400 rounded-full flex items-center justify-center text-sm font-medium">2</span>
@@ -364,7 +453,7 @@ export default function VisualAcuityTest() {
               </li>
               <li className="flex gap-3">
                 <span className="shrink-0 w-6 h-6 bg-sky-100 dark:bg-sky-900/50 text-sky-600 dark:text-sky-400 rounded-full flex items-center justify-center text-sm font-medium">4</span>
-                <span>The E will get smaller as you progress</span>
+                <span>The E changes size to find the smallest you can see – guess if you're not sure</span>
               </li>
             </ol>
           </div>
@@ -427,6 +516,11 @@ export default function VisualAcuityTest() {
             <p className="text-sm text-slate-500 mt-2">
               Level {bestLevel} of {ACUITY_LEVELS.length}
             </p>
+            {threshold && (
+              <p className="text-xs text-slate-500 mt-1">
+                logMAR {threshold.threshold.toFixed(2)} (95% CI {threshold.ci[0].toFixed(2)} to {threshold.ci[1].toFixed(2)})
+              </p>
+            )}
           </div>
 
           <div className="bg-slate-50 rounded-xl p-4 mb-6 text-left">
@@ -556,10 +650,7 @@ export default function VisualAcuityTest() {
           {currentEye === 'left' ? '👁️ L' : '👁️ R'}
         </div>
         <div className="text-sm text-slate-500">
-          Lvl {currentLevel + 1}/{ACUITY_LEVELS.length}
-        </div>
-        <div className="text-sm text-slate-500">
-          {trialInLevel + 1}/{TRIALS_PER_LEVEL}
+          Trial {trialCount + 1}/{ACUITY_STOPPING.maxTrials}
         </div>
       </header>
 
@@ -567,7 +658,7 @@ export default function VisualAcuityTest() {
       <div className="h-1 bg-slate-100">
         <div 
           className="h-full bg-sky-500 transition-all duration-300"
-          style={{ width: `${((currentLevel * TRIALS_PER_LEVEL + trialInLevel) / (ACUITY_LEVELS.length * TRIALS_PER_LEVEL)) * 100}%` }}
+          style={{ width: `${(trialCount / ACUITY_STOPPING.maxTrials) * 100}%` }}
         />
       </div>
 
@@ -578,12 +669,23 @@ export default function VisualAcuityTest() {
         ${feedback === 'incorrect' ? 'bg-red-50' : ''}
         transition-colors duration-150
       `}>
-        <TumblingE direction={currentDirection} size={currentAcuity.size} />
+        {isPaused ? (
+          <DistancePrompt
+            distanceStatus={distanceStatus}
+            distanceCm={distanceCm}
+            targetDistanceCm={viewingDistanceCm}
+          />
+        ) : (
+          <TumblingE direction={currentDirection} size={getOptotypeSize(currentLogMAR)} />
+        )}
       </div>
 
       {/* Current acuity level indicator */}
       <div className="text-center py-2 text-sm text-slate-400">
-        Testing: {currentAcuity.snellen}
+        Testing: {logMARToSnellen(currentLogMAR)}
+        {distanceMonitorStatus === 'active' && distanceCm !== null && (
+          <span className="ml-2">· 📷 {distanceCm}cm</span>
+        )}
       </div>
 
       {/* Direction buttons */}
@@ -594,7 +696,7 @@ export default function VisualAcuityTest() {
               key={dir}
               direction={dir}
               onClick={handleAnswer}
-              disabled={feedback !== null}
+              disabled={feedback !== null || isPaused}
             />
           ))}
         </div>
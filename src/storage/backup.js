@@ -0,0 +1,180 @@
+/**
+ * Export files and importing them back.
+ *
+ * An export maps storage keys to their values (see DataSettings) and records
+ * the schema version the data was written with under SCHEMA_VERSION_KEY.
+ * Exports made before the version was included count as version 0. Imported
+ * data goes through the same migrations as stored data (./migrations.js), so
+ * it reads exactly like data that had never left the device. Results are
+ * checked for the current per-eye structure once migrated, so a file cannot
+ * bring back data in a shape the migrations have since replaced.
+ *
+ * Only health data is imported. Preferences, consent, calibration and vault
+ * settings belong to the device they were made on.
+ */
+
+import { SCHEMA_VERSION, RESULTS_KEY, runMigrations } from './migrations'
+import { SCHEMA_VERSION_KEY, STORAGE_PREFIX } from './storage'
+
+export const HISTORY_KEY = 'visioncheck-history'
+export const ACHIEVEMENTS_KEY = 'visioncheck-achievements'
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+// Tests with a result per eye, and those with one result for both eyes
+const PER_EYE_TESTS = ['visualAcuity', 'contrastSensitivity', 'amslerGrid', 'astigmatism', 'peripheralVision', 'hyperacuity', 'eyePhoto']
+const BINOCULAR_TESTS = ['colorVision', 'colorArrangement']
+
+const isResultOrEmpty = (value) => value === null || value === undefined || isPlainObject(value)
+
+// Results in the current schema: per-eye tests hold a left and a right slot
+// (eye photos also an `unknown` one, see migration 3)
+const isCurrentResults = (results) =>
+  PER_EYE_TESTS.every(test => {
+    const perEye = results[test]
+    return perEye === null || perEye === undefined || (
+      isPlainObject(perEye) && 'left' in perEye && 'right' in perEye &&
+      isResultOrEmpty(perEye.left) && isResultOrEmpty(perEye.right) && isResultOrEmpty(perEye.unknown)
+    )
+  }) &&
+  BINOCULAR_TESTS.every(test => isResultOrEmpty(results[test])) &&
+  (results.completedAt === null || results.completedAt === undefined || typeof results.completedAt === 'string')
+
+// Checks for every key that can be imported
+const VALIDATORS = {
+  [RESULTS_KEY]: isPlainObject,
+  [HISTORY_KEY]: (value) => Array.isArray(value) && value.every(session =>
+    isPlainObject(session) &&
+    (typeof session.id === 'number' || typeof session.id === 'string') &&
+    !Number.isNaN(Date.parse(session.date))
+  ),
+  [ACHIEVEMENTS_KEY]: (value) => isPlainObject(value) &&
+    Object.values(value).every(achievement => isPlainObject(achievement) && typeof achievement.unlockedAt === 'string'),
+}
+
+export const IMPORTABLE_KEYS = Object.keys(VALIDATORS)
+
+/**
+ * Build the export file contents for a set of stored values.
+ * @param {Object} data - Map of storage key to value
+ * @returns {Object} JSON-serialisable export
+ */
+export function createBackup(data) {
+  return { ...data, [SCHEMA_VERSION_KEY]: SCHEMA_VERSION }
+}
+
+/**
+ * Parse and validate an export file and migrate it to the current schema.
+ * @param {string} text - File contents
+ * @returns {{data: Object, version: number, ignoredKeys: string[]}|{error: 'invalidJson'|'notABackup'|'newerVersion'|'invalidData', key?: string}}
+ *   The importable values, or the reason the file was rejected
+ */
+export function parseBackup(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    return { error: 'invalidJson' }
+  }
+  if (!isPlainObject(parsed) || Object.keys(parsed).some(key => !key.startsWith(STORAGE_PREFIX))) {
+    return { error: 'notABackup' }
+  }
+
+  const version = parsed[SCHEMA_VERSION_KEY] ?? 0
+  if (!Number.isInteger(version) || version < 0) return { error: 'invalidData', key: SCHEMA_VERSION_KEY }
+  if (version > SCHEMA_VERSION) return { error: 'newerVersion' }
+
+  const data = {}
+  const ignoredKeys = []
+  for (const [key, value] of Object.entries(parsed)) {
+    if (key === SCHEMA_VERSION_KEY || value === null) continue
+    if (!VALIDATORS[key]) {
+      ignoredKeys.push(key)
+    } else if (!VALIDATORS[key](value)) {
+      return { error: 'invalidData', key }
+    } else {
+      data[key] = value
+    }
+  }
+  if (Object.keys(data).length === 0) return { error: 'notABackup' }
+
+  const migrated = runMigrations(data, version).data
+  if (migrated[RESULTS_KEY] && !isCurrentResults(migrated[RESULTS_KEY])) return { error: 'invalidData', key: RESULTS_KEY }
+
+  return { data: migrated, version, ignoredKeys }
+}
+
+const sessionIds = (history) => new Set((history ?? []).map(session => String(session.id)))
+
+/**
+ * Summarise what importing would change.
+ * @param {Object} current - Current values of IMPORTABLE_KEYS
+ * @param {Object} imported - Values from parseBackup
+ * @returns {{history: {current: number, imported: number, added: number, removed: number}, results: {current: boolean, imported: boolean}, achievements: {added: string[], removed: string[]}}}
+ *   `added` counts entries merging would add; `removed` counts entries replacing would drop
+ */
+export function previewImport(current, imported) {
+  const currentHistory = current[HISTORY_KEY] ?? []
+  const importedHistory = imported[HISTORY_KEY] ?? []
+  const currentIds = sessionIds(currentHistory)
+  const importedIds = sessionIds(importedHistory)
+  const currentAchievements = Object.keys(current[ACHIEVEMENTS_KEY] ?? {})
+  const importedAchievements = Object.keys(imported[ACHIEVEMENTS_KEY] ?? {})
+
+  return {
+    history: {
+      current: currentHistory.length,
+      imported: importedHistory.length,
+      added: importedHistory.filter(session => !currentIds.has(String(session.id))).length,
+      removed: currentHistory.filter(session => !importedIds.has(String(session.id))).length
+    },
+    results: {
+      current: !!current[RESULTS_KEY],
+      imported: !!imported[RESULTS_KEY]
+    },
+    achievements: {
+      added: importedAchievements.filter(id => !currentAchievements.includes(id)),
+      removed: currentAchievements.filter(id => !importedAchievements.includes(id))
+    }
+  }
+}
+
+/**
+ * Work out the values to store for an import.
+ *
+ * - merge: sessions and achievements from both are kept (current wins on
+ *   duplicates) and the current results stay unless there are none
+ * - replace: results, history and achievements become the file's, and are
+ *   removed where the file has none
+ * @param {Object} current - Current values of IMPORTABLE_KEYS
+ * @param {Object} imported - Values from parseBackup
+ * @param {'merge'|'replace'} mode
+ * @param {Object} [options]
+ * @param {number} [options.historyLimit] - Keep at most this many sessions (newest first)
+ * @returns {Object} Map of storage key to new value; null means remove
+ */
+export function applyImport(current, imported, mode, { historyLimit = Infinity } = {}) {
+  const updates = {}
+  let history
+  if (mode === 'replace') {
+    updates[RESULTS_KEY] = imported[RESULTS_KEY] ?? null
+    updates[ACHIEVEMENTS_KEY] = imported[ACHIEVEMENTS_KEY] ?? null
+    history = imported[HISTORY_KEY] ?? []
+  } else {
+    updates[RESULTS_KEY] = current[RESULTS_KEY] ?? imported[RESULTS_KEY] ?? null
+    updates[ACHIEVEMENTS_KEY] = { ...imported[ACHIEVEMENTS_KEY], ...current[ACHIEVEMENTS_KEY] }
+    const currentHistory = current[HISTORY_KEY] ?? []
+    const currentIds = sessionIds(currentHistory)
+    history = [
+      ...currentHistory,
+      ...(imported[HISTORY_KEY] ?? []).filter(session => !currentIds.has(String(session.id)))
+    ]
+  }
+
+  const sorted = [...history].sort((a, b) => Date.parse(b.date) - Date.parse(a.date))
+  updates[HISTORY_KEY] = sorted.length > 0 ? sorted.slice(0, historyLimit) : null
+  if (updates[ACHIEVEMENTS_KEY] && Object.keys(updates[ACHIEVEMENTS_KEY]).length === 0) {
+    updates[ACHIEVEMENTS_KEY] = null
+  }
+  return updates
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest'
+import { createBackup, parseBackup, previewImport, applyImport, HISTORY_KEY, ACHIEVEMENTS_KEY } from './backup'
+import { RESULTS_KEY, SCHEMA_VERSION } from './migrations'
+import { SCHEMA_VERSION_KEY } from './storage'
+
+const session = (id, date) => ({ id, date, visualAcuity: { left: { snellen: '20/20' }, right: null } })
+
+describe('backup', () => {
+  it('records the schema version in exports', () => {
+    const backup = createBackup({ [HISTORY_KEY]: [] })
+    expect(backup[SCHEMA_VERSION_KEY]).toBe(SCHEMA_VERSION)
+  })
+
+  it('round-trips an export', () => {
+    const data = {
+      [RESULTS_KEY]: { visualAcuity: { left: null, right: null }, contrastSensitivity: { left: null, right: null }, amslerGrid: { left: null, right: null }, astigmatism: { left: null, right: null }, peripheralVision: { left: null, right: null } },
+      [HISTORY_KEY]: [session(1, '2024-01-15T10:00:00.000Z')],
+      [ACHIEVEMENTS_KEY]: { firstTest: { unlockedAt: '2024-01-15T10:00:00.000Z', isNew: false } },
+      'visioncheck-theme': 'dark'
+    }
+
+    const parsed = parseBackup(JSON.stringify(createBackup(data)))
+
+    expect(parsed.version).toBe(SCHEMA_VERSION)
+    expect(parsed.data).toEqual({
+      [RESULTS_KEY]: data[RESULTS_KEY],
+      [HISTORY_KEY]: data[HISTORY_KEY],
+      [ACHIEVEMENTS_KEY]: data[ACHIEVEMENTS_KEY]
+    })
+    expect(parsed.ignoredKeys).toEqual(['visioncheck-theme'])
+  })
+
+  it('migrates exports made before versions were recorded', () => {
+    const parsed = parseBackup(JSON.stringify({
+      [RESULTS_KEY]: { visualAcuity: { snellen: '20/20', level: 8 }, eyePhoto: { imageData: 'data:image/jpeg;base64,AAAA' } }
+    }))
+
+    expect(parsed.version).toBe(0)
+    expect(parsed.data[RESULTS_KEY].visualAcuity).toEqual({ left: null, right: null })
+    expect(parsed.data[RESULTS_KEY].eyePhoto).toEqual({ left: null, right: null })
+  })
+
+  it('rejects files that are not exports', () => {
+    expect(parseBackup('not json')).toEqual({ error: 'invalidJson' })
+    expect(parseBackup('[]')).toEqual({ error: 'notABackup' })
+    expect(parseBackup(JSON.stringify({ name: 'x' }))).toEqual({ error: 'notABackup' })
+    expect(parseBackup(JSON.stringify({ 'visioncheck-theme': 'dark' }))).toEqual({ error: 'notABackup' })
+  })
+
+  it('rejects exports from a newer version', () => {
+    const text = JSON.stringify({ [SCHEMA_VERSION_KEY]: SCHEMA_VERSION + 1, [HISTORY_KEY]: [] })
+    expect(parseBackup(text)).toEqual({ error: 'newerVersion' })
+  })
+
+  it('rejects malformed data', () => {
+    expect(parseBackup(JSON.stringify({ [HISTORY_KEY]: [{ id: 1 }] }))).toEqual({ error: 'invalidData', key: HISTORY_KEY })
+    expect(parseBackup(JSON.stringify({ [RESULTS_KEY]: [] }))).toEqual({ error: 'invalidData', key: RESULTS_KEY })
+    expect(parseBackup(JSON.stringify({ [ACHIEVEMENTS_KEY]: { a: true } }))).toEqual({ error: 'invalidData', key: ACHIEVEMENTS_KEY })
+    expect(parseBackup(JSON.stringify({ [SCHEMA_VERSION_KEY]: 'two', [HISTORY_KEY]: [] }))).toEqual({ error: 'invalidData', key: SCHEMA_VERSION_KEY })
+  })
+
+  it('rejects results that do not have the per-eye structure once migrated', () => {
+    const current = (results) => JSON.stringify({ [SCHEMA_VERSION_KEY]: SCHEMA_VERSION, [RESULTS_KEY]: results })
+
+    expect(parseBackup(current({ eyePhoto: { analysis: 'ok' } }))).toEqual({ error: 'invalidData', key: RESULTS_KEY })
+    expect(parseBackup(current({ visualAcuity: '20/20' }))).toEqual({ error: 'invalidData', key: RESULTS_KEY })
+    expect(parseBackup(current({ hyperacuity: { left: 'normal', right: null } }))).toEqual({ error: 'invalidData', key: RESULTS_KEY })
+    expect(parseBackup(current({ colorVision: [8] }))).toEqual({ error: 'invalidData', key: RESULTS_KEY })
+    expect(parseBackup(current({ eyePhoto: { left: null, right: null, unknown: { analysis: 'ok' } }, colorVision: null })).data[RESULTS_KEY])
+      .toEqual({ eyePhoto: { left: null, right: null, unknown: { analysis: 'ok' } }, colorVision: null })
+  })
+
+  it('migrates an older single eye photo instead of rejecting it', () => {
+    const parsed = parseBackup(JSON.stringify({ [SCHEMA_VERSION_KEY]: 2, [RESULTS_KEY]: { eyePhoto: { status: 'analyzed', analysis: 'ok' } } }))
+
+    expect(parsed.data[RESULTS_KEY].eyePhoto).toEqual({ left: null, right: null, unknown: { status: 'analyzed', analysis: 'ok' } })
+  })
+
+  describe('merge and replace', () => {
+    const current = {
+      [RESULTS_KEY]: { completedAt: 'current' },
+      [HISTORY_KEY]: [session(2, '2024-02-01T00:00:00.000Z'), session(1, '2024-01-01T00:00:00.000Z')],
+      [ACHIEVEMENTS_KEY]: { firstTest: { unlockedAt: 'a', isNew: false } }
+    }
+    const imported = {
+      [RESULTS_KEY]: { completedAt: 'imported' },
+      [HISTORY_KEY]: [session(3, '2024-03-01T00:00:00.000Z'), session(1, '2024-01-01T00:00:00.000Z')],
+      [ACHIEVEMENTS_KEY]: { firstTest: { unlockedAt: 'b', isNew: true }, streak: { unlockedAt: 'c' } }
+    }
+
+    it('previews both options', () => {
+      expect(previewImport(current, imported)).toEqual({
+        history: { current: 2, imported: 2, added: 1, removed: 1 },
+        results: { current: true, imported: true },
+        achievements: { added: ['streak'], removed: [] }
+      })
+    })
+
+    it('merges history without duplicates and keeps current data', () => {
+      const updates = applyImport(current, imported, 'merge')
+
+      expect(updates[HISTORY_KEY].map(s => s.id)).toEqual([3, 2, 1])
+      expect(updates[RESULTS_KEY]).toEqual({ completedAt: 'current' })
+      expect(updates[ACHIEVEMENTS_KEY]).toEqual({ firstTest: { unlockedAt: 'a', isNew: false }, streak: { unlockedAt: 'c' } })
+    })
+
+    it('takes imported results when there are none', () => {
+      const updates = applyImport({}, imported, 'merge')
+      expect(updates[RESULTS_KEY]).toEqual({ completedAt: 'imported' })
+    })
+
+    it('replaces data with the file', () => {
+      const updates = applyImport(current, { [HISTORY_KEY]: imported[HISTORY_KEY] }, 'replace')
+
+      expect(updates[HISTORY_KEY].map(s => s.id)).toEqual([3, 1])
+      expect(updates[RESULTS_KEY]).toBeNull()
+      expect(updates[ACHIEVEMENTS_KEY]).toBeNull()
+    })
+
+    it('keeps the newest sessions within the history limit', () => {
+      const updates = applyImport(current, imported, 'merge', { historyLimit: 2 })
+      expect(updates[HISTORY_KEY].map(s => s.id)).toEqual([3, 2])
+    })
+  })
+})
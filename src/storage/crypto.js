@@ -0,0 +1,142 @@
+/**
+ * Web Crypto helpers for the health data vault.
+ *
+ * A 256-bit AES-GCM key is derived from the user's passphrase or PIN with
+ * PBKDF2-SHA-256. Only the salt, iteration count and an encrypted check
+ * value are stored; the key itself exists in memory while the vault is
+ * unlocked and is never persisted.
+ */
+
+export const VAULT_FORMAT_VERSION = 1
+export const PBKDF2_ITERATIONS = 600000
+
+// Known plaintext encrypted with the key so a wrong passphrase can be
+// detected without touching any health data
+const VERIFIER_TEXT = 'visioncheck-vault'
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+function toBase64(bytes) {
+  let binary = ''
+  new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte) })
+  return btoa(binary)
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0))
+}
+
+/**
+ * Derive the vault key from a passphrase.
+ * @param {string} passphrase - User passphrase or PIN
+ * @param {Uint8Array} salt - Random per-vault salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+export async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+/**
+ * Encrypt a JSON-compatible value.
+ * @param {CryptoKey} key - Vault key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<{encrypted: true, iv: string, data: string}>} Envelope safe to store as JSON
+ */
+export async function encryptValue(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)))
+  return { encrypted: true, iv: toBase64(iv), data: toBase64(data) }
+}
+
+/**
+ * Decrypt an envelope created by encryptValue.
+ * @param {CryptoKey} key - Vault key
+ * @param {{iv: string, data: string}} envelope - Encrypted value
+ * @returns {Promise<*>} The original value
+ * @throws {Error} If the key is wrong or the data was modified
+ */
+export async function decryptValue(key, envelope) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+    key,
+    fromBase64(envelope.data)
+  )
+  return JSON.parse(decoder.decode(plaintext))
+}
+
+/**
+ * Encrypt binary data such as an image.
+ * @param {CryptoKey} key - Vault key
+ * @param {ArrayBuffer|Uint8Array} bytes - Data to encrypt
+ * @returns {Promise<{iv: string, data: ArrayBuffer}>}
+ */
+export async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes)
+  return { iv: toBase64(iv), data }
+}
+
+/**
+ * Decrypt binary data created by encryptBytes.
+ * @param {CryptoKey} key - Vault key
+ * @param {{iv: string, data: ArrayBuffer}} envelope - Encrypted data
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function decryptBytes(key, envelope) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, envelope.data)
+}
+
+/**
+ * Check whether a stored value is an encrypted envelope.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return !!value && typeof value === 'object' && value.encrypted === true &&
+    typeof value.iv === 'string' && typeof value.data === 'string'
+}
+
+/**
+ * Set up a new vault for a passphrase.
+ * @param {string} passphrase - User passphrase or PIN
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - PBKDF2 iteration count
+ * @returns {Promise<{key: CryptoKey, meta: Object}>} Key plus the metadata to store
+ */
+export async function createVaultKey(passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const key = await deriveKey(passphrase, salt, iterations)
+  return {
+    key,
+    meta: {
+      version: VAULT_FORMAT_VERSION,
+      salt: toBase64(salt),
+      iterations,
+      verifier: await encryptValue(key, VERIFIER_TEXT)
+    }
+  }
+}
+
+/**
+ * Derive the key for an existing vault and check the passphrase.
+ * @param {Object} meta - Stored vault metadata from createVaultKey
+ * @param {string} passphrase - Passphrase to try
+ * @returns {Promise<CryptoKey|null>} The key, or null if the passphrase is wrong
+ */
+export async function openVaultKey(meta, passphrase) {
+  const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations)
+  try {
+    return (await decryptValue(key, meta.verifier)) === VERIFIER_TEXT ? key : null
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createVaultKey,
+  openVaultKey,
+  encryptValue,
+  decryptValue,
+  encryptBytes,
+  decryptBytes,
+  isEncrypted,
+} from './crypto'
+
+// Keep key derivation fast in tests
+const FAST = { iterations: 1000 }
+
+describe('vault crypto', () => {
+  it('round-trips JSON values', async () => {
+    const { key } = await createVaultKey('1234', FAST)
+    const value = { visualAcuity: { left: { snellen: '20/20' } }, note: 'ü' }
+
+    const envelope = await encryptValue(key, value)
+
+    expect(isEncrypted(envelope)).toBe(true)
+    expect(envelope.data).not.toContain('20/20')
+    expect(await decryptValue(key, envelope)).toEqual(value)
+  })
+
+  it('uses a fresh IV for every encryption', async () => {
+    const { key } = await createVaultKey('1234', FAST)
+    const a = await encryptValue(key, 'same')
+    const b = await encryptValue(key, 'same')
+    expect(a.iv).not.toBe(b.iv)
+    expect(a.data).not.toBe(b.data)
+  })
+
+  it('opens the vault with the right passphrase only', async () => {
+    const { meta } = await createVaultKey('correct horse', FAST)
+
+    expect(meta.iterations).toBe(1000)
+    expect(JSON.stringify(meta)).not.toContain('correct horse')
+    expect(await openVaultKey(meta, 'correct horse')).not.toBeNull()
+    expect(await openVaultKey(meta, 'wrong')).toBeNull()
+  })
+
+  it('rejects tampered data', async () => {
+    const { key } = await createVaultKey('1234', FAST)
+    const envelope = await encryptValue(key, { a: 1 })
+    const bytes = atob(envelope.data)
+    const tampered = { ...envelope, data: btoa(String.fromCharCode(bytes.charCodeAt(0) ^ 1) + bytes.slice(1)) }
+
+    await expect(decryptValue(key, tampered)).rejects.toThrow()
+  })
+
+  it('round-trips binary data', async () => {
+    const { key } = await createVaultKey('1234', FAST)
+    const bytes = new Uint8Array([1, 2, 3, 250])
+
+    const envelope = await encryptBytes(key, bytes)
+
+    expect(new Uint8Array(await decryptBytes(key, envelope))).toEqual(bytes)
+  })
+
+  it('recognises envelopes', () => {
+    expect(isEncrypted({ encrypted: true, iv: 'a', data: 'b' })).toBe(true)
+    expect(isEncrypted({ visualAcuity: {} })).toBe(false)
+    expect(isEncrypted('text')).toBe(false)
+    expect(isEncrypted(null)).toBe(false)
+  })
+})
@@ -0,0 +1,148 @@
+/**
+ * Thin promise wrappers around IndexedDB.
+ *
+ * The database has two object stores:
+ * - records: JSON-compatible values keyed by their storage key
+ * - images:  captured eye images stored as Blobs (or encrypted envelopes
+ *            when the vault is enabled), keyed by generated id
+ *
+ * DB_VERSION describes the object store layout only. The shape of the data
+ * inside the records is versioned separately by the migrations module.
+ */
+
+export const DB_NAME = 'visioncheck'
+export const DB_VERSION = 1
+
+const RECORDS_STORE = 'records'
+const IMAGES_STORE = 'images'
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Resolve once a transaction has committed
+function completion(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Open (and if needed create) the database.
+ * @param {IDBFactory} idb - IndexedDB factory, usually window.indexedDB
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(idb) {
+  const request = idb.open(DB_NAME, DB_VERSION)
+  request.onupgradeneeded = () => {
+    const db = request.result
+    if (!db.objectStoreNames.contains(RECORDS_STORE)) {
+      db.createObjectStore(RECORDS_STORE)
+    }
+    if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+      db.createObjectStore(IMAGES_STORE)
+    }
+  }
+  return promisify(request).then(db => {
+    // Let another tab upgrade or delete the database
+    db.onversionchange = () => db.close()
+    return db
+  })
+}
+
+/**
+ * Read every record into a plain object.
+ * @param {IDBDatabase} db
+ * @returns {Promise<Object>} Map of key to value
+ */
+export async function readAllRecords(db) {
+  const store = db.transaction(RECORDS_STORE, 'readonly').objectStore(RECORDS_STORE)
+  const [keys, values] = await Promise.all([
+    promisify(store.getAllKeys()),
+    promisify(store.getAll())
+  ])
+  return Object.fromEntries(keys.map((key, i) => [key, values[i]]))
+}
+
+/**
+ * Write several records in one transaction. Undefined values delete the key.
+ * @param {IDBDatabase} db
+ * @param {Object} entries - Map of key to value
+ * @returns {Promise<void>}
+ */
+export function writeRecords(db, entries) {
+  const transaction = db.transaction(RECORDS_STORE, 'readwrite')
+  const store = transaction.objectStore(RECORDS_STORE)
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value === undefined) {
+      store.delete(key)
+    } else {
+      store.put(value, key)
+    }
+  })
+  return completion(transaction)
+}
+
+/**
+ * Store an image blob.
+ * @param {IDBDatabase} db
+ * @param {string} id - Image id
+ * @param {Blob} blob - Image data
+ * @returns {Promise<void>}
+ */
+export function putImage(db, id, blob) {
+  const transaction = db.transaction(IMAGES_STORE, 'readwrite')
+  transaction.objectStore(IMAGES_STORE).put(blob, id)
+  return completion(transaction)
+}
+
+/**
+ * Load an image blob.
+ * @param {IDBDatabase} db
+ * @param {string} id - Image id
+ * @returns {Promise<Blob|null>}
+ */
+export async function getImage(db, id) {
+  const store = db.transaction(IMAGES_STORE, 'readonly').objectStore(IMAGES_STORE)
+  const blob = await promisify(store.get(id))
+  return blob ?? null
+}
+
+/**
+ * Remove one image.
+ * @param {IDBDatabase} db
+ * @param {string} id - Image id
+ * @returns {Promise<void>}
+ */
+export function deleteImage(db, id) {
+  const transaction = db.transaction(IMAGES_STORE, 'readwrite')
+  transaction.objectStore(IMAGES_STORE).delete(id)
+  return completion(transaction)
+}
+
+/**
+ * List the ids of all stored images.
+ * @param {IDBDatabase} db
+ * @returns {Promise<string[]>}
+ */
+export function listImageIds(db) {
+  const store = db.transaction(IMAGES_STORE, 'readonly').objectStore(IMAGES_STORE)
+  return promisify(store.getAllKeys())
+}
+
+/**
+ * Remove every image.
+ * @param {IDBDatabase} db
+ * @returns {Promise<void>}
+ */
+export function clearImages(db) {
+  const transaction = db.transaction(IMAGES_STORE, 'readwrite')
+  transaction.objectStore(IMAGES_STORE).clear()
+  return completion(transaction)
+}
@@ -0,0 +1,108 @@
+/**
+ * Schema migrations for stored data.
+ *
+ * Each migration receives a snapshot of all stored records ({ key: value })
+ * and returns the updated snapshot. Migrations run in order from the stored
+ * schema version up to SCHEMA_VERSION, on whichever backend is in use, and
+ * must be safe to run on data that is already partly up to date.
+ *
+ * To change the shape of stored data, add a migration here and bump
+ * SCHEMA_VERSION instead of patching data when it is loaded. Profile data
+ * other than the default profile's is stored under `<key>:<profileId>`
+ * (see PROFILE_KEYS in ./storage.js); new migrations must cover those keys.
+ * Migrations 1 and 2 predate profiles and only touch the plain keys.
+ */
+
+export const RESULTS_KEY = 'visioncheck-results'
+
+// Tests that store a result per eye
+const PER_EYE_TESTS = ['visualAcuity', 'contrastSensitivity', 'amslerGrid', 'astigmatism', 'peripheralVision']
+
+// Results saved before per-eye testing held a single object per test
+const isSingleResult = (data) => !!data && (
+  data.snellen !== undefined ||
+  data.level !== undefined ||
+  data.logCS !== undefined ||
+  data.hasIssues !== undefined
+)
+
+// Results of the default profile and of every other profile
+const isResultsKey = (key) => key === RESULTS_KEY || key.startsWith(`${RESULTS_KEY}:`)
+
+const isPerEyePhoto = (eyePhoto) => !!eyePhoto && typeof eyePhoto === 'object' && 'left' in eyePhoto && 'right' in eyePhoto
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Per-eye results: single-eye results are discarded, missing tests get empty slots',
+    migrate: (data) => {
+      const results = data[RESULTS_KEY]
+      if (!results || typeof results !== 'object') return data
+
+      const outdated = PER_EYE_TESTS.filter(test => !results[test] || isSingleResult(results[test]))
+      if (outdated.length === 0) return data
+
+      const migrated = { ...results }
+      outdated.forEach(test => {
+        migrated[test] = { left: null, right: null }
+      })
+      return { ...data, [RESULTS_KEY]: migrated }
+    }
+  },
+  {
+    version: 2,
+    description: 'Eye photos are stored as image blobs; inline base64 images are dropped',
+    migrate: (data) => {
+      const results = data[RESULTS_KEY]
+      if (!results?.eyePhoto?.imageData) return data
+      return {
+        ...data,
+        [RESULTS_KEY]: { ...results, eyePhoto: { ...results.eyePhoto, imageData: null } }
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Per-eye eye photos: a photo taken before the eye could be chosen is kept as a photo of an unknown eye',
+    migrate: (data) => {
+      const outdated = Object.keys(data).filter(key =>
+        isResultsKey(key) && data[key] && typeof data[key] === 'object' && !isPerEyePhoto(data[key].eyePhoto)
+      )
+      if (outdated.length === 0) return data
+
+      // Unlike single-eye test results, a photo analysis cannot be redone
+      // from old data, so it is kept. Sessions saved to history keep their
+      // photo as it was
+      const migrated = { ...data }
+      outdated.forEach(key => {
+        const photo = data[key].eyePhoto
+        migrated[key] = {
+          ...data[key],
+          eyePhoto: { left: null, right: null, ...((photo?.analysis || photo?.imageId) && { unknown: photo }) }
+        }
+      })
+      return migrated
+    }
+  },
+]
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+/**
+ * Bring a snapshot of stored records up to the current schema version.
+ * @param {Object} data - Map of storage key to value
+ * @param {number} fromVersion - Schema version the data was written with (0 if unknown)
+ * @returns {{data: Object, changedKeys: string[]}} Migrated snapshot and the keys whose values changed
+ */
+export function runMigrations(data, fromVersion) {
+  let migrated = data
+  MIGRATIONS
+    .filter(m => m.version > fromVersion)
+    .forEach(m => {
+      migrated = m.migrate(migrated)
+    })
+
+  const keys = new Set([...Object.keys(data), ...Object.keys(migrated)])
+  const changedKeys = [...keys].filter(key => migrated[key] !== data[key])
+  return { data: migrated, changedKeys }
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import { MIGRATIONS, SCHEMA_VERSION, RESULTS_KEY, runMigrations } from './migrations'
+
+describe('schema migrations', () => {
+  it('has consecutive versions ending at SCHEMA_VERSION', () => {
+    MIGRATIONS.forEach((m, i) => expect(m.version).toBe(i + 1))
+    expect(SCHEMA_VERSION).toBe(MIGRATIONS.length)
+  })
+
+  it('resets single-eye results and fills missing per-eye tests', () => {
+    const data = {
+      [RESULTS_KEY]: {
+        visualAcuity: { snellen: '20/20', level: 8 },
+        contrastSensitivity: { left: { logCS: 1.5 }, right: null },
+        colorVision: { correctCount: 8 }
+      }
+    }
+
+    const { data: migrated, changedKeys } = runMigrations(data, 0)
+
+    expect(migrated[RESULTS_KEY].visualAcuity).toEqual({ left: null, right: null })
+    expect(migrated[RESULTS_KEY].contrastSensitivity).toEqual({ left: { logCS: 1.5 }, right: null })
+    expect(migrated[RESULTS_KEY].astigmatism).toEqual({ left: null, right: null })
+    expect(migrated[RESULTS_KEY].peripheralVision).toEqual({ left: null, right: null })
+    expect(migrated[RESULTS_KEY].colorVision).toEqual({ correctCount: 8 })
+    expect(changedKeys).toEqual([RESULTS_KEY])
+  })
+
+  it('drops inline eye photo images', () => {
+    const data = {
+      [RESULTS_KEY]: { eyePhoto: { imageData: 'data:image/jpeg;base64,AAAA', analysis: 'ok' } }
+    }
+
+    const migrated = MIGRATIONS[1].migrate(data)
+
+    expect(migrated[RESULTS_KEY].eyePhoto).toEqual({ imageData: null, analysis: 'ok' })
+  })
+
+  it('gives every profile per-eye eye photo slots and keeps old photos as of an unknown eye', () => {
+    const photo = { status: 'analyzed', analysis: 'ok', imageId: 'img-1' }
+    const perEye = { left: { status: 'analyzed', analysis: 'ok' }, right: null }
+    const data = {
+      [RESULTS_KEY]: { eyePhoto: photo, colorVision: { correctCount: 8 } },
+      [`${RESULTS_KEY}:anna`]: { eyePhoto: null },
+      [`${RESULTS_KEY}:ben`]: { eyePhoto: perEye },
+      'visioncheck-history': [{ eyePhoto: photo }]
+    }
+
+    const { data: migrated, changedKeys } = runMigrations(data, 2)
+
+    expect(migrated[RESULTS_KEY]).toEqual({ eyePhoto: { left: null, right: null, unknown: photo }, colorVision: { correctCount: 8 } })
+    expect(migrated[RESULTS_KEY].eyePhoto.unknown.analysis).toBe('ok')
+    expect(migrated[`${RESULTS_KEY}:anna`].eyePhoto).toEqual({ left: null, right: null })
+    expect(migrated[`${RESULTS_KEY}:ben`].eyePhoto).toBe(perEye)
+    expect(migrated['visioncheck-history']).toEqual([{ eyePhoto: photo }])
+    expect(changedKeys.sort()).toEqual([RESULTS_KEY, `${RESULTS_KEY}:anna`])
+  })
+
+  it('only runs migrations newer than the stored version', () => {
+    const data = { [RESULTS_KEY]: { visualAcuity: { snellen: '20/20' } } }
+
+    const { data: migrated, changedKeys } = runMigrations(data, SCHEMA_VERSION)
+
+    expect(migrated).toBe(data)
+    expect(changedKeys).toEqual([])
+  })
+
+  it('is safe to run on data that is already up to date', () => {
+    const { data: once } = runMigrations({ [RESULTS_KEY]: { visualAcuity: { snellen: '20/20' } } }, 0)
+    const { changedKeys } = runMigrations(once, 0)
+
+    expect(changedKeys).toEqual([])
+  })
+
+  it('leaves other keys untouched', () => {
+    const data = { 'visioncheck-theme': 'dark', 'visioncheck-history': [{ id: 1 }] }
+
+    const { data: migrated, changedKeys } = runMigrations(data, 0)
+
+    expect(migrated).toEqual(data)
+    expect(changedKeys).toEqual([])
+  })
+})
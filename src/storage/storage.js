@@ -0,0 +1,734 @@
+/**
+ * Versioned persistence layer.
+ *
+ * All app data goes through this module instead of calling localStorage
+ * directly. After initStorage() resolves, data lives in IndexedDB and reads
+ * are served synchronously from an in-memory copy so contexts can keep
+ * loading their state in useState initialisers. Writes update the copy
+ * immediately and are committed to IndexedDB in the background.
+ *
+ * When IndexedDB is unavailable (older browsers, some private modes, or
+ * before initStorage() has run, as in unit tests) the same API falls back to
+ * localStorage using the original key names and value formats. Captured
+ * images can only be kept on the IndexedDB backend, and are deleted once no
+ * results or history reference them.
+ *
+ * Stored data is versioned: see ./migrations.js.
+ *
+ * Health data can optionally be kept in an encrypted vault (VAULT_KEYS). The
+ * values are then stored as AES-GCM envelopes and are only readable while the
+ * vault is unlocked; see ./crypto.js.
+ *
+ * Several people can share a device through profiles (PROFILES_KEY). Their
+ * health data and consent (PROFILE_KEYS) are read and written for the active
+ * profile; see storageKeyFor().
+ */
+
+import { SCHEMA_VERSION, runMigrations } from './migrations'
+import { openDatabase, readAllRecords, writeRecords, putImage, getImage, deleteImage, listImageIds, clearImages } from './indexedDb'
+import {
+  createVaultKey,
+  openVaultKey,
+  encryptValue,
+  decryptValue,
+  encryptBytes,
+  decryptBytes,
+  isEncrypted,
+} from './crypto'
+
+export const STORAGE_PREFIX = 'visioncheck-'
+export const SCHEMA_VERSION_KEY = 'visioncheck-schema-version'
+
+// Keys that stay in localStorage on every backend because they are read
+// synchronously outside React (i18next's language detector)
+export const LOCAL_ONLY_KEYS = ['visioncheck-language']
+
+// Vault metadata (salt, iteration count, passphrase check); never secret
+export const VAULT_META_KEY = 'visioncheck-vault'
+
+// Health data that is encrypted while the vault is enabled
+export const VAULT_KEYS = [
+  'visioncheck-results',
+  'visioncheck-history',
+  'visioncheck-achievements',
+  'visioncheck-chat'
+]
+
+// Vault keys that are dropped rather than decrypted when the vault is turned
+// off, because they are never stored in plaintext
+const VAULT_ONLY_KEYS = ['visioncheck-chat']
+
+// Device-wide list of profiles and the id of the active one
+export const PROFILES_KEY = 'visioncheck-profiles'
+export const DEFAULT_PROFILE_ID = 'default'
+
+// Data kept separately for each profile. The default profile uses the plain
+// key names, so data saved before profiles existed belongs to it; other
+// profiles store under `<key>:<profileId>`.
+export const PROFILE_KEYS = [
+  'visioncheck-results',
+  'visioncheck-history',
+  'visioncheck-achievements',
+  'visioncheck-consent',
+  'visioncheck-chat'
+]
+
+// Data that references stored images by id; images neither holds are deleted
+const IMAGE_REFERENCE_KEYS = ['visioncheck-results', 'visioncheck-history']
+
+let db = null
+let cache = null
+let pendingWrite = Promise.resolve()
+
+// Vault key and decrypted vault values; both only held while unlocked
+let vaultKey = null
+const vaultData = new Map()
+
+// Read from PROFILES_KEY on first use and whenever that record changes
+let activeProfileId = null
+
+// Images saved in this session that stored data may not reference yet
+const unreferencedImages = new Set()
+let imagePruneQueued = false
+
+const isLocalOnly = (key) => LOCAL_ONLY_KEYS.includes(key)
+const baseKeyOf = (key) => key.split(':')[0]
+const isVaultKey = (key) => VAULT_KEYS.includes(baseKeyOf(key))
+
+// localStorage holds strings; objects are JSON-encoded and plain strings kept
+// as-is so values written before this module existed read back unchanged
+function readLocal(key) {
+  const raw = localStorage.getItem(key)
+  if (raw === null) return null
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return raw
+  }
+}
+
+function writeLocal(key, value) {
+  localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value))
+}
+
+function localDataKeys() {
+  const keys = []
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i)
+    if (key && key.startsWith(STORAGE_PREFIX) && key !== SCHEMA_VERSION_KEY) {
+      keys.push(key)
+    }
+  }
+  return keys
+}
+
+function readLocalSnapshot() {
+  return Object.fromEntries(localDataKeys().map(key => [key, readLocal(key)]))
+}
+
+// Run migrations on the readable part of a snapshot. Encrypted vault values
+// are migrated when the vault is unlocked instead.
+function migratePlain(snapshot, fromVersion) {
+  const plain = Object.fromEntries(Object.entries(snapshot).filter(([, value]) => !isEncrypted(value)))
+  const { data, changedKeys } = runMigrations(plain, fromVersion)
+  return { data: { ...snapshot, ...data }, changedKeys }
+}
+
+// Bring localStorage data up to date before it is read. Runs again whenever
+// the version marker is missing, e.g. after all data has been cleared.
+function ensureLocalMigrated() {
+  const storedVersion = Number(localStorage.getItem(SCHEMA_VERSION_KEY)) || 0
+  if (storedVersion >= SCHEMA_VERSION) return
+  if (localDataKeys().length === 0) return
+
+  const { data, changedKeys } = migratePlain(readLocalSnapshot(), storedVersion)
+  changedKeys.forEach(key => {
+    if (data[key] === undefined || data[key] === null) {
+      localStorage.removeItem(key)
+    } else {
+      writeLocal(key, data[key])
+    }
+  })
+  localStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION))
+}
+
+// Queue an IndexedDB write so writes commit in order
+function queueWrite(entries) {
+  const target = db
+  pendingWrite = pendingWrite
+    .then(() => writeRecords(target, entries))
+    .catch(e => console.warn('Failed to write to IndexedDB:', e))
+}
+
+/**
+ * Open IndexedDB, import any data left in localStorage, and apply pending
+ * migrations. Call once before rendering the app.
+ * @param {Object} [options]
+ * @param {IDBFactory} [options.indexedDB] - IndexedDB factory (defaults to the browser's)
+ * @returns {Promise<'indexeddb'|'localstorage'>} The backend in use
+ */
+export async function initStorage({ indexedDB = globalThis.indexedDB } = {}) {
+  if (!indexedDB) {
+    try {
+      ensureLocalMigrated()
+    } catch (e) {
+      console.warn('Failed to migrate stored data:', e)
+    }
+    return 'localstorage'
+  }
+
+  try {
+    const database = await openDatabase(indexedDB)
+    const records = await readAllRecords(database)
+
+    // Import anything left in localStorage: data from before this module
+    // existed, or written during a session where IndexedDB was unavailable.
+    // It is newer than what IndexedDB holds, so it takes precedence.
+    const legacy = readLocalSnapshot()
+    const legacyKeys = Object.keys(legacy).filter(key => !isLocalOnly(key))
+    legacyKeys.forEach(key => {
+      records[key] = legacy[key]
+    })
+
+    // Migrations are idempotent, so mixed data starts from the older version
+    const versions = [records[SCHEMA_VERSION_KEY] ?? 0]
+    if (legacyKeys.length > 0) {
+      versions.push(Number(localStorage.getItem(SCHEMA_VERSION_KEY)) || 0)
+    }
+    const { data, changedKeys } = migratePlain(records, Math.min(...versions))
+
+    const toWrite = {}
+    new Set([...changedKeys, ...legacyKeys]).forEach(key => {
+      toWrite[key] = data[key] === null ? undefined : data[key]
+    })
+    toWrite[SCHEMA_VERSION_KEY] = SCHEMA_VERSION
+    await writeRecords(database, toWrite)
+
+    // Imported keys now live in IndexedDB only
+    legacyKeys.forEach(key => localStorage.removeItem(key))
+    localStorage.removeItem(SCHEMA_VERSION_KEY)
+
+    db = database
+    cache = new Map(Object.entries({ ...data, [SCHEMA_VERSION_KEY]: SCHEMA_VERSION }).filter(([, value]) => value !== null && value !== undefined))
+    // Also removes images left behind before unused ones were deleted
+    queueImagePrune()
+    return 'indexeddb'
+  } catch (e) {
+    console.warn('IndexedDB unavailable, falling back to localStorage:', e)
+    db = null
+    cache = null
+    return 'localstorage'
+  }
+}
+
+/**
+ * Whether data is being kept in IndexedDB (large data and images supported).
+ * @returns {boolean}
+ */
+export function isUsingIndexedDB() {
+  return db !== null
+}
+
+// localStorage quotas only leave room for a short history
+const HISTORY_LIMIT_LOCAL = 20
+const HISTORY_LIMIT_INDEXEDDB = 500
+
+/**
+ * How many saved sessions the history keeps on the backend in use.
+ * @returns {number}
+ */
+export function getHistoryLimit() {
+  return isUsingIndexedDB() ? HISTORY_LIMIT_INDEXEDDB : HISTORY_LIMIT_LOCAL
+}
+
+// Raw accessors for whichever backend is in use
+function readStored(key) {
+  if (cache && !isLocalOnly(key)) {
+    return cache.has(key) ? cache.get(key) : null
+  }
+  ensureLocalMigrated()
+  return readLocal(key)
+}
+
+function writeStored(key, value) {
+  if (cache && !isLocalOnly(key)) {
+    cache.set(key, value)
+    queueWrite({ [key]: value })
+    return
+  }
+  ensureLocalMigrated()
+  writeLocal(key, value)
+  if (!localStorage.getItem(SCHEMA_VERSION_KEY)) {
+    localStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION))
+  }
+}
+
+function deleteStored(key) {
+  if (cache && !isLocalOnly(key)) {
+    cache.delete(key)
+    queueWrite({ [key]: undefined })
+    return
+  }
+  localStorage.removeItem(key)
+}
+
+// Encrypt in the write queue so values reach storage in the order they were set
+function queueEncryptedWrite(key, value) {
+  const keyAtWrite = vaultKey
+  pendingWrite = pendingWrite
+    .then(async () => writeStored(key, await encryptValue(keyAtWrite, value)))
+    .catch(e => console.warn('Failed to encrypt vault data:', e))
+}
+
+/**
+ * Read a stored value. Vault values read as null while the vault is locked.
+ * @param {string} key - Storage key
+ * @returns {*} The stored value, or null when missing
+ */
+export function getItem(key) {
+  const storedKey = storageKeyFor(key)
+  if (isVaultKey(storedKey) && isVaultEnabled()) {
+    return vaultData.has(storedKey) ? vaultData.get(storedKey) : null
+  }
+  return readStored(storedKey)
+}
+
+/**
+ * Store a value. Objects must be JSON-compatible.
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @throws {Error} When writing health data while the vault is locked
+ */
+export function setItem(key, value) {
+  const storedKey = storageKeyFor(key)
+  if (isVaultKey(storedKey) && isVaultEnabled()) {
+    if (!vaultKey) throw new Error('Vault is locked')
+    vaultData.set(storedKey, value)
+    queueEncryptedWrite(storedKey, value)
+  } else {
+    writeStored(storedKey, value)
+    if (key === PROFILES_KEY) activeProfileId = null
+  }
+  if (IMAGE_REFERENCE_KEYS.includes(key)) queueImagePrune()
+}
+
+/**
+ * Remove a stored value.
+ * @param {string} key - Storage key
+ */
+export function removeItem(key) {
+  removeStored(storageKeyFor(key))
+  if (key === PROFILES_KEY) activeProfileId = null
+  if (IMAGE_REFERENCE_KEYS.includes(key)) queueImagePrune()
+}
+
+function removeStored(storedKey) {
+  vaultData.delete(storedKey)
+  deleteStored(storedKey)
+}
+
+/**
+ * List the keys that currently hold data.
+ * @returns {string[]}
+ */
+export function listKeys() {
+  const local = localDataKeys()
+  if (!cache) return local
+  const stored = [...cache.keys()].filter(key => key !== SCHEMA_VERSION_KEY)
+  return [...new Set([...stored, ...local.filter(isLocalOnly)])]
+}
+
+/**
+ * Remove all stored data and images, optionally keeping some keys.
+ * @param {Object} [options]
+ * @param {string[]} [options.keep] - Keys to preserve
+ */
+export function clearStorage({ keep = [] } = {}) {
+  listKeys()
+    .filter(key => !keep.includes(baseKeyOf(key)))
+    .forEach(removeStored)
+  activeProfileId = null
+
+  if (!keep.includes(VAULT_META_KEY)) {
+    vaultKey = null
+    vaultData.clear()
+  }
+
+  if (db) {
+    const target = db
+    pendingWrite = pendingWrite
+      .then(() => clearImages(target))
+      .catch(e => console.warn('Failed to clear images:', e))
+  }
+}
+
+/**
+ * Id of the profile whose data getItem/setItem currently read and write.
+ * @returns {string}
+ */
+export function getActiveProfileId() {
+  if (activeProfileId === null) {
+    const record = readStored(PROFILES_KEY)
+    const known = record?.profiles?.some(profile => profile.id === record.activeId)
+    activeProfileId = known ? record.activeId : DEFAULT_PROFILE_ID
+  }
+  return activeProfileId
+}
+
+/**
+ * The key a value is stored under for a profile.
+ * @param {string} key - Storage key as used by the app
+ * @param {string} [profileId] - Defaults to the active profile
+ * @returns {string}
+ */
+export function storageKeyFor(key, profileId = getActiveProfileId()) {
+  if (!PROFILE_KEYS.includes(key) || profileId === DEFAULT_PROFILE_ID) return key
+  return `${key}:${profileId}`
+}
+
+// Image ids referenced anywhere in a stored value (results and history)
+function collectImageIds(value, ids = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectImageIds(item, ids))
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([name, item]) => {
+      if (name === 'imageId' && typeof item === 'string') ids.add(item)
+      else collectImageIds(item, ids)
+    })
+  }
+  return ids
+}
+
+// Image ids referenced by any profile, or null when some references cannot
+// be read because the vault is locked
+function referencedImageIds() {
+  const ids = new Set()
+  const storedKeys = [...new Set([...listKeys(), ...vaultData.keys()])]
+    .filter(storedKey => IMAGE_REFERENCE_KEYS.includes(baseKeyOf(storedKey)))
+  for (const storedKey of storedKeys) {
+    const value = vaultData.has(storedKey) ? vaultData.get(storedKey) : readStored(storedKey)
+    if (isEncrypted(value)) return null
+    collectImageIds(value, ids)
+  }
+  return ids
+}
+
+// Delete images that results and history no longer reference: a retaken
+// photo, cleared results, a session dropped from history or one replaced by
+// an import. Runs after queued writes, so it sees the data they stored.
+function queueImagePrune() {
+  if (!db || imagePruneQueued) return
+  imagePruneQueued = true
+  const target = db
+  pendingWrite = pendingWrite
+    .then(async () => {
+      imagePruneQueued = false
+      const referenced = referencedImageIds()
+      if (!referenced) return
+      referenced.forEach(id => unreferencedImages.delete(id))
+      const unused = (await listImageIds(target))
+        .filter(id => !referenced.has(id) && !unreferencedImages.has(id))
+      await Promise.all(unused.map(id => deleteImage(target, id)))
+    })
+    .catch(e => console.warn('Failed to delete unused images:', e))
+}
+
+/**
+ * Remove one profile's data and the images it references. Images of other
+ * profiles are kept.
+ * @param {string} profileId - Profile to clear
+ * @param {Object} [options]
+ * @param {string[]} [options.keep] - Keys to preserve
+ */
+export function clearProfileStorage(profileId, { keep = [] } = {}) {
+  const storedKeys = PROFILE_KEYS
+    .filter(key => !keep.includes(key))
+    .map(key => storageKeyFor(key, profileId))
+
+  const imageIds = new Set()
+  storedKeys.forEach(storedKey => {
+    collectImageIds(vaultData.has(storedKey) ? vaultData.get(storedKey) : readStored(storedKey), imageIds)
+    removeStored(storedKey)
+  })
+
+  if (db && imageIds.size > 0) {
+    const target = db
+    pendingWrite = pendingWrite
+      .then(() => Promise.all([...imageIds].map(id => deleteImage(target, id))))
+      .catch(e => console.warn('Failed to delete images:', e))
+  }
+}
+
+/**
+ * Remove the current user's data: everything when the device has a single
+ * profile, otherwise only the active profile's data.
+ * @param {Object} [options]
+ * @param {string[]} [options.keep] - Keys to preserve
+ */
+export function clearUserData({ keep = [] } = {}) {
+  const profiles = readStored(PROFILES_KEY)?.profiles ?? []
+  if (profiles.length > 1) {
+    clearProfileStorage(getActiveProfileId(), { keep })
+  } else {
+    clearStorage({ keep })
+  }
+}
+
+// Images are encrypted as raw bytes and kept as ArrayBuffers to avoid the
+// size overhead of base64
+async function sealImage(key, blob) {
+  const { iv, data } = await encryptBytes(key, await blob.arrayBuffer())
+  return { sealed: true, type: blob.type, iv, data }
+}
+
+async function openImage(key, stored) {
+  return new Blob([await decryptBytes(key, stored)], { type: stored.type })
+}
+
+// Encrypt or decrypt every stored image when the vault is turned on or off
+async function convertImages(transform) {
+  if (!db) return
+  for (const id of await listImageIds(db)) {
+    const stored = await getImage(db, id)
+    const converted = await transform(stored)
+    if (converted !== stored) await putImage(db, id, converted)
+  }
+}
+
+/**
+ * Store an image blob. Store the returned id with the results it belongs to:
+ * images that results and history do not reference are deleted the next
+ * time the app starts.
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string|null>} Image id, or null when images cannot be stored
+ */
+export async function saveImage(blob) {
+  if (!db || isVaultLocked()) return null
+  const id = `img-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+  // Kept from pruning until the caller has stored the id with its results
+  unreferencedImages.add(id)
+  try {
+    await putImage(db, id, vaultKey ? await sealImage(vaultKey, blob) : blob)
+    return id
+  } catch (e) {
+    unreferencedImages.delete(id)
+    console.warn('Failed to store image:', e)
+    return null
+  }
+}
+
+/**
+ * Convert a data URL (e.g. from canvas.toDataURL) to a Blob.
+ * @param {string} dataUrl - base64 data URL
+ * @returns {Blob}
+ */
+export function dataUrlToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(',')
+  const type = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream'
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+  return new Blob([bytes], { type })
+}
+
+/**
+ * Convert a Blob to a data URL, e.g. to send a stored image to the API.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+/**
+ * Load an image blob.
+ * @param {string} id - Image id from saveImage
+ * @returns {Promise<Blob|null>}
+ */
+export async function loadImage(id) {
+  if (!db || !id) return null
+  try {
+    const stored = await getImage(db, id)
+    if (!stored?.sealed) return stored
+    return vaultKey ? await openImage(vaultKey, stored) : null
+  } catch (e) {
+    console.warn('Failed to load image:', e)
+    return null
+  }
+}
+
+/**
+ * Wait for queued writes (including vault encryption) to commit.
+ * @returns {Promise<void>}
+ */
+export async function flushStorage() {
+  let current
+  do {
+    current = pendingWrite
+    await current
+  } while (current !== pendingWrite)
+}
+
+/**
+ * Whether health data is kept in the encrypted vault.
+ * @returns {boolean}
+ */
+export function isVaultEnabled() {
+  return readStored(VAULT_META_KEY) !== null
+}
+
+/**
+ * Whether the vault is enabled but its key is not in memory.
+ * @returns {boolean}
+ */
+export function isVaultLocked() {
+  return isVaultEnabled() && vaultKey === null
+}
+
+// Stored vault keys of every profile
+function storedVaultKeys() {
+  return [...new Set([...listKeys(), ...vaultData.keys()])].filter(isVaultKey)
+}
+
+// Decrypt every vault value into memory, migrating data that was encrypted
+// under an older schema
+async function loadVaultData(key, meta) {
+  const snapshot = {}
+  for (const name of storedVaultKeys()) {
+    const stored = readStored(name)
+    if (isEncrypted(stored)) {
+      snapshot[name] = await decryptValue(key, stored)
+    } else if (stored !== null) {
+      // Written before the vault was enabled (e.g. an interrupted setup)
+      snapshot[name] = stored
+    }
+  }
+
+  const { data } = runMigrations(snapshot, meta.schemaVersion ?? 0)
+  vaultData.clear()
+  Object.entries(data).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) vaultData.set(name, value)
+  })
+  return snapshot
+}
+
+/**
+ * Encrypt the current health data and keep it encrypted from now on.
+ * @param {string} passphrase - User passphrase or PIN
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - PBKDF2 iteration count (tests use fewer)
+ * @returns {Promise<void>}
+ */
+export async function enableVault(passphrase, options) {
+  if (isVaultEnabled()) throw new Error('Vault is already enabled')
+
+  const { key, meta } = await createVaultKey(passphrase, options)
+  const plain = {}
+  storedVaultKeys().forEach(name => {
+    const value = readStored(name)
+    if (value !== null) plain[name] = value
+  })
+
+  vaultKey = key
+  vaultData.clear()
+  Object.entries(plain).forEach(([name, value]) => vaultData.set(name, value))
+  writeStored(VAULT_META_KEY, { ...meta, schemaVersion: SCHEMA_VERSION })
+  Object.entries(plain).forEach(([name, value]) => queueEncryptedWrite(name, value))
+  await convertImages(stored => stored?.sealed ? stored : sealImage(key, stored))
+  await flushStorage()
+}
+
+/**
+ * Unlock the vault.
+ * @param {string} passphrase - User passphrase or PIN
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+export async function unlockVault(passphrase) {
+  const meta = readStored(VAULT_META_KEY)
+  if (!meta) return true
+  if (vaultKey) return true
+
+  const key = await openVaultKey(meta, passphrase)
+  if (!key) return false
+
+  const snapshot = await loadVaultData(key, meta)
+  vaultKey = key
+
+  // Re-encrypt anything migrations changed or that was still in plaintext
+  const outdated = (meta.schemaVersion ?? 0) < SCHEMA_VERSION
+  new Set([...Object.keys(snapshot), ...vaultData.keys()]).forEach(name => {
+    const changed = vaultData.get(name) !== snapshot[name]
+    if (changed && !vaultData.has(name)) {
+      deleteStored(name)
+    } else if (changed || (vaultData.has(name) && !isEncrypted(readStored(name)))) {
+      queueEncryptedWrite(name, vaultData.get(name))
+    }
+  })
+  if (outdated) writeStored(VAULT_META_KEY, { ...meta, schemaVersion: SCHEMA_VERSION })
+  return true
+}
+
+/**
+ * Forget the vault key and decrypted data.
+ */
+export function lockVault() {
+  vaultKey = null
+  vaultData.clear()
+}
+
+/**
+ * Decrypt the health data back to plain storage and remove the vault.
+ * Chat transcripts are only kept inside the vault and are discarded.
+ * @returns {Promise<void>}
+ * @throws {Error} If the vault is locked
+ */
+export async function disableVault() {
+  if (!isVaultEnabled()) return
+  if (!vaultKey) throw new Error('Vault is locked')
+
+  await flushStorage()
+  const key = vaultKey
+  await convertImages(stored => stored?.sealed ? openImage(key, stored) : stored)
+  const plain = new Map(vaultData)
+  const names = storedVaultKeys()
+  lockVault()
+  deleteStored(VAULT_META_KEY)
+  names.forEach(name => {
+    if (plain.has(name) && !VAULT_ONLY_KEYS.includes(baseKeyOf(name))) {
+      writeStored(name, plain.get(name))
+    } else {
+      deleteStored(name)
+    }
+  })
+  await flushStorage()
+}
+
+/**
+ * Delete the vault and the health data in it, for when the passphrase is
+ * forgotten. Preferences and consent are kept.
+ * @returns {Promise<void>}
+ */
+export async function resetVault() {
+  lockVault()
+  storedVaultKeys().forEach(deleteStored)
+  deleteStored(VAULT_META_KEY)
+  if (db) await clearImages(db)
+  await flushStorage()
+}
+
+/**
+ * Close the database and return to the localStorage backend. Used by tests.
+ */
+export function resetStorage() {
+  db?.close()
+  db = null
+  cache = null
+  pendingWrite = Promise.resolve()
+  activeProfileId = null
+  unreferencedImages.clear()
+  imagePruneQueued = false
+  lockVault()
+}
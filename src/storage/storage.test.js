@@ -0,0 +1,445 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { Blob as NodeBlob } from 'node:buffer'
+import { IDBFactory } from 'fake-indexeddb'
+import {
+  initStorage,
+  getItem,
+  setItem,
+  removeItem,
+  listKeys,
+  clearStorage,
+  saveImage,
+  loadImage,
+  dataUrlToBlob,
+  blobToDataUrl,
+  flushStorage,
+  isUsingIndexedDB,
+  resetStorage,
+  enableVault,
+  unlockVault,
+  lockVault,
+  disableVault,
+  resetVault,
+  isVaultEnabled,
+  isVaultLocked,
+  getActiveProfileId,
+  storageKeyFor,
+  clearProfileStorage,
+  clearUserData,
+  SCHEMA_VERSION_KEY,
+  VAULT_META_KEY,
+  PROFILES_KEY,
+} from './storage'
+import { isEncrypted } from './crypto'
+import { openDatabase, readAllRecords } from './indexedDb'
+import { SCHEMA_VERSION } from './migrations'
+
+const OLD_RESULTS = JSON.stringify({ visualAcuity: { snellen: '20/20', level: 8 } })
+
+// Keep key derivation fast in tests
+const FAST = { iterations: 1000 }
+
+describe('storage', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    resetStorage()
+  })
+
+  afterEach(async () => {
+    await flushStorage()
+    resetStorage()
+    vi.restoreAllMocks()
+  })
+
+  describe('localStorage fallback', () => {
+    it('keeps the existing on-disk format', () => {
+      setItem('visioncheck-theme', 'dark')
+      setItem('visioncheck-consent', { hasConsented: true, consentGiven: true })
+
+      expect(localStorage.getItem('visioncheck-theme')).toBe('dark')
+      expect(JSON.parse(localStorage.getItem('visioncheck-consent'))).toEqual({ hasConsented: true, consentGiven: true })
+      expect(getItem('visioncheck-theme')).toBe('dark')
+      expect(getItem('visioncheck-consent')).toEqual({ hasConsented: true, consentGiven: true })
+      expect(isUsingIndexedDB()).toBe(false)
+    })
+
+    it('returns null for missing keys', () => {
+      expect(getItem('visioncheck-results')).toBeNull()
+    })
+
+    it('migrates old data on first read', () => {
+      localStorage.setItem('visioncheck-results', OLD_RESULTS)
+
+      expect(getItem('visioncheck-results').visualAcuity).toEqual({ left: null, right: null })
+      expect(localStorage.getItem(SCHEMA_VERSION_KEY)).toBe(String(SCHEMA_VERSION))
+    })
+
+    it('does not write a version marker when nothing is stored', () => {
+      getItem('visioncheck-results')
+      expect(localStorage.length).toBe(0)
+    })
+
+    it('clears data but keeps requested keys', () => {
+      setItem('visioncheck-consent', { consentGiven: true })
+      setItem('visioncheck-results', { visualAcuity: { left: null, right: null } })
+
+      clearStorage({ keep: ['visioncheck-consent'] })
+
+      expect(listKeys()).toEqual(['visioncheck-consent'])
+    })
+
+    it('cannot store images', async () => {
+      expect(await saveImage(new Blob(['x']))).toBeNull()
+      expect(await loadImage('img-1')).toBeNull()
+    })
+  })
+
+  describe('IndexedDB', () => {
+    let idb
+
+    beforeEach(() => {
+      idb = new IDBFactory()
+    })
+
+    it('imports and migrates data left in localStorage', async () => {
+      localStorage.setItem('visioncheck-results', OLD_RESULTS)
+      localStorage.setItem('visioncheck-voice-enabled', 'true')
+      localStorage.setItem('visioncheck-language', 'de')
+
+      expect(await initStorage({ indexedDB: idb })).toBe('indexeddb')
+
+      expect(getItem('visioncheck-results').visualAcuity).toEqual({ left: null, right: null })
+      expect(getItem('visioncheck-voice-enabled')).toBe(true)
+      expect(localStorage.getItem('visioncheck-results')).toBeNull()
+      // Language stays in localStorage for the i18next detector
+      expect(localStorage.getItem('visioncheck-language')).toBe('de')
+      expect(getItem('visioncheck-language')).toBe('de')
+
+      const db = await openDatabase(idb)
+      const records = await readAllRecords(db)
+      db.close()
+      expect(records[SCHEMA_VERSION_KEY]).toBe(SCHEMA_VERSION)
+      expect(records['visioncheck-results'].visualAcuity).toEqual({ left: null, right: null })
+    })
+
+    it('persists writes across sessions', async () => {
+      await initStorage({ indexedDB: idb })
+      setItem('visioncheck-history', [{ id: 1 }, { id: 2 }])
+      setItem('visioncheck-theme', 'dark')
+      removeItem('visioncheck-theme')
+      await flushStorage()
+
+      resetStorage()
+      await initStorage({ indexedDB: idb })
+
+      expect(getItem('visioncheck-history')).toEqual([{ id: 1 }, { id: 2 }])
+      expect(getItem('visioncheck-theme')).toBeNull()
+      expect(localStorage.getItem('visioncheck-history')).toBeNull()
+    })
+
+    it('serves reads synchronously after init', async () => {
+      await initStorage({ indexedDB: idb })
+      setItem('visioncheck-consent', { consentGiven: true })
+      expect(getItem('visioncheck-consent')).toEqual({ consentGiven: true })
+    })
+
+    it('stores and loads image blobs', async () => {
+      await initStorage({ indexedDB: idb })
+      // jsdom's Blob cannot be structured-cloned; browsers' Blobs can
+      const blob = new NodeBlob(['jpeg-bytes'], { type: 'image/jpeg' })
+
+      const id = await saveImage(blob)
+      const loaded = await loadImage(id)
+
+      expect(id).toMatch(/^img-/)
+      expect(loaded.type).toBe('image/jpeg')
+      expect(await loaded.text()).toBe('jpeg-bytes')
+      expect(await loadImage('img-missing')).toBeNull()
+    })
+
+    it('clears records and images', async () => {
+      await initStorage({ indexedDB: idb })
+      setItem('visioncheck-consent', { consentGiven: false })
+      setItem('visioncheck-results', { eyePhoto: null })
+      const id = await saveImage(new Blob(['x'], { type: 'image/jpeg' }))
+
+      clearStorage({ keep: ['visioncheck-consent'] })
+      await flushStorage()
+
+      expect(listKeys()).toEqual(['visioncheck-consent'])
+      expect(await loadImage(id)).toBeNull()
+    })
+
+    it('deletes images that results and history no longer reference', async () => {
+      await initStorage({ indexedDB: idb })
+      const first = await saveImage(new NodeBlob(['first'], { type: 'image/jpeg' }))
+      const saved = await saveImage(new NodeBlob(['saved'], { type: 'image/jpeg' }))
+      setItem('visioncheck-results', { eyePhoto: { left: { imageId: first }, right: null } })
+      setItem('visioncheck-history', [{ eyePhoto: { left: { imageId: saved }, right: null } }])
+      await flushStorage()
+      expect(await loadImage(first)).not.toBeNull()
+
+      // Retaking the photo, then clearing the history
+      const retaken = await saveImage(new NodeBlob(['retaken'], { type: 'image/jpeg' }))
+      setItem('visioncheck-results', { eyePhoto: { left: { imageId: retaken }, right: null } })
+      removeItem('visioncheck-history')
+      await flushStorage()
+
+      expect(await loadImage(first)).toBeNull()
+      expect(await loadImage(saved)).toBeNull()
+      expect(await loadImage(retaken)).not.toBeNull()
+    })
+
+    it('keeps a new image until its results are stored, and drops it after a restart', async () => {
+      await initStorage({ indexedDB: idb })
+      const id = await saveImage(new NodeBlob(['new'], { type: 'image/jpeg' }))
+      setItem('visioncheck-history', [])
+      await flushStorage()
+      expect(await loadImage(id)).not.toBeNull()
+
+      resetStorage()
+      await initStorage({ indexedDB: idb })
+      await flushStorage()
+      expect(await loadImage(id)).toBeNull()
+    })
+
+    it('falls back to localStorage when the database cannot be opened', async () => {
+      const broken = { open: () => { throw new Error('blocked') } }
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(await initStorage({ indexedDB: broken })).toBe('localstorage')
+
+      setItem('visioncheck-theme', 'light')
+      expect(localStorage.getItem('visioncheck-theme')).toBe('light')
+    })
+  })
+
+  describe('vault', () => {
+    const RESULTS = { visualAcuity: { left: { snellen: '20/20' }, right: null } }
+
+    it('encrypts health data on disk and keeps other data readable', async () => {
+      setItem('visioncheck-results', RESULTS)
+      setItem('visioncheck-theme', 'dark')
+
+      await enableVault('1234', FAST)
+
+      const onDisk = JSON.parse(localStorage.getItem('visioncheck-results'))
+      expect(isEncrypted(onDisk)).toBe(true)
+      expect(localStorage.getItem('visioncheck-results')).not.toContain('20/20')
+      expect(localStorage.getItem('visioncheck-theme')).toBe('dark')
+      expect(getItem('visioncheck-results')).toEqual(RESULTS)
+      expect(isVaultEnabled()).toBe(true)
+      expect(isVaultLocked()).toBe(false)
+    })
+
+    it('hides health data while locked and restores it on unlock', async () => {
+      setItem('visioncheck-results', RESULTS)
+      await enableVault('1234', FAST)
+
+      lockVault()
+
+      expect(isVaultLocked()).toBe(true)
+      expect(getItem('visioncheck-results')).toBeNull()
+      expect(() => setItem('visioncheck-history', [])).toThrow('Vault is locked')
+      expect(getItem(VAULT_META_KEY)).not.toBeNull()
+
+      expect(await unlockVault('0000')).toBe(false)
+      expect(isVaultLocked()).toBe(true)
+      expect(await unlockVault('1234')).toBe(true)
+      expect(getItem('visioncheck-results')).toEqual(RESULTS)
+    })
+
+    it('encrypts writes made while unlocked', async () => {
+      await enableVault('1234', FAST)
+      setItem('visioncheck-history', [{ id: 1, note: 'secret' }])
+      await flushStorage()
+
+      expect(localStorage.getItem('visioncheck-history')).not.toContain('secret')
+      lockVault()
+      await unlockVault('1234')
+      expect(getItem('visioncheck-history')).toEqual([{ id: 1, note: 'secret' }])
+    })
+
+    it('migrates encrypted data written under an older schema on unlock', async () => {
+      await enableVault('1234', FAST)
+      setItem('visioncheck-results', { visualAcuity: { snellen: '20/20', level: 8 } })
+      await flushStorage()
+      setItem(VAULT_META_KEY, { ...getItem(VAULT_META_KEY), schemaVersion: 0 })
+      lockVault()
+
+      await unlockVault('1234')
+
+      expect(getItem('visioncheck-results').visualAcuity).toEqual({ left: null, right: null })
+      expect(getItem(VAULT_META_KEY).schemaVersion).toBe(SCHEMA_VERSION)
+    })
+
+    it('decrypts data again when turned off, dropping chats', async () => {
+      setItem('visioncheck-results', RESULTS)
+      await enableVault('1234', FAST)
+      setItem('visioncheck-chat', [{ role: 'user', content: 'hi' }])
+
+      await disableVault()
+
+      expect(isVaultEnabled()).toBe(false)
+      expect(JSON.parse(localStorage.getItem('visioncheck-results'))).toEqual(RESULTS)
+      expect(localStorage.getItem('visioncheck-chat')).toBeNull()
+    })
+
+    it('deletes the vault and its data on reset', async () => {
+      setItem('visioncheck-results', RESULTS)
+      setItem('visioncheck-theme', 'dark')
+      await enableVault('1234', FAST)
+      lockVault()
+
+      await resetVault()
+
+      expect(isVaultEnabled()).toBe(false)
+      expect(getItem('visioncheck-results')).toBeNull()
+      expect(getItem('visioncheck-theme')).toBe('dark')
+    })
+
+    it('encrypts stored images', async () => {
+      await initStorage({ indexedDB: new IDBFactory() })
+      const plainId = await saveImage(new NodeBlob(['before'], { type: 'image/jpeg' }))
+
+      await enableVault('1234', FAST)
+      const sealedId = await saveImage(new NodeBlob(['after'], { type: 'image/jpeg' }))
+
+      lockVault()
+      expect(await loadImage(plainId)).toBeNull()
+      expect(await loadImage(sealedId)).toBeNull()
+      expect(await saveImage(new NodeBlob(['x']))).toBeNull()
+
+      await unlockVault('1234')
+      const loaded = await loadImage(sealedId)
+      expect(loaded.type).toBe('image/jpeg')
+      expect(loaded.size).toBe('after'.length)
+      expect((await loadImage(plainId)).size).toBe('before'.length)
+    })
+    it('keeps images while the vault holding their references is locked', async () => {
+      const idb = new IDBFactory()
+      await initStorage({ indexedDB: idb })
+      await enableVault('1234', FAST)
+      const id = await saveImage(new NodeBlob(['sealed'], { type: 'image/jpeg' }))
+      setItem('visioncheck-results', { eyePhoto: { left: { imageId: id }, right: null } })
+      await flushStorage()
+
+      resetStorage()
+      await initStorage({ indexedDB: idb })
+      await flushStorage()
+      await unlockVault('1234')
+
+      expect(await loadImage(id)).not.toBeNull()
+    })
+  })
+
+  describe('profiles', () => {
+    const useProfile = (activeId) => setItem(PROFILES_KEY, {
+      activeId,
+      profiles: [{ id: 'default', name: '' }, { id: 'anna', name: 'Anna' }]
+    })
+
+    it('keeps plain keys for the default profile', () => {
+      expect(getActiveProfileId()).toBe('default')
+      expect(storageKeyFor('visioncheck-results')).toBe('visioncheck-results')
+      expect(storageKeyFor('visioncheck-results', 'anna')).toBe('visioncheck-results:anna')
+      expect(storageKeyFor('visioncheck-theme', 'anna')).toBe('visioncheck-theme')
+    })
+
+    it('reads and writes health data and consent for the active profile', () => {
+      setItem('visioncheck-results', { who: 'default' })
+      setItem('visioncheck-theme', 'dark')
+
+      useProfile('anna')
+      expect(getActiveProfileId()).toBe('anna')
+      expect(getItem('visioncheck-results')).toBeNull()
+      expect(getItem('visioncheck-theme')).toBe('dark')
+      setItem('visioncheck-results', { who: 'anna' })
+      setItem('visioncheck-consent', { consentGiven: true })
+
+      expect(JSON.parse(localStorage.getItem('visioncheck-results:anna'))).toEqual({ who: 'anna' })
+      expect(localStorage.getItem('visioncheck-consent')).toBeNull()
+
+      useProfile('default')
+      expect(getItem('visioncheck-results')).toEqual({ who: 'default' })
+    })
+
+    it('falls back to the default profile for an unknown active id', () => {
+      setItem(PROFILES_KEY, { activeId: 'gone', profiles: [{ id: 'default' }] })
+      expect(getActiveProfileId()).toBe('default')
+    })
+
+    it('clears one profile without touching the others', async () => {
+      await initStorage({ indexedDB: new IDBFactory() })
+      const annaImage = await saveImage(new NodeBlob(['anna'], { type: 'image/jpeg' }))
+      const defaultImage = await saveImage(new NodeBlob(['me'], { type: 'image/jpeg' }))
+      setItem('visioncheck-results', { eyePhoto: { imageId: defaultImage } })
+      useProfile('anna')
+      setItem('visioncheck-results', { eyePhoto: { imageId: annaImage } })
+      setItem('visioncheck-history', [{ eyePhoto: { imageId: annaImage } }])
+      setItem('visioncheck-consent', { consentGiven: true })
+
+      clearProfileStorage('anna', { keep: ['visioncheck-consent'] })
+      await flushStorage()
+
+      expect(getItem('visioncheck-results')).toBeNull()
+      expect(getItem('visioncheck-history')).toBeNull()
+      expect(getItem('visioncheck-consent')).toEqual({ consentGiven: true })
+      expect(await loadImage(annaImage)).toBeNull()
+      expect(await loadImage(defaultImage)).not.toBeNull()
+      useProfile('default')
+      expect(getItem('visioncheck-results')).toEqual({ eyePhoto: { imageId: defaultImage } })
+    })
+
+    it('clears only the active profile when several share the device', () => {
+      setItem('visioncheck-results', { who: 'default' })
+      useProfile('anna')
+      setItem('visioncheck-results', { who: 'anna' })
+
+      clearUserData()
+
+      expect(getItem('visioncheck-results')).toBeNull()
+      expect(getItem(PROFILES_KEY)).not.toBeNull()
+      useProfile('default')
+      expect(getItem('visioncheck-results')).toEqual({ who: 'default' })
+    })
+
+    it('clears everything for a single profile', () => {
+      setItem('visioncheck-results', { who: 'default' })
+      setItem('visioncheck-theme', 'dark')
+
+      clearUserData()
+
+      expect(listKeys()).toEqual([])
+    })
+
+    it('encrypts every profile in the vault', async () => {
+      setItem('visioncheck-results', { who: 'default' })
+      useProfile('anna')
+      setItem('visioncheck-results', { who: 'anna' })
+
+      await enableVault('1234', FAST)
+      expect(isEncrypted(JSON.parse(localStorage.getItem('visioncheck-results:anna')))).toBe(true)
+      expect(isEncrypted(JSON.parse(localStorage.getItem('visioncheck-results')))).toBe(true)
+
+      lockVault()
+      expect(getItem('visioncheck-results')).toBeNull()
+      await unlockVault('1234')
+      expect(getItem('visioncheck-results')).toEqual({ who: 'anna' })
+
+      await disableVault()
+      expect(JSON.parse(localStorage.getItem('visioncheck-results:anna'))).toEqual({ who: 'anna' })
+    })
+  })
+
+  it('converts data URLs to typed blobs', () => {
+    const blob = dataUrlToBlob('data:image/png;base64,' + btoa('abc'))
+    expect(blob.type).toBe('image/png')
+    expect(blob.size).toBe(3)
+  })
+
+  it('converts blobs back to data URLs', async () => {
+    const dataUrl = 'data:image/png;base64,' + btoa('abc')
+    await expect(blobToDataUrl(dataUrlToBlob(dataUrl))).resolves.toBe(dataUrl)
+  })
+})
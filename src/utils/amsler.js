@@ -0,0 +1,135 @@
+/**
+ * Areas of the Amsler grid that the user marked as distorted, stored per eye
+ * with the result as `regions`: one entry per distortion type with the grid
+ * cells it covers, as [column, row] counted from the top left. Shared by the
+ * app and the server-rendered PDF report.
+ *
+ * Results saved before areas could be marked have no `regions`; the helpers
+ * below treat them as unmarked.
+ */
+
+export const AMSLER_GRID_SIZE = 20
+
+// Same order as the questions of the test
+export const DISTORTION_TYPES = ['missing', 'wavy', 'blurry', 'distorted']
+
+export const DISTORTION_COLORS = {
+  missing: '#64748b',
+  wavy: '#f59e0b',
+  blurry: '#0ea5e9',
+  distorted: '#a855f7',
+}
+
+// Chart styles the test can be taken with, saved with each result as
+// `variant`. Results saved before the choice existed used the first.
+export const AMSLER_VARIANTS = ['whiteOnBlack', 'blackOnWhite', 'redOnBlack', 'crossHatch', 'diagonals']
+export const DEFAULT_AMSLER_VARIANT = AMSLER_VARIANTS[0]
+
+/**
+ * Variant of a stored result.
+ * @param {unknown} variant
+ * @returns {string} One of AMSLER_VARIANTS
+ */
+export function parseAmslerVariant(variant) {
+  return AMSLER_VARIANTS.includes(variant) ? variant : DEFAULT_AMSLER_VARIANT
+}
+
+/**
+ * @typedef {{type: string, cells: number[][]}} AmslerRegion
+ */
+
+const isCellIndex = (value) => Number.isInteger(value) && value >= 0 && value < AMSLER_GRID_SIZE
+
+/**
+ * Group marked cells into regions.
+ * @param {Record<string, string>} marks - Distortion type by "column,row"
+ * @returns {AmslerRegion[]} Ordered as DISTORTION_TYPES, cells row by row
+ */
+export function marksToRegions(marks) {
+  const cells = Object.entries(marks ?? {})
+    .map(([key, type]) => [...key.split(',').map(Number), type])
+    .sort(([colA, rowA], [colB, rowB]) => rowA - rowB || colA - colB)
+  return DISTORTION_TYPES
+    .map(type => ({ type, cells: cells.filter(cell => cell[2] === type).map(([col, row]) => [col, row]) }))
+    .filter(region => region.cells.length > 0)
+}
+
+/**
+ * Distortion type of each marked cell. Invalid types and cells are dropped,
+ * and a cell listed under several types keeps the last.
+ * @param {unknown} regions
+ * @returns {Record<string, string>} Distortion type by "column,row"
+ */
+export function regionsToMarks(regions) {
+  const marks = {}
+  if (!Array.isArray(regions)) return marks
+  regions.forEach(region => {
+    if (!DISTORTION_TYPES.includes(region?.type) || !Array.isArray(region.cells)) return
+    region.cells.forEach(cell => {
+      if (Array.isArray(cell) && isCellIndex(cell[0]) && isCellIndex(cell[1])) {
+        marks[`${cell[0]},${cell[1]}`] = region.type
+      }
+    })
+  })
+  return marks
+}
+
+/**
+ * Normalize regions from storage or a request.
+ * @param {unknown} regions
+ * @returns {AmslerRegion[]}
+ */
+export function parseAmslerRegions(regions) {
+  return marksToRegions(regionsToMarks(regions))
+}
+
+/**
+ * Number of marked cells.
+ * @param {AmslerRegion[]|undefined} regions
+ * @returns {number}
+ */
+export function countMarkedCells(regions) {
+  return Object.keys(regionsToMarks(regions)).length
+}
+
+/**
+ * The most recent earlier session in which areas could be marked for an eye,
+ * to compare the current map with.
+ * @param {Object[]} history - Saved sessions
+ * @param {'left'|'right'} eye
+ * @param {{testedAt?: string}|null} current - Current result, left out when it was saved to history
+ * @returns {{date: string, regions: AmslerRegion[]}|null}
+ */
+export function findPreviousAmslerMap(history, eye, current) {
+  const earlier = (Array.isArray(history) ? history : [])
+    .filter(session => {
+      const result = session?.amslerGrid?.[eye]
+      return Array.isArray(result?.regions) &&
+        !Number.isNaN(Date.parse(session.date)) &&
+        !(current?.testedAt && result.testedAt === current.testedAt)
+    })
+    .sort((a, b) => Date.parse(b.date) - Date.parse(a.date))
+  const session = earlier[0]
+  return session ? { date: session.date, regions: parseAmslerRegions(session.amslerGrid[eye].regions) } : null
+}
+
+/**
+ * Standalone SVG of the grid with its marked areas, for HTML exports.
+ * @param {AmslerRegion[]} regions
+ * @param {number} size - Side length in pixels
+ * @returns {string} SVG markup
+ */
+export function amslerMapSvg(regions, size) {
+  const cell = 200 / AMSLER_GRID_SIZE
+  const lines = Array.from({ length: AMSLER_GRID_SIZE + 1 }, (_, i) => i * cell)
+    .map(at => `<line x1="${at}" y1="0" x2="${at}" y2="200"/><line x1="0" y1="${at}" x2="200" y2="${at}"/>`)
+    .join('')
+  const cells = parseAmslerRegions(regions)
+    .flatMap(({ type, cells: marked }) => marked.map(([col, row]) =>
+      `<rect x="${col * cell}" y="${row * cell}" width="${cell}" height="${cell}" fill="${DISTORTION_COLORS[type]}" fill-opacity="0.7"/>`))
+    .join('')
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200" width="${size}" height="${size}">` +
+    `<rect width="200" height="200" fill="#ffffff"/>${cells}` +
+    `<g stroke="#94a3b8" stroke-width="0.5">${lines}</g>` +
+    '<circle cx="100" cy="100" r="3" fill="#ef4444"/></svg>'
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import {
+  marksToRegions,
+  regionsToMarks,
+  parseAmslerRegions,
+  countMarkedCells,
+  findPreviousAmslerMap,
+  amslerMapSvg,
+  parseAmslerVariant
+} from './amsler'
+
+describe('parseAmslerVariant', () => {
+  it('falls back to the standard chart for results saved before variants', () => {
+    expect(parseAmslerVariant('redOnBlack')).toBe('redOnBlack')
+    expect(parseAmslerVariant(undefined)).toBe('whiteOnBlack')
+    expect(parseAmslerVariant('purple')).toBe('whiteOnBlack')
+  })
+})
+
+describe('marksToRegions', () => {
+  it('groups cells by type in question order, row by row', () => {
+    expect(marksToRegions({ '5,3': 'blurry', '2,4': 'wavy', '9,3': 'wavy', '1,3': 'wavy' })).toEqual([
+      { type: 'wavy', cells: [[1, 3], [9, 3], [2, 4]] },
+      { type: 'blurry', cells: [[5, 3]] }
+    ])
+  })
+
+  it('returns no regions for no marks', () => {
+    expect(marksToRegions({})).toEqual([])
+    expect(marksToRegions(undefined)).toEqual([])
+  })
+})
+
+describe('regionsToMarks', () => {
+  it('drops unknown types and cells outside the grid', () => {
+    expect(regionsToMarks([
+      { type: 'wavy', cells: [[0, 0], [20, 1], [-1, 2], [1.5, 3], 'x'] },
+      { type: 'sparkly', cells: [[4, 4]] },
+      { type: 'missing', cells: 'all' }
+    ])).toEqual({ '0,0': 'wavy' })
+    expect(regionsToMarks('wavy')).toEqual({})
+  })
+
+  it('round-trips with marksToRegions', () => {
+    const marks = { '10,10': 'missing', '11,10': 'distorted' }
+    expect(regionsToMarks(marksToRegions(marks))).toEqual(marks)
+  })
+})
+
+describe('parseAmslerRegions and countMarkedCells', () => {
+  it('counts a cell listed twice once, under the last type', () => {
+    const regions = [{ type: 'wavy', cells: [[3, 3], [4, 3]] }, { type: 'blurry', cells: [[3, 3]] }]
+    expect(parseAmslerRegions(regions)).toEqual([
+      { type: 'wavy', cells: [[4, 3]] },
+      { type: 'blurry', cells: [[3, 3]] }
+    ])
+    expect(countMarkedCells(regions)).toBe(2)
+    expect(countMarkedCells(undefined)).toBe(0)
+  })
+})
+
+describe('findPreviousAmslerMap', () => {
+  const history = [
+    { id: 3, date: '2026-03-01T10:00:00.000Z', amslerGrid: { left: { regions: [], testedAt: '2026-03-01T09:59:00.000Z' } } },
+    { id: 2, date: '2026-02-01T10:00:00.000Z', amslerGrid: { left: { regions: [{ type: 'wavy', cells: [[1, 1]] }] } } },
+    // Saved before areas could be marked
+    { id: 1, date: '2026-01-01T10:00:00.000Z', amslerGrid: { left: { hasIssues: true }, right: { hasIssues: false } } }
+  ]
+
+  it('returns the latest earlier session with a map of the eye', () => {
+    expect(findPreviousAmslerMap(history, 'left', { testedAt: '2026-04-01T09:00:00.000Z' })).toEqual({
+      date: '2026-03-01T10:00:00.000Z',
+      regions: []
+    })
+  })
+
+  it('skips the session the current result was saved in', () => {
+    expect(findPreviousAmslerMap(history, 'left', { testedAt: '2026-03-01T09:59:00.000Z' })).toEqual({
+      date: '2026-02-01T10:00:00.000Z',
+      regions: [{ type: 'wavy', cells: [[1, 1]] }]
+    })
+  })
+
+  it('returns null without an earlier map', () => {
+    expect(findPreviousAmslerMap(history, 'right', null)).toBeNull()
+    expect(findPreviousAmslerMap(undefined, 'left', null)).toBeNull()
+  })
+})
+
+describe('amslerMapSvg', () => {
+  it('draws one square per marked cell', () => {
+    const svg = amslerMapSvg([{ type: 'missing', cells: [[0, 0], [19, 19]] }], 120)
+    expect(svg).toMatch(/^<svg [^>]*width="120" height="120"/)
+    expect(svg.match(/fill="#64748b"/g)).toHaveLength(2)
+    expect(svg).toContain('<rect x="190" y="190" width="10" height="10"')
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * Axis estimation for the astigmatism test.
+ *
+ * Axes follow the clinical convention for minus cylinder: 1° to 180°, where
+ * the darkest line of the clock dial gives the axis by the "rule of 30" (the
+ * lower clock hour of the line times 30°). Axes wrap around at 180°, so 175°
+ * and 5° are only 10° apart; averages are taken on doubled angles, which maps
+ * that wraparound onto a full circle.
+ */
+
+// Below this concentration the selected lines point in too many directions
+// for one axis to stand out
+export const MIN_AXIS_CONCENTRATION = 0.3
+
+// Offsets of the fan lines from the dial's axis, in degrees
+export const FAN_OFFSETS = [-30, -20, -10, 0, 10, 20, 30]
+
+// How much each follow-up answer keeps of the dial's confidence
+const FAN_FACTORS = { picked: 1, equal: 0.6 }
+const BLOCK_FACTORS = { aligned: 1, equal: 0.7, perpendicular: 0.4 }
+
+const SEVERITIES = ['none', 'mild', 'moderate', 'significant']
+
+/**
+ * Axis in 1°–180°.
+ * @param {number} degrees
+ * @returns {number}
+ */
+export function normalizeAxis(degrees) {
+  return ((Math.round(degrees) % 180) + 180) % 180 || 180
+}
+
+/**
+ * Axis of a clock dial line by the rule of 30, the same for both ends of a
+ * meridian (1 and 7 o'clock both give 30°).
+ * @param {number} hour - Clock position 1–12
+ * @returns {number}
+ */
+export function clockToAxis(hour) {
+  return normalizeAxis(hour * 30)
+}
+
+/**
+ * Drawing angle of a line with the given axis, in degrees counterclockwise
+ * from horizontal as the user sees it, matching the rule of 30: the 12–6
+ * line (180°) is vertical and the 3–9 line (90°) horizontal.
+ * @param {number} axis
+ * @returns {number}
+ */
+export function axisToLineAngle(axis) {
+  return 90 - axis
+}
+
+/**
+ * Mean axis of several lines as the doubled-angle circular mean.
+ * @param {number[]} axes
+ * @returns {{axis: number|null, concentration: number}|null} `concentration`
+ *   is the length of the mean doubled-angle vector: 1 when all lines share an
+ *   axis, 0 when they cancel out. `axis` is null below MIN_AXIS_CONCENTRATION.
+ *   Null without lines.
+ */
+export function meanAxis(axes) {
+  if (axes.length === 0) return null
+  const radians = axes.map(axis => (axis * 2 * Math.PI) / 180)
+  const cos = radians.reduce((sum, angle) => sum + Math.cos(angle), 0) / axes.length
+  const sin = radians.reduce((sum, angle) => sum + Math.sin(angle), 0) / axes.length
+  const concentration = Math.min(1, Math.hypot(cos, sin))
+  return {
+    axis: concentration < MIN_AXIS_CONCENTRATION ? null : normalizeAxis((Math.atan2(sin, cos) * 180) / Math.PI / 2),
+    concentration: Math.round(concentration * 100) / 100,
+  }
+}
+
+/**
+ * Axes of the fan lines around the dial's axis.
+ * @param {number} axis
+ * @returns {number[]}
+ */
+export function fanAxes(axis) {
+  return FAN_OFFSETS.map(offset => normalizeAxis(axis + offset))
+}
+
+/**
+ * Severity grade from the dial and the follow-up. It rises with the number of
+ * distinct meridians that looked darker, counting both ends of a meridian
+ * once. A block answer that does not confirm the axis lowers it by one step,
+ * and lines with no common direction (no follow-up) are at most mild.
+ * @param {number[]} selectedLines - Clock positions that looked darker
+ * @param {'aligned'|'equal'|'perpendicular'|null} block - Block answer, null without a follow-up
+ * @returns {'none'|'mild'|'moderate'|'significant'}
+ */
+export function astigmatismSeverity(selectedLines, block) {
+  const meridians = new Set(selectedLines.map(clockToAxis)).size
+  if (meridians === 0) return 'none'
+  if (block === null) return 'mild'
+  const grade = Math.min(meridians, 3) - (block === 'aligned' ? 0 : 1)
+  return SEVERITIES[Math.max(1, grade)]
+}
+
+/**
+ * Confidence in the axis, from how consistent the dial lines were and what
+ * the follow-up showed.
+ * @param {number} concentration - From meanAxis
+ * @param {'picked'|'equal'} fan - Whether a fan line looked darkest
+ * @param {'aligned'|'equal'|'perpendicular'} block - Which block looked darker: the one along the axis, neither, or the other
+ * @returns {number} 0–1
+ */
+export function axisConfidence(concentration, fan, block) {
+  return Math.round(concentration * FAN_FACTORS[fan] * BLOCK_FACTORS[block] * 100) / 100
+}
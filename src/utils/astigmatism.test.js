@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeAxis, clockToAxis, axisToLineAngle, meanAxis, fanAxes, astigmatismSeverity, axisConfidence } from './astigmatism'
+
+describe('normalizeAxis', () => {
+  it('wraps angles into 1°–180°', () => {
+    expect(normalizeAxis(0)).toBe(180)
+    expect(normalizeAxis(190)).toBe(10)
+    expect(normalizeAxis(-20)).toBe(160)
+  })
+})
+
+describe('clockToAxis', () => {
+  it('gives both ends of a meridian the same axis by the rule of 30', () => {
+    expect(clockToAxis(1)).toBe(30)
+    expect(clockToAxis(7)).toBe(30)
+    expect(clockToAxis(3)).toBe(90)
+    expect(clockToAxis(6)).toBe(180)
+    expect(clockToAxis(12)).toBe(180)
+  })
+})
+
+describe('axisToLineAngle', () => {
+  it('draws the 12–6 line vertical and the 3–9 line horizontal', () => {
+    expect(Math.abs(axisToLineAngle(clockToAxis(12)))).toBe(90)
+    expect(axisToLineAngle(clockToAxis(3))).toBe(0)
+  })
+})
+
+describe('meanAxis', () => {
+  it('averages across the 0/180 wraparound', () => {
+    expect(meanAxis([170, 10])).toEqual({ axis: 180, concentration: 0.94 })
+    expect(meanAxis([150, 30]).axis).toBe(180)
+    expect(meanAxis([175, 15]).axis).toBe(5)
+  })
+
+  it('keeps the axis of lines in one direction', () => {
+    expect(meanAxis([30, 30])).toEqual({ axis: 30, concentration: 1 })
+  })
+
+  it('has no axis when the lines cancel out', () => {
+    expect(meanAxis([90, 180])).toEqual({ axis: null, concentration: 0 })
+    expect(meanAxis([])).toBeNull()
+  })
+})
+
+describe('fanAxes', () => {
+  it('spreads 10° steps around the axis, wrapping at 180°', () => {
+    expect(fanAxes(170)).toEqual([140, 150, 160, 170, 180, 10, 20])
+  })
+})
+
+describe('astigmatismSeverity', () => {
+  it('counts both ends of a meridian once', () => {
+    expect(astigmatismSeverity([1, 7], 'aligned')).toBe('mild')
+    expect(astigmatismSeverity([1, 7, 2, 8], 'aligned')).toBe('moderate')
+    expect(astigmatismSeverity([1, 7, 2, 8, 12, 6], 'aligned')).toBe('significant')
+    expect(astigmatismSeverity([], null)).toBe('none')
+  })
+
+  it('grades lower when the follow-up does not confirm the axis', () => {
+    expect(astigmatismSeverity([1, 7, 2, 8], 'perpendicular')).toBe('mild')
+    expect(astigmatismSeverity([1, 2, 3], 'equal')).toBe('moderate')
+    expect(astigmatismSeverity([1], 'equal')).toBe('mild')
+    expect(astigmatismSeverity([12, 3, 5], null)).toBe('mild')
+  })
+})
+
+describe('axisConfidence', () => {
+  it('scales the dial concentration by the follow-up answers', () => {
+    expect(axisConfidence(1, 'picked', 'aligned')).toBe(1)
+    expect(axisConfidence(0.5, 'equal', 'equal')).toBe(0.21)
+    expect(axisConfidence(1, 'picked', 'perpendicular')).toBe(0.4)
+  })
+})
@@ -0,0 +1,160 @@
+/**
+ * Screen calibration helpers.
+ *
+ * Converts between physical sizes, visual angles and CSS pixels so that
+ * optotypes can be drawn at the correct size for a given device and
+ * viewing distance. The calibration profile is stored per device.
+ */
+
+import { getItem } from '../storage/storage'
+
+export const CALIBRATION_STORAGE_KEY = 'visioncheck-calibration'
+export const CALIBRATION_VERSION = 1
+
+// ISO/IEC 7810 ID-1 card (credit card) dimensions in millimetres
+export const CREDIT_CARD_WIDTH_MM = 85.6
+export const CREDIT_CARD_HEIGHT_MM = 53.98
+
+// Length of the on-screen ruler used for ruler-based calibration
+export const RULER_LENGTH_MM = 50
+
+// Nominal CSS reference pixel (96 px per inch) used before calibration
+export const DEFAULT_PX_PER_MM = 96 / 25.4
+
+export const MIN_PX_PER_MM = 2
+export const MAX_PX_PER_MM = 12
+
+export const DEFAULT_VIEWING_DISTANCE_CM = 40
+export const MIN_VIEWING_DISTANCE_CM = 20
+export const MAX_VIEWING_DISTANCE_CM = 300
+
+// A 20/20 optotype subtends 5 minutes of arc
+export const STANDARD_OPTOTYPE_ARCMIN = 5
+
+// Pelli-Robson letters subtend 2.8° at the standard 1 m viewing distance
+export const PELLI_ROBSON_LETTER_DEGREES = 2.8
+
+// Each Amsler grid square subtends 1° of visual angle
+export const AMSLER_CELL_DEGREES = 1
+
+// Cap height of bold Arial relative to its font size, used to size text optotypes
+export const CAP_HEIGHT_RATIO = 0.716
+
+/**
+ * Convert a visual angle to a physical size on screen.
+ * @param {number} arcmin - Visual angle in minutes of arc
+ * @param {number} distanceCm - Viewing distance in centimetres
+ * @returns {number} Size in millimetres
+ */
+export function visualAngleToMm(arcmin, distanceCm) {
+  const radians = (arcmin / 60) * (Math.PI / 180)
+  return 2 * distanceCm * 10 * Math.tan(radians / 2)
+}
+
+/**
+ * Convert a visual angle to CSS pixels for a calibration profile.
+ * @param {number} arcmin - Visual angle in minutes of arc
+ * @param {{pxPerMm: number, viewingDistanceCm: number}} calibration - Calibration profile
+ * @returns {number} Size in CSS pixels
+ */
+export function visualAngleToPx(arcmin, calibration) {
+  return visualAngleToMm(arcmin, calibration.viewingDistanceCm) * calibration.pxPerMm
+}
+
+/**
+ * Convert a physical size on screen back into a visual angle.
+ * @param {number} px - Size in CSS pixels
+ * @param {{pxPerMm: number, viewingDistanceCm: number}} calibration - Calibration profile
+ * @returns {number} Visual angle in degrees
+ */
+export function pxToVisualAngleDegrees(px, calibration) {
+  const mm = px / calibration.pxPerMm
+  return 2 * Math.atan(mm / (2 * calibration.viewingDistanceCm * 10)) * (180 / Math.PI)
+}
+
+/**
+ * Get the visual angle of an optotype for a Snellen fraction.
+ * @param {string} snellen - Snellen fraction such as '20/40'
+ * @returns {number|null} Optotype height in minutes of arc, or null if unparseable
+ */
+export function snellenToArcmin(snellen) {
+  const match = /^(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/.exec(snellen ?? '')
+  if (!match) return null
+  const [, numerator, denominator] = match
+  return STANDARD_OPTOTYPE_ARCMIN * (Number(denominator) / Number(numerator))
+}
+
+/**
+ * Get the on-screen height of an optotype for a Snellen fraction.
+ * @param {string} snellen - Snellen fraction such as '20/40'
+ * @param {{pxPerMm: number, viewingDistanceCm: number}} calibration - Calibration profile
+ * @returns {number|null} Optotype height in CSS pixels, or null if unparseable
+ */
+export function optotypeHeightPx(snellen, calibration) {
+  const arcmin = snellenToArcmin(snellen)
+  if (arcmin === null) return null
+  return visualAngleToPx(arcmin, calibration)
+}
+
+/**
+ * Check that a stored calibration profile has usable values.
+ * @param {*} profile - Candidate calibration profile
+ * @returns {boolean}
+ */
+export function isValidCalibration(profile) {
+  return !!profile &&
+    typeof profile.pxPerMm === 'number' &&
+    profile.pxPerMm >= MIN_PX_PER_MM &&
+    profile.pxPerMm <= MAX_PX_PER_MM &&
+    typeof profile.viewingDistanceCm === 'number' &&
+    profile.viewingDistanceCm >= MIN_VIEWING_DISTANCE_CM &&
+    profile.viewingDistanceCm <= MAX_VIEWING_DISTANCE_CM
+}
+
+/**
+ * Build a calibration profile for the current device.
+ * @param {{pxPerMm: number, viewingDistanceCm: number, method: 'card'|'ruler'}} values - Measured values
+ * @returns {Object} Calibration profile
+ */
+export function createCalibrationProfile({ pxPerMm, viewingDistanceCm, method }) {
+  return {
+    version: CALIBRATION_VERSION,
+    pxPerMm,
+    viewingDistanceCm,
+    method,
+    devicePixelRatio: window.devicePixelRatio || 1,
+    screenWidth: window.screen?.width ?? null,
+    screenHeight: window.screen?.height ?? null,
+    calibratedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Load the device calibration profile from storage
+ * @returns {Object|null} The stored profile, or null if missing or invalid
+ */
+export function loadCalibration() {
+  try {
+    const saved = getItem(CALIBRATION_STORAGE_KEY)
+    if (saved && isValidCalibration(saved)) return saved
+  } catch (e) {
+    console.warn('Failed to load calibration:', e)
+  }
+  return null
+}
+
+/**
+ * Reduce a calibration profile to the fields stored alongside test results.
+ * @param {Object|null} profile - Calibration profile
+ * @returns {Object|null} Snapshot suitable for embedding in a result, or null when uncalibrated
+ */
+export function getCalibrationSnapshot(profile) {
+  if (!isValidCalibration(profile)) return null
+  return {
+    pxPerMm: profile.pxPerMm,
+    viewingDistanceCm: profile.viewingDistanceCm,
+    method: profile.method,
+    devicePixelRatio: profile.devicePixelRatio,
+    calibratedAt: profile.calibratedAt
+  }
+}
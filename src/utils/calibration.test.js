@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  CALIBRATION_STORAGE_KEY,
+  visualAngleToMm,
+  visualAngleToPx,
+  pxToVisualAngleDegrees,
+  snellenToArcmin,
+  optotypeHeightPx,
+  isValidCalibration,
+  loadCalibration,
+  getCalibrationSnapshot,
+} from './calibration'
+
+const calibration = { pxPerMm: 4, viewingDistanceCm: 40 }
+
+describe('calibration utils', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('converts visual angle to millimetres at a viewing distance', () => {
+    // 5 arcmin at 6 m is the classic 8.73 mm Snellen 20/20 letter
+    expect(visualAngleToMm(5, 600)).toBeCloseTo(8.73, 2)
+    // 1 degree at 40 cm is about 6.98 mm
+    expect(visualAngleToMm(60, 40)).toBeCloseTo(6.98, 2)
+  })
+
+  it('converts visual angle to CSS pixels and back', () => {
+    const px = visualAngleToPx(60, calibration)
+    expect(px).toBeCloseTo(6.98 * 4, 1)
+    expect(pxToVisualAngleDegrees(px, calibration)).toBeCloseTo(1, 5)
+  })
+
+  it('derives optotype visual angle from the Snellen fraction', () => {
+    expect(snellenToArcmin('20/20')).toBe(5)
+    expect(snellenToArcmin('20/200')).toBe(50)
+    expect(snellenToArcmin('20/10')).toBe(2.5)
+    expect(snellenToArcmin('Unable to determine')).toBeNull()
+  })
+
+  it('scales optotype height linearly with the Snellen denominator', () => {
+    const normal = optotypeHeightPx('20/20', calibration)
+    const large = optotypeHeightPx('20/200', calibration)
+    expect(large / normal).toBeCloseTo(10, 2)
+  })
+
+  it('doubles optotype size when the viewing distance doubles', () => {
+    const near = optotypeHeightPx('20/40', calibration)
+    const far = optotypeHeightPx('20/40', { ...calibration, viewingDistanceCm: 80 })
+    expect(far / near).toBeCloseTo(2, 3)
+  })
+
+  it('rejects profiles with out-of-range values', () => {
+    expect(isValidCalibration(calibration)).toBe(true)
+    expect(isValidCalibration(null)).toBe(false)
+    expect(isValidCalibration({ pxPerMm: 0.5, viewingDistanceCm: 40 })).toBe(false)
+    expect(isValidCalibration({ pxPerMm: 4, viewingDistanceCm: 5 })).toBe(false)
+  })
+
+  it('loads only valid profiles from localStorage', () => {
+    expect(loadCalibration()).toBeNull()
+
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify({ pxPerMm: 99, viewingDistanceCm: 40 }))
+    expect(loadCalibration()).toBeNull()
+
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify({ ...calibration, method: 'card' }))
+    expect(loadCalibration()).toMatchObject(calibration)
+  })
+
+  it('builds a result snapshot from a profile', () => {
+    const snapshot = getCalibrationSnapshot({
+      ...calibration,
+      method: 'ruler',
+      devicePixelRatio: 3,
+      screenWidth: 390,
+      calibratedAt: '2026-01-01T00:00:00.000Z'
+    })
+
+    expect(snapshot).toEqual({
+      pxPerMm: 4,
+      viewingDistanceCm: 40,
+      method: 'ruler',
+      devicePixelRatio: 3,
+      calibratedAt: '2026-01-01T00:00:00.000Z'
+    })
+    expect(getCalibrationSnapshot(null)).toBeNull()
+  })
+})
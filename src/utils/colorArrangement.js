@@ -0,0 +1,217 @@
+/**
+ * Farnsworth D-15 style cap arrangement: cap colors, scoring and the
+ * arrangement diagram.
+ *
+ * Scoring follows Vingrys and King-Smith's moment of inertia method: the
+ * color differences between neighboring caps in the user's order are
+ * treated as vectors in CIE u*v*, whose main direction gives the confusion
+ * angle and whose spread, compared with the correct order, gives the
+ * confusion index.
+ */
+
+// CIE u*v* of the pilot cap (index 0) and caps 1–15 under illuminant C
+const CAP_UV = [
+  [-21.54, -38.39],
+  [-23.26, -25.56],
+  [-22.41, -15.53],
+  [-23.11, -7.45],
+  [-22.45, 1.10],
+  [-21.67, 7.35],
+  [-14.08, 18.74],
+  [-2.72, 28.13],
+  [14.84, 31.13],
+  [23.87, 26.35],
+  [31.82, 14.76],
+  [31.42, 6.99],
+  [29.79, 0.10],
+  [26.64, -9.38],
+  [22.92, -18.65],
+  [11.20, -24.61],
+]
+
+// The caps are Munsell value 5
+const CAP_LIGHTNESS = 51
+
+export const PILOT_CAP = 0
+export const CAPS = Array.from({ length: 15 }, (_, i) => i + 1)
+
+// A step between caps further apart than this crosses the hue circle
+const MAX_NEIGHBOR_GAP = 2
+// Two crossings fail the test, as on the Farnsworth score sheet
+export const FAIL_CROSSINGS = 2
+// Confusion index of normal observers stays below this
+export const NORMAL_CONFUSION_INDEX = 1.6
+// Below this selectivity index the errors follow no single axis
+export const MIN_SELECTIVITY_INDEX = 1.8
+
+// Confusion angles in u*v* for each defect type, in degrees
+export const CONFUSION_ANGLES = { protan: 8.6, deutan: -7.6, tritan: -82 }
+
+export const DEFECT_TYPES = ['protan', 'deutan', 'tritan', 'nonspecific']
+
+// Screen color of a cap: CIE L*u*v* to sRGB with a D65 display white
+function capColor([uStar, vStar]) {
+  const [whiteU, whiteV] = [0.19784, 0.46834]
+  const y = ((CAP_LIGHTNESS + 16) / 116) ** 3
+  const u = uStar / (13 * CAP_LIGHTNESS) + whiteU
+  const v = vStar / (13 * CAP_LIGHTNESS) + whiteV
+  const x = y * 9 * u / (4 * v)
+  const z = y * (12 - 3 * u - 20 * v) / (4 * v)
+  const linear = [
+    3.2406 * x - 1.5372 * y - 0.4986 * z,
+    -0.9689 * x + 1.8758 * y + 0.0415 * z,
+    0.0557 * x - 0.2040 * y + 1.0570 * z,
+  ]
+  return '#' + linear
+    .map(c => Math.min(1, Math.max(0, c)))
+    .map(c => c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055)
+    .map(c => Math.round(c * 255).toString(16).padStart(2, '0'))
+    .join('')
+}
+
+// Hex color of the pilot cap (index 0) and caps 1–15
+export const CAP_COLORS = CAP_UV.map(capColor)
+
+/**
+ * Caps 1–15 in random order, as they are handed to the user.
+ * @param {() => number} [random]
+ * @returns {number[]}
+ */
+export function createTrayOrder(random = Math.random) {
+  const caps = [...CAPS]
+  for (let i = caps.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[caps[i], caps[j]] = [caps[j], caps[i]]
+  }
+  return caps
+}
+
+/**
+ * Steps between caps that cross the hue circle rather than follow it.
+ * @param {number[]} arrangement - Caps 1–15 in the user's order, after the pilot
+ * @returns {number}
+ */
+export function countCrossings(arrangement) {
+  const caps = [PILOT_CAP, ...arrangement]
+  return caps.slice(1).filter((cap, i) => Math.abs(cap - caps[i]) > MAX_NEIGHBOR_GAP).length
+}
+
+// Major and minor radius and angle of the color difference vectors
+function moments(arrangement) {
+  const caps = [PILOT_CAP, ...arrangement]
+  const steps = caps.slice(1).map((cap, i) => [CAP_UV[cap][0] - CAP_UV[caps[i]][0], CAP_UV[cap][1] - CAP_UV[caps[i]][1]])
+  const uu = steps.reduce((sum, [du]) => sum + du * du, 0)
+  const vv = steps.reduce((sum, [, dv]) => sum + dv * dv, 0)
+  const uv = steps.reduce((sum, [du, dv]) => sum + du * dv, 0)
+  const spread = Math.hypot((uu - vv) / 2, uv)
+  return {
+    majorRadius: Math.sqrt(((uu + vv) / 2 + spread) / steps.length),
+    minorRadius: Math.sqrt(Math.max(0, (uu + vv) / 2 - spread) / steps.length),
+    angle: (Math.atan2(2 * uv, uu - vv) / 2) * 180 / Math.PI,
+  }
+}
+
+const PERFECT = moments(CAPS)
+
+/**
+ * Defect type from the confusion angle: the closest of the protan, deutan
+ * and tritan axes.
+ * @param {number} angle - Degrees, -90 to 90
+ * @returns {'protan'|'deutan'|'tritan'}
+ */
+export function classifyAngle(angle) {
+  const distance = (a, b) => {
+    const d = Math.abs(a - b) % 180
+    return Math.min(d, 180 - d)
+  }
+  return Object.keys(CONFUSION_ANGLES)
+    .reduce((best, type) => distance(angle, CONFUSION_ANGLES[type]) < distance(angle, CONFUSION_ANGLES[best]) ? type : best)
+}
+
+/**
+ * Score an arrangement.
+ * @param {number[]} arrangement - Caps 1–15 in the user's order, after the pilot
+ * @returns {{arrangement: number[], crossings: number, confusionAngle: number, confusionIndex: number, selectivityIndex: number, totalErrorScore: number, hasDefect: boolean, defectType: string|null, status: 'normal'|'possible_deficiency'}}
+ *   `confusionIndex` is 1 for the correct order; `defectType` is one of
+ *   DEFECT_TYPES, null without a defect.
+ */
+export function summarizeArrangement(arrangement) {
+  const { majorRadius, minorRadius, angle } = moments(arrangement)
+  const crossings = countCrossings(arrangement)
+  const confusionIndex = majorRadius / PERFECT.majorRadius
+  const selectivityIndex = minorRadius > 0 ? majorRadius / minorRadius : Infinity
+  const hasDefect = crossings >= FAIL_CROSSINGS || confusionIndex > NORMAL_CONFUSION_INDEX
+  const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+
+  return {
+    arrangement,
+    crossings,
+    confusionAngle: round(angle, 1),
+    confusionIndex: round(confusionIndex, 2),
+    selectivityIndex: round(Math.min(selectivityIndex, 99), 2),
+    totalErrorScore: round(Math.hypot(majorRadius, minorRadius), 1),
+    hasDefect,
+    defectType: !hasDefect ? null : selectivityIndex < MIN_SELECTIVITY_INDEX ? 'nonspecific' : classifyAngle(angle),
+    status: hasDefect ? 'possible_deficiency' : 'normal',
+  }
+}
+
+/**
+ * Check a saved arrangement, which must hold each of caps 1–15 once.
+ * @param {unknown} value
+ * @returns {number[]|null}
+ */
+export function parseArrangement(value) {
+  if (!Array.isArray(value) || value.length !== CAPS.length) return null
+  return CAPS.every(cap => value.includes(cap)) ? [...value] : null
+}
+
+/**
+ * Positions of the caps on the arrangement diagram: their u*v* coordinates
+ * scaled into a square of the given size, v* upwards.
+ * @param {number} size
+ * @returns {{x: number, y: number}[]} Indexed like CAP_COLORS
+ */
+export function diagramPositions(size) {
+  const scale = size / 100
+  return CAP_UV.map(([u, v]) => ({ x: size / 2 + u * scale, y: size / 2 - v * scale }))
+}
+
+/**
+ * Ends of a confusion axis line through the middle of the diagram.
+ * @param {number} angle - Degrees in u*v*
+ * @param {number} size
+ * @returns {{x1: number, y1: number, x2: number, y2: number}}
+ */
+export function confusionAxisLine(angle, size) {
+  const radians = angle * Math.PI / 180
+  const reach = size * 0.42
+  const dx = Math.cos(radians) * reach
+  const dy = Math.sin(radians) * reach
+  return { x1: size / 2 - dx, y1: size / 2 + dy, x2: size / 2 + dx, y2: size / 2 - dy }
+}
+
+/**
+ * Standalone SVG markup of the arrangement diagram, for printable reports:
+ * the caps around the hue circle, the user's order as a path and the
+ * confusion axes as dashed lines.
+ * @param {unknown} arrangement - Saved arrangement; invalid ones draw the caps only
+ * @param {number} [size]
+ * @returns {string}
+ */
+export function arrangementDiagramSvg(arrangement, size = 160) {
+  const positions = diagramPositions(size)
+  const order = parseArrangement(arrangement)
+  const round = (value) => Math.round(value * 10) / 10
+  const axes = Object.entries(CONFUSION_ANGLES).map(([type, angle]) => {
+    const { x1, y1, x2, y2 } = confusionAxisLine(angle, size)
+    return `<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" stroke="#cbd5e1" stroke-dasharray="3 3"/><text x="${round(x2)}" y="${round(y2)}" font-size="8" fill="#94a3b8">${type[0].toUpperCase()}</text>`
+  }).join('')
+  const path = order
+    ? `<polyline points="${[PILOT_CAP, ...order].map(cap => `${round(positions[cap].x)},${round(positions[cap].y)}`).join(' ')}" fill="none" stroke="#1e293b" stroke-width="1.5"/>`
+    : ''
+  const caps = positions
+    .map(({ x, y }, cap) => `<circle cx="${round(x)}" cy="${round(y)}" r="4" fill="${CAP_COLORS[cap]}" stroke="#ffffff"/>`)
+    .join('')
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">${axes}${path}${caps}</svg>`
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest'
+import {
+  CAPS,
+  CAP_COLORS,
+  createTrayOrder,
+  countCrossings,
+  classifyAngle,
+  summarizeArrangement,
+  parseArrangement,
+  arrangementDiagramSvg
+} from './colorArrangement'
+
+// Typical arrangements from the Farnsworth D-15 manual
+const PROTAN = [15, 1, 14, 2, 13, 3, 12, 4, 11, 5, 10, 6, 9, 7, 8]
+const DEUTAN = [1, 15, 2, 3, 14, 4, 13, 5, 12, 6, 11, 7, 10, 8, 9]
+const TRITAN = [1, 2, 3, 4, 5, 6, 7, 15, 8, 14, 9, 13, 10, 11, 12]
+
+describe('createTrayOrder', () => {
+  it('hands out every cap once', () => {
+    const tray = createTrayOrder()
+    expect([...tray].sort((a, b) => a - b)).toEqual(CAPS)
+  })
+
+  it('shuffles with the given random source', () => {
+    expect(createTrayOrder(() => 0.999)).toEqual(CAPS)
+    expect(createTrayOrder(() => 0)).not.toEqual(CAPS)
+  })
+})
+
+describe('countCrossings', () => {
+  it('ignores small slips along the hue circle', () => {
+    expect(countCrossings(CAPS)).toBe(0)
+    expect(countCrossings([2, 1, 3, 4, 5, 7, 6, 8, 9, 10, 11, 12, 13, 15, 14])).toBe(0)
+  })
+
+  it('counts jumps across the circle, including from the pilot', () => {
+    expect(countCrossings([4, 1, 2, 3, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15])).toBe(2)
+    expect(countCrossings(TRITAN)).toBe(6)
+  })
+})
+
+describe('classifyAngle', () => {
+  it('picks the closest confusion axis, wrapping at 180°', () => {
+    expect(classifyAngle(10)).toBe('protan')
+    expect(classifyAngle(-12)).toBe('deutan')
+    expect(classifyAngle(-80)).toBe('tritan')
+    expect(classifyAngle(85)).toBe('tritan')
+  })
+})
+
+describe('summarizeArrangement', () => {
+  it('scores the correct order as normal with a confusion index of 1', () => {
+    const summary = summarizeArrangement(CAPS)
+    expect(summary.confusionIndex).toBe(1)
+    expect(summary.crossings).toBe(0)
+    expect(summary).toMatchObject({ hasDefect: false, defectType: null, status: 'normal' })
+  })
+
+  it('classifies the typical defect patterns', () => {
+    expect(summarizeArrangement(PROTAN)).toMatchObject({ hasDefect: true, defectType: 'protan', status: 'possible_deficiency' })
+    expect(summarizeArrangement(DEUTAN)).toMatchObject({ hasDefect: true, defectType: 'deutan' })
+    expect(summarizeArrangement(TRITAN)).toMatchObject({ hasDefect: true, defectType: 'tritan', crossings: 6 })
+    expect(summarizeArrangement(PROTAN).confusionIndex).toBeGreaterThan(3)
+  })
+
+  it('passes minor transpositions', () => {
+    const summary = summarizeArrangement([2, 1, 3, 4, 5, 7, 6, 8, 9, 10, 11, 12, 13, 15, 14])
+    expect(summary.hasDefect).toBe(false)
+    expect(summary.confusionIndex).toBeLessThan(1.6)
+  })
+})
+
+describe('parseArrangement', () => {
+  it('accepts a complete arrangement only', () => {
+    expect(parseArrangement(PROTAN)).toEqual(PROTAN)
+    expect(parseArrangement(PROTAN.slice(1))).toBeNull()
+    expect(parseArrangement([...PROTAN.slice(1), 1])).toBeNull()
+    expect(parseArrangement('1,2,3')).toBeNull()
+  })
+})
+
+describe('arrangementDiagramSvg', () => {
+  it('draws every cap and the path of the arrangement', () => {
+    const svg = arrangementDiagramSvg(DEUTAN, 140)
+    expect(svg).toMatch(/^<svg[^>]+width="140"/)
+    expect(svg.match(/<circle/g)).toHaveLength(CAP_COLORS.length)
+    expect(svg).toContain('<polyline')
+    expect(svg.match(/<line/g)).toHaveLength(3)
+  })
+
+  it('leaves out the path for invalid arrangements', () => {
+    expect(arrangementDiagramSvg(null)).not.toContain('<polyline')
+  })
+})
@@ -0,0 +1,89 @@
+/**
+ * Structured eye photo analysis, as returned by /api/analyze and stored with
+ * the results. Shared by the app and the server-rendered PDF report.
+ *
+ * Results saved before the structured format hold the model's markdown
+ * instead, either as a string or keyed by language; the helpers below accept
+ * both.
+ */
+
+export const IMAGE_QUALITIES = ['good', 'fair', 'poor']
+
+export const EYE_FINDINGS = ['redness', 'sclera', 'pupil', 'iris', 'eyelid']
+
+export const FINDING_SEVERITIES = ['none', 'mild', 'moderate', 'severe', 'not_assessed']
+
+// Ordered from least to most urgent
+export const RECOMMENDATION_TIERS = ['routine', 'schedule_exam', 'see_soon']
+
+// How a finding changed between two photos of the same eye
+export const CHANGE_DIRECTIONS = ['improved', 'unchanged', 'worsened', 'not_assessed']
+
+/**
+ * @typedef {Object} EyeAnalysis
+ * @property {'good'|'fair'|'poor'} imageQuality
+ * @property {Record<string, string>} findings - Severity for each of EYE_FINDINGS
+ * @property {'routine'|'schedule_exam'|'see_soon'} recommendation
+ * @property {Record<string, string>} narrative - Markdown text by language code
+ */
+
+/**
+ * @typedef {Object} EyeComparison
+ * @property {Record<string, string>} changes - Direction from CHANGE_DIRECTIONS for each of EYE_FINDINGS
+ * @property {Record<string, string>} narrative - Markdown text by language code
+ */
+
+/**
+ * Whether an analysis uses the structured format rather than legacy markdown.
+ * @param {unknown} analysis
+ * @returns {analysis is EyeAnalysis}
+ */
+export function isStructuredAnalysis(analysis) {
+  return !!analysis &&
+    typeof analysis === 'object' &&
+    RECOMMENDATION_TIERS.includes(analysis.recommendation) &&
+    !!analysis.findings &&
+    !!analysis.narrative
+}
+
+/**
+ * Narrative text of an analysis in the given language, falling back to
+ * English and then to whichever language it was written in.
+ * @param {EyeAnalysis|Record<string, string>|string|null} analysis - Structured or legacy analysis
+ * @param {string} language - Language code
+ * @returns {string} Markdown, or an empty string when there is none
+ */
+export function getAnalysisNarrative(analysis, language) {
+  if (!analysis) return ''
+  if (typeof analysis === 'string') return analysis
+  const texts = isStructuredAnalysis(analysis) ? analysis.narrative : analysis
+  return texts[language] || texts.en || Object.values(texts)[0] || ''
+}
+
+/**
+ * Most urgent recommendation among the per-eye photo analyses.
+ * @param {{left?: {analysis?: unknown}|null, right?: {analysis?: unknown}|null}|null} eyePhoto
+ * @returns {'routine'|'schedule_exam'|'see_soon'|null} Null when neither eye has a structured analysis
+ */
+export function getEyePhotoTier(eyePhoto) {
+  const tiers = ['left', 'right']
+    .map(eye => eyePhoto?.[eye]?.analysis)
+    .filter(isStructuredAnalysis)
+    .map(analysis => RECOMMENDATION_TIERS.indexOf(analysis.recommendation))
+  return tiers.length > 0 ? RECOMMENDATION_TIERS[Math.max(...tiers)] : null
+}
+
+/**
+ * Findings whose severity differs between the left and right eye. Parts
+ * that could not be assessed in either photo are left out, since a
+ * difference there says nothing about the eyes.
+ * @param {unknown} left - Analysis of the left eye
+ * @param {unknown} right - Analysis of the right eye
+ * @returns {{finding: string, left: string, right: string}[]}
+ */
+export function compareEyeAnalyses(left, right) {
+  if (!isStructuredAnalysis(left) || !isStructuredAnalysis(right)) return []
+  return EYE_FINDINGS
+    .map(finding => ({ finding, left: left.findings[finding], right: right.findings[finding] }))
+    .filter(({ left, right }) => left !== right && left !== 'not_assessed' && right !== 'not_assessed')
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { compareEyeAnalyses, getAnalysisNarrative, getEyePhotoTier, isStructuredAnalysis } from './eyeAnalysis'
+
+const STRUCTURED = {
+  imageQuality: 'good',
+  findings: { redness: 'none', sclera: 'none', pupil: 'none', iris: 'none', eyelid: 'none' },
+  recommendation: 'routine',
+  narrative: { en: 'Looks healthy.', de: 'Sieht gesund aus.' }
+}
+
+describe('isStructuredAnalysis', () => {
+  it('tells structured analyses from legacy markdown', () => {
+    expect(isStructuredAnalysis(STRUCTURED)).toBe(true)
+    expect(isStructuredAnalysis({ en: '## Summary', de: '## Zusammenfassung' })).toBe(false)
+    expect(isStructuredAnalysis('## Summary')).toBe(false)
+    expect(isStructuredAnalysis(null)).toBe(false)
+  })
+})
+
+describe('getAnalysisNarrative', () => {
+  it('reads every stored format', () => {
+    expect(getAnalysisNarrative(STRUCTURED, 'de')).toBe('Sieht gesund aus.')
+    expect(getAnalysisNarrative({ en: 'Legacy', de: 'Alt' }, 'de')).toBe('Alt')
+    expect(getAnalysisNarrative('Oldest format', 'de')).toBe('Oldest format')
+    expect(getAnalysisNarrative(null, 'en')).toBe('')
+  })
+
+  it('falls back to English', () => {
+    expect(getAnalysisNarrative({ ...STRUCTURED, narrative: { en: 'Only English' } }, 'de')).toBe('Only English')
+  })
+})
+
+describe('getEyePhotoTier', () => {
+  const withTier = (recommendation) => ({ analysis: { ...STRUCTURED, recommendation } })
+
+  it('returns the most urgent recommendation of either eye', () => {
+    expect(getEyePhotoTier({ left: withTier('routine'), right: withTier('schedule_exam') })).toBe('schedule_exam')
+    expect(getEyePhotoTier({ left: withTier('see_soon'), right: null })).toBe('see_soon')
+  })
+
+  it('ignores legacy analyses and missing photos', () => {
+    expect(getEyePhotoTier({ left: { analysis: '## Summary' }, right: null })).toBeNull()
+    expect(getEyePhotoTier({ left: null, right: null })).toBeNull()
+    expect(getEyePhotoTier(null)).toBeNull()
+  })
+})
+
+describe('compareEyeAnalyses', () => {
+  it('lists findings that differ between the eyes', () => {
+    const right = { ...STRUCTURED, findings: { ...STRUCTURED.findings, redness: 'moderate', pupil: 'not_assessed' } }
+    const left = { ...STRUCTURED, findings: { ...STRUCTURED.findings, eyelid: 'mild' } }
+
+    expect(compareEyeAnalyses(left, right)).toEqual([
+      { finding: 'redness', left: 'none', right: 'moderate' },
+      { finding: 'eyelid', left: 'mild', right: 'none' },
+    ])
+  })
+
+  it('needs structured analyses of both eyes', () => {
+    expect(compareEyeAnalyses(STRUCTURED, null)).toEqual([])
+    expect(compareEyeAnalyses({ en: '## Summary' }, STRUCTURED)).toEqual([])
+  })
+})
@@ -0,0 +1,74 @@
+/**
+ * On-device face landmark detection for browsers without FaceDetector.
+ *
+ * Runs face-api's tiny face detector and 68-point landmark model on
+ * TensorFlow.js. The model weights are bundled with the app and served from
+ * its own origin, so neither frames nor model requests leave the site.
+ * Results are returned in the shape of the Shape Detection API's
+ * DetectedFace, so the distance estimate does not care which detector ran.
+ */
+import detectorManifest from '@vladmandic/face-api/model/tiny_face_detector_model-weights_manifest.json'
+import detectorWeightsUrl from '@vladmandic/face-api/model/tiny_face_detector_model.bin?url'
+import landmarkManifest from '@vladmandic/face-api/model/face_landmark_68_tiny_model-weights_manifest.json'
+import landmarkWeightsUrl from '@vladmandic/face-api/model/face_landmark_68_tiny_model.bin?url'
+
+// Smallest input size of the tiny detector; a face at arm's length fills enough of it
+const DETECTOR_INPUT_SIZE = 224
+const DETECTOR_SCORE_THRESHOLD = 0.5
+
+async function loadWeights(faceapi, net, manifest, weightsUrl) {
+  const response = await fetch(weightsUrl)
+  if (!response.ok) {
+    throw new Error(`Failed to load face model weights (${response.status})`)
+  }
+  const weightMap = faceapi.tf.io.decodeWeights(await response.arrayBuffer(), manifest[0].weights)
+  net.loadFromWeightMap(weightMap)
+}
+
+/**
+ * Convert a face-api detection with landmarks to a DetectedFace.
+ * @param {Object} result - Result of detectSingleFace().withFaceLandmarks()
+ * @returns {{boundingBox: Object, landmarks: Array<{type: string, locations: Array}>}}
+ */
+export function toDetectedFace(result) {
+  const { box } = result.detection
+  const { landmarks } = result
+  const points = (list) => list.map(({ x, y }) => ({ x, y }))
+
+  return {
+    boundingBox: { x: box.x, y: box.y, width: box.width, height: box.height },
+    landmarks: [
+      { type: 'eye', locations: points(landmarks.getLeftEye()) },
+      { type: 'eye', locations: points(landmarks.getRightEye()) }
+    ]
+  }
+}
+
+/**
+ * Load the models and return a detector with the FaceDetector interface.
+ *
+ * face-api and TensorFlow.js are imported on demand, so they are only
+ * downloaded once the user switches the distance check on.
+ *
+ * @returns {Promise<{detect: (video: HTMLVideoElement) => Promise<Array>}>}
+ */
+export async function createLandmarkDetector() {
+  const faceapi = await import('@vladmandic/face-api')
+  await faceapi.tf.ready()
+  await Promise.all([
+    loadWeights(faceapi, faceapi.nets.tinyFaceDetector, detectorManifest, detectorWeightsUrl),
+    loadWeights(faceapi, faceapi.nets.faceLandmark68TinyNet, landmarkManifest, landmarkWeightsUrl)
+  ])
+
+  const options = new faceapi.TinyFaceDetectorOptions({
+    inputSize: DETECTOR_INPUT_SIZE,
+    scoreThreshold: DETECTOR_SCORE_THRESHOLD
+  })
+
+  return {
+    async detect(video) {
+      const result = await faceapi.detectSingleFace(video, options).withFaceLandmarks(true)
+      return result ? [toDetectedFace(result)] : []
+    }
+  }
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest'
+import { toDetectedFace } from './faceLandmarks'
+
+describe('toDetectedFace', () => {
+  it('returns the box and both eyes in the FaceDetector shape', () => {
+    const face = toDetectedFace({
+      detection: { box: { x: 10, y: 20, width: 120, height: 150, area: 18000 } },
+      landmarks: {
+        getLeftEye: () => [{ x: 40, y: 60, _x: 40 }, { x: 50, y: 60 }],
+        getRightEye: () => [{ x: 100, y: 60 }, { x: 110, y: 60 }]
+      }
+    })
+
+    expect(face).toEqual({
+      boundingBox: { x: 10, y: 20, width: 120, height: 150 },
+      landmarks: [
+        { type: 'eye', locations: [{ x: 40, y: 60 }, { x: 50, y: 60 }] },
+        { type: 'eye', locations: [{ x: 100, y: 60 }, { x: 110, y: 60 }] }
+      ]
+    })
+  })
+})
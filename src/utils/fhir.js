@@ -0,0 +1,222 @@
+/**
+ * FHIR R4 export of screening results.
+ *
+ * Sessions (current results or saved history) become a `collection` Bundle
+ * of Observations that practices can load into their EHR. LOINC codes are
+ * used where LOINC has a matching concept (uncorrected visual acuity per
+ * eye); the other tests, and acuity measured with the glasses or contact
+ * lenses a profile wears, use this app's own code system. Laterality is
+ * recorded in bodySite with SNOMED CT codes.
+ */
+
+import { parseAmslerRegions, parseAmslerVariant } from './amsler'
+import { DISPLACEMENT_LEVELS_ARCMIN, parseHyperacuityMap } from './hyperacuity'
+import { dropRepeatedResults } from './trials'
+
+export const FHIR_MIME_TYPE = 'application/fhir+json'
+export const SCREENING_CODE_SYSTEM = 'https://visioncheck.ai/fhir/CodeSystem/screening'
+
+const LOINC = 'http://loinc.org'
+const SNOMED = 'http://snomed.info/sct'
+const UCUM = 'http://unitsofmeasure.org'
+const INTERPRETATION = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation'
+
+const EXAM_CATEGORY = {
+  coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'exam', display: 'Exam' }]
+}
+
+const EYE_SITES = {
+  left: { coding: [{ system: SNOMED, code: '8966001', display: 'Left eye structure' }] },
+  right: { coding: [{ system: SNOMED, code: '18944008', display: 'Right eye structure' }] }
+}
+
+// Hyperacuity test positions by their offset from fixation, as seen on the screen
+const HYPERACUITY_ROWS = { '-4': 'top', 0: 'middle', 4: 'bottom' }
+const HYPERACUITY_COLUMNS = { '-4': 'left', 0: 'centre', 4: 'right' }
+
+const NORMAL = { coding: [{ system: INTERPRETATION, code: 'N', display: 'Normal' }] }
+const ABNORMAL = { coding: [{ system: INTERPRETATION, code: 'A', display: 'Abnormal' }] }
+
+const loinc = (code, display) => ({ coding: [{ system: LOINC, code, display }], text: display })
+const screening = (code, display) => ({ coding: [{ system: SCREENING_CODE_SYSTEM, code, display }], text: display })
+
+const UNCORRECTED_ACUITY_CODES = {
+  left: loinc('98499-7', 'Visual acuity uncorrected Left eye'),
+  right: loinc('98498-9', 'Visual acuity uncorrected Right eye')
+}
+
+// People who wear glasses or contact lenses take the test with them on
+const CORRECTED_ACUITY_CODE = screening('visual-acuity-own-correction', 'Visual acuity with own glasses or contact lenses')
+
+const EYES = ['left', 'right']
+
+/**
+ * Build one Observation. Values and components are passed in FHIR form.
+ */
+function observation(code, { eye, effective, subject, ...fields }) {
+  return {
+    resourceType: 'Observation',
+    status: 'final',
+    category: [EXAM_CATEGORY],
+    code,
+    ...(subject && { subject }),
+    ...(effective && { effectiveDateTime: effective }),
+    ...(eye && { bodySite: EYE_SITES[eye] }),
+    ...fields
+  }
+}
+
+// Marked squares of the 20×20 grid per kind of distortion. FHIR forbids
+// empty arrays, so there is no component when no valid squares are marked.
+function amslerComponents(regions) {
+  const component = parseAmslerRegions(regions).map(({ type, cells }) => ({
+    code: screening(`amsler-${type}-squares`, `Amsler grid squares marked ${type}`),
+    valueQuantity: { value: cells.length, unit: 'squares' }
+  }))
+  return component.length > 0 ? { component } : {}
+}
+
+/**
+ * Observations for one session's results.
+ * @param {Object} session - Results object or saved history session
+ * @param {Object} [subject] - Reference to the Patient
+ * @param {boolean} [corrected] - Whether acuity was measured with glasses or contact lenses
+ * @returns {Object[]}
+ */
+function sessionToObservations(session, subject, corrected) {
+  const observations = []
+  const sessionDate = session.date || session.completedAt || undefined
+  // `build` returns false when the eye's result lacks the measured value
+  const perEye = (test, build) => EYES.forEach(eye => {
+    const data = session[test]?.[eye]
+    const built = data && build(data, { eye, subject, effective: data.testedAt || sessionDate })
+    if (built) observations.push(built)
+  })
+
+  perEye('visualAcuity', (data, context) => data.snellen && observation(corrected ? CORRECTED_ACUITY_CODE : UNCORRECTED_ACUITY_CODES[context.eye], {
+    ...context,
+    valueString: data.snellen,
+    method: { text: 'Tumbling E chart, self-administered on screen' },
+    ...(typeof data.logMAR === 'number' && {
+      component: [{ code: screening('logmar', 'Visual acuity logMAR'), valueQuantity: { value: data.logMAR, unit: 'logMAR' } }]
+    })
+  }))
+
+  const colorVision = session.colorVision
+  if (colorVision && typeof colorVision.correctCount === 'number') {
+    observations.push(observation(screening('color-vision-plates', 'Color vision plates read correctly'), {
+      subject,
+      effective: colorVision.testedAt || sessionDate,
+      valueRatio: { numerator: { value: colorVision.correctCount }, denominator: { value: colorVision.totalPlates } },
+      ...(colorVision.status && { interpretation: [colorVision.status === 'normal' ? NORMAL : ABNORMAL] })
+    }))
+  }
+
+  const colorArrangement = session.colorArrangement
+  if (colorArrangement && typeof colorArrangement.confusionIndex === 'number') {
+    observations.push(observation(screening('color-arrangement-confusion-index', 'Color arrangement confusion index'), {
+      subject,
+      effective: colorArrangement.testedAt || sessionDate,
+      valueQuantity: { value: colorArrangement.confusionIndex },
+      interpretation: [colorArrangement.hasDefect ? ABNORMAL : NORMAL],
+      method: { text: 'Farnsworth D-15 style cap arrangement, self-administered on screen' },
+      component: [
+        { code: screening('color-arrangement-crossings', 'Color arrangement crossings'), valueQuantity: { value: colorArrangement.crossings } },
+        { code: screening('color-arrangement-confusion-angle', 'Color arrangement confusion angle'), valueQuantity: { value: colorArrangement.confusionAngle, unit: 'deg', system: UCUM, code: 'deg' } },
+        { code: screening('color-arrangement-selectivity-index', 'Color arrangement selectivity index'), valueQuantity: { value: colorArrangement.selectivityIndex } },
+        ...(colorArrangement.defectType ? [{ code: screening('color-arrangement-defect-type', 'Color arrangement defect type'), valueString: colorArrangement.defectType }] : [])
+      ]
+    }))
+  }
+
+  perEye('contrastSensitivity', (data, context) => typeof data.logCS === 'number' && observation(screening('contrast-sensitivity-logcs', 'Contrast sensitivity logCS'), {
+    ...context,
+    valueQuantity: { value: data.logCS, unit: 'logCS' }
+  }))
+
+  perEye('amslerGrid', (data, context) => observation(screening('amsler-grid', 'Amsler grid distortion'), {
+    ...context,
+    valueBoolean: !!data.hasIssues,
+    interpretation: [data.hasIssues ? ABNORMAL : NORMAL],
+    ...(data.variant && { method: { text: `Amsler grid chart variant: ${parseAmslerVariant(data.variant)}` } }),
+    ...amslerComponents(data.regions)
+  }))
+
+  perEye('hyperacuity', (data, context) => typeof data.abnormalLocations === 'number' && observation(screening('hyperacuity-reduced-locations', 'Hyperacuity test positions with reduced threshold'), {
+    ...context,
+    valueQuantity: { value: data.abnormalLocations, unit: 'positions' },
+    interpretation: [data.hasIssues ? ABNORMAL : NORMAL],
+    // Smallest bump found at each position, or above the largest shown when none was
+    ...(Array.isArray(data.map) && {
+      component: parseHyperacuityMap(data.map).map(({ x, y, thresholdArcmin }) => {
+        const position = `${HYPERACUITY_ROWS[y]}-${HYPERACUITY_COLUMNS[x]}`
+        return {
+          code: screening(`hyperacuity-threshold-${position}`, `Hyperacuity threshold ${position.replace('-', ' ')}`),
+          valueQuantity: {
+            ...(thresholdArcmin === null && { comparator: '>' }),
+            value: thresholdArcmin ?? DISPLACEMENT_LEVELS_ARCMIN.at(-1),
+            unit: 'arcmin',
+            system: UCUM,
+            code: "'"
+          }
+        }
+      })
+    })
+  }))
+
+  perEye('astigmatism', (data, context) => observation(screening('astigmatism-axis', 'Astigmatism axis estimate'), {
+    ...context,
+    ...(typeof data.estimatedAxis === 'number'
+      ? { valueQuantity: { value: data.estimatedAxis, unit: 'deg', system: UCUM, code: 'deg' } }
+      : { dataAbsentReason: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/data-absent-reason', code: 'not-applicable' }] } }),
+    interpretation: [data.allLinesEqual ? NORMAL : ABNORMAL],
+    ...(typeof data.axisConfidence === 'number' && {
+      component: [{ code: screening('astigmatism-axis-confidence', 'Astigmatism axis confidence'), valueQuantity: { value: Math.round(data.axisConfidence * 100), unit: '%', system: UCUM, code: '%' } }]
+    })
+  }))
+
+  perEye('peripheralVision', (data, context) => typeof data.detectionRate === 'number' && observation(screening('peripheral-detection-rate', 'Peripheral targets detected'), {
+    ...context,
+    valueQuantity: { value: data.detectionRate, unit: '%', system: UCUM, code: '%' }
+  }))
+
+  return observations
+}
+
+/**
+ * Build the Patient resource for a profile. Only the year of birth is known.
+ */
+function profileToPatient(profile) {
+  return {
+    resourceType: 'Patient',
+    ...(profile?.name && { name: [{ text: profile.name }] }),
+    ...(profile?.birthYear && { birthDate: String(profile.birthYear) })
+  }
+}
+
+/**
+ * Build a FHIR R4 Bundle for one or more sessions. A result held by several
+ * sessions (the current results and the history entries they were saved to)
+ * becomes one Observation, so an import does not record it twice.
+ * @param {Object[]} sessions - Results objects or saved history sessions
+ * @param {Object} [options]
+ * @param {{name?: string, birthYear?: number|null, wearsGlasses?: boolean}} [options.profile] - Person the results belong to
+ * @param {() => string} [options.createId] - UUID generator (defaults to crypto.randomUUID)
+ * @returns {Object} Bundle of type `collection`
+ */
+export function buildFhirBundle(sessions, { profile, createId = () => crypto.randomUUID() } = {}) {
+  const patientUrl = `urn:uuid:${createId()}`
+  const subject = { reference: patientUrl }
+  const observations = dropRepeatedResults(sessions)
+    .flatMap(session => sessionToObservations(session, subject, !!profile?.wearsGlasses))
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: [
+      { fullUrl: patientUrl, resource: profileToPatient(profile) },
+      ...observations.map(resource => ({ fullUrl: `urn:uuid:${createId()}`, resource }))
+    ]
+  }
+}
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest'
+import Ajv from 'ajv'
+import bundleSchema from '../test/schemas/fhir-r4-bundle.schema.json'
+import { buildFhirBundle, SCREENING_CODE_SYSTEM } from './fhir'
+
+const validate = new Ajv({ allErrors: true }).compile(bundleSchema)
+
+const RESULTS = {
+  visualAcuity: {
+    left: { snellen: '20/40', level: 6, logMAR: 0.3, testedAt: '2024-01-15T10:00:00.000Z' },
+    right: { snellen: '20/20', level: 9, logMAR: 0, testedAt: '2024-01-15T10:05:00.000Z' }
+  },
+  colorVision: { correctCount: 7, totalPlates: 8, status: 'mild_difficulty', testedAt: '2024-01-15T10:10:00.000Z' },
+  colorArrangement: {
+    arrangement: [15, 1, 14, 2, 13, 3, 12, 4, 11, 5, 10, 6, 9, 7, 8],
+    crossings: 13,
+    confusionAngle: 3.9,
+    confusionIndex: 4.85,
+    selectivityIndex: 8.84,
+    hasDefect: true,
+    defectType: 'protan',
+    status: 'possible_deficiency'
+  },
+  contrastSensitivity: { left: { logCS: 1.35 }, right: null },
+  amslerGrid: {
+    left: { hasIssues: true, status: 'concerns_noted', variant: 'crossHatch', regions: [{ type: 'wavy', cells: [[9, 9], [10, 9]] }, { type: 'blurry', cells: [[4, 4]] }] },
+    right: { hasIssues: false, status: 'normal' }
+  },
+  astigmatism: { left: { allLinesEqual: false, estimatedAxis: 90, axisConfidence: 0.8 }, right: { allLinesEqual: true, estimatedAxis: null } },
+  peripheralVision: { left: { detectionRate: 85 }, right: null },
+  hyperacuity: {
+    left: {
+      hasIssues: true,
+      abnormalLocations: 1,
+      map: [-4, 0, 4].flatMap(y => [-4, 0, 4].map(x => ({ x, y, thresholdArcmin: x === 4 && y === -4 ? null : 4 })))
+    },
+    right: null
+  },
+  completedAt: '2024-01-15T10:30:00.000Z'
+}
+
+const observations = (bundle) => bundle.entry.map(e => e.resource).filter(r => r.resourceType === 'Observation')
+const byCode = (bundle, code) => observations(bundle).filter(o => o.code.coding[0].code === code)
+
+describe('FHIR export', () => {
+  it('produces a Bundle that matches the FHIR R4 schema', () => {
+    const bundle = buildFhirBundle([RESULTS], { profile: { name: 'Anna', birthYear: 1980 } })
+
+    const valid = validate(bundle)
+    expect(validate.errors).toBeNull()
+    expect(valid).toBe(true)
+    expect(bundle.type).toBe('collection')
+  })
+
+  it('creates one Observation per eye and test', () => {
+    const bundle = buildFhirBundle([RESULTS])
+
+    expect(observations(bundle)).toHaveLength(11)
+    const subjects = new Set(observations(bundle).map(o => o.subject.reference))
+    expect(subjects).toEqual(new Set([bundle.entry[0].fullUrl]))
+  })
+
+  it('codes visual acuity with LOINC and laterality', () => {
+    const bundle = buildFhirBundle([RESULTS])
+    const [left] = byCode(bundle, '98499-7')
+    const [right] = byCode(bundle, '98498-9')
+
+    expect(left.code.coding[0].system).toBe('http://loinc.org')
+    expect(left.valueString).toBe('20/40')
+    expect(left.bodySite.coding[0].code).toBe('8966001')
+    expect(left.effectiveDateTime).toBe('2024-01-15T10:00:00.000Z')
+    expect(left.component[0].valueQuantity.value).toBe(0.3)
+    expect(right.bodySite.coding[0].code).toBe('18944008')
+  })
+
+  it('codes acuity measured with glasses in the screening code system', () => {
+    const bundle = buildFhirBundle([RESULTS], { profile: { name: 'Anna', wearsGlasses: true } })
+
+    expect(validate(bundle)).toBe(true)
+    expect(byCode(bundle, '98499-7')).toHaveLength(0)
+    const corrected = byCode(bundle, 'visual-acuity-own-correction')
+    expect(corrected.map(o => o.bodySite.coding[0].code)).toEqual(['8966001', '18944008'])
+    expect(corrected[0].code.coding[0].system).toBe(SCREENING_CODE_SYSTEM)
+  })
+
+  it('records the other tests in the screening code system', () => {
+    const bundle = buildFhirBundle([RESULTS])
+
+    const [plates] = byCode(bundle, 'color-vision-plates')
+    expect(plates.code.coding[0].system).toBe(SCREENING_CODE_SYSTEM)
+    expect(plates.valueRatio).toEqual({ numerator: { value: 7 }, denominator: { value: 8 } })
+    expect(plates.interpretation[0].coding[0].code).toBe('A')
+
+    const [arrangement] = byCode(bundle, 'color-arrangement-confusion-index')
+    expect(arrangement.valueQuantity.value).toBe(4.85)
+    expect(arrangement.interpretation[0].coding[0].code).toBe('A')
+    expect(arrangement.component.map(c => c.code.coding[0].code)).toEqual([
+      'color-arrangement-crossings',
+      'color-arrangement-confusion-angle',
+      'color-arrangement-selectivity-index',
+      'color-arrangement-defect-type'
+    ])
+    expect(arrangement.component[3].valueString).toBe('protan')
+
+    expect(byCode(bundle, 'contrast-sensitivity-logcs')[0].valueQuantity.value).toBe(1.35)
+    expect(byCode(bundle, 'amsler-grid').map(o => o.valueBoolean)).toEqual([true, false])
+    expect(byCode(bundle, 'amsler-grid')[0].component.map(c => [c.code.coding[0].code, c.valueQuantity.value])).toEqual([
+      ['amsler-wavy-squares', 2],
+      ['amsler-blurry-squares', 1]
+    ])
+    expect(byCode(bundle, 'amsler-grid')[1].component).toBeUndefined()
+    expect(byCode(bundle, 'amsler-grid').map(o => o.method?.text)).toEqual(['Amsler grid chart variant: crossHatch', undefined])
+    expect(byCode(bundle, 'peripheral-detection-rate')[0].valueQuantity).toMatchObject({ value: 85, code: '%' })
+
+    const [hyperacuity] = byCode(bundle, 'hyperacuity-reduced-locations')
+    expect(hyperacuity.valueQuantity).toEqual({ value: 1, unit: 'positions' })
+    expect(hyperacuity.interpretation[0].coding[0].code).toBe('A')
+    expect(hyperacuity.component).toHaveLength(9)
+    expect(hyperacuity.component[0].code.coding[0].code).toBe('hyperacuity-threshold-top-left')
+    expect(hyperacuity.component[0].valueQuantity).toMatchObject({ value: 4, unit: 'arcmin' })
+    expect(hyperacuity.component[2].valueQuantity).toMatchObject({ comparator: '>', value: 32 })
+
+    const [axis, noAxis] = byCode(bundle, 'astigmatism-axis')
+    expect(axis.valueQuantity).toMatchObject({ value: 90, code: 'deg' })
+    expect(axis.component[0].code.coding[0].code).toBe('astigmatism-axis-confidence')
+    expect(axis.component[0].valueQuantity).toMatchObject({ value: 80, code: '%' })
+    expect(noAxis.valueQuantity).toBeUndefined()
+    expect(noAxis.component).toBeUndefined()
+    expect(noAxis.dataAbsentReason.coding[0].code).toBe('not-applicable')
+  })
+
+  it('uses the session date for saved history summaries', () => {
+    const session = { id: 1, date: '2024-02-01T09:00:00.000Z', contrastSensitivity: { left: { logCS: 1.2 }, right: null } }
+    const bundle = buildFhirBundle([session])
+
+    expect(validate(bundle)).toBe(true)
+    expect(observations(bundle)[0].effectiveDateTime).toBe('2024-02-01T09:00:00.000Z')
+  })
+
+  it('records results saved to history once', () => {
+    // Saved before the remaining tests were taken, which joined the same results
+    const saved = { id: 1, date: '2024-01-15T10:12:00.000Z', visualAcuity: RESULTS.visualAcuity, colorVision: RESULTS.colorVision }
+    const older = { id: 2, date: '2024-01-10T10:00:00.000Z', colorVision: { ...RESULTS.colorVision, testedAt: '2024-01-10T09:55:00.000Z' } }
+    const bundle = buildFhirBundle([RESULTS, saved, older])
+
+    expect(byCode(bundle, 'color-vision-plates')).toHaveLength(2)
+    expect(observations(bundle)).toHaveLength(12)
+  })
+
+  it('leaves out Amsler components when no marked square is valid', () => {
+    const session = { id: 1, date: '2024-02-01T09:00:00.000Z', amslerGrid: { left: { hasIssues: true, regions: [{ type: 'wavy', cells: [[25, 3]] }, { type: 'unknown', cells: [[1, 1]] }] }, right: null } }
+    const bundle = buildFhirBundle([session])
+
+    expect(validate(bundle)).toBe(true)
+    expect(byCode(bundle, 'amsler-grid')[0]).not.toHaveProperty('component')
+  })
+
+  it('describes the patient from the profile', () => {
+    const [patient] = buildFhirBundle([RESULTS], { profile: { name: 'Anna', birthYear: 1980 } }).entry
+
+    expect(patient.resource).toEqual({ resourceType: 'Patient', name: [{ text: 'Anna' }], birthDate: '1980' })
+    expect(buildFhirBundle([]).entry[0].resource).toEqual({ resourceType: 'Patient' })
+  })
+
+  it('rejects invalid resources in the schema', () => {
+    const bundle = buildFhirBundle([RESULTS])
+    const observation = observations(bundle)[0]
+    observation.valueBoolean = true
+
+    expect(validate(bundle)).toBe(false)
+  })
+})
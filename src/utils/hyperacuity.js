@@ -0,0 +1,280 @@
+/**
+ * Preferential hyperacuity (Vernier) test, modelled on preferential
+ * hyperacuity perimetry: dotted lines are flashed at positions around the
+ * fixation dot, each with a small deliberate bump of a few dots, and the user
+ * points to where the line looked bent. A damaged macula distorts the line
+ * by itself; that distortion then draws the user's attention away from the
+ * deliberate bump (hence "preferential"), so the bump is missed or only found
+ * when it is large.
+ *
+ * Each test position has its own staircase over the bump size. The result is
+ * a threshold map: the smallest bump found at each position, or null when
+ * none was. Positions and sizes are visual angles, measured from the fixation
+ * dot with y growing downwards; the page converts them to pixels through the
+ * screen calibration. Without a calibration the sizes are unknown, so the
+ * result is not graded.
+ *
+ * The limits below are screening heuristics for a phone screen, not clinical
+ * norms.
+ */
+
+// Side of the square test field
+export const HYPERACUITY_FIELD_DEGREES = 12
+
+// Test positions, row by row from the top left
+export const HYPERACUITY_LOCATIONS = [-4, 0, 4].flatMap(y => [-4, 0, 4].map(x => ({ x, y })))
+
+// Bump sizes in minutes of arc, smallest first
+export const DISPLACEMENT_LEVELS_ARCMIN = [4, 8, 16, 32]
+// Each position starts at 16′
+export const START_LEVEL = 2
+
+// With three trials from 16′ a position reaches 8′ after one find and 4′
+// after two in a row, or 32′ after a miss. The map therefore resolves 4′, 8′,
+// 16′ and 32′, and "not found" when no bump was; it is a screening grid, not
+// a converged threshold
+export const TRIALS_PER_LOCATION = 3
+
+// Largest threshold still counted as normal
+export const NORMAL_THRESHOLD_ARCMIN = 8
+
+// A tap this close to the middle of the bump, measured along the line,
+// counts as finding it. Smaller than the spacing of BUMP_OFFSETS_DEGREES, so
+// pointing at the middle of the line only finds bumps that are there
+export const LOCALIZATION_TOLERANCE_DEGREES = 0.5
+// How far beside the line a tap may land and still point at it
+const ACROSS_TOLERANCE_DEGREES = 1
+
+// How long each line is shown
+export const FLASH_MS = 160
+
+const LINE_LENGTH_DEGREES = 4
+const DOT_SPACING_DEGREES = 0.4
+const BUMP_HALF_WIDTH_DEGREES = 0.8
+// Points along the line where the bump can be centred, from one end of the
+// line to the other, in degrees from its middle
+export const BUMP_OFFSETS_DEGREES = [-1.2, -0.6, 0, 0.6, 1.2]
+
+/**
+ * How much closer together the test positions and lines are drawn when the
+ * screen covers less than the full field, e.g. a phone at 40 cm. Only the
+ * layout shrinks; bump sizes keep their visual angle, so the thresholds stay
+ * comparable.
+ * @param {number|null} fieldDegrees - Field covered on screen, null when uncalibrated
+ * @returns {number} Between 0 and 1
+ */
+export function getLayoutScale(fieldDegrees) {
+  return fieldDegrees ? Math.min(1, fieldDegrees / HYPERACUITY_FIELD_DEGREES) : 1
+}
+
+/**
+ * @typedef {Object} Stimulus
+ * @property {number} location - Index into HYPERACUITY_LOCATIONS
+ * @property {number} level - Index into DISPLACEMENT_LEVELS_ARCMIN
+ * @property {'horizontal'|'vertical'} orientation
+ * @property {{x: number, y: number}[]} dots - Dot positions in degrees
+ * @property {{x: number, y: number}} bump - Middle of the bump, in degrees
+ * @property {number} scale - Layout scale from getLayoutScale()
+ */
+
+/**
+ * @typedef {Object} HyperacuityTrial
+ * @property {number} location - Index into HYPERACUITY_LOCATIONS
+ * @property {number} amplitudeArcmin - Bump size shown
+ * @property {{x: number, y: number}} bump - Middle of the bump, in degrees
+ * @property {{x: number, y: number}|null} response - Where the user pointed, null for "no bump seen"
+ * @property {boolean} localized - Whether the response found the bump
+ */
+
+/**
+ * Order in which the positions are tested: every position once per round,
+ * shuffled within each round.
+ * @param {() => number} [random]
+ * @returns {number[]} Indexes into HYPERACUITY_LOCATIONS
+ */
+export function createTrialOrder(random = Math.random) {
+  return Array.from({ length: TRIALS_PER_LOCATION }).flatMap(() => {
+    const round = HYPERACUITY_LOCATIONS.map((_, i) => i)
+    for (let i = round.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1))
+      ;[round[i], round[j]] = [round[j], round[i]]
+    }
+    return round
+  })
+}
+
+/**
+ * Smaller bump after a find, larger after a miss.
+ * @param {number} level - Index into DISPLACEMENT_LEVELS_ARCMIN
+ * @param {boolean} localized
+ * @returns {number}
+ */
+export function nextLevel(level, localized) {
+  return Math.min(DISPLACEMENT_LEVELS_ARCMIN.length - 1, Math.max(0, level + (localized ? -1 : 1)))
+}
+
+/**
+ * A point of a line through a test position, given along and across the line.
+ * The position and the distance along the line shrink with the layout; the
+ * distance across, which is the bump, does not.
+ * @param {number} location - Index into HYPERACUITY_LOCATIONS
+ * @param {'horizontal'|'vertical'} orientation
+ * @param {number} along - Degrees along the line from its middle, at full layout
+ * @param {number} [across] - Degrees sideways from the line
+ * @param {number} [scale] - Layout scale from getLayoutScale()
+ * @returns {{x: number, y: number}} In degrees from the fixation dot
+ */
+export function linePoint(location, orientation, along, across = 0, scale = 1) {
+  const centre = HYPERACUITY_LOCATIONS[location]
+  return orientation === 'horizontal'
+    ? { x: (centre.x + along) * scale, y: centre.y * scale + across }
+    : { x: centre.x * scale + across, y: (centre.y + along) * scale }
+}
+
+/**
+ * A dotted line through a test position with a bump at a random one of
+ * BUMP_OFFSETS_DEGREES, bent to a random side.
+ * @param {number} location - Index into HYPERACUITY_LOCATIONS
+ * @param {number} level - Index into DISPLACEMENT_LEVELS_ARCMIN
+ * @param {() => number} [random]
+ * @param {number} [scale] - Layout scale from getLayoutScale()
+ * @returns {Stimulus}
+ */
+export function createStimulus(location, level, random = Math.random, scale = 1) {
+  const orientation = random() < 0.5 ? 'horizontal' : 'vertical'
+  const bumpOffset = BUMP_OFFSETS_DEGREES[Math.floor(random() * BUMP_OFFSETS_DEGREES.length)]
+  const side = random() < 0.5 ? -1 : 1
+  const amplitude = (DISPLACEMENT_LEVELS_ARCMIN[level] / 60) * side
+
+  const toField = (along, across) => linePoint(location, orientation, along, across, scale)
+
+  const dotCount = Math.round(LINE_LENGTH_DEGREES / DOT_SPACING_DEGREES) + 1
+  const dots = Array.from({ length: dotCount }, (_, i) => {
+    const along = -LINE_LENGTH_DEGREES / 2 + i * DOT_SPACING_DEGREES
+    const weight = Math.max(0, 1 - Math.abs(along - bumpOffset) / BUMP_HALF_WIDTH_DEGREES)
+    return toField(along, amplitude * weight)
+  })
+
+  return { location, level, orientation, dots, bump: toField(bumpOffset, amplitude), scale }
+}
+
+/**
+ * Whether a response points to the bump: close to it along the line and
+ * close to the line sideways.
+ * @param {{x: number, y: number}|null} response - In degrees, null for "no bump seen"
+ * @param {{bump: {x: number, y: number}, orientation: 'horizontal'|'vertical', scale?: number}} stimulus
+ * @returns {boolean}
+ */
+export function isLocalized(response, { bump, orientation, scale = 1 }) {
+  if (!response) return false
+  const [along, across] = orientation === 'horizontal'
+    ? [response.x - bump.x, response.y - bump.y]
+    : [response.y - bump.y, response.x - bump.x]
+  // The bump offsets shrink with the layout, so the tolerance along the line does too
+  return Math.abs(along) <= LOCALIZATION_TOLERANCE_DEGREES * scale && Math.abs(across) <= ACROSS_TOLERANCE_DEGREES
+}
+
+const round1 = (value) => Math.round(value * 10) / 10
+
+/**
+ * Threshold map and summary of one eye's trials.
+ *
+ * Ungraded results (from an uncalibrated screen, where the bump sizes in
+ * minutes of arc are unknown) keep no map and count no reduced positions.
+ *
+ * @param {HyperacuityTrial[]} trials
+ * @param {Object} [options]
+ * @param {boolean} [options.graded] - Whether the bump sizes are known (default: true)
+ * @returns {{map: {x: number, y: number, thresholdArcmin: number|null}[]|null, abnormalLocations: number|null, misplacedResponses: {x: number, y: number}[], hasIssues: boolean, status: 'normal'|'concerns_noted'|'not_graded'}}
+ */
+export function summarizeHyperacuity(trials, { graded = true } = {}) {
+  // Where the user saw a bend other than the deliberate one, which can point
+  // to a distortion of their own
+  const misplacedResponses = trials
+    .filter(trial => trial.response && !trial.localized)
+    .map(({ response }) => ({ x: round1(response.x), y: round1(response.y) }))
+
+  if (!graded) {
+    return { map: null, abnormalLocations: null, misplacedResponses, hasIssues: false, status: 'not_graded' }
+  }
+
+  const map = HYPERACUITY_LOCATIONS.map((position, location) => {
+    const found = trials.filter(trial => trial.location === location && trial.localized)
+    return {
+      ...position,
+      thresholdArcmin: found.length > 0 ? Math.min(...found.map(trial => trial.amplitudeArcmin)) : null,
+    }
+  })
+  const abnormalLocations = map.filter(cell => !isNormalThreshold(cell.thresholdArcmin)).length
+
+  return {
+    map,
+    abnormalLocations,
+    misplacedResponses,
+    hasIssues: abnormalLocations > 0,
+    status: abnormalLocations > 0 ? 'concerns_noted' : 'normal',
+  }
+}
+
+/**
+ * Whether a position's threshold is within the normal range.
+ * @param {number|null} thresholdArcmin
+ * @returns {boolean}
+ */
+export function isNormalThreshold(thresholdArcmin) {
+  return thresholdArcmin !== null && thresholdArcmin <= NORMAL_THRESHOLD_ARCMIN
+}
+
+// How a position of the map is drawn
+export const THRESHOLD_CATEGORIES = ['normal', 'reduced', 'notFound']
+
+export const THRESHOLD_COLORS = {
+  normal: '#10b981',
+  reduced: '#f59e0b',
+  notFound: '#ef4444',
+}
+
+/**
+ * Category of a position's threshold.
+ * @param {number|null} thresholdArcmin
+ * @returns {'normal'|'reduced'|'notFound'}
+ */
+export function getThresholdCategory(thresholdArcmin) {
+  if (thresholdArcmin === null || thresholdArcmin === undefined) return 'notFound'
+  return isNormalThreshold(thresholdArcmin) ? 'normal' : 'reduced'
+}
+
+/**
+ * Normalize a threshold map from storage or a request.
+ * @param {unknown} map
+ * @returns {{x: number, y: number, thresholdArcmin: number|null}[]|null} One cell per test position, null without a map
+ */
+export function parseHyperacuityMap(map) {
+  if (!Array.isArray(map)) return null
+  return HYPERACUITY_LOCATIONS.map(position => {
+    const cell = map.find(entry => entry?.x === position.x && entry?.y === position.y)
+    const threshold = cell?.thresholdArcmin
+    return {
+      ...position,
+      thresholdArcmin: DISPLACEMENT_LEVELS_ARCMIN.includes(threshold) ? threshold : null,
+    }
+  })
+}
+
+/**
+ * Standalone SVG of a threshold map, for HTML exports.
+ * @param {unknown} map
+ * @param {number} size - Side length in pixels
+ * @returns {string} SVG markup
+ */
+export function hyperacuityMapSvg(map, size) {
+  const cells = (parseHyperacuityMap(map) ?? []).map(({ x, y, thresholdArcmin }) => {
+    const left = (x / 4 + 1) * 40
+    const top = (y / 4 + 1) * 40
+    const label = thresholdArcmin === null ? '–' : `${thresholdArcmin}′`
+    return `<rect x="${left + 2}" y="${top + 2}" width="36" height="36" rx="4" fill="${THRESHOLD_COLORS[getThresholdCategory(thresholdArcmin)]}" fill-opacity="0.8"/>` +
+      `<text x="${left + 20}" y="${top + 24}" text-anchor="middle" font-size="11" fill="#ffffff">${label}</text>`
+  }).join('')
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 120 120" width="${size}" height="${size}">` +
+    `<rect width="120" height="120" fill="#ffffff"/>${cells}</svg>`
+}
@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest'
+import {
+  HYPERACUITY_LOCATIONS,
+  TRIALS_PER_LOCATION,
+  getLayoutScale,
+  createTrialOrder,
+  nextLevel,
+  createStimulus,
+  isLocalized,
+  linePoint,
+  BUMP_OFFSETS_DEGREES,
+  summarizeHyperacuity,
+  getThresholdCategory,
+  parseHyperacuityMap,
+  hyperacuityMapSvg
+} from './hyperacuity'
+
+// Cycles through fixed values in place of Math.random
+const sequence = (...values) => {
+  let i = 0
+  return () => values[i++ % values.length]
+}
+
+describe('createTrialOrder', () => {
+  it('tests every position once per round', () => {
+    const order = createTrialOrder()
+    expect(order).toHaveLength(HYPERACUITY_LOCATIONS.length * TRIALS_PER_LOCATION)
+    for (let round = 0; round < TRIALS_PER_LOCATION; round++) {
+      const positions = order.slice(round * 9, round * 9 + 9)
+      expect([...positions].sort()).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8])
+    }
+  })
+})
+
+describe('getLayoutScale', () => {
+  it('shrinks the layout only for fields smaller than the full test field', () => {
+    expect(getLayoutScale(9)).toBe(0.75)
+    expect(getLayoutScale(12)).toBe(1)
+    expect(getLayoutScale(15)).toBe(1)
+    expect(getLayoutScale(null)).toBe(1)
+  })
+})
+
+describe('nextLevel', () => {
+  it('steps down after a find and up after a miss, within the levels', () => {
+    expect(nextLevel(2, true)).toBe(1)
+    expect(nextLevel(2, false)).toBe(3)
+    expect(nextLevel(0, true)).toBe(0)
+    expect(nextLevel(3, false)).toBe(3)
+  })
+})
+
+describe('createStimulus', () => {
+  it('bends a horizontal line at the bump by the bump size', () => {
+    // Horizontal, bump in the middle of the line, bent downwards
+    const stimulus = createStimulus(5, 3, sequence(0.2, 0.5, 0.9))
+
+    expect(stimulus.orientation).toBe('horizontal')
+    expect(stimulus.bump.x).toBeCloseTo(4)
+    expect(stimulus.bump.y).toBeCloseTo(32 / 60)
+    expect(stimulus.dots.every(dot => dot.y >= 0)).toBe(true)
+    expect(stimulus.dots.filter(dot => dot.y === 0).length).toBeGreaterThan(0)
+    expect(stimulus.dots.some(dot => Math.abs(dot.x - 4) < 1e-9 && Math.abs(dot.y - 32 / 60) < 1e-9)).toBe(true)
+  })
+
+  it('runs a vertical line through the position', () => {
+    const stimulus = createStimulus(0, 0, sequence(0.7, 0.5, 0.1))
+
+    expect(stimulus.orientation).toBe('vertical')
+    expect(stimulus.bump).toEqual({ x: -4 - 4 / 60, y: -4 })
+    expect(new Set(stimulus.dots.map(dot => dot.x)).size).toBeGreaterThan(1)
+  })
+
+  it('moves the line closer to fixation on a smaller field but keeps the bump size', () => {
+    const stimulus = createStimulus(5, 3, sequence(0.2, 0.5, 0.9), 0.5)
+
+    expect(stimulus.scale).toBe(0.5)
+    expect(stimulus.bump.x).toBeCloseTo(2)
+    expect(stimulus.bump.y).toBeCloseTo(32 / 60)
+    expect(Math.max(...stimulus.dots.map(dot => dot.x)) - Math.min(...stimulus.dots.map(dot => dot.x))).toBeCloseTo(2)
+  })
+
+  it('places the bump anywhere along the line', () => {
+    const bumps = [0, 0.2, 0.4, 0.6, 0.8].map(offset => createStimulus(4, 3, sequence(0.2, offset, 0.9)).bump.x)
+    expect(bumps).toEqual(BUMP_OFFSETS_DEGREES)
+  })
+})
+
+describe('linePoint', () => {
+  it('measures along and across the line', () => {
+    expect(linePoint(5, 'horizontal', 1.2, 0.5)).toEqual({ x: 5.2, y: 0.5 })
+    expect(linePoint(5, 'vertical', 1.2, 0.5)).toEqual({ x: 4.5, y: 1.2 })
+  })
+
+  it('scales the position and the distance along the line, not across it', () => {
+    expect(linePoint(5, 'horizontal', 1.2, 0.5, 0.5)).toEqual({ x: 2.6, y: 0.5 })
+    expect(linePoint(5, 'vertical', 1.2, 0.5, 0.5)).toEqual({ x: 2.5, y: 0.6 })
+  })
+})
+
+describe('isLocalized', () => {
+  const stimulus = { bump: { x: 0.6, y: 0.5 }, orientation: 'horizontal' }
+
+  it('accepts a response near the bump along the line', () => {
+    expect(isLocalized({ x: 0.9, y: 0 }, stimulus)).toBe(true)
+    expect(isLocalized({ x: 0.6, y: 1.4 }, stimulus)).toBe(true)
+    expect(isLocalized(null, stimulus)).toBe(false)
+  })
+
+  it('misses the bump when pointing at the middle of the line', () => {
+    expect(isLocalized({ x: 0, y: 0 }, stimulus)).toBe(false)
+    expect(isLocalized({ x: 0, y: 0 }, { bump: { x: 0, y: 0.6 }, orientation: 'vertical' })).toBe(false)
+  })
+
+  it('narrows the tolerance along the line with the layout', () => {
+    expect(isLocalized({ x: 0.9, y: 0 }, { ...stimulus, scale: 0.5 })).toBe(false)
+    expect(isLocalized({ x: 0.8, y: 0 }, { ...stimulus, scale: 0.5 })).toBe(true)
+  })
+})
+
+describe('summarizeHyperacuity', () => {
+  const found = (location, amplitudeArcmin) => ({ location, amplitudeArcmin, bump: HYPERACUITY_LOCATIONS[location], response: HYPERACUITY_LOCATIONS[location], localized: true })
+
+  it('maps the smallest bump found at each position', () => {
+    const trials = HYPERACUITY_LOCATIONS.flatMap((_, location) => [found(location, 16), found(location, 8), found(location, 4)])
+    const summary = summarizeHyperacuity(trials)
+
+    expect(summary.map.map(cell => cell.thresholdArcmin)).toEqual(Array(9).fill(4))
+    expect(summary).toMatchObject({ abnormalLocations: 0, hasIssues: false, status: 'normal', misplacedResponses: [] })
+  })
+
+  it('counts positions with only large or no bumps found as reduced', () => {
+    const trials = [
+      // The top left bump is missed, once with a bend seen elsewhere
+      { location: 0, amplitudeArcmin: 16, bump: { x: -4, y: -4 }, response: { x: 0.04, y: -0.26 }, localized: false },
+      { location: 0, amplitudeArcmin: 32, bump: { x: -4, y: -4 }, response: null, localized: false },
+      // The top right one only when large
+      found(2, 16),
+      ...[1, 3, 4, 5, 6, 7, 8].map(location => found(location, 8))
+    ]
+    const summary = summarizeHyperacuity(trials)
+
+    expect(summary.map[0]).toEqual({ x: -4, y: -4, thresholdArcmin: null })
+    expect(summary.map[2].thresholdArcmin).toBe(16)
+    expect(summary).toMatchObject({ abnormalLocations: 2, hasIssues: true, status: 'concerns_noted' })
+    expect(summary.misplacedResponses).toEqual([{ x: 0, y: -0.3 }])
+  })
+
+  it('does not grade results whose bump sizes are unknown', () => {
+    const trials = [{ location: 0, amplitudeArcmin: 32, bump: { x: -4, y: -4 }, response: { x: 1, y: 1 }, localized: false }]
+    const summary = summarizeHyperacuity(trials, { graded: false })
+
+    expect(summary).toEqual({ map: null, abnormalLocations: null, misplacedResponses: [{ x: 1, y: 1 }], hasIssues: false, status: 'not_graded' })
+  })
+})
+
+describe('getThresholdCategory', () => {
+  it('splits thresholds into normal, reduced and not found', () => {
+    expect(getThresholdCategory(8)).toBe('normal')
+    expect(getThresholdCategory(16)).toBe('reduced')
+    expect(getThresholdCategory(null)).toBe('notFound')
+  })
+})
+
+describe('parseHyperacuityMap', () => {
+  it('keeps one cell per position and drops invalid thresholds', () => {
+    const map = parseHyperacuityMap([{ x: 4, y: 4, thresholdArcmin: 4 }, { x: 0, y: 0, thresholdArcmin: 3 }, { x: 4, y: 0, thresholdArcmin: 2 }, { x: 9, y: 9, thresholdArcmin: 4 }])
+
+    expect(map).toHaveLength(9)
+    expect(map[8]).toEqual({ x: 4, y: 4, thresholdArcmin: 4 })
+    expect(map[4].thresholdArcmin).toBeNull()
+    expect(map[5].thresholdArcmin).toBeNull()
+    expect(parseHyperacuityMap(undefined)).toBeNull()
+  })
+})
+
+describe('hyperacuityMapSvg', () => {
+  it('draws a labelled square per position', () => {
+    const svg = hyperacuityMapSvg([{ x: -4, y: -4, thresholdArcmin: 4 }], 120)
+
+    expect(svg).toMatch(/^<svg [^>]*width="120" height="120"/)
+    expect(svg.match(/<rect x=/g)).toHaveLength(9)
+    expect(svg).toContain('<rect x="2" y="2" width="36" height="36" rx="4" fill="#10b981"')
+    expect(svg).toContain('>4′</text>')
+    expect(svg.match(/fill="#ef4444"/g)).toHaveLength(8)
+  })
+})
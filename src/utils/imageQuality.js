@@ -0,0 +1,195 @@
+/**
+ * In-browser quality checks for eye photos, run before a photo is sent for
+ * analysis so that blurry, badly lit or badly framed shots do not waste an
+ * API call.
+ *
+ * All measurements look at the guide circle in the middle of the frame,
+ * where CameraGuideOverlay asks the user to place their eye:
+ * - sharpness: variance of the Laplacian, which drops as edges blur
+ * - exposure: mean luminance
+ * - glare: share of blown-out pixels, beyond the small catchlight of an eye
+ * - centring: the pupil and iris are the darkest part of a well-framed eye,
+ *   so their centroid should sit near the middle of the circle
+ *
+ * These are heuristics, not eye detection; the thresholds are deliberately
+ * lenient so that only clearly unusable frames are held back.
+ */
+
+// Radius of the guide circle as a share of the frame's shorter side
+export const GUIDE_RADIUS = 0.25
+
+export const QUALITY_THRESHOLDS = {
+  minSharpness: 60,
+  minBrightness: 60,
+  maxBrightness: 200,
+  maxGlare: 0.05,
+  // Share of the guide circle the pupil and iris may cover
+  minDarkShare: 0.01,
+  maxDarkShare: 0.5,
+  // Distance of their centroid from the middle, as a share of the radius
+  maxCentreOffset: 0.35,
+}
+
+// Ordered by which problem the user should fix first
+export const QUALITY_ISSUES = ['tooDark', 'tooBright', 'glare', 'blurry', 'notCentred']
+
+// Luminance from which a pixel counts as blown out
+const GLARE_LEVEL = 250
+
+// Pixels darker than this share of the mean belong to the pupil or iris
+const DARK_RATIO = 0.5
+
+// Frames are scaled down to this width before measuring
+const ANALYSIS_WIDTH = 320
+
+/**
+ * @typedef {Object} QualityResult
+ * @property {boolean} passed - Whether the photo is good enough to analyze
+ * @property {string[]} issues - Problems found, ordered as QUALITY_ISSUES
+ * @property {{brightness: number, sharpness: number, glare: number, darkShare: number, centreOffset: number|null}|null} metrics
+ */
+
+/**
+ * Luminance (Rec. 601) of each pixel.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData
+ * @returns {Float32Array}
+ */
+export function toLuminance({ data, width, height }) {
+  const gray = new Float32Array(width * height)
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]
+  }
+  return gray
+}
+
+/**
+ * Measure a frame inside the guide circle.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData
+ * @returns {NonNullable<QualityResult['metrics']>}
+ */
+export function measureImageQuality(imageData) {
+  const { width, height } = imageData
+  const gray = toLuminance(imageData)
+  const cx = (width - 1) / 2
+  const cy = (height - 1) / 2
+  const radius = GUIDE_RADIUS * Math.min(width, height)
+
+  const pixels = []
+  for (let y = Math.max(0, Math.ceil(cy - radius)); y <= Math.min(height - 1, Math.floor(cy + radius)); y++) {
+    for (let x = Math.max(0, Math.ceil(cx - radius)); x <= Math.min(width - 1, Math.floor(cx + radius)); x++) {
+      if ((x - cx) ** 2 + (y - cy) ** 2 <= radius ** 2) pixels.push([x, y])
+    }
+  }
+
+  let sum = 0
+  let glare = 0
+  let laplacianSum = 0
+  let laplacianSquares = 0
+  let laplacianCount = 0
+  for (const [x, y] of pixels) {
+    const i = y * width + x
+    sum += gray[i]
+    if (gray[i] >= GLARE_LEVEL) glare++
+    if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+      const laplacian = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width]
+      laplacianSum += laplacian
+      laplacianSquares += laplacian ** 2
+      laplacianCount++
+    }
+  }
+  const brightness = sum / pixels.length
+  const laplacianMean = laplacianSum / laplacianCount
+
+  let dark = 0
+  let darkX = 0
+  let darkY = 0
+  for (const [x, y] of pixels) {
+    if (gray[y * width + x] < brightness * DARK_RATIO) {
+      dark++
+      darkX += x
+      darkY += y
+    }
+  }
+
+  return {
+    brightness,
+    sharpness: laplacianSquares / laplacianCount - laplacianMean ** 2,
+    glare: glare / pixels.length,
+    darkShare: dark / pixels.length,
+    centreOffset: dark ? Math.hypot(darkX / dark - cx, darkY / dark - cy) / radius : null,
+  }
+}
+
+/**
+ * Check whether a frame is good enough to analyze.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData
+ * @param {Object} [options]
+ * @param {boolean} [options.checkCentring] - Off for uploads, whose framing is unknown
+ * @returns {QualityResult}
+ */
+export function assessImageQuality(imageData, { checkCentring = true } = {}) {
+  const metrics = measureImageQuality(imageData)
+  const t = QUALITY_THRESHOLDS
+  const found = new Set()
+
+  if (metrics.brightness < t.minBrightness) found.add('tooDark')
+  if (metrics.brightness > t.maxBrightness) found.add('tooBright')
+  if (metrics.glare > t.maxGlare) found.add('glare')
+  if (metrics.sharpness < t.minSharpness) found.add('blurry')
+  if (checkCentring && (
+    metrics.darkShare < t.minDarkShare ||
+    metrics.darkShare > t.maxDarkShare ||
+    metrics.centreOffset > t.maxCentreOffset
+  )) {
+    found.add('notCentred')
+  }
+
+  const issues = QUALITY_ISSUES.filter(issue => found.has(issue))
+  return { passed: issues.length === 0, issues, metrics }
+}
+
+// Browsers that cannot read frames back are not held up by the check
+export const QUALITY_UNAVAILABLE = { passed: true, issues: [], metrics: null }
+
+/**
+ * Scaled-down pixels of a video frame or image.
+ * @param {CanvasImageSource} source
+ * @param {number} width - Natural width of the source
+ * @param {number} height - Natural height of the source
+ * @returns {ImageData|null} Null when the browser cannot read canvas pixels
+ */
+export function readImageData(source, width, height) {
+  const scale = Math.min(1, ANALYSIS_WIDTH / width)
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * scale))
+  canvas.height = Math.max(1, Math.round(height * scale))
+
+  try {
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    if (!ctx) return null
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height)
+    return ctx.getImageData(0, 0, canvas.width, canvas.height)
+  } catch (e) {
+    console.warn('Could not read image pixels:', e)
+    return null
+  }
+}
+
+/**
+ * Check an uploaded photo. Its framing is unknown, so only sharpness,
+ * exposure and glare count.
+ * @param {string} dataUrl
+ * @returns {Promise<QualityResult>}
+ */
+export function assessPhotoFile(dataUrl) {
+  return new Promise(resolve => {
+    const image = new Image()
+    image.onload = () => {
+      const frame = readImageData(image, image.naturalWidth, image.naturalHeight)
+      resolve(frame ? assessImageQuality(frame, { checkCentring: false }) : QUALITY_UNAVAILABLE)
+    }
+    // Files the browser cannot decode are left to the server's checks
+    image.onerror = () => resolve(QUALITY_UNAVAILABLE)
+    image.src = dataUrl
+  })
+}
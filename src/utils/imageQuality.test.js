@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { assessImageQuality, measureImageQuality, toLuminance } from './imageQuality'
+
+const WIDTH = 160
+const HEIGHT = 120
+
+// Grey frame from a luminance function of the pixel position
+const frame = (luminance) => {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4)
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4
+      data[i] = data[i + 1] = data[i + 2] = luminance(x, y)
+      data[i + 3] = 255
+    }
+  }
+  return { data, width: WIDTH, height: HEIGHT }
+}
+
+// Textured skin with a dark iris at (irisX, irisY); out of focus, the
+// texture is gone and the iris edge fades out
+const eye = ({ irisX = WIDTH / 2, irisY = HEIGHT / 2, skin = 150, texture = 40, blur = false } = {}) =>
+  frame((x, y) => {
+    const distance = Math.hypot(x - irisX, y - irisY)
+    if (blur) return 30 + (skin - 30) * Math.min(1, Math.max(0, (distance - 4) / 12))
+    if (distance < 10) return 30
+    return skin + ((x + y) % 2 ? texture / 2 : -texture / 2)
+  })
+
+describe('toLuminance', () => {
+  it('weights the channels by perceived brightness', () => {
+    const data = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255])
+    const gray = toLuminance({ data, width: 3, height: 1 })
+    expect(Array.from(gray, Math.round)).toEqual([76, 150, 29])
+  })
+})
+
+describe('assessImageQuality', () => {
+  it('passes a sharp, well-lit, centred eye', () => {
+    const result = assessImageQuality(eye())
+    expect(result.issues).toEqual([])
+    expect(result.passed).toBe(true)
+    expect(result.metrics.centreOffset).toBeLessThan(0.05)
+  })
+
+  it('flags blur', () => {
+    expect(assessImageQuality(eye({ blur: true })).issues).toEqual(['blurry'])
+  })
+
+  it('flags dark and bright frames', () => {
+    expect(assessImageQuality(eye({ skin: 40, texture: 20 })).issues).toContain('tooDark')
+    expect(assessImageQuality(eye({ skin: 225 })).issues).toContain('tooBright')
+  })
+
+  it('flags glare', () => {
+    const glare = frame((x, y) => (x > 70 && x < 90 && y > 50 && y < 70 ? 255 : 150 + ((x + y) % 2 ? 20 : -20)))
+    expect(measureImageQuality(glare).glare).toBeGreaterThan(0.05)
+    expect(assessImageQuality(glare).issues).toContain('glare')
+  })
+
+  it('flags an eye outside the guide circle', () => {
+    expect(assessImageQuality(eye({ irisX: WIDTH / 2 + 22 })).issues).toEqual(['notCentred'])
+    expect(assessImageQuality(eye({ irisX: -50 })).issues).toEqual(['notCentred'])
+  })
+
+  it('leaves framing alone when centring is not checked', () => {
+    expect(assessImageQuality(eye({ irisX: -50 }), { checkCentring: false }).passed).toBe(true)
+  })
+
+  it('lists the issues in the order they should be fixed', () => {
+    const result = assessImageQuality(frame(() => 20))
+    expect(result.issues).toEqual(['tooDark', 'blurry', 'notCentred'])
+    expect(result.passed).toBe(false)
+  })
+})
@@ -0,0 +1,70 @@
+/**
+ * Timeline of the eye photos taken over time, built from the saved history
+ * and the current results, for following one eye from session to session.
+ *
+ * Photos taken before photos were taken per eye are of an unknown eye, as a
+ * single photo in old history sessions or in the results' `unknown` slot;
+ * they are left out.
+ */
+
+import { FINDING_SEVERITIES, compareEyeAnalyses } from './eyeAnalysis'
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {string} id - Unique within the timeline
+ * @property {string|null} date - When the photo was analyzed (ISO 8601)
+ * @property {string|null} imageId - Id of the stored image
+ * @property {string|null} imageData - Data URL of a photo not stored yet
+ * @property {unknown} analysis - Structured or legacy analysis
+ */
+
+/**
+ * Photos of one eye, oldest first. A photo kept in several sessions is
+ * listed once.
+ * @param {Object[]} history - Saved sessions, newest first
+ * @param {{left?: Object|null, right?: Object|null}|null} eyePhoto - Current results
+ * @param {'left'|'right'} eye
+ * @returns {TimelineEntry[]}
+ */
+export function getPhotoTimeline(history, eyePhoto, eye) {
+  const entries = []
+  const seen = new Set()
+
+  const add = (id, photo, fallbackDate) => {
+    if (photo.imageId && seen.has(photo.imageId)) return
+    if (photo.imageId) seen.add(photo.imageId)
+    entries.push({
+      id,
+      date: photo.analyzedAt || fallbackDate || null,
+      imageId: photo.imageId || null,
+      imageData: photo.imageData || null,
+      analysis: photo.analysis ?? null,
+    })
+  }
+
+  for (const session of Array.isArray(history) ? history : []) {
+    const photo = session?.eyePhoto?.[eye]
+    if (photo?.imageId) add(`${session.id}-${eye}`, photo, session.date)
+  }
+
+  const current = eyePhoto?.[eye]
+  if (current?.imageId || current?.imageData) add(`current-${eye}`, current)
+
+  return entries.sort((a, b) => (a.date ?? '').localeCompare(b.date ?? ''))
+}
+
+/**
+ * Findings whose severity changed from an earlier to a later analysis of the
+ * same eye, as judged by the two analyses on their own.
+ * @param {unknown} before - Earlier analysis
+ * @param {unknown} after - Later analysis
+ * @returns {{finding: string, before: string, after: string, direction: 'improved'|'worsened'}[]}
+ */
+export function detectChanges(before, after) {
+  return compareEyeAnalyses(before, after).map(({ finding, left, right }) => ({
+    finding,
+    before: left,
+    after: right,
+    direction: FINDING_SEVERITIES.indexOf(right) > FINDING_SEVERITIES.indexOf(left) ? 'worsened' : 'improved',
+  }))
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import { getPhotoTimeline, detectChanges } from './photoTimeline'
+
+const analysis = (redness, sclera = 'none') => ({
+  imageQuality: 'good',
+  findings: { redness, sclera, pupil: 'none', iris: 'none', eyelid: 'not_assessed' },
+  recommendation: 'routine',
+  narrative: { en: 'Text' }
+})
+
+describe('getPhotoTimeline', () => {
+  const history = [
+    {
+      id: 3,
+      date: '2026-03-01T10:00:00.000Z',
+      eyePhoto: { left: { imageId: 'img-b', analysis: analysis('mild'), analyzedAt: '2026-03-01T09:00:00.000Z' }, right: null }
+    },
+    {
+      id: 2,
+      date: '2026-02-01T10:00:00.000Z',
+      // Saved again without retaking the photo
+      eyePhoto: { left: { imageId: 'img-a', analysis: analysis('none'), analyzedAt: '2026-01-01T09:00:00.000Z' }, right: { imageId: 'img-r' } }
+    },
+    {
+      id: 1,
+      date: '2026-01-01T10:00:00.000Z',
+      eyePhoto: { left: { imageId: 'img-a', analysis: analysis('none'), analyzedAt: '2026-01-01T09:00:00.000Z' }, right: null }
+    },
+    // Single photo of an unknown eye, from before photos were taken per eye
+    { id: 0, date: '2025-12-01T10:00:00.000Z', eyePhoto: { status: 'analyzed', imageId: 'img-legacy' } },
+    { id: -1, date: '2025-11-01T10:00:00.000Z', eyePhoto: null }
+  ]
+
+  it('lists each stored photo of the eye once, oldest first', () => {
+    expect(getPhotoTimeline(history, null, 'left')).toEqual([
+      { id: '2-left', date: '2026-01-01T09:00:00.000Z', imageId: 'img-a', imageData: null, analysis: analysis('none') },
+      { id: '3-left', date: '2026-03-01T09:00:00.000Z', imageId: 'img-b', imageData: null, analysis: analysis('mild') }
+    ])
+  })
+
+  it('falls back to the session date', () => {
+    expect(getPhotoTimeline(history, null, 'right')).toEqual([
+      { id: '2-right', date: '2026-02-01T10:00:00.000Z', imageId: 'img-r', imageData: null, analysis: null }
+    ])
+  })
+
+  it('adds the current photo unless it is already in the history', () => {
+    const saved = { left: { imageId: 'img-b', analysis: analysis('mild'), analyzedAt: '2026-03-01T09:00:00.000Z' } }
+    expect(getPhotoTimeline(history, saved, 'left')).toHaveLength(2)
+
+    const unsaved = { left: { imageData: 'data:image/jpeg;base64,AAAA', analysis: analysis('moderate'), analyzedAt: '2026-04-01T09:00:00.000Z' } }
+    expect(getPhotoTimeline(history, unsaved, 'left').at(-1)).toEqual({
+      id: 'current-left',
+      date: '2026-04-01T09:00:00.000Z',
+      imageId: null,
+      imageData: 'data:image/jpeg;base64,AAAA',
+      analysis: analysis('moderate')
+    })
+  })
+
+  it('copes with missing history', () => {
+    expect(getPhotoTimeline(null, null, 'left')).toEqual([])
+  })
+})
+
+describe('detectChanges', () => {
+  it('reports findings that got better or worse', () => {
+    expect(detectChanges(analysis('none', 'moderate'), analysis('mild', 'none'))).toEqual([
+      { finding: 'redness', before: 'none', after: 'mild', direction: 'worsened' },
+      { finding: 'sclera', before: 'moderate', after: 'none', direction: 'improved' }
+    ])
+  })
+
+  it('ignores unassessed findings and legacy analyses', () => {
+    expect(detectChanges(analysis('none'), { ...analysis('not_assessed') })).toEqual([])
+    expect(detectChanges('## Legacy', analysis('severe'))).toEqual([])
+  })
+})
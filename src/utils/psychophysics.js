@@ -0,0 +1,236 @@
+/**
+ * Adaptive psychophysics procedures.
+ *
+ * Implements QUEST (Watson & Pelli, 1983): a Bayesian adaptive staircase
+ * that keeps a posterior distribution over the observer's threshold and
+ * places each trial at the current best estimate. Stimulus intensities are
+ * expressed in log units where a larger value is easier to see, e.g. logMAR
+ * for letter size or log10(contrast) for contrast.
+ *
+ * All functions are pure: each update returns a new QUEST state so it can be
+ * held in React state and replayed in tests with simulated observers.
+ */
+
+// Default Weibull slope for letter identification tasks
+export const DEFAULT_BETA = 3.5
+
+// Default lapse rate (finger slips, blinks)
+export const DEFAULT_LAMBDA = 0.02
+
+// Resolution of the threshold grid in log units
+export const DEFAULT_GRAIN = 0.01
+
+// How far beyond the stimulus range the threshold grid extends, so
+// observers who cannot see even the easiest stimulus are represented
+const GRID_MARGIN = 0.5
+
+/**
+ * Probability of a correct response at a given intensity.
+ *
+ * Weibull psychometric function in log units. At the threshold itself the
+ * observer is correct with probability γ + (1 − γ − λ)(1 − e⁻¹), e.g. ~71%
+ * for a four-alternative task.
+ *
+ * @param {number} intensity - Stimulus intensity in log units
+ * @param {number} threshold - Observer threshold in log units
+ * @param {{beta: number, gamma: number, lambda: number}} params - Psychometric parameters
+ * @returns {number} Probability of a correct response
+ */
+export function psychometric(intensity, threshold, { beta, gamma, lambda }) {
+  const p = 1 - Math.exp(-Math.pow(10, beta * (intensity - threshold)))
+  return gamma + (1 - gamma - lambda) * p
+}
+
+/**
+ * Create a QUEST state with a Gaussian prior over the threshold.
+ * @param {Object} options
+ * @param {number} options.tGuess - Prior guess of the threshold
+ * @param {number} options.tGuessSd - Prior standard deviation
+ * @param {number} options.gamma - Guess rate (1 / number of alternatives)
+ * @param {number} options.min - Lowest (hardest) intensity that can be shown
+ * @param {number} options.max - Highest (easiest) intensity that can be shown
+ * @param {number} [options.beta] - Psychometric slope
+ * @param {number} [options.lambda] - Lapse rate
+ * @param {number} [options.grain] - Grid resolution
+ * @returns {Object} QUEST state
+ */
+export function createQuest({
+  tGuess,
+  tGuessSd,
+  gamma,
+  min,
+  max,
+  beta = DEFAULT_BETA,
+  lambda = DEFAULT_LAMBDA,
+  grain = DEFAULT_GRAIN,
+}) {
+  const start = min - GRID_MARGIN
+  const steps = Math.round((max - min + 2 * GRID_MARGIN) / grain)
+  const grid = Array.from({ length: steps + 1 }, (_, i) => +(start + i * grain).toFixed(6))
+  const logPosterior = grid.map(t => -0.5 * ((t - tGuess) / tGuessSd) ** 2)
+
+  return {
+    params: { beta, gamma, lambda, min, max, grain },
+    grid,
+    logPosterior,
+    trials: []
+  }
+}
+
+/**
+ * Incorporate a trial response into the posterior.
+ * @param {Object} quest - QUEST state
+ * @param {number} intensity - Intensity that was shown
+ * @param {boolean} correct - Whether the response was correct
+ * @returns {Object} Updated QUEST state
+ */
+export function questUpdate(quest, intensity, correct) {
+  const { params, grid } = quest
+  const logPosterior = quest.logPosterior.map((lp, i) => {
+    const p = psychometric(intensity, grid[i], params)
+    return lp + Math.log(correct ? p : 1 - p)
+  })
+
+  return {
+    ...quest,
+    logPosterior,
+    trials: [...quest.trials, { intensity, correct }]
+  }
+}
+
+// Normalised posterior probabilities
+function posterior(quest) {
+  const peak = Math.max(...quest.logPosterior)
+  const weights = quest.logPosterior.map(lp => Math.exp(lp - peak))
+  const total = weights.reduce((sum, w) => sum + w, 0)
+  return weights.map(w => w / total)
+}
+
+/**
+ * Posterior mean of the threshold.
+ * @param {Object} quest - QUEST state
+ * @returns {number}
+ */
+export function questMean(quest) {
+  const probs = posterior(quest)
+  return probs.reduce((sum, p, i) => sum + p * quest.grid[i], 0)
+}
+
+/**
+ * Posterior standard deviation of the threshold.
+ * @param {Object} quest - QUEST state
+ * @returns {number}
+ */
+export function questSd(quest) {
+  const probs = posterior(quest)
+  const mean = probs.reduce((sum, p, i) => sum + p * quest.grid[i], 0)
+  const variance = probs.reduce((sum, p, i) => sum + p * (quest.grid[i] - mean) ** 2, 0)
+  return Math.sqrt(variance)
+}
+
+/**
+ * Threshold value below which the given fraction of the posterior lies.
+ * @param {Object} quest - QUEST state
+ * @param {number} fraction - Quantile between 0 and 1
+ * @returns {number}
+ */
+export function questQuantile(quest, fraction) {
+  const probs = posterior(quest)
+  let cumulative = 0
+  for (let i = 0; i < probs.length; i++) {
+    cumulative += probs[i]
+    if (cumulative >= fraction) return quest.grid[i]
+  }
+  return quest.grid[quest.grid.length - 1]
+}
+
+/**
+ * Intensity to present on the next trial: the posterior mean, clamped to
+ * the displayable range and rounded to the grid.
+ * @param {Object} quest - QUEST state
+ * @returns {number}
+ */
+export function questNextIntensity(quest) {
+  const { min, max, grain } = quest.params
+  const clamped = Math.min(max, Math.max(min, questMean(quest)))
+  return +(Math.round(clamped / grain) * grain).toFixed(6)
+}
+
+/**
+ * Check whether the procedure has converged.
+ * @param {Object} quest - QUEST state
+ * @param {{minTrials: number, maxTrials: number, targetSd: number}} stopping - Stopping rule
+ * @returns {boolean}
+ */
+export function questIsDone(quest, { minTrials, maxTrials, targetSd }) {
+  const n = quest.trials.length
+  if (n >= maxTrials) return true
+  return n >= minTrials && questSd(quest) <= targetSd
+}
+
+/**
+ * Final threshold estimate with a credible interval.
+ * @param {Object} quest - QUEST state
+ * @param {number} [level] - Interval coverage (default: 0.95)
+ * @returns {{threshold: number, sd: number, ci: [number, number], trials: number}}
+ */
+export function questThreshold(quest, level = 0.95) {
+  const tail = (1 - level) / 2
+  return {
+    threshold: questMean(quest),
+    sd: questSd(quest),
+    ci: [questQuantile(quest, tail), questQuantile(quest, 1 - tail)],
+    trials: quest.trials.length
+  }
+}
+
+// Tumbling E: four alternatives, intensity is logMAR (larger letters are easier).
+// Range spans 20/10 (-0.3) to 20/200 (1.0); prior centred on normal vision.
+export const ACUITY_QUEST = {
+  tGuess: 0.1,
+  tGuessSd: 0.5,
+  gamma: 1 / 4,
+  min: -0.3,
+  max: 1.0
+}
+
+export const ACUITY_STOPPING = { minTrials: 12, maxTrials: 30, targetSd: 0.06 }
+
+// Pelli-Robson letters: ten alternatives, intensity is log10(contrast)
+// (higher contrast is easier). Range spans 1% to 100% contrast.
+export const CONTRAST_QUEST = {
+  tGuess: -1.5,
+  tGuessSd: 0.6,
+  gamma: 1 / 10,
+  min: -2.0,
+  max: 0
+}
+
+export const CONTRAST_STOPPING = { minTrials: 10, maxTrials: 24, targetSd: 0.06 }
+
+/**
+ * Convert logMAR to the minimum angle of resolution.
+ * @param {number} logMAR
+ * @returns {number} Optotype height in minutes of arc (5 × MAR)
+ */
+export function logMARToArcmin(logMAR) {
+  return 5 * Math.pow(10, logMAR)
+}
+
+/**
+ * Convert logMAR to a Snellen fraction with a 20 ft numerator.
+ * @param {number} logMAR
+ * @returns {string} e.g. '20/40'
+ */
+export function logMARToSnellen(logMAR) {
+  return `20/${Math.round(20 * Math.pow(10, logMAR))}`
+}
+
+/**
+ * Convert log10(contrast) to log contrast sensitivity.
+ * @param {number} logContrast - log10 of the Weber contrast at threshold
+ * @returns {number} logCS
+ */
+export function logContrastToLogCS(logContrast) {
+  return -logContrast
+}
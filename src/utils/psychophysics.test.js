@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest'
+import {
+  psychometric,
+  createQuest,
+  questUpdate,
+  questMean,
+  questSd,
+  questNextIntensity,
+  questIsDone,
+  questThreshold,
+  ACUITY_QUEST,
+  ACUITY_STOPPING,
+  CONTRAST_QUEST,
+  CONTRAST_STOPPING,
+  DEFAULT_BETA,
+  DEFAULT_LAMBDA,
+  logMARToArcmin,
+  logMARToSnellen,
+  logContrastToLogCS,
+} from './psychophysics'
+
+// Deterministic PRNG (mulberry32) so simulated runs are reproducible
+function seededRandom(seed) {
+  let a = seed
+  return () => {
+    a |= 0
+    a = (a + 0x6D2B79F5) | 0
+    let t = Math.imul(a ^ (a >>> 15), 1 | a)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Simulated observer that answers according to the same psychometric function
+function simulatedObserver(trueThreshold, gamma, random) {
+  const params = { beta: DEFAULT_BETA, gamma, lambda: DEFAULT_LAMBDA }
+  return (intensity) => random() < psychometric(intensity, trueThreshold, params)
+}
+
+function runQuest(config, stopping, observer) {
+  let quest = createQuest(config)
+  while (!questIsDone(quest, stopping)) {
+    const intensity = questNextIntensity(quest)
+    quest = questUpdate(quest, intensity, observer(intensity))
+  }
+  return questThreshold(quest)
+}
+
+describe('psychometric', () => {
+  it('approaches the guess rate for invisible stimuli and 1 - lapse for easy ones', () => {
+    const params = { beta: 3.5, gamma: 0.25, lambda: 0.02 }
+    expect(psychometric(-5, 0, params)).toBeCloseTo(0.25, 5)
+    expect(psychometric(5, 0, params)).toBeCloseTo(0.98, 5)
+  })
+
+  it('is about 71% correct at threshold for a 4AFC task', () => {
+    const params = { beta: 3.5, gamma: 0.25, lambda: 0.02 }
+    expect(psychometric(0.3, 0.3, params)).toBeCloseTo(0.711, 3)
+  })
+})
+
+describe('QUEST', () => {
+  it('starts at the prior guess', () => {
+    const quest = createQuest(ACUITY_QUEST)
+    // The prior is truncated by the grid, so the mean is only near the guess
+    expect(questMean(quest)).toBeCloseTo(ACUITY_QUEST.tGuess, 1)
+    expect(questNextIntensity(quest)).toBeCloseTo(ACUITY_QUEST.tGuess, 1)
+  })
+
+  it('does not mutate the previous state', () => {
+    const quest = createQuest(ACUITY_QUEST)
+    const before = [...quest.logPosterior]
+    questUpdate(quest, 0.1, true)
+    expect(quest.logPosterior).toEqual(before)
+    expect(quest.trials).toHaveLength(0)
+  })
+
+  it('moves towards harder stimuli after correct answers and easier after errors', () => {
+    const quest = createQuest(ACUITY_QUEST)
+    const start = questMean(quest)
+    expect(questMean(questUpdate(quest, start, true))).toBeLessThan(start)
+    expect(questMean(questUpdate(quest, start, false))).toBeGreaterThan(start)
+  })
+
+  it('narrows the posterior as trials accumulate', () => {
+    let quest = createQuest(ACUITY_QUEST)
+    const observer = simulatedObserver(0.2, 0.25, seededRandom(1))
+    const initialSd = questSd(quest)
+    for (let i = 0; i < 20; i++) {
+      const intensity = questNextIntensity(quest)
+      quest = questUpdate(quest, intensity, observer(intensity))
+    }
+    expect(questSd(quest)).toBeLessThan(initialSd / 2)
+  })
+
+  it('keeps stimuli within the displayable range', () => {
+    let quest = createQuest(ACUITY_QUEST)
+    for (let i = 0; i < 15; i++) {
+      quest = questUpdate(quest, questNextIntensity(quest), false)
+    }
+    expect(questNextIntensity(quest)).toBe(ACUITY_QUEST.max)
+    // The threshold estimate itself may lie beyond the range
+    expect(questMean(quest)).toBeGreaterThan(ACUITY_QUEST.max)
+  })
+
+  it('stops at the trial limit or once converged', () => {
+    let quest = createQuest(ACUITY_QUEST)
+    expect(questIsDone(quest, ACUITY_STOPPING)).toBe(false)
+    for (let i = 0; i < ACUITY_STOPPING.maxTrials; i++) {
+      quest = questUpdate(quest, questNextIntensity(quest), i % 2 === 0)
+    }
+    expect(questIsDone(quest, ACUITY_STOPPING)).toBe(true)
+  })
+})
+
+describe('simulated observers', () => {
+  const acuityThresholds = [-0.2, 0, 0.3, 0.7]
+
+  acuityThresholds.forEach(trueLogMAR => {
+    it(`recovers an acuity threshold of ${trueLogMAR} logMAR`, () => {
+      const errors = []
+      let covered = 0
+      for (let seed = 1; seed <= 10; seed++) {
+        const observer = simulatedObserver(trueLogMAR, ACUITY_QUEST.gamma, seededRandom(seed * 101))
+        const result = runQuest(ACUITY_QUEST, ACUITY_STOPPING, observer)
+        errors.push(Math.abs(result.threshold - trueLogMAR))
+        if (result.ci[0] <= trueLogMAR && trueLogMAR <= result.ci[1]) covered++
+        expect(result.trials).toBeLessThanOrEqual(ACUITY_STOPPING.maxTrials)
+      }
+      const meanError = errors.reduce((sum, e) => sum + e, 0) / errors.length
+      expect(meanError).toBeLessThan(0.1)
+      expect(covered).toBeGreaterThanOrEqual(8)
+    })
+  })
+
+  const contrastThresholds = [-1.8, -1.5, -0.9]
+
+  contrastThresholds.forEach(trueLogContrast => {
+    it(`recovers a contrast threshold of ${-trueLogContrast} logCS`, () => {
+      const errors = []
+      for (let seed = 1; seed <= 10; seed++) {
+        const observer = simulatedObserver(trueLogContrast, CONTRAST_QUEST.gamma, seededRandom(seed * 37))
+        const result = runQuest(CONTRAST_QUEST, CONTRAST_STOPPING, observer)
+        errors.push(Math.abs(result.threshold - trueLogContrast))
+      }
+      const meanError = errors.reduce((sum, e) => sum + e, 0) / errors.length
+      expect(meanError).toBeLessThan(0.1)
+    })
+  })
+
+  it('needs fewer trials than the fixed 3-trials-per-level staircase', () => {
+    // The old procedure needed 24 trials for a 20/20 observer to reach level 8
+    let totalTrials = 0
+    for (let seed = 1; seed <= 10; seed++) {
+      const observer = simulatedObserver(0, ACUITY_QUEST.gamma, seededRandom(seed))
+      totalTrials += runQuest(ACUITY_QUEST, ACUITY_STOPPING, observer).trials
+    }
+    expect(totalTrials / 10).toBeLessThan(24)
+  })
+})
+
+describe('unit conversions', () => {
+  it('converts logMAR to optotype size and Snellen', () => {
+    expect(logMARToArcmin(0)).toBe(5)
+    expect(logMARToArcmin(1)).toBeCloseTo(50, 5)
+    expect(logMARToSnellen(0)).toBe('20/20')
+    expect(logMARToSnellen(0.3)).toBe('20/40')
+    expect(logMARToSnellen(-0.3)).toBe('20/10')
+  })
+
+  it('converts log contrast to logCS', () => {
+    expect(logContrastToLogCS(-1.5)).toBe(1.5)
+  })
+})
@@ -0,0 +1,132 @@
+/**
+ * Screening recommendation for a set of results, shared by the Health
+ * Snapshot page and the server-rendered PDF report.
+ */
+
+import { getEyePhotoTier } from './eyeAnalysis.js'
+
+const SEE_DOCTOR = 'results:recommendations.seeDoctor'
+const FOLLOW_UP = 'results:recommendations.followUp'
+
+/**
+ * Whether any screening test (or the eye photo) has a result.
+ * @param {Object} results - Results object as stored by TestResultsContext
+ * @returns {boolean}
+ */
+export function hasAnyResults(results) {
+  const hasVisualAcuity = results.visualAcuity?.left || results.visualAcuity?.right
+  const hasContrastSensitivity = results.contrastSensitivity?.left || results.contrastSensitivity?.right
+  const hasAmslerGrid = results.amslerGrid?.left || results.amslerGrid?.right
+  const hasAstigmatism = results.astigmatism?.left || results.astigmatism?.right
+  const hasPeripheralVision = results.peripheralVision?.left || results.peripheralVision?.right
+  const hasHyperacuity = results.hyperacuity?.left || results.hyperacuity?.right
+  const hasEyePhoto = results.eyePhoto?.left || results.eyePhoto?.right || results.eyePhoto?.unknown
+  return !!(hasVisualAcuity || results.colorVision || results.colorArrangement || hasContrastSensitivity || hasAmslerGrid || hasAstigmatism || hasPeripheralVision || hasHyperacuity || hasEyePhoto)
+}
+
+/**
+ * Translation keys of the recommendations that apply to a set of results,
+ * without duplicates. Joined with spaces they form the summary paragraph.
+ * @param {Object} results - Results object as stored by TestResultsContext
+ * @returns {string[]} Keys in the `results` namespace (or the no-results hint)
+ */
+export function getRecommendationKeys(results) {
+  const recommendations = []
+
+  // Visual Acuity - check both eyes, use worst case
+  const vaLeft = results.visualAcuity?.left
+  const vaRight = results.visualAcuity?.right
+  if (vaLeft || vaRight) {
+    const worstLevel = Math.min(vaLeft?.level ?? 10, vaRight?.level ?? 10)
+    if (worstLevel < 5) {
+      recommendations.push(SEE_DOCTOR)
+    } else if (worstLevel < 8) {
+      recommendations.push(FOLLOW_UP)
+    }
+    // Check asymmetry
+    if (vaLeft && vaRight && Math.abs(vaLeft.level - vaRight.level) >= 2) {
+      recommendations.push(FOLLOW_UP)
+    }
+  }
+
+  if (results.colorVision) {
+    if (results.colorVision.status === 'possible_deficiency') {
+      recommendations.push(SEE_DOCTOR)
+    } else if (results.colorVision.status === 'mild_difficulty') {
+      recommendations.push(FOLLOW_UP)
+    }
+  }
+
+  // Color arrangement - crossings along a confusion axis point to a color
+  // vision defect
+  if (results.colorArrangement?.hasDefect) {
+    recommendations.push(SEE_DOCTOR)
+  }
+
+  // Amsler Grid - check both eyes
+  if (results.amslerGrid?.left?.hasIssues || results.amslerGrid?.right?.hasIssues) {
+    recommendations.push(SEE_DOCTOR)
+  }
+
+  // Contrast Sensitivity - check both eyes, use worst case
+  const csLeft = results.contrastSensitivity?.left
+  const csRight = results.contrastSensitivity?.right
+  if (csLeft || csRight) {
+    const worstLogCS = Math.min(csLeft?.logCS ?? 1.5, csRight?.logCS ?? 1.5)
+    if (worstLogCS < 0.6) {
+      recommendations.push(SEE_DOCTOR)
+    } else if (worstLogCS < 0.9) {
+      recommendations.push(FOLLOW_UP)
+    }
+    // Check asymmetry
+    if (csLeft && csRight && Math.abs(csLeft.logCS - csRight.logCS) >= 0.3) {
+      recommendations.push(FOLLOW_UP)
+    }
+  }
+
+  // Astigmatism - check both eyes
+  const astigLeft = results.astigmatism?.left
+  const astigRight = results.astigmatism?.right
+  if (astigLeft || astigRight) {
+    const anyAstigmatism = (astigLeft && !astigLeft.allLinesEqual) || (astigRight && !astigRight.allLinesEqual)
+    if (anyAstigmatism) {
+      recommendations.push(FOLLOW_UP)
+    }
+    // Check asymmetry
+    if (astigLeft && astigRight && astigLeft.allLinesEqual !== astigRight.allLinesEqual) {
+      recommendations.push(FOLLOW_UP)
+    }
+  }
+
+  // Peripheral Vision - check both eyes
+  const pvLeft = results.peripheralVision?.left
+  const pvRight = results.peripheralVision?.right
+  if (pvLeft || pvRight) {
+    const isNormal = (eyeData) => eyeData?.severity === 'excellent' || eyeData?.severity === 'normal'
+    const anyConcerns = (pvLeft && !isNormal(pvLeft)) || (pvRight && !isNormal(pvRight))
+    if (anyConcerns) {
+      recommendations.push(SEE_DOCTOR)
+    }
+  }
+
+  // Preferential hyperacuity - positions where even large bumps were missed
+  // can point to macular distortion
+  if (results.hyperacuity?.left?.hasIssues || results.hyperacuity?.right?.hasIssues) {
+    recommendations.push(SEE_DOCTOR)
+  }
+
+  // Eye photos - the most urgent recommendation tier of either eye's analysis
+  const eyePhotoTier = getEyePhotoTier(results.eyePhoto)
+  if (eyePhotoTier === 'see_soon') {
+    recommendations.push(SEE_DOCTOR)
+  } else if (eyePhotoTier === 'schedule_exam') {
+    recommendations.push(FOLLOW_UP)
+  }
+
+  if (recommendations.length === 0) {
+    return [hasAnyResults(results) ? 'results:recommendations.allNormal' : 'results:noResults.description']
+  }
+
+  // Remove duplicates, keeping the order they were found in
+  return [...new Set(recommendations)]
+}
@@ -0,0 +1,151 @@
+/**
+ * Trial-level data helpers.
+ *
+ * Tests record one entry per stimulus presentation so sessions can be
+ * reanalysed later rather than relying on the summary score alone.
+ */
+
+// Tests that store a per-trial log in their result's `history` field
+export const TRIAL_TESTS = ['visualAcuity', 'contrastSensitivity']
+
+const CSV_COLUMNS = [
+  'sessionId',
+  'sessionDate',
+  'test',
+  'eye',
+  'trial',
+  'stimulus',
+  'response',
+  'correct',
+  'reactionTimeMs',
+  'timestamp'
+]
+
+/**
+ * Build a trial record at the moment the user responds.
+ * @param {Object} options
+ * @param {Object} options.stimulus - What was shown (e.g. direction and logMAR)
+ * @param {string} options.response - What the user answered
+ * @param {boolean} options.correct - Whether the answer was correct
+ * @param {number|null} options.shownAt - performance.now() when the stimulus appeared
+ * @returns {{stimulus: Object, response: string, correct: boolean, reactionTimeMs: number|null, timestamp: string}}
+ */
+export function createTrialRecord({ stimulus, response, correct, shownAt }) {
+  return {
+    stimulus,
+    response,
+    correct,
+    reactionTimeMs: typeof shownAt === 'number' ? Math.round(performance.now() - shownAt) : null,
+    timestamp: new Date().toISOString()
+  }
+}
+
+// Flatten a stimulus object to "key=value;key=value" for a single CSV cell
+function formatStimulus(stimulus) {
+  if (!stimulus || typeof stimulus !== 'object') return stimulus ?? ''
+  return Object.entries(stimulus).map(([key, value]) => `${key}=${value}`).join(';')
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Collect every trial from a list of sessions as flat rows.
+ * @param {Array<Object>} sessions - Sessions shaped like results/history entries, each with an id and date
+ * @returns {Array<Object>} One row per trial
+ */
+export function collectTrialRows(sessions) {
+  const rows = []
+  sessions.forEach(session => {
+    TRIAL_TESTS.forEach(test => {
+      ['left', 'right'].forEach(eye => {
+        const trials = session?.[test]?.[eye]?.history
+        if (!Array.isArray(trials)) return
+        trials.forEach((trial, index) => {
+          rows.push({
+            sessionId: session.id,
+            sessionDate: session.date,
+            test,
+            eye,
+            trial: index + 1,
+            stimulus: formatStimulus(trial.stimulus),
+            response: trial.response ?? '',
+            correct: trial.correct,
+            reactionTimeMs: trial.reactionTimeMs ?? '',
+            timestamp: trial.timestamp ?? ''
+          })
+        })
+      })
+    })
+  })
+  return rows
+}
+
+// Slots a per-eye result can be stored under
+const EYE_SLOTS = ['left', 'right', 'unknown']
+
+// Times identifying one recorded result: when it was tested (or its photo
+// analysed) and when each of its trials was answered
+function resultTimes(result) {
+  const trials = Array.isArray(result.history) ? result.history.map(trial => trial?.timestamp) : []
+  return [result.testedAt, result.analyzedAt, ...trials].filter(Boolean)
+}
+
+// Each result of a session as [test, eye, result]; eye is null for binocular tests
+function sessionResults(session) {
+  return Object.entries(session ?? {})
+    .filter(([, value]) => value && typeof value === 'object' && !Array.isArray(value))
+    .flatMap(([test, value]) => (
+      EYE_SLOTS.some(eye => eye in value)
+        ? EYE_SLOTS.filter(eye => value[eye] && typeof value[eye] === 'object').map(eye => [test, eye, value[eye]])
+        : [[test, null, value]]
+    ))
+}
+
+/**
+ * Leave out results that an older session also holds. Saving to history
+ * keeps the current results in place, so a test can sit in the current
+ * results and in every session saved since it was taken. Results are matched
+ * per test and eye on their testedAt, or on their trial times for history
+ * entries saved without it, and kept in the oldest session holding them.
+ * @param {Object[]} sessions - Results and history entries, newest first
+ * @returns {Object[]} The sessions, each without the results an older one repeats
+ */
+export function dropRepeatedResults(sessions) {
+  const seen = new Set()
+  return [...sessions].reverse().map(session => {
+    const repeated = sessionResults(session).filter(([test, eye, result]) => {
+      const keys = resultTimes(result).map(time => `${test}:${eye}:${time}`)
+      const isRepeat = keys.some(key => seen.has(key))
+      keys.forEach(key => seen.add(key))
+      return isRepeat
+    })
+    if (repeated.length === 0) return session
+
+    const kept = { ...session }
+    repeated.forEach(([test, eye]) => {
+      if (eye === null) {
+        kept[test] = null
+        return
+      }
+      kept[test] = { ...kept[test], [eye]: null }
+      if (EYE_SLOTS.every(slot => !kept[test][slot])) kept[test] = null
+    })
+    return kept
+  }).reverse()
+}
+
+/**
+ * Convert trial rows to CSV with a header line.
+ * @param {Array<Object>} rows - Rows from collectTrialRows
+ * @returns {string}
+ */
+export function trialsToCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')]
+  rows.forEach(row => {
+    lines.push(CSV_COLUMNS.map(column => escapeCsv(row[column])).join(','))
+  })
+  return lines.join('\n') + '\n'
+}
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createTrialRecord, collectTrialRows, trialsToCsv, dropRepeatedResults } from './trials'
+
+describe('trial records', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('records reaction time from when the stimulus was shown', () => {
+    vi.spyOn(performance, 'now').mockReturnValue(1750.4)
+
+    const record = createTrialRecord({
+      stimulus: { direction: 'left', logMAR: 0.2 },
+      response: 'right',
+      correct: false,
+      shownAt: 1000
+    })
+
+    expect(record).toMatchObject({
+      stimulus: { direction: 'left', logMAR: 0.2 },
+      response: 'right',
+      correct: false,
+      reactionTimeMs: 750
+    })
+    expect(new Date(record.timestamp).toString()).not.toBe('Invalid Date')
+  })
+
+  it('leaves reaction time empty when the onset is unknown', () => {
+    const record = createTrialRecord({ stimulus: {}, response: 'A', correct: true, shownAt: null })
+    expect(record.reactionTimeMs).toBeNull()
+  })
+})
+
+describe('trial export', () => {
+  const session = {
+    id: 42,
+    date: '2024-02-01T09:00:00.000Z',
+    visualAcuity: {
+      left: {
+        history: [
+          { stimulus: { direction: 'up', logMAR: 0.1 }, response: 'up', correct: true, reactionTimeMs: 900, timestamp: '2024-02-01T08:58:00.000Z' }
+        ]
+      },
+      right: null
+    },
+    contrastSensitivity: {
+      left: null,
+      right: {
+        history: [
+          { stimulus: { letter: 'K', logCS: 1.2 }, response: 'X', correct: false, reactionTimeMs: 2100, timestamp: '2024-02-01T08:59:00.000Z' }
+        ]
+      }
+    },
+    colorVision: { correctCount: 5 }
+  }
+
+  it('flattens sessions into one row per trial', () => {
+    const rows = collectTrialRows([session])
+
+    expect(rows).toHaveLength(2)
+    expect(rows[0]).toMatchObject({ sessionId: 42, test: 'visualAcuity', eye: 'left', trial: 1, stimulus: 'direction=up;logMAR=0.1' })
+    expect(rows[1]).toMatchObject({ test: 'contrastSensitivity', eye: 'right', response: 'X', correct: false })
+  })
+
+  it('skips summaries saved before trial logging', () => {
+    const rows = collectTrialRows([{ id: 1, visualAcuity: { left: { snellen: '20/20', level: 8 } } }])
+    expect(rows).toEqual([])
+  })
+
+  it('writes CSV with a header and escapes special characters', () => {
+    const csv = trialsToCsv([{ sessionId: 1, test: 'contrastSensitivity', eye: 'left', trial: 1, response: 'a,"b"', correct: true }])
+    const [header, row] = csv.trim().split('\n')
+
+    expect(header).toBe('sessionId,sessionDate,test,eye,trial,stimulus,response,correct,reactionTimeMs,timestamp')
+    expect(row).toBe('1,,contrastSensitivity,left,1,,"a,""b""",true,,')
+  })
+})
+
+describe('dropRepeatedResults', () => {
+  const trial = { stimulus: { direction: 'up' }, response: 'up', correct: true, timestamp: '2024-02-01T08:58:00.000Z' }
+  const acuity = { snellen: '20/20', history: [trial], testedAt: '2024-02-01T08:59:00.000Z' }
+  const amsler = { hasIssues: false, testedAt: '2024-02-01T08:55:00.000Z' }
+
+  it('keeps tests taken after the results were saved', () => {
+    const saved = { id: 1, date: '2024-02-01T09:00:00.000Z', visualAcuity: { left: acuity, right: null } }
+    const results = {
+      completedAt: '2024-02-01T09:10:00.000Z',
+      visualAcuity: { left: acuity, right: { ...acuity, testedAt: '2024-02-01T09:08:00.000Z', history: [] } },
+      colorVision: { correctCount: 8, testedAt: '2024-02-01T09:10:00.000Z' }
+    }
+
+    const [current, history] = dropRepeatedResults([results, saved])
+
+    expect(current.visualAcuity).toEqual({ left: null, right: results.visualAcuity.right })
+    expect(current.colorVision).toBe(results.colorVision)
+    expect(history).toBe(saved)
+  })
+
+  it('matches entries saved without testedAt on their trial times', () => {
+    const saved = { id: 1, visualAcuity: { left: { snellen: '20/20', history: [trial] }, right: null } }
+    const results = { visualAcuity: { left: acuity, right: null }, amslerGrid: { left: null, right: amsler } }
+
+    const [current] = dropRepeatedResults([results, saved])
+
+    expect(current.visualAcuity).toBeNull()
+    expect(current.amslerGrid).toEqual({ left: null, right: amsler })
+  })
+
+  it('matches results per test and eye', () => {
+    const saved = { id: 1, amslerGrid: { left: amsler, right: null } }
+    const results = { amslerGrid: { left: null, right: amsler } }
+
+    expect(dropRepeatedResults([results, saved])[0]).toBe(results)
+  })
+})
@@ -0,0 +1,140 @@
+/**
+ * Camera-based viewing distance estimation.
+ *
+ * Uses a pinhole camera model: an object of known physical size appears
+ * smaller in the camera frame the further it is from the lens. The front
+ * camera's focal length is approximated from a typical field of view, so
+ * estimates are accurate to roughly ±15%, which is enough to catch users
+ * who drift well outside the required distance. All processing is local.
+ */
+
+// Average adult inter-pupillary distance in millimetres
+export const AVERAGE_IPD_MM = 63
+
+// Average width of a detected face bounding box (cheek to cheek) in millimetres
+export const AVERAGE_FACE_WIDTH_MM = 150
+
+// Typical horizontal field of view of a phone or laptop front camera
+export const DEFAULT_CAMERA_FOV_DEGREES = 60
+
+// Allowed deviation from the target distance before the test pauses
+export const DISTANCE_TOLERANCE = 0.2
+
+// Number of recent readings used to smooth the estimate
+export const SMOOTHING_WINDOW = 5
+
+/**
+ * Approximate the camera focal length in pixels from its field of view.
+ * @param {number} frameWidthPx - Width of the video frame in pixels
+ * @param {number} [fovDegrees] - Horizontal field of view in degrees
+ * @returns {number} Focal length in pixels
+ */
+export function focalLengthPx(frameWidthPx, fovDegrees = DEFAULT_CAMERA_FOV_DEGREES) {
+  const halfFov = (fovDegrees / 2) * (Math.PI / 180)
+  return (frameWidthPx / 2) / Math.tan(halfFov)
+}
+
+/**
+ * Estimate distance from the camera to an object of known size.
+ * @param {number} sizePx - Size of the object in the frame in pixels
+ * @param {number} realSizeMm - Physical size of the object in millimetres
+ * @param {number} frameWidthPx - Width of the video frame in pixels
+ * @returns {number|null} Distance in centimetres, or null if the size is unusable
+ */
+export function estimateDistanceCm(sizePx, realSizeMm, frameWidthPx) {
+  if (!sizePx || sizePx <= 0 || !frameWidthPx) return null
+  return (focalLengthPx(frameWidthPx) * realSizeMm) / sizePx / 10
+}
+
+/**
+ * Estimate viewing distance from a FaceDetector result.
+ *
+ * Prefers the distance between both eye landmarks; falls back to the face
+ * bounding box width when one eye is covered (as it is during the test).
+ *
+ * @param {Object} face - DetectedFace from the Shape Detection API
+ * @param {number} frameWidthPx - Width of the video frame in pixels
+ * @returns {{distanceCm: number, method: 'eyes'|'face'}|null}
+ */
+export function estimateDistanceFromFace(face, frameWidthPx) {
+  if (!face) return null
+
+  const eyes = (face.landmarks ?? []).filter(l => l.type === 'eye' && l.locations?.length)
+  if (eyes.length >= 2) {
+    const centre = (landmark) => {
+      const { locations } = landmark
+      return {
+        x: locations.reduce((sum, p) => sum + p.x, 0) / locations.length,
+        y: locations.reduce((sum, p) => sum + p.y, 0) / locations.length
+      }
+    }
+    const a = centre(eyes[0])
+    const b = centre(eyes[1])
+    const ipdPx = Math.hypot(a.x - b.x, a.y - b.y)
+    const distanceCm = estimateDistanceCm(ipdPx, AVERAGE_IPD_MM, frameWidthPx)
+    if (distanceCm !== null) return { distanceCm, method: 'eyes' }
+  }
+
+  const distanceCm = estimateDistanceCm(face.boundingBox?.width, AVERAGE_FACE_WIDTH_MM, frameWidthPx)
+  return distanceCm !== null ? { distanceCm, method: 'face' } : null
+}
+
+/**
+ * Get the acceptable distance band around a target distance.
+ * @param {number} targetCm - Required viewing distance in centimetres
+ * @param {number} [tolerance] - Allowed fractional deviation
+ * @returns {{minCm: number, maxCm: number}}
+ */
+export function getDistanceBand(targetCm, tolerance = DISTANCE_TOLERANCE) {
+  return {
+    minCm: Math.round(targetCm * (1 - tolerance)),
+    maxCm: Math.round(targetCm * (1 + tolerance))
+  }
+}
+
+/**
+ * Classify a distance against the acceptable band.
+ * @param {number|null} distanceCm - Measured distance
+ * @param {{minCm: number, maxCm: number}} band - Acceptable band
+ * @returns {'unknown'|'too-close'|'too-far'|'ok'}
+ */
+export function classifyDistance(distanceCm, band) {
+  if (distanceCm === null || distanceCm === undefined) return 'unknown'
+  if (distanceCm < band.minCm) return 'too-close'
+  if (distanceCm > band.maxCm) return 'too-far'
+  return 'ok'
+}
+
+/**
+ * Median of a list of numbers.
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+export function median(values) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Summarise the distance readings taken during a test for storage with the result.
+ * @param {number[]} readings - Smoothed distance readings in centimetres
+ * @param {number} targetCm - Required viewing distance in centimetres
+ * @param {'eyes'|'face'|null} method - Landmark used for the latest estimate
+ * @returns {Object|null} Summary, or null when no readings were taken
+ */
+export function summarizeDistance(readings, targetCm, method) {
+  if (!readings.length) return null
+  const band = getDistanceBand(targetCm)
+  const measuredCm = Math.round(median(readings))
+  return {
+    targetCm,
+    measuredCm,
+    minCm: Math.round(Math.min(...readings)),
+    maxCm: Math.round(Math.max(...readings)),
+    withinRange: classifyDistance(measuredCm, band) === 'ok',
+    method: method ? `camera-${method}` : 'camera',
+    samples: readings.length
+  }
+}
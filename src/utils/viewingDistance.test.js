@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import {
+  AVERAGE_IPD_MM,
+  focalLengthPx,
+  estimateDistanceCm,
+  estimateDistanceFromFace,
+  getDistanceBand,
+  classifyDistance,
+  median,
+  summarizeDistance,
+} from './viewingDistance'
+
+const FRAME_WIDTH = 640
+
+// Pixel size an object of the given physical size would have at a distance
+function projectedSizePx(realSizeMm, distanceCm) {
+  return (focalLengthPx(FRAME_WIDTH) * realSizeMm) / (distanceCm * 10)
+}
+
+describe('viewing distance estimation', () => {
+  it('derives the focal length from the field of view', () => {
+    // A 90° field of view puts the frame edge at 45°, so f = half the width
+    expect(focalLengthPx(FRAME_WIDTH, 90)).toBeCloseTo(320, 5)
+  })
+
+  it('inverts the pinhole projection', () => {
+    const sizePx = projectedSizePx(AVERAGE_IPD_MM, 40)
+    expect(estimateDistanceCm(sizePx, AVERAGE_IPD_MM, FRAME_WIDTH)).toBeCloseTo(40, 5)
+  })
+
+  it('returns null for unusable sizes', () => {
+    expect(estimateDistanceCm(0, AVERAGE_IPD_MM, FRAME_WIDTH)).toBeNull()
+    expect(estimateDistanceCm(undefined, AVERAGE_IPD_MM, FRAME_WIDTH)).toBeNull()
+  })
+
+  it('prefers eye landmarks when both eyes are visible', () => {
+    const ipdPx = projectedSizePx(AVERAGE_IPD_MM, 50)
+    const face = {
+      boundingBox: { width: 10 },
+      landmarks: [
+        { type: 'eye', locations: [{ x: 100, y: 100 }] },
+        { type: 'eye', locations: [{ x: 100 + ipdPx, y: 100 }] },
+        { type: 'mouth', locations: [{ x: 120, y: 160 }] },
+      ]
+    }
+
+    const estimate = estimateDistanceFromFace(face, FRAME_WIDTH)
+    expect(estimate.method).toBe('eyes')
+    expect(estimate.distanceCm).toBeCloseTo(50, 5)
+  })
+
+  it('falls back to face width when an eye is covered', () => {
+    const face = {
+      boundingBox: { width: projectedSizePx(150, 35) },
+      landmarks: [{ type: 'eye', locations: [{ x: 100, y: 100 }] }]
+    }
+
+    const estimate = estimateDistanceFromFace(face, FRAME_WIDTH)
+    expect(estimate.method).toBe('face')
+    expect(estimate.distanceCm).toBeCloseTo(35, 5)
+  })
+
+  it('returns null when no face was detected', () => {
+    expect(estimateDistanceFromFace(undefined, FRAME_WIDTH)).toBeNull()
+  })
+
+  it('classifies distances against a ±20% band', () => {
+    const band = getDistanceBand(40)
+    expect(band).toEqual({ minCm: 32, maxCm: 48 })
+    expect(classifyDistance(25, band)).toBe('too-close')
+    expect(classifyDistance(40, band)).toBe('ok')
+    expect(classifyDistance(60, band)).toBe('too-far')
+    expect(classifyDistance(null, band)).toBe('unknown')
+  })
+
+  it('computes the median', () => {
+    expect(median([])).toBeNull()
+    expect(median([3, 1, 2])).toBe(2)
+    expect(median([4, 1, 3, 2])).toBe(2.5)
+  })
+
+  it('summarises readings for storage with the result', () => {
+    expect(summarizeDistance([], 40, null)).toBeNull()
+
+    expect(summarizeDistance([38, 41, 40, 44], 40, 'face')).toEqual({
+      targetCm: 40,
+      measuredCm: 41,
+      minCm: 38,
+      maxCm: 44,
+      withinRange: true,
+      method: 'camera-face',
+      samples: 4
+    })
+
+    expect(summarizeDistance([60, 62, 65], 40, 'eyes').withinRange).toBe(false)
+  })
+})